@@ -15,13 +15,21 @@ const packageJson = JSON.parse(
   readFileSync(join(__dirname, '../package.json'), 'utf8')
 );
 
-// ASCII Art Logo
-console.log(chalk.cyan(`
+// ASCII Art Logo, left out of reports other tools read (and graphs, converted tokens) so stdout stays clean
+const MACHINE_FORMATS = ['json', 'markdown', 'sarif', 'junit', 'github'];
+const format = process.argv.find((arg, index, args) => ['-f', '--format'].includes(args[index - 1])) ||
+  process.argv.find(arg => arg.startsWith('--format='))?.slice('--format='.length);
+const printsTokens = process.argv[2] === 'convert' &&
+  !process.argv.some(arg => ['-o', '-w', '--write'].includes(arg) || arg.startsWith('--output'));
+
+if (!MACHINE_FORMATS.includes(format) && process.argv[2] !== 'graph' && !printsTokens) {
+  console.log(chalk.cyan(`
 ╔══════════════════════════════════════╗
 ║   🎨 Design Tokens Sync v${packageJson.version}      ║
 ║   Bridging Design & Development      ║
 ╚══════════════════════════════════════╝
 `));
+}
 
 program
   .name('design-tokens-sync')
@@ -81,6 +89,7 @@ program
   .command('config')
   .description('Show current configuration')
   .option('-c, --config <path>', 'Path to config file')
+  .option('--validate', 'Check the configuration file and report every error by path')
   .action(commands.config);
 
 // Validate command
@@ -88,7 +97,55 @@ program
   .command('validate')
   .description('Validate tokens.json structure')
   .option('-c, --config <path>', 'Path to config file')
+  .option('--fix', 'Apply rule fixes (renames, value fixes) to the token files')
+  .option('-f, --format <format>', 'Output format (text, json, sarif, junit, github)', 'text')
+  .option('-o, --output <path>', 'Write the report to a file instead of stdout')
+  .option('--max-warnings <number>', 'Fail when there are more warnings than this')
+  .option('--update-baseline', 'Record the current violations in the baseline file')
+  .option('--baseline <path>', 'Baseline file (defaults to tokens.validation.baseline or .tokens-baseline.json)')
   .action(commands.validate);
 
+// Graph command
+program
+  .command('graph')
+  .description('Export the token dependency graph')
+  .option('-c, --config <path>', 'Path to config file')
+  .option('-f, --format <format>', 'Graph format (dot, mermaid, json)', 'dot')
+  .option('-o, --output <path>', 'Write the graph to a file instead of stdout')
+  .action(commands.graph);
+
+// Convert command
+program
+  .command('convert')
+  .description('Convert tokens between Token Studio and W3C DTCG formats')
+  .requiredOption('--to <format>', 'Target format (dtcg, tokens-studio)')
+  .option('-c, --config <path>', 'Path to config file')
+  .option('-i, --input <path>', 'Tokens file to convert (defaults to tokens.input)')
+  .option('-o, --output <path>', 'Where to write the converted file (prints to stdout without it)')
+  .option('-w, --write', 'Overwrite the input file with the converted tokens')
+  .option('--dry-run', 'Print the converted tokens instead of writing them')
+  .action(commands.convert);
+
+// Diff command
+program
+  .command('diff [base] [head]')
+  .description('Compare tokens between two files or git refs (default: HEAD against the working tree)')
+  .option('-c, --config <path>', 'Path to config file')
+  .option('-f, --format <format>', 'Output format (terminal, json, markdown)', 'terminal')
+  .option('-o, --output <path>', 'Write the report to a file')
+  .action(commands.diff);
+
+// Release command
+program
+  .command('release [base]')
+  .description('Bump $metadata.version and update the changelog from token changes since the last release')
+  .option('-c, --config <path>', 'Path to config file')
+  .option('--check', 'Only check that $metadata.version covers the changes (fails on breaking changes without a major bump)')
+  .option('--release-as <type>', 'Release type to use instead of the recommended one (major, minor, patch)')
+  .option('--changelog <path>', 'Token changelog file to update', 'TOKENS_CHANGELOG.md')
+  .option('--tag-prefix <prefix>', 'Prefix of the tags marking token releases', 'tokens-v')
+  .option('--dry-run', 'Print the new version and changelog section without writing them')
+  .action(commands.release);
+
 // Parse arguments
 program.parse(process.argv); 
\ No newline at end of file
@@ -2,6 +2,7 @@ import fs from 'fs';
 import path from 'path';
 import { execSync } from 'child_process';
 import { fileURLToPath } from 'url';
+import { TokenDiff } from '../src/core/TokenDiff.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -105,42 +106,17 @@ class DesignSystemAnalytics {
 
   // Compare old and new tokens to detect changes
   compareTokens(oldTokens, newTokens) {
-    const changes = [];
-    const oldFlat = this.flattenTokens(oldTokens);
-    const newFlat = this.flattenTokens(newTokens);
-    
-    // Check for modified tokens
-    Object.keys(newFlat).forEach(token => {
-      if (oldFlat[token] && oldFlat[token].value !== newFlat[token].value) {
-        changes.push({
-          type: 'modified',
-          token,
-          oldValue: oldFlat[token].value,
-          newValue: newFlat[token].value
-        });
-      } else if (!oldFlat[token]) {
-        changes.push({
-          type: 'added',
-          token,
-          oldValue: null,
-          newValue: newFlat[token].value
-        });
-      }
-    });
-    
-    // Check for deleted tokens
-    Object.keys(oldFlat).forEach(token => {
-      if (!newFlat[token]) {
-        changes.push({
-          type: 'deleted',
-          token,
-          oldValue: oldFlat[token].value,
-          newValue: null
-        });
-      }
-    });
-    
-    return changes;
+    // Same classification as `dts diff`, in the change shape tracked here
+    const { changes } = new TokenDiff().compare(oldTokens, newTokens);
+    const types = { added: 'added', removed: 'deleted', renamed: 'renamed' };
+
+    return changes.map(change => ({
+      type: types[change.kind] || 'modified',
+      token: change.path,
+      ...(change.from && { previousToken: change.from }),
+      oldValue: change.before ? change.before.raw : null,
+      newValue: change.after ? change.after.raw : null
+    }));
   }
 
   // Generate comprehensive analytics report
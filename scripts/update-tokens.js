@@ -6,6 +6,7 @@ import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 import { performance } from 'perf_hooks';
 import DesignSystemAnalytics from './design-analytics.js';
+import { TokenResolver } from '../src/core/TokenResolver.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -44,6 +45,7 @@ const logger = {
 
 // Cache for resolved token references
 const resolvedCache = new Map();
+let tokenResolver = null;
 const validationCache = new Map();
 
 /**
@@ -280,56 +282,31 @@ function getTokenType(tokenData) {
 }
 
 /**
- * Enhanced token reference resolution with caching
+ * Token reference resolution, delegated to the core TokenResolver so this
+ * script resolves aliases exactly like `sync`, `validate` and the API
  */
-function resolveTokenReferences(tokens, value, depth = 0) {
-  if (typeof value !== 'string' || !value.includes('{') || depth > 10) {
+function resolveTokenReferences(tokens, value) {
+  if (typeof value !== 'string' || !value.includes('{')) {
     return value;
   }
 
-  const cacheKey = `${value}-${depth}`;
-  if (CONFIG.performance.enableCaching && resolvedCache.has(cacheKey)) {
-    return resolvedCache.get(cacheKey);
+  if (CONFIG.performance.enableCaching && resolvedCache.has(value)) {
+    return resolvedCache.get(value);
   }
 
-  const resolved = value.replace(/\{([^}]+)\}/g, (match, reference) => {
-    try {
-      if (!reference.includes('.')) {
-        // Simple reference like {3xl}
-        for (const [category, categoryTokens] of Object.entries(tokens)) {
-          if (typeof categoryTokens === 'object' && categoryTokens[reference]) {
-            const referencedValue = getRawTokenValue(categoryTokens[reference]);
-            return resolveTokenReferences(tokens, referencedValue, depth + 1);
-          }
-        }
-      } else {
-        // Dot notation like {borderRadius.3xl}
-        const parts = reference.split('.');
-        let current = tokens;
-        
-        for (const part of parts) {
-          if (current && typeof current === 'object' && current[part]) {
-            current = current[part];
-          } else {
-            logger.warn(`Token reference ${reference} not found`);
-            return match;
-          }
-        }
-        
-        if (current && typeof current === 'object') {
-          const referencedValue = getRawTokenValue(current);
-          return resolveTokenReferences(tokens, referencedValue, depth + 1);
-        }
-      }
-    } catch (error) {
-      logger.warn(`Error resolving token reference ${reference}: ${error.message}`);
-    }
-    
-    return match;
-  });
+  if (!tokenResolver || tokenResolver.tokens !== tokens) {
+    tokenResolver = new TokenResolver(tokens);
+  }
+
+  let resolved = value;
+  try {
+    resolved = tokenResolver.resolveValue(value);
+  } catch (error) {
+    logger.warn(`Error resolving token reference ${value}: ${error.message}`);
+  }
 
   if (CONFIG.performance.enableCaching) {
-    resolvedCache.set(cacheKey, resolved);
+    resolvedCache.set(value, resolved);
   }
   return resolved;
 }
@@ -775,6 +752,7 @@ switch (command) {
     }
     resolvedCache.clear();
     validationCache.clear();
+    tokenResolver = null;
     break;
     
   default:
@@ -1,9 +1,24 @@
 import fs from 'fs-extra';
 import path from 'path';
 import { glob } from 'glob';
+import { formatSource } from '../core/TokenLoader.js';
+
+// CSS custom property prefix of each built-in category (see FileGenerator)
+const CSS_VARIABLE_PREFIXES = {
+  colors: 'color',
+  borderRadius: 'border-radius',
+  shadows: 'shadow',
+  zIndex: 'z-index',
+  transitions: 'transition',
+  breakpoints: 'breakpoint'
+};
 
 export class AnalyticsEngine {
-  constructor(config = {}) {
+  constructor(options = {}) {
+    // tokenSources is token provenance from TokenLoader ({ 'colors.primary.500': { file, set } }),
+    // deprecatedTokens the deprecated tokens by path ({ 'colors.old': { message, replacement, removeIn } })
+    const { tokenSources = {}, deprecatedTokens = {}, ...config } = options;
+
     this.config = {
       scanDirs: config.scanDirs || ['src/**/*', 'components/**/*', 'pages/**/*'],
       fileExtensions: config.fileExtensions || ['.js', '.jsx', '.ts', '.tsx', '.vue', '.svelte', '.css', '.scss'],
@@ -12,6 +27,8 @@ export class AnalyticsEngine {
       ...config
     };
     
+    this.tokenSources = this.indexTokenSources(tokenSources);
+    this.deprecatedTokens = this.indexDeprecatedTokens(deprecatedTokens);
     this.tokenUsageData = {};
     this.componentData = {};
     this.stats = {
@@ -242,12 +259,115 @@ export class AnalyticsEngine {
     return tokenPatterns.some(pattern => pattern.test(className));
   }
 
+  /**
+   * Names a token is used by in code: its generated CSS variable name
+   * (color-primary-500) and its flat key (primary-500), or null for a bare category
+   */
+  getUsageNames(tokenPath) {
+    const [category, ...rest] = tokenPath.split('.');
+    if (rest.length === 0) return null;
+
+    const prefix = CSS_VARIABLE_PREFIXES[category] || category.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+    const key = rest.join('-');
+    return { variable: `${prefix}-${key}`, key };
+  }
+
+  /**
+   * Index token provenance by generated CSS variable name and by flat key
+   * (primary-500) so usages can be traced back to their token file and set
+   */
+  indexTokenSources(tokenSources) {
+    const byVariable = {};
+    const byKey = {};
+
+    Object.entries(tokenSources).forEach(([tokenPath, source]) => {
+      const names = this.getUsageNames(tokenPath);
+      if (!names) return;
+
+      byVariable[names.variable] = source;
+      byKey[names.key] = byKey[names.key] || [];
+      if (!byKey[names.key].includes(source)) byKey[names.key].push(source);
+    });
+
+    return { byVariable, byKey };
+  }
+
+  /**
+   * Index deprecated tokens the same way, keeping the token path with each deprecation
+   */
+  indexDeprecatedTokens(deprecatedTokens) {
+    const byVariable = {};
+    const byKey = {};
+
+    Object.entries(deprecatedTokens).forEach(([tokenPath, deprecation]) => {
+      const names = this.getUsageNames(tokenPath);
+      if (!names) return;
+
+      const entry = { token: tokenPath, ...deprecation };
+      byVariable[names.variable] = entry;
+      byKey[names.key] = [...(byKey[names.key] || []), entry];
+    });
+
+    return { byVariable, byKey };
+  }
+
+  /**
+   * Look a CSS variable or Tailwind class up in a { byVariable, byKey } index
+   */
+  findIndexed({ byVariable, byKey }, tokenName) {
+    if (byVariable[tokenName]) return byVariable[tokenName];
+
+    // Tailwind classes: bg-primary-500 → primary-500, when only one token has that key
+    const key = tokenName.replace(/^[a-z]+-/, '');
+    return byKey[key]?.length === 1 ? byKey[key][0] : undefined;
+  }
+
+  /**
+   * Find the token file and set a CSS variable or Tailwind class comes from
+   */
+  findTokenSource(tokenName) {
+    return this.findIndexed(this.tokenSources, tokenName);
+  }
+
+  /**
+   * Find the deprecation of the token behind a CSS variable or Tailwind class,
+   * with the name to use instead (replaceWith) when it has a replacement
+   */
+  findDeprecation(tokenName) {
+    const deprecation = this.findIndexed(this.deprecatedTokens, tokenName);
+    if (!deprecation) return undefined;
+
+    const current = this.getUsageNames(deprecation.token);
+    const replacement = deprecation.replacement && this.getUsageNames(deprecation.replacement);
+    let replaceWith = null;
+    if (replacement) {
+      replaceWith = tokenName === current.variable
+        ? replacement.variable
+        : `${tokenName.slice(0, tokenName.length - current.key.length)}${replacement.key}`;
+    }
+
+    return { ...deprecation, replaceWith };
+  }
+
+  /**
+   * Every used deprecated token with its replacement and the files using it, most used first
+   */
+  getDeprecatedUsages() {
+    return Object.entries(this.tokenUsageData)
+      .filter(([, data]) => data.deprecated)
+      .map(([name, data]) => ({ name, ...data.deprecated, count: data.count, files: data.files }))
+      .sort((a, b) => b.count - a.count);
+  }
+
   recordTokenUsage(tokenName, filePath, type) {
     if (!this.tokenUsageData[tokenName]) {
+      const deprecated = this.findDeprecation(tokenName);
       this.tokenUsageData[tokenName] = {
         count: 0,
         files: [],
-        types: new Set()
+        types: new Set(),
+        source: this.findTokenSource(tokenName),
+        ...(deprecated && { deprecated })
       };
     }
     
@@ -270,6 +390,7 @@ export class AnalyticsEngine {
       totalUsages: Object.values(this.tokenUsageData).reduce((sum, token) => sum + token.count, 0),
       mostUsedToken: this.getMostUsedToken(),
       leastUsedTokens: this.getLeastUsedTokens(),
+      deprecatedUsages: this.getDeprecatedUsages(),
       tokenTypes: this.getTokenTypeStats(),
       fileDistribution: this.getFileDistributionStats()
     };
@@ -382,6 +503,7 @@ export class AnalyticsEngine {
         .token-list { list-style: none; padding: 0; }
         .token-item { background: #f8fafc; padding: 15px; margin-bottom: 10px; border-radius: 6px; display: flex; justify-content: space-between; align-items: center; }
         .token-name { font-family: monospace; font-weight: bold; }
+        .token-source { color: #64748b; font-family: monospace; font-size: 0.85rem; margin-left: 10px; }
         .token-count { background: #3b82f6; color: white; padding: 4px 12px; border-radius: 20px; font-size: 0.85rem; }
         .chart { background: #f8fafc; padding: 20px; border-radius: 8px; margin-bottom: 20px; }
     </style>
@@ -420,13 +542,28 @@ export class AnalyticsEngine {
                   .slice(0, 10)
                   .map(([token, data]) => `
                     <li class="token-item">
-                        <span class="token-name">${token}</span>
+                        <span><span class="token-name">${token}</span>${data.source ? `<span class="token-source">${formatSource(data.source)}</span>` : ''}</span>
                         <span class="token-count">${data.count} uses</span>
                     </li>
                   `).join('')}
             </ul>
         </div>
 
+        ${(data.stats.deprecatedUsages || []).length > 0 ? `
+        <div class="section">
+            <h2 class="section-title">🚫 Deprecated Tokens in Use</h2>
+            <ul class="token-list">
+                ${data.stats.deprecatedUsages
+                  .map(usage => `
+                    <li class="token-item">
+                        <span><span class="token-name">${usage.name}</span><span class="token-source">${usage.replaceWith ? `→ ${usage.replaceWith}` : usage.message || 'no replacement'}${usage.removeIn ? ` (removed in ${usage.removeIn})` : ''}</span><br><span class="token-source">${usage.files.join(', ')}</span></span>
+                        <span class="token-count" style="background: #ef4444;">${usage.count} uses</span>
+                    </li>
+                  `).join('')}
+            </ul>
+        </div>
+        ` : ''}
+
         <div class="section">
             <h2 class="section-title">🔍 Token Usage by Type</h2>
             <div class="chart">
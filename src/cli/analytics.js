@@ -2,7 +2,9 @@ import chalk from 'chalk';
 import ora from 'ora';
 import path from 'path';
 import { AnalyticsEngine } from '../analytics/AnalyticsEngine.js';
+import { TokenLoader, formatSource } from '../core/TokenLoader.js';
 import { loadConfig } from '../utils/config.js';
+import { collectDeprecations } from '../utils/deprecations.js';
 
 export async function analytics(subcommand, options) {
   try {
@@ -45,7 +47,8 @@ async function collectAnalytics(config, options) {
       scanDirs: options.scanDirs || config.analytics.scanDirs || ['src/**/*'],
       fileExtensions: options.extensions || config.analytics.fileExtensions || ['.js', '.jsx', '.ts', '.tsx', '.vue', '.svelte', '.css', '.scss'],
       outputDir: options.output || config.analytics.outputDir || '.tokens-analytics',
-      excludePatterns: config.analytics.excludePatterns || ['node_modules', '.git', 'dist', 'build']
+      excludePatterns: config.analytics.excludePatterns || ['node_modules', '.git', 'dist', 'build'],
+      ...await loadTokenData(config)
     };
     
     const engine = new AnalyticsEngine(analyticsConfig);
@@ -76,6 +79,8 @@ async function collectAnalytics(config, options) {
       console.log(chalk.dim('Run `npx design-tokens-sync analytics report --html` for detailed analysis'));
     }
 
+    displayDeprecatedUsages(data.stats.deprecatedUsages);
+
   } catch (error) {
     spinner.fail('Analytics collection failed');
     throw error;
@@ -89,7 +94,8 @@ async function generateReport(config, options) {
   
   try {
     const analyticsConfig = {
-      outputDir: options.output || config.analytics.outputDir || '.tokens-analytics'
+      outputDir: options.output || config.analytics.outputDir || '.tokens-analytics',
+      ...await loadTokenData(config)
     };
     
     const engine = new AnalyticsEngine(analyticsConfig);
@@ -148,6 +154,9 @@ async function generateReport(config, options) {
       
       // Display warnings about unused tokens
       displayUnusedTokensWarning(data.stats.leastUsedTokens);
+
+      // Display deprecated tokens still in use
+      displayDeprecatedUsages(data.stats.deprecatedUsages);
       
       console.log(chalk.dim('\n💡 Use --html flag for detailed interactive report'));
     }
@@ -184,7 +193,7 @@ function displayMostUsedTokens(usage) {
     sortedTokens.forEach(([token, data], index) => {
       const rank = `${index + 1}.`.padEnd(3);
       const count = `${data.count} uses`.padEnd(12);
-      console.log(`  ${chalk.dim(rank)} ${chalk.cyan(token.padEnd(30))} ${chalk.green(count)}`);
+      console.log(`  ${chalk.dim(rank)} ${chalk.cyan(token.padEnd(30))} ${chalk.green(count)} ${chalk.dim(formatSource(data.source))}`);
     });
   }
   console.log('');
@@ -223,6 +232,34 @@ function displayUnusedTokensWarning(leastUsedTokens = []) {
   }
 }
 
+function displayDeprecatedUsages(deprecatedUsages = []) {
+  if (deprecatedUsages.length === 0) return;
+
+  console.log(chalk.red(`\n🚫 Deprecated Tokens in Use (${deprecatedUsages.length}):`));
+
+  deprecatedUsages.forEach(usage => {
+    const replacement = usage.replaceWith ? chalk.green(`→ ${usage.replaceWith}`) : chalk.dim('no replacement');
+    const removal = usage.removeIn ? chalk.dim(` (removed in ${usage.removeIn})`) : '';
+    console.log(`  ${chalk.red('•')} ${chalk.cyan(usage.name)} ${replacement}${removal}`);
+    if (usage.message) console.log(chalk.dim(`      ${usage.message}`));
+    usage.files.forEach(file => console.log(chalk.dim(`      ${file}`)));
+  });
+}
+
+/**
+ * Load token provenance and deprecations so usages can be traced to their
+ * token file and set, and deprecated ones to their replacement
+ * Analytics still runs without them when tokens cannot be loaded
+ */
+async function loadTokenData(config) {
+  try {
+    const { tokens, provenance } = await new TokenLoader().load(config.tokens?.input);
+    return { tokenSources: provenance, deprecatedTokens: collectDeprecations(tokens) };
+  } catch (error) {
+    return { tokenSources: {}, deprecatedTokens: {} };
+  }
+}
+
 async function findLatestAnalyticsData(outputDir) {
   try {
     const fs = await import('fs-extra');
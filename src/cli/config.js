@@ -1,7 +1,13 @@
 import chalk from 'chalk';
-import { loadConfig } from '../utils/config.js';
+import { loadConfig, findConfig, validateConfig } from '../utils/config.js';
+import { normalizeOutput } from '../core/FormatRegistry.js';
+import { FileGenerator } from '../core/FileGenerator.js';
 
 export async function config(options) {
+  if (options.validate) {
+    return validateConfigFile(options);
+  }
+
   try {
     console.log(chalk.blue('📋 Design Tokens Configuration\n'));
     
@@ -11,7 +17,7 @@ export async function config(options) {
     
     // Display input configuration
     console.log(chalk.bold('📁 Input:'));
-    console.log(`  File: ${chalk.cyan(config.tokens.input)}`);
+    console.log(`  File: ${chalk.cyan([].concat(config.tokens.input).join(', '))}`);
     
     if (config.tokens.validation) {
       console.log(chalk.bold('\n✅ Validation:'));
@@ -21,9 +27,16 @@ export async function config(options) {
     
     // Display output configuration
     console.log(chalk.bold('\n📤 Output:'));
-    Object.entries(config.output).forEach(([format, path]) => {
-      console.log(`  ${format}: ${chalk.cyan(path)}`);
+    Object.entries(config.output).forEach(([format, entry]) => {
+      const output = normalizeOutput(entry);
+      if (!output) return;
+      const formatter = output.formatter ? chalk.dim(` (${output.formatter})`) : '';
+      console.log(`  ${format}: ${chalk.cyan(output.path || '-')}${formatter}`);
     });
+
+    if (config.plugins?.length > 0) {
+      console.log(`  Plugins: ${chalk.cyan(config.plugins.join(', '))}`);
+    }
     
     // Display git configuration
     if (config.git) {
@@ -55,4 +68,33 @@ export async function config(options) {
     console.log(chalk.yellow('\n💡 Run `npx design-tokens-sync init` to create initial configuration'));
     process.exit(1);
   }
-} 
\ No newline at end of file
+} 
+
+/**
+ * Validate the config file against the schema and the registered formats,
+ * printing every problem with its location
+ */
+async function validateConfigFile(options) {
+  try {
+    const result = await findConfig(options.config);
+    const source = result ? result.filepath : 'defaults (no configuration file found)';
+
+    const { value, errors } = validateConfig(result ? result.config : {});
+    if (errors.length === 0) {
+      errors.push(...await new FileGenerator().checkOutputs(value));
+    }
+
+    if (errors.length > 0) {
+      console.error(chalk.red(`❌ ${errors.length} configuration error(s) in ${source}:\n`));
+      errors.forEach(({ path, message }) => {
+        console.error(`  ${chalk.bold(path)}: ${message}`);
+      });
+      process.exit(1);
+    }
+
+    console.log(chalk.green(`✅ Configuration is valid (version ${value.version}): ${source}`));
+  } catch (error) {
+    console.error(chalk.red('❌ Failed to read configuration:'), error.message);
+    process.exit(1);
+  }
+}
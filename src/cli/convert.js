@@ -0,0 +1,56 @@
+import chalk from 'chalk';
+import ora from 'ora';
+import fs from 'fs-extra';
+import path from 'path';
+import { loadConfig } from '../utils/config.js';
+import { TokenLoader } from '../core/TokenLoader.js';
+import { convertTokens, detectFormat, TOKEN_FORMATS } from '../utils/token-formats.js';
+
+export async function convert(options) {
+  const spinner = ora('Loading configuration...').start();
+
+  try {
+    if (!TOKEN_FORMATS.includes(options.to)) {
+      throw new Error(`--to must be one of: ${TOKEN_FORMATS.join(', ')}`);
+    }
+
+    const config = await loadConfig(options.config);
+    const configuredInput = config.tokens?.input || 'tokens.json';
+    if (!options.input && new TokenLoader().isMultiFile(configuredInput)) {
+      throw new Error('tokens.input lists several set files - pass the one to convert with --input');
+    }
+    const inputPath = options.input || configuredInput;
+    // Only overwrite the input when asked to with --write
+    const outputPath = options.output || (options.write ? inputPath : null);
+
+    if (!await fs.pathExists(inputPath)) {
+      throw new Error(`Tokens file not found: ${inputPath}`);
+    }
+
+    spinner.text = 'Converting tokens...';
+    const rawTokens = await fs.readJSON(inputPath);
+    const from = detectFormat(rawTokens);
+    const converted = convertTokens(rawTokens, options.to);
+
+    if (options.dryRun || !outputPath) {
+      spinner.succeed(`Converted ${from} → ${options.to}${options.dryRun ? ' (dry run)' : ''}`);
+      console.log(JSON.stringify(converted, null, 2));
+      return;
+    }
+
+    await fs.ensureDir(path.dirname(path.resolve(outputPath)));
+    await fs.writeJSON(outputPath, converted, { spaces: 2 });
+
+    spinner.succeed(`Converted ${from} → ${options.to}`);
+    console.log(chalk.green(`\n✅ Tokens written to: ${outputPath}`));
+
+    if (outputPath !== configuredInput && inputPath === configuredInput) {
+      console.log(chalk.dim(`💡 Point tokens.input at ${outputPath} to use the converted file`));
+    }
+
+  } catch (error) {
+    spinner.fail('Conversion failed');
+    console.error(chalk.red('\n❌ Error:'), error.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,144 @@
+import chalk from 'chalk';
+import ora from 'ora';
+import fs from 'fs-extra';
+import path from 'path';
+import { loadConfig } from '../utils/config.js';
+import { TokenLoader } from '../core/TokenLoader.js';
+import { GitManager } from '../core/GitManager.js';
+import { TokenDiff } from '../core/TokenDiff.js';
+import { parseColor, formatColor } from '../utils/color-modifiers.js';
+
+const DIFF_FORMATS = ['terminal', 'json', 'markdown'];
+
+const KIND_STYLES = {
+  added: { symbol: '+', color: chalk.green, title: 'Added' },
+  removed: { symbol: '-', color: chalk.red, title: 'Removed' },
+  renamed: { symbol: '→', color: chalk.cyan, title: 'Renamed' },
+  'value-changed': { symbol: '~', color: chalk.yellow, title: 'Value changed' },
+  'type-changed': { symbol: '!', color: chalk.magenta, title: 'Type changed' }
+};
+
+/**
+ * Load one side of a comparison: a tokens file, a git ref, or the working
+ * tree when no source is given
+ * Returns { tokens, label }
+ */
+export async function loadSource(source, input, gitManager = new GitManager()) {
+  if (!source) {
+    const { tokens } = await new TokenLoader().load(input);
+    return { tokens, label: 'working tree' };
+  }
+
+  if (await fs.pathExists(source) && (await fs.stat(source)).isFile()) {
+    return { tokens: await fs.readJSON(source), label: source };
+  }
+
+  if (!await gitManager.isRef(source)) {
+    throw new Error(`Not a tokens file or git ref: ${source}`);
+  }
+
+  const { tokens } = await gitManager.loadTokensAt(source, input);
+  return { tokens, label: source };
+}
+
+export async function diff(base, head, options = {}) {
+  const spinner = ora('Loading configuration...').start();
+
+  try {
+    const format = options.format || 'terminal';
+    if (!DIFF_FORMATS.includes(format)) {
+      throw new Error(`--format must be one of: ${DIFF_FORMATS.join(', ')}`);
+    }
+
+    const config = await loadConfig(options.config);
+    const input = config.tokens?.input;
+
+    // No arguments: HEAD against the working tree; one argument: it against the working tree
+    spinner.text = 'Loading tokens...';
+    const gitManager = new GitManager();
+    const baseSource = await loadSource(base || 'HEAD', input, gitManager);
+    const headSource = await loadSource(head, input, gitManager);
+
+    spinner.text = 'Comparing tokens...';
+    const tokenDiff = new TokenDiff();
+    const result = tokenDiff.compare(baseSource.tokens, headSource.tokens);
+    const labels = { base: baseSource.label, head: headSource.label };
+    spinner.stop();
+
+    let report;
+    if (format === 'json') {
+      report = JSON.stringify({ ...labels, ...result }, null, 2) + '\n';
+    } else if (format === 'markdown') {
+      report = tokenDiff.toMarkdown(result, labels);
+    } else {
+      report = formatTerminal(result, labels, tokenDiff);
+    }
+
+    if (options.output) {
+      await fs.ensureDir(path.dirname(path.resolve(options.output)));
+      await fs.writeFile(options.output, report);
+      console.log(chalk.green(`✅ Token diff written to: ${options.output}`));
+    } else {
+      process.stdout.write(report);
+    }
+
+  } catch (error) {
+    spinner.fail('Token diff failed');
+    console.error(chalk.red('\n❌ Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Color swatch (translucent colors drawn opaque, transparent ones skipped)
+ */
+function swatch(value, tokenDiff) {
+  if (!tokenDiff.isColor(value)) return '';
+
+  const { r, g, b, a } = parseColor(value);
+  return a === 0 ? '' : `${chalk.hex(formatColor({ r, g, b }))('██')} `;
+}
+
+/**
+ * Render a diff for the terminal, grouped by kind
+ */
+function formatTerminal(result, labels, tokenDiff) {
+  const { summary, changes } = result;
+  const lines = [chalk.blue(`🎨 Token changes: ${labels.base} → ${labels.head}\n`)];
+
+  if (changes.length === 0) {
+    lines.push(chalk.green('✅ No token changes'));
+    return lines.join('\n') + '\n';
+  }
+
+  Object.entries(KIND_STYLES).forEach(([kind, style]) => {
+    const group = changes.filter(change => change.kind === kind);
+    if (group.length === 0) return;
+
+    lines.push(chalk.bold(`${style.title} (${group.length})`));
+
+    group.forEach(change => {
+      const before = change.before ? `${swatch(change.before.value, tokenDiff)}${tokenDiff.formatValue(change.before)}` : '';
+      const after = change.after ? `${swatch(change.after.value, tokenDiff)}${tokenDiff.formatValue(change.after)}` : '';
+      let detail;
+
+      if (kind === 'added') detail = after;
+      else if (kind === 'removed') detail = chalk.dim(before);
+      else if (kind === 'renamed') detail = `${chalk.dim(change.from)} → ${change.path}  ${after}`;
+      else if (kind === 'type-changed') detail = `${change.before.type} → ${change.after.type}  ${before} → ${after}`;
+      else detail = `${before} → ${after}${change.delta !== undefined ? chalk.dim(`  ΔE ${change.delta}`) : ''}`;
+
+      const name = kind === 'renamed' ? '' : `${change.path}  `;
+      lines.push(`  ${style.color(style.symbol)} ${name}${detail}`);
+    });
+
+    lines.push('');
+  });
+
+  lines.push(chalk.dim(
+    `${summary.total} changes: ${summary.added} added, ${summary.removed} removed, ${summary.renamed} renamed, ` +
+    `${summary.valueChanged} value changed, ${summary.typeChanged} type changed`
+  ));
+
+  return lines.join('\n') + '\n';
+}
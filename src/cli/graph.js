@@ -0,0 +1,51 @@
+import chalk from 'chalk';
+import ora from 'ora';
+import fs from 'fs-extra';
+import path from 'path';
+import { loadConfig } from '../utils/config.js';
+import { TokenLoader } from '../core/TokenLoader.js';
+import { TokenGraph, GRAPH_FORMATS } from '../core/TokenGraph.js';
+import { normalizeTokens } from '../utils/token-formats.js';
+
+export async function graph(options = {}) {
+  const spinner = ora('Loading configuration...').start();
+
+  try {
+    const format = options.format || 'dot';
+    if (!GRAPH_FORMATS.includes(format)) {
+      throw new Error(`--format must be one of: ${GRAPH_FORMATS.join(', ')}`);
+    }
+
+    const config = await loadConfig(options.config);
+
+    spinner.text = 'Loading tokens...';
+    const { tokens, provenance } = await new TokenLoader().load(config.tokens?.input);
+
+    spinner.text = 'Building dependency graph...';
+    const tokenGraph = new TokenGraph(normalizeTokens(tokens), { provenance });
+    const report = tokenGraph.format(format);
+    spinner.stop();
+
+    if (options.output) {
+      await fs.ensureDir(path.dirname(path.resolve(options.output)));
+      await fs.writeFile(options.output, report);
+      console.log(chalk.green(`✅ Token graph written to: ${options.output}`));
+      console.log(chalk.dim(`  • ${tokenGraph.nodes.size} tokens, ${tokenGraph.edges.length} references`));
+    } else {
+      process.stdout.write(report);
+    }
+
+    // Problems go to stderr so the graph on stdout stays usable
+    const cycles = tokenGraph.findCycles();
+    if (cycles.length > 0 || tokenGraph.missing.length > 0) {
+      console.error(chalk.yellow(
+        `⚠️ ${cycles.length} reference cycle(s) and ${tokenGraph.missing.length} missing reference(s); run validate for details`
+      ));
+    }
+
+  } catch (error) {
+    spinner.fail('Token graph failed');
+    console.error(chalk.red('\n❌ Error:'), error.message);
+    process.exit(1);
+  }
+}
@@ -4,4 +4,8 @@ export { sync } from './sync.js';
 export { watch } from './watch.js';
 export { config } from './config.js';
 export { validate } from './validate.js';
-export { analytics } from './analytics.js'; 
\ No newline at end of file
+export { graph } from './graph.js';
+export { analytics } from './analytics.js';
+export { convert } from './convert.js'; 
+export { diff } from './diff.js';
+export { release } from './release.js';
@@ -4,6 +4,7 @@ import fs from 'fs-extra';
 import path from 'path';
 import ora from 'ora';
 import { fileURLToPath } from 'url';
+import { CONFIG_VERSION } from '../utils/config.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -262,6 +263,7 @@ async function createConfigFile(answers) {
   } else {
     // Fallback to generated config
     const config = {
+      version: CONFIG_VERSION,
       tokens: {
         input: 'tokens.json',
         validation: {
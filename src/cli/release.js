@@ -0,0 +1,184 @@
+import chalk from 'chalk';
+import ora from 'ora';
+import fs from 'fs-extra';
+import path from 'path';
+import { loadConfig } from '../utils/config.js';
+import { TokenLoader } from '../core/TokenLoader.js';
+import { GitManager } from '../core/GitManager.js';
+import { TokenDiff } from '../core/TokenDiff.js';
+import {
+  RELEASE_TYPES,
+  INITIAL_VERSION,
+  TOKEN_CHANGELOG,
+  TOKEN_TAG_PREFIX,
+  bumpVersion,
+  getVersionBump,
+  insertChangelogSection
+} from '../utils/release.js';
+import { loadSource } from './diff.js';
+
+export async function release(base, options = {}) {
+  const spinner = ora('Loading configuration...').start();
+
+  try {
+    if (options.releaseAs && !RELEASE_TYPES.includes(options.releaseAs)) {
+      throw new Error(`--release-as must be one of: ${RELEASE_TYPES.join(', ')}`);
+    }
+
+    const config = await loadConfig(options.config);
+    const input = config.tokens?.input;
+    const gitManager = new GitManager();
+
+    // Compare against the last token release: the latest token tag, or HEAD without one
+    spinner.text = 'Loading tokens...';
+    const tagPrefix = options.tagPrefix || TOKEN_TAG_PREFIX;
+    const baseRef = base || await gitManager.getLatestTag(tagPrefix) || 'HEAD';
+    const baseSource = await loadSource(baseRef, input, gitManager);
+    const { tokens: headTokens, files } = await new TokenLoader().load(input);
+
+    spinner.text = 'Comparing tokens...';
+    const tokenDiff = new TokenDiff();
+    const result = tokenDiff.compare(baseSource.tokens, headTokens);
+    const required = tokenDiff.getReleaseType(result);
+    const breaking = result.changes.filter(change => tokenDiff.isBreaking(change));
+    const baseVersion = baseSource.tokens.$metadata?.version || INITIAL_VERSION;
+    spinner.stop();
+
+    console.log(chalk.blue(`🎨 Token changes since ${baseSource.label} (${baseVersion})\n`));
+
+    if (!required) {
+      console.log(chalk.green('✅ No token changes to release'));
+      return;
+    }
+
+    printSummary(result, breaking, required);
+
+    if (options.check) {
+      checkVersion(baseVersion, headTokens.$metadata?.version || baseVersion, required, breaking);
+      return;
+    }
+
+    const releaseType = options.releaseAs || required;
+    if (RELEASE_TYPES.indexOf(releaseType) > RELEASE_TYPES.indexOf(required)) {
+      const message = `--release-as ${releaseType} is below the ${required} release these changes need`;
+
+      // Breaking changes shipped as a minor/patch break consumers, so CI refuses them
+      if (breaking.length > 0 && process.env.CI) {
+        throw new Error(`${message} (${breaking.length} breaking)`);
+      }
+      console.warn(chalk.yellow(`⚠️ ${message}`));
+    }
+
+    const version = bumpVersion(baseVersion, releaseType);
+    const section = tokenDiff.toChangelog(result, { version });
+
+    if (options.dryRun) {
+      console.log(chalk.dim(`\nVersion ${baseVersion} → ${version} (dry run)\n`));
+      console.log(section);
+      return;
+    }
+
+    const changelogPath = options.changelog || TOKEN_CHANGELOG;
+    const changelog = await fs.pathExists(changelogPath) ? await fs.readFile(changelogPath, 'utf8') : '';
+
+    // Checked before writing anything, so a collision leaves the tokens untouched
+    if (changelog.includes(`## [${version}]`)) {
+      throw new Error(
+        `${changelogPath} already has a ${version} section. Tag the last release (${tagPrefix}<version>) ` +
+        'or pass --changelog with the tokens changelog'
+      );
+    }
+
+    const versionFile = await findVersionFile(files);
+    await writeVersion(versionFile, version);
+
+    await fs.ensureDir(path.dirname(path.resolve(changelogPath)));
+    await fs.writeFile(changelogPath, insertChangelogSection(changelog, section));
+
+    console.log(chalk.green(`\n✅ Released tokens ${version} (${releaseType})`));
+    console.log(chalk.gray(`📝 Version written to ${path.relative(process.cwd(), versionFile)}`));
+    console.log(chalk.gray(`📝 Changelog updated: ${changelogPath}`));
+    console.log(chalk.gray(`🏷️  Tag the release with: git tag ${tagPrefix}${version}`));
+
+  } catch (error) {
+    spinner.fail('Token release failed');
+    console.error(chalk.red('\n❌ Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Print the change counts and every breaking change
+ */
+function printSummary(result, breaking, required) {
+  const { summary } = result;
+
+  if (breaking.length > 0) {
+    console.log(chalk.red.bold(`⚠️ ${breaking.length} breaking change${breaking.length === 1 ? '' : 's'}`));
+    breaking.forEach(change => {
+      const detail = change.kind === 'renamed'
+        ? `${change.from} → ${change.path}`
+        : change.kind === 'type-changed'
+          ? `${change.path} (${change.before.type} → ${change.after.type})`
+          : change.path;
+      console.log(chalk.red(`  • ${change.kind}: ${detail}`));
+    });
+    console.log(chalk.dim('Removed, renamed and retyped tokens break consumers that reference them\n'));
+  }
+
+  console.log(chalk.dim(
+    `${summary.added} added, ${summary.valueChanged} value changed, ${breaking.length} breaking`
+  ));
+  console.log(chalk.bold(`Recommended release: ${required}`));
+}
+
+/**
+ * CI check: the version in the tokens must cover the changes
+ * Breaking changes without a major bump fail; a missing bump only warns
+ */
+function checkVersion(baseVersion, headVersion, required, breaking) {
+  const bump = getVersionBump(baseVersion, headVersion);
+
+  if (breaking.length > 0 && bump !== 'major') {
+    throw new Error(
+      `${breaking.length} breaking token change${breaking.length === 1 ? '' : 's'} need${breaking.length === 1 ? 's' : ''} ` +
+      `a major version bump, but $metadata.version is ${headVersion} (was ${baseVersion}). Run "dts release" to bump it`
+    );
+  }
+
+  if (!bump) {
+    console.warn(chalk.yellow(`\n⚠️ Tokens changed but $metadata.version is still ${baseVersion} (${required} bump recommended)`));
+    return;
+  }
+
+  console.log(chalk.green(`\n✅ Version ${headVersion} (${bump}) covers the token changes`));
+}
+
+/**
+ * The file holding $metadata: the tokens file itself, or $metadata.json
+ * (or the first set file with a $metadata key) for multi-file token sets
+ */
+async function findVersionFile(files) {
+  if (files.length === 1) return files[0];
+
+  const metadataFile = files.find(file => path.basename(file) === '$metadata.json');
+  if (metadataFile) return metadataFile;
+
+  for (const file of files) {
+    if ((await fs.readJSON(file)).$metadata) return file;
+  }
+
+  throw new Error('No $metadata.json among the token files - add one to record the tokens version');
+}
+
+async function writeVersion(file, version) {
+  const content = await fs.readJSON(file);
+
+  if (path.basename(file) === '$metadata.json') {
+    content.version = version;
+  } else {
+    content.$metadata = { ...content.$metadata, version };
+  }
+
+  await fs.writeJSON(file, content, { spaces: 2 });
+}
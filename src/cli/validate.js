@@ -1,34 +1,93 @@
 import chalk from 'chalk';
 import ora from 'ora';
 import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import { TokenValidator } from '../core/TokenValidator.js';
-import { loadConfig } from '../utils/config.js';
+import { TokenLoader } from '../core/TokenLoader.js';
+import { REPORT_FORMATS, REPORTERS, toGitHubSummary } from '../core/reporters.js';
+import { DEFAULT_BASELINE_FILE, applyBaseline, readBaseline, writeBaseline } from '../core/baseline.js';
+import { loadConfig, findConfig } from '../utils/config.js';
+import { formatCodeFrame } from '../utils/source-map.js';
 
 export async function validate(options) {
-  const spinner = ora('Loading configuration...').start();
+  const format = options.format || 'text';
+  // Reports keep stdout free of anything else
+  const spinner = ora({ text: 'Loading configuration...', isSilent: format !== 'text' }).start();
   
   try {
+    if (!REPORT_FORMATS.includes(format)) {
+      throw new Error(`--format must be one of: ${REPORT_FORMATS.join(', ')}`);
+    }
+    const maxWarnings = parseMaxWarnings(options.maxWarnings);
+
     // Load configuration
     const config = await loadConfig(options.config);
     spinner.text = 'Loading tokens...';
 
-    // Load the actual tokens from the file
-    const tokensPath = config.tokens.input;
-    if (!await fs.pathExists(tokensPath)) {
-      throw new Error(`Tokens file not found: ${tokensPath}`);
-    }
-
-    const tokensContent = await fs.readJSON(tokensPath);
+    // Load the actual tokens from the file (or every set file)
+    const loader = new TokenLoader();
+    let loaded = await loader.load(config.tokens?.input);
     spinner.text = 'Validating tokens...';
 
     // Initialize validator
     const validator = new TokenValidator(config);
     
     // Validate tokens (pass the actual content, not the path)
-    const result = await validator.validate(tokensContent);
+    let result = await validator.validate(loaded.tokens, { provenance: loaded.provenance });
+    let fixed = [];
+    let written = [];
+
+    // Apply rule fixers (renames, value fixes) to the source files, then check again
+    const fixable = result.results.filter(item => item.fixable);
+    if (options.fix && fixable.length > 0) {
+      spinner.text = 'Fixing tokens...';
+      const fixes = await validator.fix(loader.getEditableTree(loaded), fixable);
+      fixed = fixes.fixed;
+      written = await loader.save(fixes.tokens, loaded);
+
+      loaded = await loader.load(config.tokens?.input);
+      result = await validator.validate(loaded.tokens, { provenance: loaded.provenance });
+    }
+
+    // Record today's violations, or hide the ones recorded before
+    const baselineFile = options.baseline || config.tokens?.validation?.baseline || DEFAULT_BASELINE_FILE;
+    if (options.updateBaseline) {
+      await writeBaseline(baselineFile, result.results);
+      const message = `Baseline updated: ${result.results.length} violation(s) recorded in ${baselineFile}`;
+      if (format === 'text') {
+        spinner.succeed(message);
+        printFixes(fixed, written, result, options);
+      } else {
+        console.error(chalk.green(`✅ ${message}`));
+      }
+      return;
+    }
+
+    const baseline = await readBaseline(baselineFile);
+    let stale = [];
+    if (baseline) {
+      ({ result, stale } = applyBaseline(result, baseline));
+    }
+    const tokensContent = loaded.tokens;
+    const tooManyWarnings = maxWarnings !== null && result.warnings.length > maxWarnings;
+
+    if (format !== 'text') {
+      await writeReport(format, result, { validator, loaded, fixed, output: options.output, configPath: options.config });
+      printStaleBaseline(stale, baselineFile, console.error);
+      if (tooManyWarnings) {
+        console.error(chalk.red(`❌ ${result.warnings.length} warnings exceed --max-warnings ${maxWarnings}`));
+      }
+      if (!result.isValid || tooManyWarnings) process.exit(1);
+      return;
+    }
     
     if (result.isValid) {
-      spinner.succeed('Token validation passed!');
+      if (tooManyWarnings) {
+        spinner.fail(`Token validation failed: ${result.warnings.length} warnings exceed --max-warnings ${maxWarnings}`);
+      } else {
+        spinner.succeed('Token validation passed!');
+      }
       
       console.log(chalk.green('\n✅ Validation Summary:'));
       console.log(`  • ${result.summary.validatedTokens} tokens processed`);
@@ -37,6 +96,9 @@ export async function validate(options) {
       if (result.warnings.length > 0) {
         console.log(chalk.yellow(`  • ${result.warnings.length} warnings`));
       }
+      if (result.summary.baselinedCount > 0) {
+        console.log(chalk.dim(`  • ${result.summary.baselinedCount} known violation(s) hidden by ${baselineFile}`));
+      }
       
       console.log(chalk.dim('\n📊 Token Categories:'));
       // Show categories based on whether it's Figma format or not
@@ -55,33 +117,137 @@ export async function validate(options) {
       
       if (result.warnings.length > 0) {
         console.log(chalk.yellow('\n⚠️ Warnings:'));
-        result.warnings.forEach(warning => {
-          console.log(chalk.yellow(`  • ${warning}`));
-        });
+        result.warnings.forEach(warning => printResult(validator, warning, chalk.yellow, loaded.sources));
       }
       
     } else {
       spinner.fail('Token validation failed');
       
       console.log(chalk.red('\n❌ Validation Errors:'));
-      result.errors.forEach(error => {
-        console.log(chalk.red(`  • ${error}`));
-      });
+      result.errors.forEach(error => printResult(validator, error, chalk.red, loaded.sources));
       
       if (result.warnings.length > 0) {
         console.log(chalk.yellow('\n⚠️ Warnings:'));
-        result.warnings.forEach(warning => {
-          console.log(chalk.yellow(`  • ${warning}`));
-        });
+        result.warnings.forEach(warning => printResult(validator, warning, chalk.yellow, loaded.sources));
       }
       
+      if (result.summary.baselinedCount > 0) {
+        console.log(chalk.dim(`\n📌 ${result.summary.baselinedCount} known violation(s) hidden by ${baselineFile}`));
+      }
+
+      printStaleBaseline(stale, baselineFile);
+      printFixes(fixed, written, result, options);
       console.log(chalk.dim('\n💡 Fix these errors and run validation again'));
       process.exit(1);
     }
 
+    printStaleBaseline(stale, baselineFile);
+    printFixes(fixed, written, result, options);
+    if (tooManyWarnings) process.exit(1);
+
   } catch (error) {
     spinner.fail('Validation failed');
     console.error(chalk.red('\n❌ Error:'), error.message);
     process.exit(1);
   }
-} 
\ No newline at end of file
+}
+
+/**
+ * --max-warnings as a number, or null when not set
+ */
+function parseMaxWarnings(value) {
+  if (value === undefined || value === null) return null;
+
+  const maxWarnings = Number(value);
+  if (!Number.isInteger(maxWarnings) || maxWarnings < 0) {
+    throw new Error('--max-warnings must be a non-negative integer');
+  }
+  return maxWarnings;
+}
+
+/**
+ * Write a machine-readable report to stdout or --output; the github format
+ * also adds a summary to the workflow run when $GITHUB_STEP_SUMMARY is set
+ */
+async function writeReport(format, result, { validator, loaded, fixed, output, configPath }) {
+  const packageJson = await fs.readJSON(fileURLToPath(new URL('../../package.json', import.meta.url)));
+  const defaultFile = await getDefaultFile(loaded, configPath);
+
+  const report = REPORTERS[format](result, {
+    fixed,
+    rules: await validator.getEnabledRules(),
+    version: packageJson.version,
+    defaultFile
+  });
+  const content = report.endsWith('\n') ? report : `${report}\n`;
+
+  if (output) {
+    await fs.ensureDir(path.dirname(path.resolve(output)));
+    await fs.writeFile(output, content);
+    console.error(chalk.green(`✅ Validation report written to: ${output}`));
+  } else {
+    process.stdout.write(content);
+  }
+
+  if (format === 'github' && process.env.GITHUB_STEP_SUMMARY) {
+    await fs.appendFile(process.env.GITHUB_STEP_SUMMARY, toGitHubSummary(result, { defaultFile }));
+  }
+}
+
+/**
+ * File for results about the whole tree (a missing category...): the input file,
+ * else the config file for set files, else the first set file. Code scanning
+ * drops SARIF results without a location, so there is always one
+ */
+async function getDefaultFile(loaded, configPath) {
+  const [firstFile] = Object.keys(loaded.sources);
+  if (!loaded.sets) return firstFile;
+
+  const found = await findConfig(configPath);
+  return found ? path.relative(process.cwd(), found.filepath) : firstFile;
+}
+
+/**
+ * Print a result with its rule id and, when it points at a token, a code frame
+ */
+function printResult(validator, result, color, sources) {
+  console.log(color(`  • ${validator.formatResult(result)}`) + chalk.dim(`  ${result.rule}`));
+
+  const text = result.file && sources?.[result.file];
+  if (text && result.line) {
+    const frame = formatCodeFrame(text, result.line, result.column);
+    console.log(chalk.dim(frame.split('\n').map(line => `    ${line}`).join('\n')));
+  }
+}
+
+/**
+ * Warn about baselined violations that no longer occur, so their entries
+ * are dropped before the violation can come back unnoticed
+ */
+function printStaleBaseline(stale, baselineFile, log = console.log) {
+  if (stale.length === 0) return;
+
+  const count = stale.reduce((total, violation) => total + violation.count, 0);
+  log(chalk.yellow(`\n🧹 ${count} baselined violation(s) no longer occur; run validate --update-baseline to remove them from ${baselineFile}:`));
+  stale.forEach(violation => {
+    const times = violation.count > 1 ? ` (×${violation.count})` : '';
+    log(chalk.yellow(`  • ${violation.message}${times}`) + chalk.dim(`  ${violation.rule}`));
+  });
+}
+
+/**
+ * Report what --fix changed, or how many problems it could fix
+ */
+function printFixes(fixed, written, result, options) {
+  if (fixed.length > 0) {
+    console.log(chalk.green(`\n🔧 Fixed ${fixed.length} problem(s) in: ${written.join(', ')}`));
+    fixed.forEach(item => {
+      console.log(chalk.green(`  • ${item.message}`) + chalk.dim(`  ${item.rule}`));
+    });
+  }
+
+  const fixable = result.results.filter(item => item.fixable).length;
+  if (fixable > 0 && !options.fix) {
+    console.log(chalk.dim(`\n💡 ${fixable} problem(s) can be fixed with --fix`));
+  }
+}
@@ -1,80 +1,274 @@
 import fs from 'fs-extra';
 import path from 'path';
+import { formatDeprecation } from '../utils/deprecations.js';
+import { parseColor } from '../utils/color-modifiers.js';
+import { mergeTokenSets, inferCategoryType } from '../utils/token-sets.js';
+import { FormatRegistry, normalizeOutput } from './FormatRegistry.js';
+
+// Categories every generator handles explicitly
+const BUILT_IN_CATEGORIES = [
+  'colors', 'spacing', 'typography', 'borderRadius', 'shadows',
+  'opacity', 'zIndex', 'transitions', 'breakpoints'
+];
+
+// Keys of the processed tokens object that are not token categories
+const METADATA_KEYS = ['categoryTypes', 'deprecations', 'themes', 'source', 'lastLoaded'];
+
+// Tailwind theme keys a custom category can map onto by name
+const TAILWIND_THEME_KEYS = [
+  'borderWidth', 'width', 'height', 'size', 'minWidth', 'maxWidth', 'minHeight', 'maxHeight',
+  'inset', 'gap', 'blur', 'outlineWidth', 'outlineOffset', 'ringWidth', 'ringOffsetWidth',
+  'strokeWidth', 'transitionDelay', 'aspectRatio', 'scale', 'backgroundImage'
+];
+
+// Tailwind v4 theme variable namespace a custom category maps onto by token type
+const TAILWIND_V4_TYPE_NAMESPACES = {
+  color: 'color',
+  dimension: 'spacing',
+  shadow: 'shadow',
+  fontFamily: 'font',
+  fontWeight: 'font-weight',
+  cubicBezier: 'ease'
+};
+
+// Namespaces whose bare variable is the utility's default (--radius for `rounded`);
+// a bare --spacing would be the multiplier of every spacing utility
+const TAILWIND_V4_DEFAULT_NAMESPACES = ['radius', 'shadow'];
+
+// Panda token category of each built-in category and typography scale
+const PANDA_CATEGORIES = {
+  colors: 'colors',
+  spacing: 'spacing',
+  borderRadius: 'radii',
+  fontFamily: 'fonts',
+  fontSize: 'fontSizes',
+  fontWeight: 'fontWeights',
+  lineHeight: 'lineHeights',
+  letterSpacing: 'letterSpacings',
+  shadows: 'shadows',
+  opacity: 'opacity',
+  zIndex: 'zIndex',
+  duration: 'durations',
+  easing: 'easings'
+};
+
+// Panda token category a custom category joins by token type
+const PANDA_TYPE_CATEGORIES = {
+  color: 'colors',
+  dimension: 'sizes',
+  shadow: 'shadows',
+  duration: 'durations',
+  cubicBezier: 'easings',
+  fontFamily: 'fonts',
+  fontWeight: 'fontWeights'
+};
+
+// Generic CSS families that map to the platform's system font
+const GENERIC_FONT_FAMILIES = ['system-ui', '-apple-system', 'BlinkMacSystemFont', 'ui-sans-serif', 'sans-serif', 'serif', 'monospace'];
+
+// Font weights by native name (SwiftUI Font.Weight)
+const SWIFT_FONT_WEIGHTS = {
+  100: 'ultraLight', 200: 'thin', 300: 'light', 400: 'regular', 500: 'medium',
+  600: 'semibold', 700: 'bold', 800: 'heavy', 900: 'black'
+};
+
+// Material 3 color roles a color token fills when named after one ('on-primary' → onPrimary)
+const MATERIAL_COLOR_ROLES = [
+  'primary', 'onPrimary', 'primaryContainer', 'onPrimaryContainer', 'inversePrimary',
+  'secondary', 'onSecondary', 'secondaryContainer', 'onSecondaryContainer',
+  'tertiary', 'onTertiary', 'tertiaryContainer', 'onTertiaryContainer',
+  'background', 'onBackground', 'surface', 'onSurface', 'surfaceVariant', 'onSurfaceVariant',
+  'surfaceTint', 'inverseSurface', 'inverseOnSurface',
+  'error', 'onError', 'errorContainer', 'onErrorContainer', 'outline', 'outlineVariant', 'scrim'
+];
+
+// Keywords that need backticks as Swift and Kotlin identifiers
+const SWIFT_KEYWORDS = [
+  'as', 'case', 'class', 'default', 'do', 'else', 'enum', 'extension', 'false', 'for', 'func', 'if',
+  'import', 'in', 'init', 'internal', 'is', 'let', 'nil', 'operator', 'private', 'protocol', 'public',
+  'repeat', 'return', 'self', 'static', 'struct', 'super', 'switch', 'true', 'var', 'where', 'while'
+];
+const DART_KEYWORDS = [
+  'assert', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'do', 'else', 'enum',
+  'extends', 'false', 'final', 'finally', 'for', 'if', 'in', 'is', 'new', 'null', 'rethrow', 'return',
+  'super', 'switch', 'this', 'throw', 'true', 'try', 'var', 'void', 'while', 'with'
+];
+const KOTLIN_KEYWORDS = [
+  'as', 'break', 'class', 'continue', 'do', 'else', 'false', 'for', 'fun', 'if', 'in', 'interface',
+  'is', 'null', 'object', 'package', 'return', 'super', 'this', 'throw', 'true', 'try', 'typealias',
+  'typeof', 'val', 'var', 'when', 'while'
+];
+
+// Material 3 TextTheme slots a text style fills when named after one ('body-large' → bodyLarge)
+const MATERIAL_TEXT_THEME_SLOTS = [
+  'displayLarge', 'displayMedium', 'displaySmall', 'headlineLarge', 'headlineMedium', 'headlineSmall',
+  'titleLarge', 'titleMedium', 'titleSmall', 'bodyLarge', 'bodyMedium', 'bodySmall',
+  'labelLarge', 'labelMedium', 'labelSmall'
+];
+
+// Otherwise the category's token type decides where it goes in Tailwind
+const TAILWIND_TYPE_KEYS = {
+  color: 'colors',
+  dimension: 'spacing',
+  shadow: 'boxShadow',
+  duration: 'transitionDuration',
+  cubicBezier: 'transitionTimingFunction',
+  fontFamily: 'fontFamily',
+  fontWeight: 'fontWeight'
+};
 
 /**
  * File generation engine
  * Generates CSS, Tailwind, TypeScript, and other output formats from design tokens
+ * through a FormatRegistry of built-in and custom formats
  */
 export class FileGenerator {
   constructor(options = {}) {
     this.options = options;
+    this.formats = new FormatRegistry();
   }
 
   /**
    * Generate all configured output files
+   * Each output entry (a path or { path, formatter, options }) is written by
+   * the format of the same name, or by its own formatter module
    */
   async generateAll(tokens, config) {
     const results = {};
+    const cwd = this.options.cwd || process.cwd();
 
-    // Generate CSS custom properties
-    if (config.output.css) {
-      results.css = await this.generateCSS(tokens, config.output.css);
+    for (const plugin of config.plugins || []) {
+      await this.formats.loadPlugin(plugin, cwd);
     }
 
-    // Generate Tailwind config
-    if (config.output.tailwind) {
-      results.tailwind = await this.generateTailwindConfig(tokens, config.output.tailwind);
-    }
+    for (const [name, entry] of Object.entries(config.output || {})) {
+      const output = normalizeOutput(entry);
+      if (!output) continue;
 
-    // Generate TypeScript definitions
-    if (config.output.typescript) {
-      results.typescript = await this.generateTypeScript(tokens, config.output.typescript);
-    }
+      const format = output.formatter
+        ? await this.formats.loadFormatter(output.formatter, name, cwd)
+        : this.formats.get(name);
 
-    // Generate SCSS variables
-    if (config.output.scss) {
-      results.scss = await this.generateSCSS(tokens, config.output.scss);
-    }
+      if (!format) {
+        throw new Error(`Unknown output format "${name}". Set output.${name}.formatter or load a plugin that registers it`);
+      }
 
-    // Mobile platform outputs
-    if (config.output.reactNative) {
-      results.reactNative = await this.generateReactNative(tokens, config.output.reactNative);
+      const files = await this.generateFormat(format, tokens, output);
+      results[name] = files.length === 1 ? files[0] : files;
     }
 
-    if (config.output.expo) {
-      results.expo = await this.generateExpo(tokens, config.output.expo);
+    return results;
+  }
+
+  /**
+   * Check that every plugin loads and every output has a format
+   * Returns { path, message } problems located in the config
+   */
+  async checkOutputs(config) {
+    const problems = [];
+    const cwd = this.options.cwd || process.cwd();
+
+    for (const [index, plugin] of (config.plugins || []).entries()) {
+      try {
+        await this.formats.loadPlugin(plugin, cwd);
+      } catch (error) {
+        problems.push({ path: `plugins.${index}`, message: error.message });
+      }
     }
 
-    if (config.output.flutter) {
-      results.flutter = await this.generateFlutter(tokens, config.output.flutter);
+    for (const [name, entry] of Object.entries(config.output || {})) {
+      const output = normalizeOutput(entry);
+      if (!output) continue;
+
+      if (output.formatter) {
+        try {
+          await this.formats.loadFormatter(output.formatter, name, cwd);
+        } catch (error) {
+          problems.push({ path: `output.${name}.formatter`, message: error.message });
+        }
+      } else if (!this.formats.has(name)) {
+        problems.push({
+          path: `output.${name}`,
+          message: `no format named "${name}"; set output.${name}.formatter or load a plugin that registers it`
+        });
+      }
     }
 
-    if (config.output.ios) {
-      results.ios = await this.generateIOS(tokens, config.output.ios);
+    return problems;
+  }
+
+  /**
+   * Register a custom output format ({ name, label, format(context) })
+   */
+  registerFormat(format) {
+    this.formats.register(format);
+    return this;
+  }
+
+  /**
+   * Split processed tokens into the context handed to a format
+   */
+  getFormatContext(tokens, output) {
+    const { themes = [], ...rest } = tokens || {};
+    const metadata = {};
+    const tree = {};
+
+    Object.entries(rest).forEach(([key, value]) => {
+      if (METADATA_KEYS.includes(key)) {
+        metadata[key] = value;
+      } else {
+        tree[key] = value;
+      }
+    });
+
+    return {
+      tokens: tree,
+      metadata,
+      themes,
+      options: output.options || {},
+      outputPath: output.path,
+      generator: this
+    };
+  }
+
+  /**
+   * Run a format (or a registered format name) and write the files it returns
+   */
+  async generateFormat(format, tokens, output) {
+    const resolvedFormat = typeof format === 'string' ? this.formats.get(format) : format;
+    if (!resolvedFormat) {
+      throw new Error(`Unknown output format "${format}"`);
     }
 
-    if (config.output.android) {
-      results.android = await this.generateAndroid(tokens, config.output.android);
+    let result;
+    try {
+      result = await resolvedFormat.format(this.getFormatContext(tokens, output));
+    } catch (error) {
+      throw new Error(`Output "${resolvedFormat.name}" failed: ${error.message}`);
     }
 
-    if (config.output.xamarin) {
-      results.xamarin = await this.generateXamarin(tokens, config.output.xamarin);
+    const files = (Array.isArray(result) ? result : [result])
+      .map(file => (typeof file === 'string' ? { path: output.path, content: file } : { path: output.path, ...file }));
+
+    for (const file of files) {
+      if (!file.path || typeof file.content !== 'string') {
+        throw new Error(`Output "${resolvedFormat.name}" must return a path and string content for every file`);
+      }
+
+      await fs.ensureDir(path.dirname(file.path));
+      await fs.writeFile(file.path, file.content);
+      console.log(`✅ Generated ${resolvedFormat.label || resolvedFormat.name}: ${file.path}`);
     }
 
-    return results;
+    return files;
   }
 
   /**
    * Generate CSS custom properties file
    */
   async generateCSS(tokens, outputPath) {
-    const css = this.generateCSSCustomProperties(tokens);
-    
-    await fs.ensureDir(path.dirname(outputPath));
-    await fs.writeFile(outputPath, css);
-    
-    console.log(`✅ Generated CSS: ${outputPath}`);
-    return { path: outputPath, content: css };
+    const [file] = await this.generateFormat('css', tokens, { path: outputPath });
+    return file;
   }
 
   /**
@@ -89,158 +283,198 @@ export class FileGenerator {
     cssVars.push('');
     cssVars.push(':root {');
 
-    // Colors
-    if (tokens.colors) {
-      cssVars.push('  /* Colors */');
-      Object.entries(tokens.colors).forEach(([category, shades]) => {
-        if (shades && typeof shades === 'object') {
-          Object.entries(shades).forEach(([shade, value]) => {
-            cssVars.push(`  --color-${category}-${shade}: ${value};`);
-          });
-        }
-      });
-      cssVars.push('');
-    }
-
-    // Spacing
-    if (tokens.spacing) {
-      cssVars.push('  /* Spacing */');
-      Object.entries(tokens.spacing).forEach(([key, value]) => {
-        cssVars.push(`  --spacing-${key}: ${value};`);
-      });
-      cssVars.push('');
-    }
-
-    // Border Radius
-    if (tokens.borderRadius) {
-      cssVars.push('  /* Border Radius */');
-      Object.entries(tokens.borderRadius).forEach(([key, value]) => {
-        cssVars.push(`  --border-radius-${key}: ${value};`);
-      });
-      cssVars.push('');
-    }
-
-    // Typography
-    if (tokens.typography) {
-      cssVars.push('  /* Typography */');
-      Object.entries(tokens.typography).forEach(([category, values]) => {
-        if (values && typeof values === 'object') {
-          Object.entries(values).forEach(([key, value]) => {
-            cssVars.push(`  --typography-${category}-${key}: ${value};`);
-          });
-        }
-      });
-      cssVars.push('');
-    }
-
-    // Shadows
-    if (tokens.shadows) {
-      cssVars.push('  /* Shadows */');
-      Object.entries(tokens.shadows).forEach(([key, value]) => {
-        cssVars.push(`  --shadow-${key}: ${value};`);
-      });
-      cssVars.push('');
-    }
-
-    // Opacity
-    if (tokens.opacity) {
-      cssVars.push('  /* Opacity */');
-      Object.entries(tokens.opacity).forEach(([key, value]) => {
-        cssVars.push(`  --opacity-${key}: ${value};`);
-      });
-      cssVars.push('');
-    }
-
-    // Z-Index
-    if (tokens.zIndex) {
-      cssVars.push('  /* Z-Index */');
-      Object.entries(tokens.zIndex).forEach(([key, value]) => {
-        cssVars.push(`  --z-index-${key}: ${value};`);
-      });
-      cssVars.push('');
-    }
-
-    // Transitions
-    if (tokens.transitions) {
-      cssVars.push('  /* Transitions */');
-      if (tokens.transitions.duration) {
-        Object.entries(tokens.transitions.duration).forEach(([key, value]) => {
-          cssVars.push(`  --transition-duration-${key}: ${value};`);
-        });
-      }
-      if (tokens.transitions.easing) {
-        Object.entries(tokens.transitions.easing).forEach(([key, value]) => {
-          cssVars.push(`  --transition-easing-${key}: ${value};`);
-        });
-      }
-      cssVars.push('');
-    }
-
-    // Breakpoints
-    if (tokens.breakpoints) {
-      cssVars.push('  /* Breakpoints */');
-      Object.entries(tokens.breakpoints).forEach(([key, value]) => {
-        cssVars.push(`  --breakpoint-${key}: ${value};`);
+    this.getCSSVariableSections(tokens).forEach(({ title, variables }) => {
+      cssVars.push(`  /* ${title} */`);
+      variables.forEach(([name, value, deprecation]) => {
+        if (deprecation) cssVars.push(`  ${this.toCSSDeprecationComment(deprecation)}`);
+        cssVars.push(`  ${name}: ${value};`);
       });
       cssVars.push('');
-    }
+    });
 
     cssVars.push('}');
     cssVars.push('');
 
+    // Theme overrides
+    cssVars.push(...this.generateCSSThemeBlocks(tokens));
+
     // Add utility classes
     cssVars.push('/* Utility Classes */');
     
     // Text colors
     if (tokens.colors) {
-      Object.entries(tokens.colors).forEach(([category, shades]) => {
-        if (shades && typeof shades === 'object') {
-          Object.keys(shades).forEach(shade => {
-            cssVars.push(`.text-${category}-${shade} { color: var(--color-${category}-${shade}); }`);
-          });
-        }
+      this.flattenEntries(tokens.colors).forEach(([key]) => {
+        cssVars.push(`.text-${key} { color: var(--color-${key}); }`);
       });
     }
 
+    // Composite text styles
+    this.getTextStyles(tokens).forEach(([name, style]) => {
+      cssVars.push(`.text-${name} { ${this.toCSSTextDeclarations(style).join(' ')} }`);
+    });
+
     return cssVars.join('\n');
   }
 
+  /**
+   * CSS comment marking a deprecated custom property
+   */
+  toCSSDeprecationComment(deprecation) {
+    const note = formatDeprecation(deprecation).replace(/\*\//g, '* /');
+    return note ? `/* @deprecated ${note} */` : '/* @deprecated */';
+  }
+
+  /**
+   * Group CSS custom properties by token category, as [name, value, deprecation]
+   */
+  getCSSVariableSections(tokens) {
+    const categories = [
+      ['colors', 'Colors', '--color'],
+      ['spacing', 'Spacing', '--spacing'],
+      ['borderRadius', 'Border Radius', '--border-radius'],
+      ['typography', 'Typography', '--typography'],
+      ['shadows', 'Shadows', '--shadow'],
+      ['opacity', 'Opacity', '--opacity'],
+      ['zIndex', 'Z-Index', '--z-index'],
+      ['transitions', 'Transitions', '--transition'],
+      ['breakpoints', 'Breakpoints', '--breakpoint']
+    ];
+
+    // Unitless custom dimensions ("16") become px like the Tailwind v4 output
+    const customCategories = this.getCustomCategories(tokens)
+      .map(({ name, type }) => [name, this.toTitle(name), `--${this.kebabCase(name)}`, type === 'dimension']);
+
+    return [...categories, ...customCategories]
+      .filter(([category]) => tokens[category])
+      .map(([category, title, prefix, dimension]) => ({
+        title,
+        variables: this.flattenEntries(category === 'typography' ? this.getTypographyScales(tokens) : tokens[category])
+          .map(([key, value]) => [
+            `${prefix}-${key}`, dimension ? this.toCSSDimension(value) : value, this.getDeprecation(tokens, category, key)
+          ])
+      }));
+  }
+
+  /**
+   * Get every CSS custom property as [name, value, deprecation] entries
+   */
+  getCSSVariables(tokens) {
+    return this.getCSSVariableSections(tokens).flatMap(section => section.variables);
+  }
+
+  /**
+   * Get the CSS custom properties a theme changes compared to the base tokens
+   */
+  getThemeCSSOverrides(tokens, theme, getVariables = (values) => this.getCSSVariables(values)) {
+    const baseVariables = new Map(getVariables(tokens));
+    return getVariables(this.getThemeTokens(tokens, theme)).filter(([name, value]) => baseVariables.get(name) !== value);
+  }
+
+  /**
+   * Tokens of a theme with the root categoryTypes, so custom categories keep
+   * the type the processor gave them instead of one inferred from theme values
+   */
+  getThemeTokens(tokens, theme) {
+    return { ...theme.tokens, categoryTypes: tokens.categoryTypes };
+  }
+
+  /**
+   * Generate [data-theme] and prefers-color-scheme blocks for non-default themes
+   * (of the CSS custom properties, or of the variables getVariables lists)
+   */
+  generateCSSThemeBlocks(tokens, getVariables) {
+    const themes = tokens.themes || [];
+    const defaultTheme = themes.find(theme => theme.isDefault);
+    const css = [];
+    const colorSchemes = new Set(defaultTheme?.colorScheme ? [defaultTheme.colorScheme] : []);
+
+    themes.filter(theme => !theme.isDefault).forEach(theme => {
+      const overrides = this.getThemeCSSOverrides(tokens, theme, getVariables);
+      if (overrides.length === 0) return;
+
+      css.push(`/* Theme: ${theme.name} */`);
+      css.push(`[data-theme="${theme.name}"] {`);
+      overrides.forEach(([name, value]) => css.push(`  ${name}: ${value};`));
+      css.push('}');
+      css.push('');
+
+      // Follow the OS preference unless a theme is picked explicitly
+      if (theme.colorScheme && !colorSchemes.has(theme.colorScheme)) {
+        colorSchemes.add(theme.colorScheme);
+        css.push(`@media (prefers-color-scheme: ${theme.colorScheme}) {`);
+        css.push('  :root:not([data-theme]) {');
+        overrides.forEach(([name, value]) => css.push(`    ${name}: ${value};`));
+        css.push('  }');
+        css.push('}');
+        css.push('');
+      }
+    });
+
+    return css;
+  }
+
   /**
    * Generate Tailwind configuration
    */
   async generateTailwindConfig(tokens, outputPath) {
-    const configContent = this.generateTailwindConfigContent(tokens);
-    
-    await fs.ensureDir(path.dirname(outputPath));
-    await fs.writeFile(outputPath, configContent);
-    
-    console.log(`✅ Generated Tailwind config: ${outputPath}`);
-    return { path: outputPath, content: configContent };
+    const [file] = await this.generateFormat('tailwind', tokens, { path: outputPath });
+    return file;
   }
 
   /**
    * Generate Tailwind configuration content
    */
   generateTailwindConfigContent(tokens) {
+    // Values that change between themes point at their CSS custom property
+    const themedVariables = new Set(
+      (tokens.themes || [])
+        .filter(theme => !theme.isDefault)
+        .flatMap(theme => this.getThemeCSSOverrides(tokens, theme).map(([name]) => name))
+    );
+
+    const config = this.getTailwindConfig(tokens, (values, prefix) => this.applyThemeVariables(values, prefix, themedVariables));
+
+    const configString = `/** @type {import('tailwindcss').Config} */
+// Design Tokens - Auto-generated Tailwind Configuration
+// Do not edit this file manually
+
+export default ${JSON.stringify(config, null, 2)};
+`;
+
+    return configString;
+  }
+
+  /**
+   * Build a Tailwind config object ({ darkMode, theme: { extend } }) from the tokens
+   * mapValues(values, prefix, type) decides what colors, spacing, radii, shadows
+   * and custom categories hold: literal values, or their CSS custom properties
+   */
+  getTailwindConfig(tokens, mapValues) {
     const config = {
       theme: {
         extend: {}
       }
     };
 
+    // Let Tailwind's dark: variant follow the dark theme selector
+    const darkTheme = (tokens.themes || []).find(theme => !theme.isDefault && theme.colorScheme === 'dark');
+    if (darkTheme) {
+      config.darkMode = ['selector', `[data-theme="${darkTheme.name}"]`];
+    }
+
     // Colors
     if (tokens.colors && Object.keys(tokens.colors).length > 0) {
-      config.theme.extend.colors = tokens.colors;
+      config.theme.extend.colors = mapValues(tokens.colors, '--color', 'color');
     }
 
     // Spacing
     if (tokens.spacing && Object.keys(tokens.spacing).length > 0) {
-      config.theme.extend.spacing = tokens.spacing;
+      config.theme.extend.spacing = mapValues(tokens.spacing, '--spacing', 'dimension');
     }
 
     // Border Radius
     if (tokens.borderRadius && Object.keys(tokens.borderRadius).length > 0) {
-      config.theme.extend.borderRadius = tokens.borderRadius;
+      config.theme.extend.borderRadius = mapValues(tokens.borderRadius, '--border-radius', 'dimension');
     }
 
     // Typography
@@ -260,11 +494,20 @@ export class FileGenerator {
       if (tokens.typography.letterSpacing && Object.keys(tokens.typography.letterSpacing).length > 0) {
         config.theme.extend.letterSpacing = tokens.typography.letterSpacing;
       }
+
+      // Text styles become fontSize tuples: text-heading-1 sets size, line height, spacing and weight
+      const textStyles = this.getTextStyles(tokens).filter(([, style]) => style.fontSize);
+      if (textStyles.length > 0) {
+        config.theme.extend.fontSize = {
+          ...config.theme.extend.fontSize,
+          ...Object.fromEntries(textStyles.map(([name, style]) => [name, this.toTailwindFontSize(style)]))
+        };
+      }
     }
 
     // Shadows
     if (tokens.shadows && Object.keys(tokens.shadows).length > 0) {
-      config.theme.extend.boxShadow = tokens.shadows;
+      config.theme.extend.boxShadow = mapValues(tokens.shadows, '--shadow', 'shadow');
     }
 
     // Opacity
@@ -292,27 +535,224 @@ export class FileGenerator {
       config.theme.extend.screens = tokens.breakpoints;
     }
 
-    const configString = `/** @type {import('tailwindcss').Config} */
-// Design Tokens - Auto-generated Tailwind Configuration
+    // Custom categories: a matching Tailwind key by name, else by token type
+    this.getCustomCategories(tokens).forEach(({ name, values, type }) => {
+      const themed = mapValues(values, `--${this.kebabCase(name)}`, type);
+      const key = TAILWIND_THEME_KEYS.includes(name) ? name : TAILWIND_TYPE_KEYS[type];
+      const extend = config.theme.extend;
+
+      if (!key) {
+        extend[name] = themed;
+      } else if (key === name || key === 'colors') {
+        extend[key] = { ...extend[key], ...(key === 'colors' ? { [name]: themed } : themed) };
+      } else {
+        extend[key] = { ...extend[key], ...Object.fromEntries(this.flattenEntries(themed, '-', name)) };
+      }
+    });
+
+    return config;
+  }
+
+  /**
+   * Generate a Tailwind CSS v4 stylesheet: the tokens as @theme variables in
+   * Tailwind's namespaces (--color-*, --spacing-*, --radius-*, --text-*...),
+   * with theme overrides and a dark variant following the dark theme
+   */
+  generateTailwindThemeCSS(tokens) {
+    const css = [];
+
+    css.push('/* Design Tokens - Auto-generated Tailwind CSS v4 theme */');
+    css.push('/* Do not edit this file manually */');
+    css.push('/* Import it after Tailwind: @import "tailwindcss"; */');
+    css.push('');
+
+    const darkTheme = (tokens.themes || []).find(theme => !theme.isDefault && theme.colorScheme === 'dark');
+    if (darkTheme) {
+      css.push(`@custom-variant dark (&:where([data-theme="${darkTheme.name}"], [data-theme="${darkTheme.name}"] *));`);
+      css.push('');
+    }
+
+    css.push('@theme {');
+    this.getTailwindThemeSections(tokens).forEach(({ title, variables }, index) => {
+      if (index > 0) css.push('');
+      css.push(`  /* ${title} */`);
+      variables.forEach(([name, value, deprecation]) => {
+        if (deprecation) css.push(`  ${this.toCSSDeprecationComment(deprecation)}`);
+        css.push(`  ${name}: ${value};`);
+      });
+    });
+    css.push('}');
+    css.push('');
+
+    css.push(...this.generateCSSThemeBlocks(tokens, (values) => this.getTailwindThemeSections(values).flatMap(section => section.variables)));
+
+    return css.join('\n');
+  }
+
+  /**
+   * Group Tailwind v4 theme variables by token category, as [name, value, deprecation]
+   * Opacity, z-index and durations have no v4 namespace and are left to the CSS output
+   */
+  getTailwindThemeSections(tokens) {
+    const typography = tokens.typography || {};
+    const section = (title, category, values, namespace, keyPrefix = '', toValue = (value) => value) => ({
+      title,
+      variables: this.flattenEntries(values || {}).map(([key, value]) => [
+        this.toTailwindThemeVariable(namespace, key), toValue(value), this.getDeprecation(tokens, category, `${keyPrefix}${key}`)
+      ])
+    });
+    const dimension = (value) => this.toCSSDimension(value);
+
+    const sections = [
+      section('Colors', 'colors', tokens.colors, 'color'),
+      section('Spacing', 'spacing', tokens.spacing, 'spacing', '', dimension),
+      section('Border Radius', 'borderRadius', tokens.borderRadius, 'radius', '', dimension),
+      section('Font Families', 'typography', typography.fontFamily, 'font', 'fontFamily-'),
+      section('Font Sizes', 'typography', typography.fontSize, 'text', 'fontSize-', dimension),
+      section('Font Weights', 'typography', typography.fontWeight, 'font-weight', 'fontWeight-'),
+      section('Line Heights', 'typography', typography.lineHeight, 'leading', 'lineHeight-'),
+      section('Letter Spacing', 'typography', typography.letterSpacing, 'tracking', 'letterSpacing-'),
+      {
+        // Text styles set their line height, letter spacing and weight along with the size
+        title: 'Text Styles',
+        variables: this.getTextStyles(tokens)
+          .filter(([, style]) => style.fontSize)
+          .flatMap(([name, style]) => [
+            [this.toTailwindThemeVariable('text', name), dimension(style.fontSize), this.getTextStyleDeprecation(tokens, name)],
+            ...[['lineHeight', 'line-height'], ['letterSpacing', 'letter-spacing'], ['fontWeight', 'font-weight']]
+              .filter(([property]) => style[property] !== undefined)
+              .map(([property, suffix]) => [`${this.toTailwindThemeVariable('text', name)}--${suffix}`, style[property], null])
+          ])
+      },
+      section('Shadows', 'shadows', tokens.shadows, 'shadow'),
+      section('Easing', 'transitions', tokens.transitions?.easing, 'ease', 'easing-'),
+      section('Breakpoints', 'breakpoints', tokens.breakpoints, 'breakpoint', '', dimension),
+      // Custom categories join the namespace of their token type (--color-voice-*), else keep their name
+      ...this.getCustomCategories(tokens).map(({ name, values, type }) => {
+        const namespace = TAILWIND_V4_TYPE_NAMESPACES[type];
+        return section(
+          this.toTitle(name), name, values,
+          namespace ? `${namespace}-${this.kebabCase(name)}` : this.kebabCase(name), '',
+          type === 'dimension' ? dimension : undefined
+        );
+      })
+    ];
+
+    return sections.filter(({ variables }) => variables.length > 0);
+  }
+
+  /**
+   * Tailwind v4 theme variable for a key: a nested DEFAULT is its group (--color-primary),
+   * a top-level one the bare namespace where v4 has one (--radius), and dots become
+   * underscores (--spacing-1_5)
+   */
+  toTailwindThemeVariable(namespace, key) {
+    if (key === 'DEFAULT' && !TAILWIND_V4_DEFAULT_NAMESPACES.includes(namespace)) return `--${namespace}-DEFAULT`;
+    const name = String(key).replace(/(^|-)DEFAULT$/, '').replace(/\./g, '_');
+    return name ? `--${namespace}-${name}` : `--${namespace}`;
+  }
+
+  /**
+   * Unitless Token Studio dimensions ("6") are pixels
+   */
+  toCSSDimension(value) {
+    return /^-?(\d+\.?\d*|\.\d+)$/.test(String(value).trim()) && Number(value) !== 0 ? `${value}px` : value;
+  }
+
+  /**
+   * Generate a Tailwind preset (CommonJS) whose theme points at CSS variables,
+   * colors as rgb(var(--color-x) / <alpha-value>) so opacity modifiers work,
+   * plus a plugin defining those variables per theme
+   * Use it with presets: [require('./tokens.preset')] next to a hand-written config
+   */
+  generateTailwindPresetContent(tokens) {
+    // Colors that also get a variable of their RGB channels (--color-x-rgb: 59 130 246),
+    // so --color-x keeps the value the css output gives it
+    const channelVariables = new Set();
+
+    const config = this.getTailwindConfig(tokens, (values, prefix, type) => this.mapTokenVariables(values, prefix, (variable, value) => {
+      if (type === 'color' && this.toRGBChannels(value)) {
+        channelVariables.add(variable);
+        return `rgb(var(${variable}-rgb) / <alpha-value>)`;
+      }
+      return `var(${variable})`;
+    }));
+
+    const toDeclarations = (variables) => Object.fromEntries(variables.flatMap(([name, value]) => [
+      [name, value],
+      ...(channelVariables.has(name) && this.toRGBChannels(value) ? [[`${name}-rgb`, this.toRGBChannels(value)]] : [])
+    ]));
+
+    const variables = { ':root': toDeclarations(this.getCSSVariables(tokens)) };
+    const themes = tokens.themes || [];
+    const defaultTheme = themes.find(theme => theme.isDefault);
+    const colorSchemes = new Set(defaultTheme?.colorScheme ? [defaultTheme.colorScheme] : []);
+
+    themes.filter(theme => !theme.isDefault).forEach(theme => {
+      const overrides = this.getThemeCSSOverrides(tokens, theme);
+      if (overrides.length === 0) return;
+
+      variables[`[data-theme="${theme.name}"]`] = toDeclarations(overrides);
+
+      // Follow the OS preference unless a theme is picked explicitly
+      if (theme.colorScheme && !colorSchemes.has(theme.colorScheme)) {
+        colorSchemes.add(theme.colorScheme);
+        variables[`@media (prefers-color-scheme: ${theme.colorScheme})`] = { ':root:not([data-theme])': toDeclarations(overrides) };
+      }
+    });
+
+    return `// Design Tokens - Auto-generated Tailwind preset
 // Do not edit this file manually
+// Use it from tailwind.config.js: presets: [require('./tokens.preset')]
 
-export default ${JSON.stringify(config, null, 2)};
+const config = ${JSON.stringify(config, null, 2)};
+
+// CSS variables the theme points at, per theme
+const variables = ${JSON.stringify(variables, null, 2)};
+
+/** @type {import('tailwindcss').Config} */
+module.exports = {
+  ...config,
+  plugins: [
+    function designTokens({ addBase }) {
+      addBase(variables);
+    }
+  ]
+};
 `;
+  }
 
-    return configString;
+  /**
+   * Replace every value with what mapValue(variable, value) returns for its CSS custom property
+   */
+  mapTokenVariables(obj, prefix, mapValue, path = '') {
+    return Object.fromEntries(Object.entries(obj).map(([key, value]) => {
+      const flatKey = path ? `${path}-${key}` : key;
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        return [key, this.mapTokenVariables(value, prefix, mapValue, flatKey)];
+      }
+      return [key, mapValue(`${prefix}-${flatKey}`, value)];
+    }));
+  }
+
+  /**
+   * Space-separated RGB channels of an opaque color ("59 130 246"), or null
+   */
+  toRGBChannels(value) {
+    try {
+      const { r, g, b, a } = parseColor(value);
+      return a < 1 ? null : [r, g, b].map(channel => Math.round(channel * 255)).join(' ');
+    } catch (error) {
+      return null;
+    }
   }
 
   /**
    * Generate TypeScript definitions
    */
   async generateTypeScript(tokens, outputPath) {
-    const typeDefinitions = this.generateTypeDefinitions(tokens);
-    
-    await fs.ensureDir(path.dirname(outputPath));
-    await fs.writeFile(outputPath, typeDefinitions);
-    
-    console.log(`✅ Generated TypeScript definitions: ${outputPath}`);
-    return { path: outputPath, content: typeDefinitions };
+    const [file] = await this.generateFormat('typescript', tokens, { path: outputPath });
+    return file;
   }
 
   /**
@@ -328,14 +768,11 @@ export default ${JSON.stringify(config, null, 2)};
     // Generate interfaces for each token category
     if (tokens.colors) {
       types.push('export interface Colors {');
-      Object.entries(tokens.colors).forEach(([category, shades]) => {
-        if (shades && typeof shades === 'object') {
-          types.push(`  ${category}: {`);
-          Object.keys(shades).forEach(shade => {
-            types.push(`    "${shade}": string;`);
-          });
-          types.push('  };');
-        }
+      // Processed colors are flat ('primary-500'), the keys deprecations use too
+      this.flattenEntries(tokens.colors).forEach(([key]) => {
+        const deprecation = this.getDeprecation(tokens, 'colors', key);
+        if (deprecation) types.push(`  ${this.toJSDocDeprecation(deprecation)}`);
+        types.push(`  "${key}": string;`);
       });
       types.push('}');
       types.push('');
@@ -344,6 +781,8 @@ export default ${JSON.stringify(config, null, 2)};
     if (tokens.spacing) {
       types.push('export interface Spacing {');
       Object.keys(tokens.spacing).forEach(key => {
+        const deprecation = this.getDeprecation(tokens, 'spacing', key);
+        if (deprecation) types.push(`  ${this.toJSDocDeprecation(deprecation)}`);
         types.push(`  "${key}": string;`);
       });
       types.push('}');
@@ -351,12 +790,31 @@ export default ${JSON.stringify(config, null, 2)};
     }
 
     if (tokens.typography) {
+      if (tokens.typography.textStyles) {
+        types.push('export interface TextStyle {');
+        types.push('  fontFamily?: string;');
+        types.push('  fontSize?: string;');
+        types.push('  fontWeight?: string | number;');
+        types.push('  fontStyle?: string;');
+        types.push('  lineHeight?: string | number;');
+        types.push('  letterSpacing?: string;');
+        types.push('  textCase?: string;');
+        types.push('  textDecoration?: string;');
+        types.push('}');
+        types.push('');
+      }
+
       types.push('export interface Typography {');
       Object.entries(tokens.typography).forEach(([category, values]) => {
         if (values && typeof values === 'object') {
+          const valueType = category === 'textStyles' ? 'TextStyle' : 'string';
           types.push(`  ${category}: {`);
           Object.keys(values).forEach(key => {
-            types.push(`    "${key}": string;`);
+            const deprecation = category === 'textStyles'
+              ? this.getTextStyleDeprecation(tokens, key)
+              : this.getDeprecation(tokens, 'typography', `${category}-${key}`);
+            if (deprecation) types.push(`    ${this.toJSDocDeprecation(deprecation)}`);
+            types.push(`    "${key}": ${valueType};`);
           });
           types.push('  };');
         }
@@ -365,22 +823,45 @@ export default ${JSON.stringify(config, null, 2)};
       types.push('');
     }
 
+    const themes = tokens.themes || [];
+    if (themes.length > 0) {
+      types.push(`export type ThemeName = ${themes.map(theme => `'${theme.name}'`).join(' | ')};`);
+      types.push('');
+      types.push('export interface Theme {');
+      types.push('  name: ThemeName;');
+      types.push("  colorScheme: 'light' | 'dark' | null;");
+      types.push('  isDefault: boolean;');
+      types.push("  tokens: Omit<DesignTokens, 'categoryTypes' | 'deprecations' | 'themes' | 'source' | 'lastLoaded'>;");
+      types.push('}');
+      types.push('');
+    }
+
     // Main design tokens interface
     types.push('export interface DesignTokens {');
     if (tokens.colors) types.push('  colors: Colors;');
     if (tokens.spacing) types.push('  spacing: Spacing;');
     if (tokens.typography) types.push('  typography: Typography;');
-    if (tokens.borderRadius) types.push('  borderRadius: Record<string, string>;');
-    if (tokens.shadows) types.push('  shadows: Record<string, string>;');
-    if (tokens.opacity) types.push('  opacity: Record<string, string>;');
-    if (tokens.zIndex) types.push('  zIndex: Record<string, number>;');
+    const record = (category, valueType, values = tokens[category], prefix = '', indent = '  ') =>
+      this.toTSRecordType(values, valueType, key => this.getDeprecation(tokens, category, `${prefix}${key}`), indent);
+    if (tokens.borderRadius) types.push(`  borderRadius: ${record('borderRadius', 'string')};`);
+    if (tokens.shadows) types.push(`  shadows: ${record('shadows', 'string')};`);
+    if (tokens.opacity) types.push(`  opacity: ${record('opacity', 'string')};`);
+    if (tokens.zIndex) types.push(`  zIndex: ${record('zIndex', 'number')};`);
     if (tokens.transitions) {
       types.push('  transitions: {');
-      types.push('    duration: Record<string, string>;');
-      types.push('    easing: Record<string, string>;');
+      types.push(`    duration: ${record('transitions', 'string', tokens.transitions.duration, 'duration-', '    ')};`);
+      types.push(`    easing: ${record('transitions', 'string', tokens.transitions.easing, 'easing-', '    ')};`);
       types.push('  };');
     }
-    if (tokens.breakpoints) types.push('  breakpoints: Record<string, string>;');
+    if (tokens.breakpoints) types.push(`  breakpoints: ${record('breakpoints', 'string')};`);
+    this.getCustomCategories(tokens).forEach(({ name, type }) => {
+      types.push(`  ${this.toJSKey(name)}: ${record(name, type === 'number' ? 'string | number' : 'string')};`);
+    });
+    if (tokens.categoryTypes) types.push('  categoryTypes: Record<string, string>;');
+    if (tokens.deprecations) {
+      types.push('  deprecations: Record<string, Record<string, { message: string | null; replacement: string | null; removeIn: string | null }>>;');
+    }
+    if (themes.length > 0) types.push('  themes: Theme[];');
     types.push('  source: string;');
     types.push('  lastLoaded: string;');
     types.push('}');
@@ -395,38 +876,303 @@ export default ${JSON.stringify(config, null, 2)};
   }
 
   /**
-   * Generate SCSS variables
+   * Record<string, T> type of a flat category, spelling out its deprecated keys so they carry @deprecated
    */
-  async generateSCSS(tokens, outputPath) {
-    const scss = this.generateSCSSVariables(tokens);
-    
-    await fs.ensureDir(path.dirname(outputPath));
-    await fs.writeFile(outputPath, scss);
-    
-    console.log(`✅ Generated SCSS: ${outputPath}`);
-    return { path: outputPath, content: scss };
+  toTSRecordType(values, valueType, getDeprecation, indent = '  ') {
+    const deprecated = Object.keys(values || {})
+      .map(key => [key, getDeprecation(key)])
+      .filter(([, deprecation]) => deprecation);
+    if (deprecated.length === 0) return `Record<string, ${valueType}>`;
+
+    return [
+      `Record<string, ${valueType}> & {`,
+      ...deprecated.flatMap(([key, deprecation]) => [
+        `${indent}  ${this.toJSDocDeprecation(deprecation)}`,
+        `${indent}  "${key}": ${valueType};`
+      ]),
+      `${indent}}`
+    ].join('\n');
   }
 
   /**
-   * Generate SCSS variables string
+   * Token categories without the processor's metadata, as handed to CSS-in-JS themes
    */
-  generateSCSSVariables(tokens) {
-    const scss = [];
-    
-    scss.push('// Design Tokens - Auto-generated SCSS Variables');
-    scss.push('// Do not edit this file manually');
-    scss.push('');
+  getTokenTree(tokens) {
+    return Object.fromEntries(Object.entries(tokens || {}).filter(([key]) => !METADATA_KEYS.includes(key)));
+  }
 
-    // Colors
-    if (tokens.colors) {
-      scss.push('// Colors');
-      Object.entries(tokens.colors).forEach(([category, shades]) => {
-        if (shades && typeof shades === 'object') {
-          Object.entries(shades).forEach(([shade, value]) => {
-            scss.push(`$color-${category}-${shade}: ${value};`);
-          });
-        }
-      });
+  /**
+   * The token tree of every Token Studio theme (each one merged over the base
+   * tokens so all themes have the same shape), default theme first; a single
+   * "default" theme without Token Studio themes
+   */
+  getThemeTrees(tokens) {
+    const base = this.getTokenTree(tokens);
+    const themes = tokens.themes || [];
+    if (themes.length === 0) {
+      return [{ name: 'default', colorScheme: null, isDefault: true, values: base }];
+    }
+
+    return [...themes]
+      .sort((a, b) => Number(b.isDefault) - Number(a.isDefault))
+      .map(theme => ({ ...theme, values: theme.isDefault ? base : mergeTokenSets(base, this.getTokenTree(theme.tokens)) }));
+  }
+
+  /**
+   * Print a value as a JavaScript literal with unquoted keys where possible
+   */
+  toJSLiteral(value, indent = '') {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.toJSLiteral(item, indent)).join(', ')}]`;
+    }
+    if (value && typeof value === 'object') {
+      const entries = Object.entries(value);
+      if (entries.length === 0) return '{}';
+
+      const inner = `${indent}  `;
+      return `{\n${entries.map(([key, child]) => `${inner}${this.toJSKey(key)}: ${this.toJSLiteral(child, inner)}`).join(',\n')}\n${indent}}`;
+    }
+    if (typeof value === 'string') {
+      return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+    }
+    return String(value);
+  }
+
+  /**
+   * Map every leaf of a tree through mapValue(value)
+   */
+  mapLeaves(obj, mapValue) {
+    return Object.fromEntries(Object.entries(obj).map(([key, value]) => [
+      key,
+      value && typeof value === 'object' && !Array.isArray(value) ? this.mapLeaves(value, mapValue) : mapValue(value)
+    ]));
+  }
+
+  /**
+   * Generate a typed theme object for styled-components or Emotion
+   * (options.library), with one object per Token Studio theme and the
+   * DefaultTheme (or Emotion Theme) augmented to match
+   */
+  generateStyledTheme(tokens, options = {}) {
+    const library = options.library || 'styled-components';
+    const [defaultTheme, ...otherThemes] = this.getThemeTrees(tokens);
+    const ts = [];
+
+    ts.push(`// Design Tokens - Auto-generated ${library === 'emotion' ? 'Emotion' : 'styled-components'} theme`);
+    ts.push('// Do not edit this file manually');
+    ts.push('');
+    ts.push(`import '${library === 'emotion' ? '@emotion/react' : 'styled-components'}';`);
+    ts.push('');
+    ts.push(`export const theme = ${this.toJSLiteral(defaultTheme.values)};`);
+    ts.push('');
+    ts.push('export type TokensTheme = typeof theme;');
+    ts.push('');
+
+    if (otherThemes.length > 0) {
+      const themes = [defaultTheme, ...otherThemes];
+      ts.push(`export type ThemeName = ${themes.map(({ name }) => `'${name}'`).join(' | ')};`);
+      ts.push('');
+      ts.push('export const themes: Record<ThemeName, TokensTheme> = {');
+      themes.forEach(({ name, isDefault, values }, index) => {
+        const separator = index < themes.length - 1 ? ',' : '';
+        ts.push(`  ${this.toJSKey(name)}: ${isDefault ? 'theme' : this.toJSLiteral(values, '  ')}${separator}`);
+      });
+      ts.push('};');
+      ts.push('');
+    }
+
+    if (library === 'emotion') {
+      ts.push("declare module '@emotion/react' {");
+      ts.push('  export interface Theme extends TokensTheme {}');
+    } else {
+      ts.push("declare module 'styled-components' {");
+      ts.push('  export interface DefaultTheme extends TokensTheme {}');
+    }
+    ts.push('}');
+    ts.push('');
+
+    return ts.join('\n');
+  }
+
+  /**
+   * Generate a vanilla-extract theme: a contract of every token and one
+   * createGlobalTheme per Token Studio theme (the default on :root, the others
+   * on their [data-theme] selector), following prefers-color-scheme like the CSS output
+   */
+  generateVanillaExtractTheme(tokens) {
+    const themes = this.getThemeTrees(tokens);
+    const [defaultTheme] = themes;
+    const toStrings = (values) => this.mapLeaves(values, value => String(value));
+    const colorSchemes = new Set(defaultTheme.colorScheme ? [defaultTheme.colorScheme] : []);
+    const preferred = themes.filter(theme => {
+      if (theme.isDefault || !theme.colorScheme || colorSchemes.has(theme.colorScheme)) return false;
+      colorSchemes.add(theme.colorScheme);
+      return true;
+    });
+
+    const imports = ['createGlobalTheme', 'createThemeContract', ...(preferred.length > 0 ? ['assignVars', 'globalStyle'] : [])].sort();
+    const ts = [];
+
+    ts.push('// Design Tokens - Auto-generated vanilla-extract theme');
+    ts.push('// Do not edit this file manually');
+    ts.push('');
+    ts.push(`import { ${imports.join(', ')} } from '@vanilla-extract/css';`);
+    ts.push('');
+    ts.push(`export const vars = createThemeContract(${this.toJSLiteral(this.mapLeaves(defaultTheme.values, () => null))});`);
+
+    themes.forEach(theme => {
+      ts.push('');
+      ts.push(`// Theme: ${theme.name}${theme.isDefault ? ' (default)' : ''}`);
+      ts.push(`createGlobalTheme(${this.toJSLiteral(theme.isDefault ? ':root' : `[data-theme="${theme.name}"]`)}, vars, ${this.toJSLiteral(toStrings(theme.values))});`);
+    });
+
+    // Follow the OS preference unless a theme is picked explicitly
+    preferred.forEach(theme => {
+      ts.push('');
+      ts.push("globalStyle(':root:not([data-theme])', {");
+      ts.push("  '@media': {");
+      ts.push(`    '(prefers-color-scheme: ${theme.colorScheme})': {`);
+      ts.push(`      vars: assignVars(vars, ${this.toJSLiteral(toStrings(theme.values), '      ')})`);
+      ts.push('    }');
+      ts.push('  }');
+      ts.push('});');
+    });
+    ts.push('');
+
+    return ts.join('\n');
+  }
+
+  /**
+   * Panda token categories of a token tree ({ colors: { 'primary-500': value } }),
+   * plus breakpoints and text styles, which Panda keeps outside tokens
+   */
+  getPandaCategories(values, categoryTypes) {
+    const categories = {};
+    const add = (category, entries) => {
+      if (entries.length > 0) categories[category] = { ...categories[category], ...Object.fromEntries(entries) };
+    };
+
+    ['colors', 'spacing', 'borderRadius', 'shadows', 'opacity', 'zIndex'].forEach(name => {
+      if (values[name]) add(PANDA_CATEGORIES[name], this.flattenEntries(values[name]));
+    });
+    Object.entries(this.getTypographyScales(values)).forEach(([name, scale]) => {
+      if (PANDA_CATEGORIES[name] && scale) add(PANDA_CATEGORIES[name], this.flattenEntries(scale));
+    });
+    Object.entries(values.transitions || {}).forEach(([name, scale]) => {
+      if (PANDA_CATEGORIES[name] && scale) add(PANDA_CATEGORIES[name], this.flattenEntries(scale));
+    });
+    this.getCustomCategories({ ...values, categoryTypes }).forEach(({ name, values: custom, type }) => {
+      if (!PANDA_TYPE_CATEGORIES[type]) return;
+      const entries = this.flattenEntries(custom, '-', name);
+      add(PANDA_TYPE_CATEGORIES[type], type === 'dimension'
+        ? entries.map(([key, value]) => [key, this.toCSSDimension(value)])
+        : entries);
+    });
+
+    return categories;
+  }
+
+  /**
+   * Generate a Panda CSS preset: tokens that are the same in every theme go
+   * through defineTokens, the ones themes change through defineSemanticTokens
+   * with a condition per theme ([data-theme="dark"] → _dark)
+   */
+  generatePandaPreset(tokens) {
+    const [defaultTheme, ...otherThemes] = this.getThemeTrees(tokens);
+    const base = this.getPandaCategories(defaultTheme.values, tokens.categoryTypes);
+    const themed = otherThemes.map(theme => ({
+      condition: this.toCamelCase(theme.name),
+      categories: this.getPandaCategories(theme.values, tokens.categoryTypes)
+    }));
+    const baseTokens = {};
+    const semanticTokens = {};
+
+    Object.entries(base).forEach(([category, entries]) => {
+      Object.entries(entries).forEach(([key, value]) => {
+        const conditions = themed
+          .filter(({ categories }) => categories[category]?.[key] !== undefined && categories[category][key] !== value)
+          .map(({ condition, categories }) => [`_${condition}`, categories[category][key]]);
+        const target = conditions.length > 0 ? semanticTokens : baseTokens;
+
+        target[category] = target[category] || {};
+        target[category][key] = { value: conditions.length > 0 ? { base: value, ...Object.fromEntries(conditions) } : value };
+      });
+    });
+
+    const textStyles = Object.fromEntries(this.getTextStyles(defaultTheme.values).map(([name, style]) => [name, { value: style }]));
+    const breakpoints = defaultTheme.values.breakpoints ? Object.fromEntries(this.flattenEntries(defaultTheme.values.breakpoints)) : null;
+    const conditions = Object.fromEntries(otherThemes.map(theme => [this.toCamelCase(theme.name), `[data-theme="${theme.name}"] &`]));
+
+    const imports = ['definePreset', 'defineTokens'];
+    if (Object.keys(semanticTokens).length > 0) imports.push('defineSemanticTokens');
+    if (Object.keys(textStyles).length > 0) imports.push('defineTextStyles');
+
+    const ts = [];
+    ts.push('// Design Tokens - Auto-generated Panda CSS preset');
+    ts.push('// Do not edit this file manually');
+    ts.push('');
+    ts.push(`import { ${imports.sort().join(', ')} } from '@pandacss/dev';`);
+    ts.push('');
+    ts.push(`export const tokens = defineTokens(${this.toJSLiteral(baseTokens)});`);
+    ts.push('');
+
+    const extend = ['tokens'];
+    if (imports.includes('defineSemanticTokens')) {
+      ts.push(`export const semanticTokens = defineSemanticTokens(${this.toJSLiteral(semanticTokens)});`);
+      ts.push('');
+      extend.push('semanticTokens');
+    }
+    if (imports.includes('defineTextStyles')) {
+      ts.push(`export const textStyles = defineTextStyles(${this.toJSLiteral(textStyles)});`);
+      ts.push('');
+      extend.push('textStyles');
+    }
+
+    ts.push('export default definePreset({');
+    ts.push("  name: 'design-tokens',");
+    if (Object.keys(conditions).length > 0) {
+      ts.push(`  conditions: ${this.toJSLiteral({ extend: conditions }, '  ')},`);
+    }
+    ts.push('  theme: {');
+    ts.push('    extend: {');
+    if (breakpoints) ts.push(`      breakpoints: ${this.toJSLiteral(breakpoints, '      ')},`);
+    ts.push(`      ${extend.join(',\n      ')}`);
+    ts.push('    }');
+    ts.push('  }');
+    ts.push('});');
+    ts.push('');
+
+    return ts.join('\n');
+  }
+
+  /**
+   * Generate SCSS variables
+   */
+  async generateSCSS(tokens, outputPath) {
+    const [file] = await this.generateFormat('scss', tokens, { path: outputPath });
+    return file;
+  }
+
+  /**
+   * Generate SCSS variables string
+   */
+  generateSCSSVariables(tokens) {
+    const scss = [];
+    
+    scss.push('// Design Tokens - Auto-generated SCSS Variables');
+    scss.push('// Do not edit this file manually');
+    scss.push('');
+
+    // Colors
+    if (tokens.colors) {
+      scss.push('// Colors');
+      Object.entries(tokens.colors).forEach(([category, shades]) => {
+        if (shades && typeof shades === 'object') {
+          Object.entries(shades).forEach(([shade, value]) => {
+            scss.push(`$color-${category}-${shade}: ${value};`);
+          });
+        }
+      });
       scss.push('');
     }
 
@@ -442,7 +1188,7 @@ export default ${JSON.stringify(config, null, 2)};
     // Typography
     if (tokens.typography) {
       scss.push('// Typography');
-      Object.entries(tokens.typography).forEach(([category, values]) => {
+      Object.entries(this.getTypographyScales(tokens)).forEach(([category, values]) => {
         if (values && typeof values === 'object') {
           Object.entries(values).forEach(([key, value]) => {
             scss.push(`$typography-${category}-${key}: ${value};`);
@@ -450,6 +1196,13 @@ export default ${JSON.stringify(config, null, 2)};
         }
       });
       scss.push('');
+
+      this.getTextStyles(tokens).forEach(([name, style]) => {
+        scss.push(`@mixin text-${name} {`);
+        this.toCSSTextDeclarations(style).forEach(declaration => scss.push(`  ${declaration}`));
+        scss.push('}');
+        scss.push('');
+      });
     }
 
     // Other categories
@@ -489,130 +1242,1033 @@ export default ${JSON.stringify(config, null, 2)};
       scss.push('');
     }
 
-    return scss.join('\n');
+    // Custom categories
+    this.getCustomCategories(tokens).forEach(({ name, values, type }) => {
+      scss.push(`// ${this.toTitle(name)}`);
+      this.flattenEntries(values).forEach(([key, value]) => {
+        scss.push(`$${this.kebabCase(name)}-${key}: ${type === 'dimension' ? this.toCSSDimension(value) : value};`);
+      });
+      scss.push('');
+    });
+
+    return scss.join('\n');
+  }
+
+  /**
+   * Generate platform-specific formats
+   */
+  async generateIOS(tokens, outputPath) {
+    const [file] = await this.generateFormat('ios', tokens, { path: outputPath });
+    return file;
+  }
+
+  async generateAndroid(tokens, outputPath) {
+    const [file] = await this.generateFormat('android', tokens, { path: outputPath });
+    return file;
+  }
+
+  /**
+   * Generate React Native StyleSheet
+   */
+  async generateReactNative(tokens, outputPath) {
+    const [file] = await this.generateFormat('reactNative', tokens, { path: outputPath });
+    return file;
+  }
+
+  /**
+   * Generate Expo-compatible tokens
+   */
+  async generateExpo(tokens, outputPath) {
+    const [file] = await this.generateFormat('expo', tokens, { path: outputPath });
+    return file;
+  }
+
+  /**
+   * Generate Flutter Dart file
+   */
+  async generateFlutter(tokens, outputPath) {
+    const [file] = await this.generateFormat('flutter', tokens, { path: outputPath });
+    return file;
+  }
+
+  /**
+   * Generate Xamarin C# file
+   */
+  async generateXamarin(tokens, outputPath) {
+    const [file] = await this.generateFormat('xamarin', tokens, { path: outputPath });
+    return file;
+  }
+
+  /**
+   * Utility methods
+   */
+  kebabCase(str) {
+    return str.replace(/([a-z0-9]|(?=[A-Z]))([A-Z])/g, '$1-$2').toLowerCase();
+  }
+
+  /**
+   * Join key segments into a camelCase identifier ('primary-500' → 'primary500')
+   */
+  toCamelCase(str) {
+    return String(str)
+      .split(/[^A-Za-z0-9]+/)
+      .filter(Boolean)
+      .map((part, index) => (index === 0 ? part : part.charAt(0).toUpperCase() + part.slice(1)))
+      .join('');
+  }
+
+  toPascalCase(str) {
+    const camel = this.toCamelCase(str);
+    return camel.charAt(0).toUpperCase() + camel.slice(1);
+  }
+
+  /**
+   * Human-readable section title ('borderWidth' → 'Border Width')
+   */
+  toTitle(str) {
+    return this.kebabCase(str).split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+  }
+
+  /**
+   * Token categories other than the built-in ones, with the token type they
+   * hold (from the processor's categoryTypes, else inferred from the values)
+   */
+  getCustomCategories(tokens) {
+    return Object.entries(tokens || {})
+      .filter(([name, values]) =>
+        !BUILT_IN_CATEGORIES.includes(name) && !METADATA_KEYS.includes(name) &&
+        values && typeof values === 'object' && !Array.isArray(values)
+      )
+      .map(([name, values]) => ({
+        name,
+        values,
+        type: tokens.categoryTypes?.[name] || inferCategoryType(values)
+      }));
+  }
+
+  /**
+   * Colors plus every custom color category, prefixed with its name
+   */
+  getColorTokens(tokens) {
+    const colors = { ...(tokens.colors || {}) };
+    this.getCustomCategories(tokens)
+      .filter(({ type }) => type === 'color')
+      .forEach(({ name, values }) => Object.assign(colors, Object.fromEntries(this.flattenEntries(values, '-', name))));
+    return colors;
+  }
+
+  /**
+   * Deprecation of a token by category and flat key (from the processor's deprecations), or null
+   */
+  getDeprecation(tokens, category, key) {
+    return tokens?.deprecations?.[category]?.[key] || null;
+  }
+
+  /**
+   * Deprecation of a getColorTokens key, where custom color categories are prefixed with their name
+   */
+  getColorDeprecation(tokens, key) {
+    const deprecation = this.getDeprecation(tokens, 'colors', key);
+    if (deprecation) return deprecation;
+
+    const category = this.getCustomCategories(tokens)
+      .find(({ name, type }) => type === 'color' && key.startsWith(`${name}-`));
+    return category ? this.getDeprecation(tokens, category.name, key.slice(category.name.length + 1)) : null;
+  }
+
+  /**
+   * Deprecation of a text style, named after its group (typography.heading.1 and
+   * typography.textStyles.body give heading-1 and body), or null
+   */
+  getTextStyleDeprecation(tokens, name) {
+    const deprecations = tokens?.deprecations || {};
+    const typography = deprecations.typography || {};
+    if (typography[name] || typography[`textStyles-${name}`]) {
+      return typography[name] || typography[`textStyles-${name}`];
+    }
+
+    // Text styles from a group outside typography are prefixed with the group
+    const category = Object.keys(deprecations).find(group => name.startsWith(`${group}-`));
+    return category ? this.getDeprecation(tokens, category, name.slice(category.length + 1)) : null;
+  }
+
+  /**
+   * JSDoc comment marking a deprecated TypeScript member
+   */
+  toJSDocDeprecation(deprecation) {
+    const note = formatDeprecation(deprecation).replace(/\*\//g, '* /');
+    return note ? `/** @deprecated ${note} */` : '/** @deprecated */';
+  }
+
+  /**
+   * Swift attribute marking a deprecated declaration
+   */
+  toSwiftDeprecation(deprecation) {
+    const note = formatDeprecation(deprecation);
+    return note ? `@available(*, deprecated, message: ${JSON.stringify(note)})` : '@available(*, deprecated)';
+  }
+
+  /**
+   * Dart annotation marking a deprecated member
+   */
+  toDartDeprecation(deprecation) {
+    const note = formatDeprecation(deprecation);
+    return note ? `@Deprecated('${note.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\$/g, '\\$')}')` : '@deprecated';
+  }
+
+  /**
+   * Custom dimension/number categories as flat [name, [[key, value]]] pairs for native platforms
+   */
+  getCustomDimensions(tokens) {
+    return this.getCustomCategories(tokens)
+      .filter(({ type }) => type === 'dimension' || type === 'number')
+      .map(({ name, values }) => [name, this.flattenEntries(values)]);
+  }
+
+  /**
+   * Flatten nested or already-flat token values into [key, value] pairs
+   * ({ primary: { 500: x } } and { 'primary-500': x } both give ['primary-500', x])
+   */
+  flattenEntries(obj, separator = '-', prefix = '') {
+    return Object.entries(obj).flatMap(([key, value]) => {
+      const flatKey = prefix ? `${prefix}${separator}${key}` : key;
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        return this.flattenEntries(value, separator, flatKey);
+      }
+      return [[flatKey, value]];
+    });
+  }
+
+  /**
+   * Replace themed values with var(--name) so they follow the active theme
+   */
+  applyThemeVariables(obj, prefix, themedVariables, path = '') {
+    if (themedVariables.size === 0) return obj;
+
+    return Object.fromEntries(Object.entries(obj).map(([key, value]) => {
+      const flatKey = path ? `${path}-${key}` : key;
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        return [key, this.applyThemeVariables(value, prefix, themedVariables, flatKey)];
+      }
+      const variable = `${prefix}-${flatKey}`;
+      return [key, themedVariables.has(variable) ? `var(${variable})` : value];
+    }));
+  }
+
+  /**
+   * Quote object keys that are not valid JavaScript identifiers
+   */
+  toJSKey(key) {
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? key : `'${key}'`;
+  }
+
+  /**
+   * Composite text styles as [name, style] pairs
+   */
+  getTextStyles(tokens) {
+    return Object.entries(tokens?.typography?.textStyles || {});
+  }
+
+  /**
+   * Typography scales (fontFamily, fontSize...) without the composite text styles
+   */
+  getTypographyScales(tokens) {
+    return Object.fromEntries(Object.entries(tokens.typography || {}).filter(([category]) => category !== 'textStyles'));
+  }
+
+  /**
+   * CSS declarations for a text style, using the font shorthand when it has a size and family
+   */
+  toCSSTextDeclarations(style) {
+    const declarations = [];
+
+    if (style.fontSize && style.fontFamily) {
+      const size = style.lineHeight !== undefined ? `${style.fontSize}/${style.lineHeight}` : style.fontSize;
+      const font = [style.fontStyle, style.fontWeight, size, style.fontFamily].filter(part => part !== undefined);
+      declarations.push(`font: ${font.join(' ')};`);
+    } else {
+      [
+        ['font-family', style.fontFamily],
+        ['font-size', style.fontSize],
+        ['font-weight', style.fontWeight],
+        ['font-style', style.fontStyle],
+        ['line-height', style.lineHeight]
+      ].forEach(([property, value]) => {
+        if (value !== undefined) declarations.push(`${property}: ${value};`);
+      });
+    }
+
+    if (style.letterSpacing !== undefined) declarations.push(`letter-spacing: ${style.letterSpacing};`);
+    if (style.textCase) declarations.push(`text-transform: ${style.textCase};`);
+    if (style.textDecoration) declarations.push(`text-decoration: ${style.textDecoration};`);
+
+    return declarations;
+  }
+
+  /**
+   * Tailwind fontSize tuple: [size, { lineHeight, letterSpacing, fontWeight }]
+   */
+  toTailwindFontSize(style) {
+    const options = Object.fromEntries([
+      ['lineHeight', style.lineHeight],
+      ['letterSpacing', style.letterSpacing],
+      ['fontWeight', style.fontWeight]
+    ].filter(([, value]) => value !== undefined).map(([key, value]) => [key, String(value)]));
+
+    return Object.keys(options).length > 0 ? [style.fontSize, options] : style.fontSize;
+  }
+
+  /**
+   * First family of a CSS font stack, unquoted ('"Inter Display", sans-serif' → 'Inter Display')
+   */
+  getPrimaryFontFamily(fontFamily) {
+    return String(fontFamily).split(',')[0].trim().replace(/^['"]|['"]$/g, '');
+  }
+
+  /**
+   * Named families of a CSS font stack, unquoted, without the generic ones
+   */
+  getNativeFontFamilies(fontFamily) {
+    return fontFamily
+      ? String(fontFamily).split(',').map(family => family.trim().replace(/^['"]|['"]$/g, ''))
+        .filter(family => family && !GENERIC_FONT_FAMILIES.includes(family))
+      : [];
+  }
+
+  /**
+   * Font family to name on native platforms, or null for generic CSS families (system font)
+   */
+  getNativeFontFamily(fontFamily) {
+    const family = fontFamily ? this.getPrimaryFontFamily(fontFamily) : null;
+    return family && !GENERIC_FONT_FAMILIES.includes(family) ? family : null;
+  }
+
+  /**
+   * Line height in points: unitless multipliers are scaled by the font size
+   */
+  toAbsoluteLineHeight(lineHeight, fontSize) {
+    if (lineHeight === undefined || lineHeight === 'normal') return undefined;
+    if (typeof lineHeight === 'number') {
+      return fontSize ? Math.round(lineHeight * fontSize * 100) / 100 : undefined;
+    }
+    return this.convertToRNValue(lineHeight);
+  }
+
+  /**
+   * Letter spacing in points: em values are scaled by the font size
+   */
+  toAbsoluteLetterSpacing(letterSpacing, fontSize) {
+    if (letterSpacing === undefined) return undefined;
+    if (typeof letterSpacing === 'string' && letterSpacing.endsWith('em') && !letterSpacing.endsWith('rem')) {
+      return Math.round(parseFloat(letterSpacing) * (fontSize || 16) * 100) / 100;
+    }
+    return this.convertToRNValue(letterSpacing);
+  }
+
+  /**
+   * React Native TextStyle for a text style
+   */
+  toRNTextStyle(style) {
+    const fontSize = style.fontSize !== undefined ? this.convertToRNValue(style.fontSize) : undefined;
+    const textStyle = {
+      fontFamily: this.getNativeFontFamily(style.fontFamily) || undefined,
+      fontSize,
+      fontWeight: style.fontWeight !== undefined ? String(style.fontWeight) : undefined,
+      fontStyle: style.fontStyle,
+      lineHeight: this.toAbsoluteLineHeight(style.lineHeight, fontSize),
+      letterSpacing: this.toAbsoluteLetterSpacing(style.letterSpacing, fontSize),
+      textTransform: style.textCase,
+      textDecorationLine: style.textDecoration
+    };
+
+    return Object.fromEntries(Object.entries(textStyle).filter(([, value]) => value !== undefined));
+  }
+
+  /**
+   * Flutter TextStyle constructor arguments; height is a multiplier of the font size
+   */
+  toFlutterTextStyleArguments(style) {
+    const toDouble = (value) => (Number.isInteger(value) ? value.toFixed(1) : String(Math.round(value * 1000) / 1000));
+    const fontSize = style.fontSize !== undefined ? this.convertToRNValue(style.fontSize) : undefined;
+    const lineHeight = this.toAbsoluteLineHeight(style.lineHeight, fontSize);
+    const letterSpacing = this.toAbsoluteLetterSpacing(style.letterSpacing, fontSize);
+    const decorations = { underline: 'underline', 'line-through': 'lineThrough', overline: 'overline' };
+    const args = [];
+
+    const fontFamily = this.getNativeFontFamily(style.fontFamily);
+    if (fontFamily) args.push(`fontFamily: '${fontFamily}'`);
+    if (typeof fontSize === 'number') args.push(`fontSize: ${toDouble(fontSize)}`);
+    if (Number(style.fontWeight) >= 100) args.push(`fontWeight: FontWeight.w${Math.round(Number(style.fontWeight) / 100) * 100}`);
+    if (style.fontStyle === 'italic') args.push('fontStyle: FontStyle.italic');
+    if (typeof lineHeight === 'number' && fontSize) args.push(`height: ${toDouble(lineHeight / fontSize)}`);
+    if (typeof letterSpacing === 'number') args.push(`letterSpacing: ${toDouble(letterSpacing)}`);
+    if (decorations[style.textDecoration]) args.push(`decoration: TextDecoration.${decorations[style.textDecoration]}`);
+
+    return args;
+  }
+
+  /**
+   * SwiftUI Font for a text style; generic CSS families use the system font
+   */
+  toSwiftUIFont(style) {
+    const size = style.fontSize !== undefined ? this.convertToRNValue(style.fontSize) : 17;
+    const family = this.getNativeFontFamily(style.fontFamily);
+    const weight = SWIFT_FONT_WEIGHTS[Math.round(Number(style.fontWeight) / 100) * 100];
+
+    let font;
+    if (!family) {
+      const design = { serif: '.serif', monospace: '.monospaced' }[style.fontFamily && this.getPrimaryFontFamily(style.fontFamily)];
+      font = `.system(size: ${size}${weight ? `, weight: .${weight}` : ''}${design ? `, design: ${design}` : ''})`;
+    } else {
+      font = `.custom("${family}", size: ${size})${weight ? `.weight(.${weight})` : ''}`;
+    }
+
+    return style.fontStyle === 'italic' ? `${font}.italic()` : font;
+  }
+
+  generateSwiftColors(tokens) {
+    const swift = [];
+    swift.push('// Design Tokens - Auto-generated Swift Colors');
+    swift.push('import UIKit');
+    const textStyles = this.getTextStyles(tokens);
+    if (textStyles.length > 0) swift.push('import SwiftUI');
+    swift.push('');
+    swift.push('extension UIColor {');
+    
+    this.flattenEntries(this.getColorTokens(tokens)).forEach(([key, value]) => {
+      if (typeof value === 'string' && value.startsWith('#')) {
+        const deprecation = this.getColorDeprecation(tokens, key);
+        if (deprecation) swift.push(`    ${this.toSwiftDeprecation(deprecation)}`);
+        swift.push(`    static let ${this.toCamelCase(key)} = UIColor(hex: "${value}")`);
+      }
+    });
+    
+    swift.push('}');
+
+    const dimensions = this.getCustomDimensions(tokens);
+    if (dimensions.length > 0) {
+      swift.push('');
+      swift.push('extension CGFloat {');
+      dimensions.forEach(([name, entries]) => {
+        entries.forEach(([key, value]) => {
+          const deprecation = this.getDeprecation(tokens, name, key);
+          if (deprecation) swift.push(`    ${this.toSwiftDeprecation(deprecation)}`);
+          swift.push(`    static let ${this.toCamelCase(`${name}-${key}`)}: CGFloat = ${this.convertToRNValue(value)}`);
+        });
+      });
+      swift.push('}');
+    }
+
+    if (textStyles.length > 0) {
+      swift.push('');
+      swift.push('extension Font {');
+      textStyles.forEach(([name, style]) => {
+        const deprecation = this.getTextStyleDeprecation(tokens, name);
+        if (deprecation) swift.push(`    ${this.toSwiftDeprecation(deprecation)}`);
+        swift.push(`    static let ${this.toCamelCase(name)}: Font = ${this.toSwiftUIFont(style)}`);
+      });
+      swift.push('}');
+    }
+
+    return swift.join('\n');
+  }
+
+  generateAndroidXML(tokens, options = {}) {
+    const xml = [];
+    xml.push('<?xml version="1.0" encoding="utf-8"?>');
+    xml.push('<!-- Design Tokens - Auto-generated Android Colors -->');
+    xml.push('<resources>');
+
+    this.getNativeColors(tokens).forEach(([key, color]) => {
+      xml.push(`    <color name="${this.toResourceName(key)}">${this.toAndroidColor(color)}</color>`);
+    });
+
+    this.getCustomDimensions(tokens).forEach(([name, entries]) => {
+      entries.forEach(([key, value]) => {
+        const size = this.toAndroidSize(value, options.baseFontSize);
+        if (size !== null) xml.push(`    <dimen name="${this.toResourceName(`${name}_${key}`)}">${size}dp</dimen>`);
+      });
+    });
+
+    xml.push('</resources>');
+    return xml.join('\n');
+  }
+
+  /**
+   * Generate an Android resource set into a res/ directory: values/colors.xml,
+   * values/dimens.xml (dp, font sizes in sp), values/styles.xml with a
+   * TextAppearance per text style, and values-night/colors.xml with the colors
+   * the dark theme changes. rem and em convert with options.baseFontSize (16)
+   */
+  generateAndroidResources(tokens, resDir, options = {}) {
+    const { light, dark } = this.getNativeThemes(tokens);
+    const colors = this.getNativeColors(light);
+    const header = (title) => ['<?xml version="1.0" encoding="utf-8"?>', `<!-- Design Tokens - Auto-generated Android ${title} -->`, '<resources>'];
+    const deprecated = (deprecation) => (deprecation ? [`    <!-- @deprecated ${formatDeprecation(deprecation)} -->`] : []);
+    const files = [];
+
+    const colorLines = colors.flatMap(([key, color]) => [
+      ...deprecated(this.getColorDeprecation(tokens, key)),
+      `    <color name="${this.toResourceName(key)}">${this.toAndroidColor(color)}</color>`
+    ]);
+    files.push({ path: path.join(resDir, 'values', 'colors.xml'), content: [...header('Colors'), ...colorLines, '</resources>', ''].join('\n') });
+
+    const dimens = [];
+    this.getAndroidDimensions(light).forEach(([resourceName, category, entries]) => {
+      entries.forEach(([key, value]) => {
+        const size = this.toAndroidSize(value, options.baseFontSize);
+        if (size === null) return;
+        dimens.push(...deprecated(this.getDeprecation(tokens, category, key)));
+        dimens.push(`    <dimen name="${this.toResourceName(`${resourceName}_${key}`)}">${size}dp</dimen>`);
+      });
+    });
+    this.flattenEntries(light.typography?.fontSize || {}).forEach(([key, value]) => {
+      const size = this.toAndroidSize(value, options.baseFontSize);
+      if (size !== null) dimens.push(`    <dimen name="${this.toResourceName(`font_size_${key}`)}">${size}sp</dimen>`);
+    });
+    files.push({ path: path.join(resDir, 'values', 'dimens.xml'), content: [...header('Dimensions'), ...dimens, '</resources>', ''].join('\n') });
+
+    if (options.generateStyles !== false) {
+      const styles = this.getTextStyles(light).flatMap(([name, style]) => [
+        ...deprecated(this.getTextStyleDeprecation(tokens, name)),
+        `    <style name="TextAppearance.DesignTokens.${this.toPascalCase(name)}">`,
+        ...this.toAndroidTextAppearanceItems(style, options).map(([item, value]) => `        <item name="${item}">${value}</item>`),
+        '    </style>'
+      ]);
+      files.push({ path: path.join(resDir, 'values', 'styles.xml'), content: [...header('Text Appearances'), ...styles, '</resources>', ''].join('\n') });
+    }
+
+    if (dark) {
+      const lightColors = new Map(colors.map(([key, color]) => [key, this.toAndroidColor(color)]));
+      const nightLines = this.getNativeColors(dark)
+        .map(([key, color]) => [key, this.toAndroidColor(color)])
+        .filter(([key, value]) => lightColors.get(key) !== value)
+        .map(([key, value]) => `    <color name="${this.toResourceName(key)}">${value}</color>`);
+      files.push({ path: path.join(resDir, 'values-night', 'colors.xml'), content: [...header('Night Colors'), ...nightLines, '</resources>', ''].join('\n') });
+    }
+
+    return files;
+  }
+
+  /**
+   * Token trees for native light and dark appearances: the light (or default)
+   * theme, and the dark theme when there is one
+   */
+  getNativeThemes(tokens) {
+    const themes = this.getThemeTrees(tokens).map(theme => ({
+      ...theme,
+      values: { ...theme.values, categoryTypes: tokens.categoryTypes }
+    }));
+    const light = themes.find(theme => theme.colorScheme === 'light') || themes[0];
+    const dark = themes.find(theme => theme !== light && theme.colorScheme === 'dark') || null;
+
+    return { light: light.values, dark: dark?.values || null };
+  }
+
+  /**
+   * Colors (custom color categories included) parsed to 0-1 sRGB channels;
+   * values that are not a color (gradients, unresolved references) are left out
+   */
+  getNativeColors(values) {
+    return this.flattenEntries(this.getColorTokens(values)).flatMap(([key, value]) => {
+      try {
+        return [[key, parseColor(value)]];
+      } catch (error) {
+        return [];
+      }
+    });
+  }
+
+  /**
+   * Dimension categories for native outputs as [name, category, entries] with
+   * values in points: spacing, border radius, then custom dimension categories
+   */
+  getNativeDimensions(values) {
+    const toPoints = (entries) => entries
+      .map(([key, value]) => [key, this.convertToRNValue(value)])
+      .filter(([, value]) => typeof value === 'number');
+
+    return [
+      ['Spacing', 'spacing', toPoints(this.flattenEntries(values.spacing || {}))],
+      ['Radius', 'borderRadius', toPoints(this.flattenEntries(values.borderRadius || {}))],
+      ...this.getCustomDimensions(values).map(([name, entries]) => [this.toPascalCase(name), name, toPoints(entries)])
+    ].filter(([, , entries]) => entries.length > 0);
+  }
+
+  /**
+   * First layer of a CSS box-shadow as { x, y, blur, spread, color } in points, or null
+   */
+  parseShadow(value) {
+    if (typeof value !== 'string') return null;
+
+    const layer = value.split(/,(?![^(]*\))/)[0].trim();
+    const parts = layer.match(/[a-z-]+\([^)]*\)|\S+/gi) || [];
+    const lengths = [];
+    let color = { r: 0, g: 0, b: 0, a: 1 };
+
+    parts.filter(part => part !== 'inset').forEach(part => {
+      if (/^-?[\d.]+(px|rem)?$/.test(part)) {
+        lengths.push(this.convertToRNValue(part));
+        return;
+      }
+      try {
+        color = parseColor(part);
+      } catch (error) {
+        // Not a color either; ignore it
+      }
+    });
+
+    if (lengths.length < 2) return null;
+    const [x, y, blur = 0, spread = 0] = lengths;
+    return { x, y, blur, spread, color };
+  }
+
+  /**
+   * Identifier for a token key on native platforms: camelCase, prefixed when it
+   * starts with a digit ('4' → 'space4'), digit runs kept apart ('1.5' → 'space1_5',
+   * so it can't collide with '15') and escaped when it is a keyword
+   */
+  toNativeIdentifier(key, prefix, keywords = []) {
+    const name = String(key)
+      .split(/[^A-Za-z0-9]+/)
+      .filter(Boolean)
+      .reduce((joined, part, index) => {
+        if (index === 0) return part;
+        const separator = /\d$/.test(joined) && /^\d/.test(part) ? '_' : '';
+        return `${joined}${separator}${part.charAt(0).toUpperCase()}${part.slice(1)}`;
+      }, '');
+    const identifier = !name || /^\d/.test(name) ? `${prefix}${name.charAt(0).toUpperCase()}${name.slice(1)}` : name;
+    return keywords.includes(identifier) ? `\`${identifier}\`` : identifier;
+  }
+
+  /**
+   * Round a native number for generated code
+   */
+  toNativeNumber(value, precision = 3) {
+    const factor = 10 ** precision;
+    return Math.round(value * factor) / factor;
+  }
+
+  /**
+   * SwiftUI Color literal for 0-1 sRGB channels
+   */
+  toSwiftUIColor({ r, g, b, a }) {
+    const channel = (value) => this.toNativeNumber(value);
+    return `Color(red: ${channel(r)}, green: ${channel(g)}, blue: ${channel(b)}, opacity: ${channel(a)})`;
+  }
+
+  /**
+   * Asset catalog Contents.json of a color set, with a dark appearance when given
+   */
+  toColorsetContents(light, dark) {
+    const toColor = ({ r, g, b, a }) => ({
+      'color-space': 'srgb',
+      components: {
+        alpha: a.toFixed(3),
+        blue: b.toFixed(3),
+        green: g.toFixed(3),
+        red: r.toFixed(3)
+      }
+    });
+    const colors = [{ color: toColor(light), idiom: 'universal' }];
+    if (dark) {
+      colors.push({ appearances: [{ appearance: 'luminosity', value: 'dark' }], color: toColor(dark), idiom: 'universal' });
+    }
+
+    return `${JSON.stringify({ colors, info: { author: 'xcode', version: 1 } }, null, 2)}\n`;
+  }
+
+  /**
+   * Generate a SwiftUI namespace of colors, dimensions, fonts and shadows
+   * With options.assetCatalog (a folder in an .xcassets catalog) colors are also
+   * written as color sets, with the dark theme as their dark appearance, and
+   * loaded by name; otherwise colors the dark theme changes adapt through UIColor
+   */
+  generateSwiftUI(tokens, options = {}) {
+    const { light, dark } = this.getNativeThemes(tokens);
+    const colors = this.getNativeColors(light);
+    const darkColors = new Map(dark ? this.getNativeColors(dark) : []);
+    const isThemed = (key, color) => darkColors.has(key) && JSON.stringify(darkColors.get(key)) !== JSON.stringify(color);
+    const identifier = (key, prefix) => this.toNativeIdentifier(key, prefix, SWIFT_KEYWORDS);
+    const deprecated = (deprecation) => (deprecation ? [`        ${this.toSwiftDeprecation(deprecation)}`] : []);
+    const swift = [];
+
+    const toColor = (key, color) => {
+      if (options.assetCatalog) return `Color("${key}", bundle: .main)`;
+      if (!isThemed(key, color)) return this.toSwiftUIColor(color);
+
+      const toUIColor = ({ r, g, b, a }) => `UIColor(red: ${this.toNativeNumber(r)}, green: ${this.toNativeNumber(g)}, blue: ${this.toNativeNumber(b)}, alpha: ${this.toNativeNumber(a)})`;
+      return `Color(UIColor { $0.userInterfaceStyle == .dark ? ${toUIColor(darkColors.get(key))} : ${toUIColor(color)} })`;
+    };
+
+    swift.push('// Design Tokens - Auto-generated SwiftUI tokens');
+    swift.push('// Do not edit this file manually');
+    swift.push('');
+    swift.push('import SwiftUI');
+    if (!options.assetCatalog && colors.some(([key, color]) => isThemed(key, color))) swift.push('import UIKit');
+    swift.push('');
+    swift.push('public enum DesignTokens {');
+
+    const sections = [];
+    if (colors.length > 0) {
+      sections.push(['Colors', colors.flatMap(([key, color]) => [
+        ...deprecated(this.getColorDeprecation(tokens, key)),
+        `        public static let ${identifier(key, 'color')} = ${toColor(key, color)}`
+      ])]);
+    }
+
+    this.getNativeDimensions(light).forEach(([name, category, entries]) => {
+      sections.push([name, entries.flatMap(([key, value]) => [
+        ...deprecated(this.getDeprecation(tokens, category, key)),
+        `        public static let ${identifier(key, 'size')}: CGFloat = ${this.toNativeNumber(value, 2)}`
+      ])]);
+    });
+
+    const fontSizes = this.flattenEntries(light.typography?.fontSize || {})
+      .map(([key, value]) => [key, this.convertToRNValue(value)])
+      .filter(([, value]) => typeof value === 'number');
+    if (fontSizes.length > 0) {
+      sections.push(['FontSize', fontSizes.map(([key, value]) => `        public static let ${identifier(key, 'size')}: CGFloat = ${this.toNativeNumber(value, 2)}`)]);
+    }
+
+    const textStyles = this.getTextStyles(light);
+    if (textStyles.length > 0) {
+      sections.push(['Typography', textStyles.flatMap(([name, style]) => [
+        ...deprecated(this.getTextStyleDeprecation(tokens, name)),
+        `        public static let ${identifier(name, 'style')}: Font = ${this.toSwiftUIFont(style)}`
+      ])]);
+    }
+
+    const shadows = this.flattenEntries(light.shadows || {})
+      .map(([key, value]) => [key, this.parseShadow(value)])
+      .filter(([, shadow]) => shadow);
+    if (shadows.length > 0) {
+      // SwiftUI's shadow radius is roughly half the CSS blur radius
+      sections.push(['Shadows', shadows.map(([key, { x, y, blur, color }]) =>
+        `        public static let ${identifier(key, 'shadow')} = Shadow(color: ${this.toSwiftUIColor(color)}, radius: ${this.toNativeNumber(blur / 2, 2)}, x: ${x}, y: ${y})`
+      )]);
+    }
+
+    sections.forEach(([name, lines], index) => {
+      if (index > 0) swift.push('');
+      swift.push(`    public enum ${name} {`);
+      swift.push(...lines);
+      swift.push('    }');
+    });
+
+    if (shadows.length > 0) {
+      swift.push('');
+      swift.push('    public struct Shadow {');
+      swift.push('        public let color: Color');
+      swift.push('        public let radius: CGFloat');
+      swift.push('        public let x: CGFloat');
+      swift.push('        public let y: CGFloat');
+      swift.push('    }');
+    }
+    swift.push('}');
+
+    if (shadows.length > 0) {
+      swift.push('');
+      swift.push('public extension View {');
+      swift.push('    func shadow(_ token: DesignTokens.Shadow) -> some View {');
+      swift.push('        shadow(color: token.color, radius: token.radius, x: token.x, y: token.y)');
+      swift.push('    }');
+      swift.push('}');
+    }
+    swift.push('');
+
+    if (!options.assetCatalog) return swift.join('\n');
+
+    return [
+      { content: swift.join('\n') },
+      {
+        path: path.join(options.assetCatalog, 'Contents.json'),
+        content: `${JSON.stringify({ info: { author: 'xcode', version: 1 } }, null, 2)}\n`
+      },
+      ...colors.map(([key, color]) => ({
+        path: path.join(options.assetCatalog, `${key}.colorset`, 'Contents.json'),
+        content: this.toColorsetContents(color, isThemed(key, color) ? darkColors.get(key) : null)
+      }))
+    ];
   }
 
   /**
-   * Generate platform-specific formats
+   * Compose Color literal (0xAARRGGBB) for 0-1 sRGB channels
    */
-  async generateIOS(tokens, outputPath) {
-    // iOS color definitions
-    const swift = this.generateSwiftColors(tokens);
-    await fs.ensureDir(path.dirname(outputPath));
-    await fs.writeFile(outputPath, swift);
-    
-    console.log(`✅ Generated iOS Swift: ${outputPath}`);
-    return { path: outputPath, content: swift };
+  toComposeColor({ r, g, b, a }) {
+    const hex = [a, r, g, b].map(channel => Math.round(channel * 255).toString(16).padStart(2, '0')).join('');
+    return `Color(0x${hex.toUpperCase()})`;
   }
 
-  async generateAndroid(tokens, outputPath) {
-    // Android XML resources
-    const xml = this.generateAndroidXML(tokens);
-    await fs.ensureDir(path.dirname(outputPath));
-    await fs.writeFile(outputPath, xml);
-    
-    console.log(`✅ Generated Android XML: ${outputPath}`);
-    return { path: outputPath, content: xml };
+  /**
+   * Kotlin number with a Compose unit (16.dp, (-0.5).sp)
+   */
+  toComposeUnit(value, unit) {
+    const number = this.toNativeNumber(value, 2);
+    return number < 0 ? `(${number}).${unit}` : `${number}.${unit}`;
   }
 
   /**
-   * Generate React Native StyleSheet
+   * Compose TextStyle constructor arguments for a text style; custom font
+   * families need a font resource, so only generic families are set
    */
-  async generateReactNative(tokens, outputPath) {
-    const js = this.generateReactNativeJS(tokens);
-    await fs.ensureDir(path.dirname(outputPath));
-    await fs.writeFile(outputPath, js);
-    
-    console.log(`✅ Generated React Native: ${outputPath}`);
-    return { path: outputPath, content: js };
+  toComposeTextStyleArguments(style) {
+    const fontSize = style.fontSize !== undefined ? this.convertToRNValue(style.fontSize) : undefined;
+    const lineHeight = this.toAbsoluteLineHeight(style.lineHeight, fontSize);
+    const letterSpacing = this.toAbsoluteLetterSpacing(style.letterSpacing, fontSize);
+    const families = { serif: 'Serif', monospace: 'Monospace', 'sans-serif': 'SansSerif', 'system-ui': 'Default' };
+    const decorations = { underline: 'Underline', 'line-through': 'LineThrough' };
+    const args = [];
+
+    const family = style.fontFamily && !this.getNativeFontFamily(style.fontFamily) && families[this.getPrimaryFontFamily(style.fontFamily)];
+    if (family) args.push(`fontFamily = FontFamily.${family}`);
+    if (typeof fontSize === 'number') args.push(`fontSize = ${this.toComposeUnit(fontSize, 'sp')}`);
+    if (Number(style.fontWeight) >= 100) args.push(`fontWeight = FontWeight(${Math.round(Number(style.fontWeight) / 100) * 100})`);
+    if (style.fontStyle === 'italic') args.push('fontStyle = FontStyle.Italic');
+    if (typeof lineHeight === 'number') args.push(`lineHeight = ${this.toComposeUnit(lineHeight, 'sp')}`);
+    if (typeof letterSpacing === 'number') args.push(`letterSpacing = ${this.toComposeUnit(letterSpacing, 'sp')}`);
+    if (decorations[style.textDecoration]) args.push(`textDecoration = TextDecoration.${decorations[style.textDecoration]}`);
+
+    return args;
   }
 
   /**
-   * Generate Expo-compatible tokens
+   * Kotlin @Deprecated annotation for a deprecation (the message is required)
    */
-  async generateExpo(tokens, outputPath) {
-    const js = this.generateExpoJS(tokens);
-    await fs.ensureDir(path.dirname(outputPath));
-    await fs.writeFile(outputPath, js);
-    
-    console.log(`✅ Generated Expo tokens: ${outputPath}`);
-    return { path: outputPath, content: js };
+  toKotlinDeprecation(deprecation) {
+    const message = formatDeprecation(deprecation) || 'Deprecated design token';
+    return `@Deprecated("${message.replace(/["\\$]/g, '\\$&')}")`;
   }
 
   /**
-   * Generate Flutter Dart file
+   * Material 3 color roles filled by color tokens as [role, key]: the tokens
+   * named in options.colorScheme ({ primary: 'brand-500' }), else the ones named after a role
    */
-  async generateFlutter(tokens, outputPath) {
-    const dart = this.generateFlutterDart(tokens);
-    await fs.ensureDir(path.dirname(outputPath));
-    await fs.writeFile(outputPath, dart);
-    
-    console.log(`✅ Generated Flutter Dart: ${outputPath}`);
-    return { path: outputPath, content: dart };
+  getMaterialColorRoles(colors, mapping = {}) {
+    const keys = new Set(colors.map(([key]) => key));
+    const byName = new Map(colors.map(([key]) => [this.toCamelCase(key), key]));
+
+    return MATERIAL_COLOR_ROLES
+      .map(role => [role, mapping[role] !== undefined ? mapping[role] : byName.get(role)])
+      .filter(([, key]) => key !== undefined && keys.has(key));
   }
 
   /**
-   * Generate Xamarin C# file
+   * Generate a Kotlin DesignTokens object for Jetpack Compose: Color, Dp, Shape,
+   * TextStyle and shadow values, and Material 3 color schemes for the light
+   * and dark themes (options.packageName, options.colorScheme)
    */
-  async generateXamarin(tokens, outputPath) {
-    const csharp = this.generateXamarinCSharp(tokens);
-    await fs.ensureDir(path.dirname(outputPath));
-    await fs.writeFile(outputPath, csharp);
-    
-    console.log(`✅ Generated Xamarin C#: ${outputPath}`);
-    return { path: outputPath, content: csharp };
+  generateComposeKotlin(tokens, options = {}) {
+    const { light, dark } = this.getNativeThemes(tokens);
+    const colors = this.getNativeColors(light);
+    const darkColors = dark ? this.getNativeColors(dark) : [];
+    const identifier = (key, prefix) => this.toNativeIdentifier(key, prefix, KOTLIN_KEYWORDS);
+    const deprecated = (deprecation) => (deprecation ? [`        ${this.toKotlinDeprecation(deprecation)}`] : []);
+    const imports = new Set();
+    const sections = [];
+
+    if (colors.length > 0) {
+      imports.add('androidx.compose.ui.graphics.Color');
+      sections.push(['Colors', colors.flatMap(([key, color]) => [
+        ...deprecated(this.getColorDeprecation(tokens, key)),
+        `        val ${identifier(key, 'color')} = ${this.toComposeColor(color)}`
+      ])]);
+    }
+    if (darkColors.length > 0) {
+      sections.push(['DarkColors', darkColors.map(([key, color]) => `        val ${identifier(key, 'color')} = ${this.toComposeColor(color)}`)]);
+    }
+
+    const dimensions = this.getNativeDimensions(light);
+    dimensions.forEach(([name, category, entries]) => {
+      imports.add('androidx.compose.ui.unit.dp');
+      sections.push([name, entries.flatMap(([key, value]) => [
+        ...deprecated(this.getDeprecation(tokens, category, key)),
+        `        val ${identifier(key, 'size')} = ${this.toComposeUnit(value, 'dp')}`
+      ])]);
+    });
+
+    const radii = dimensions.find(([, category]) => category === 'borderRadius');
+    if (radii) {
+      imports.add('androidx.compose.foundation.shape.RoundedCornerShape');
+      sections.push(['Shapes', radii[2].map(([key, value]) => `        val ${identifier(key, 'size')} = RoundedCornerShape(${this.toComposeUnit(value, 'dp')})`)]);
+    }
+
+    const fontSizes = this.flattenEntries(light.typography?.fontSize || {})
+      .map(([key, value]) => [key, this.convertToRNValue(value)])
+      .filter(([, value]) => typeof value === 'number');
+    if (fontSizes.length > 0) {
+      imports.add('androidx.compose.ui.unit.sp');
+      sections.push(['FontSize', fontSizes.map(([key, value]) => `        val ${identifier(key, 'size')} = ${this.toComposeUnit(value, 'sp')}`)]);
+    }
+
+    const textStyles = this.getTextStyles(light);
+    if (textStyles.length > 0) {
+      sections.push(['Typography', textStyles.flatMap(([name, style]) => {
+        const args = this.toComposeTextStyleArguments(style);
+        args.forEach(arg => {
+          const [, value] = arg.split(' = ');
+          if (value.startsWith('FontFamily')) imports.add('androidx.compose.ui.text.font.FontFamily');
+          if (value.startsWith('FontWeight')) imports.add('androidx.compose.ui.text.font.FontWeight');
+          if (value.startsWith('FontStyle')) imports.add('androidx.compose.ui.text.font.FontStyle');
+          if (value.startsWith('TextDecoration')) imports.add('androidx.compose.ui.text.style.TextDecoration');
+          if (value.endsWith('.sp')) imports.add('androidx.compose.ui.unit.sp');
+        });
+        imports.add('androidx.compose.ui.text.TextStyle');
+
+        return [
+          ...deprecated(this.getTextStyleDeprecation(tokens, name)),
+          args.length > 0
+            ? `        val ${identifier(name, 'style')} = TextStyle(\n${args.map(arg => `            ${arg}`).join(',\n')}\n        )`
+            : `        val ${identifier(name, 'style')} = TextStyle()`
+        ];
+      })]);
+    }
+
+    const shadows = this.flattenEntries(light.shadows || {})
+      .map(([key, value]) => [key, this.parseShadow(value)])
+      .filter(([, shadow]) => shadow);
+    if (shadows.length > 0) {
+      ['androidx.compose.ui.graphics.Color', 'androidx.compose.ui.unit.Dp', 'androidx.compose.ui.unit.dp'].forEach(name => imports.add(name));
+      sections.push(['Shadows', shadows.map(([key, { x, y, blur, spread, color }]) => {
+        const dp = (value) => this.toComposeUnit(value, 'dp');
+        return `        val ${identifier(key, 'shadow')} = Shadow(${this.toComposeColor(color)}, offsetX = ${dp(x)}, offsetY = ${dp(y)}, blur = ${dp(blur)}, spread = ${dp(spread)})`;
+      })]);
+    }
+
+    const lightRoles = this.getMaterialColorRoles(colors, options.colorScheme);
+    const darkRoles = this.getMaterialColorRoles(darkColors, options.colorScheme);
+    imports.add('androidx.compose.material3.ColorScheme');
+    imports.add('androidx.compose.material3.lightColorScheme');
+    if (dark) imports.add('androidx.compose.material3.darkColorScheme');
+
+    const kotlin = [];
+    kotlin.push('// Design Tokens - Auto-generated Jetpack Compose tokens');
+    kotlin.push('// Do not edit this file manually');
+    kotlin.push('');
+    kotlin.push(`package ${options.packageName || 'designtokens'}`);
+    kotlin.push('');
+    [...imports].sort().forEach(name => kotlin.push(`import ${name}`));
+    kotlin.push('');
+    kotlin.push('object DesignTokens {');
+
+    sections.forEach(([name, lines]) => {
+      kotlin.push(`    object ${name} {`);
+      kotlin.push(...lines);
+      kotlin.push('    }');
+      kotlin.push('');
+    });
+
+    if (shadows.length > 0) {
+      kotlin.push('    data class Shadow(val color: Color, val offsetX: Dp, val offsetY: Dp, val blur: Dp, val spread: Dp)');
+      kotlin.push('');
+    }
+
+    const scheme = (name, builder, object, roles) => {
+      if (roles.length === 0) {
+        kotlin.push(`    val ${name}: ColorScheme = ${builder}()`);
+        return;
+      }
+      kotlin.push(`    val ${name}: ColorScheme = ${builder}(`);
+      kotlin.push(roles.map(([role, key]) => `        ${role} = ${object}.${identifier(key, 'color')}`).join(',\n'));
+      kotlin.push('    )');
+    };
+    scheme('LightColorScheme', 'lightColorScheme', 'Colors', lightRoles);
+    if (dark) {
+      kotlin.push('');
+      scheme('DarkColorScheme', 'darkColorScheme', 'DarkColors', darkRoles);
+      kotlin.push('');
+      kotlin.push('    fun colorScheme(darkTheme: Boolean): ColorScheme = if (darkTheme) DarkColorScheme else LightColorScheme');
+    }
+    kotlin.push('}');
+    kotlin.push('');
+
+    return kotlin.join('\n');
   }
 
   /**
-   * Utility methods
+   * Dimension categories for Android resources as [resource prefix, category, entries]
    */
-  kebabCase(str) {
-    return str.replace(/([a-z0-9]|(?=[A-Z]))([A-Z])/g, '$1-$2').toLowerCase();
+  getAndroidDimensions(values) {
+    return [
+      ['spacing', 'spacing', this.flattenEntries(values.spacing || {})],
+      ['radius', 'borderRadius', this.flattenEntries(values.borderRadius || {})],
+      ...this.getCustomDimensions(values).map(([name, entries]) => [name, name, entries])
+    ];
   }
 
-  generateSwiftColors(tokens) {
-    const swift = [];
-    swift.push('// Design Tokens - Auto-generated Swift Colors');
-    swift.push('import UIKit');
-    swift.push('');
-    swift.push('extension UIColor {');
-    
-    if (tokens.colors) {
-      Object.entries(tokens.colors).forEach(([category, shades]) => {
-        if (shades && typeof shades === 'object') {
-          Object.entries(shades).forEach(([shade, value]) => {
-            if (value.startsWith('#')) {
-              swift.push(`    static let ${category}${shade.charAt(0).toUpperCase() + shade.slice(1)} = UIColor(hex: "${value}")`);
-            }
-          });
-        }
-      });
-    }
-    
-    swift.push('}');
-    return swift.join('\n');
+  /**
+   * Android color resource value: #RRGGBB, or #AARRGGBB when translucent
+   */
+  toAndroidColor({ r, g, b, a }) {
+    const hex = (channel) => Math.round(channel * 255).toString(16).padStart(2, '0');
+    return `#${a < 1 ? hex(a) : ''}${hex(r)}${hex(g)}${hex(b)}`;
   }
 
-  generateAndroidXML(tokens) {
-    const xml = [];
-    xml.push('<?xml version="1.0" encoding="utf-8"?>');
-    xml.push('<!-- Design Tokens - Auto-generated Android Colors -->');
-    xml.push('<resources>');
-    
-    if (tokens.colors) {
-      Object.entries(tokens.colors).forEach(([category, shades]) => {
-        if (shades && typeof shades === 'object') {
-          Object.entries(shades).forEach(([shade, value]) => {
-            if (value.startsWith('#')) {
-              xml.push(`    <color name="${category}_${shade}">${value}</color>`);
-            }
-          });
-        }
-      });
+  /**
+   * A px, rem or em size as an Android dp/sp number (1rem = baseFontSize), or null
+   */
+  toAndroidSize(value, baseFontSize = 16) {
+    if (typeof value === 'number') return this.toNativeNumber(value, 2);
+
+    const match = String(value).trim().match(/^(-?[\d.]+)(px|rem|em|dp|sp|pt)?$/);
+    if (!match) return null;
+
+    const number = parseFloat(match[1]);
+    return this.toNativeNumber(['rem', 'em'].includes(match[2]) ? number * baseFontSize : number, 2);
+  }
+
+  /**
+   * TextAppearance items for a text style; lineHeight and textFontWeight need
+   * API 28, so textStyle carries bold and italic for older versions. Named families
+   * point at @font/ resources only with options.fontResources, as the app must ship them
+   */
+  toAndroidTextAppearanceItems(style, { baseFontSize = 16, fontResources = false } = {}) {
+    const families = { serif: 'serif', monospace: 'monospace', 'sans-serif': 'sans-serif', 'system-ui': 'sans-serif' };
+    const fontSize = style.fontSize !== undefined ? this.toAndroidSize(style.fontSize, baseFontSize) : null;
+    const weight = Number(style.fontWeight) >= 100 ? Math.round(Number(style.fontWeight) / 100) * 100 : null;
+    const items = [];
+
+    if (style.fontFamily) {
+      const family = this.getNativeFontFamily(style.fontFamily);
+      const generic = families[this.getPrimaryFontFamily(style.fontFamily)];
+      if (family && fontResources) items.push(['android:fontFamily', `@font/${this.toResourceName(family)}`]);
+      else if (!family && generic) items.push(['android:fontFamily', generic]);
     }
-    
-    xml.push('</resources>');
-    return xml.join('\n');
+    if (fontSize !== null) items.push(['android:textSize', `${fontSize}sp`]);
+    if (weight) items.push(['android:textFontWeight', weight]);
+
+    const textStyle = [weight >= 700 && 'bold', style.fontStyle === 'italic' && 'italic'].filter(Boolean).join('|');
+    if (textStyle) items.push(['android:textStyle', textStyle]);
+
+    if (style.lineHeight !== undefined && style.lineHeight !== 'normal') {
+      const lineHeight = typeof style.lineHeight === 'number'
+        ? (fontSize !== null ? this.toNativeNumber(style.lineHeight * fontSize, 2) : null)
+        : this.toAndroidSize(style.lineHeight, baseFontSize);
+      if (lineHeight !== null) items.push(['android:lineHeight', `${lineHeight}sp`]);
+    }
+
+    // Android letter spacing is in ems
+    if (style.letterSpacing !== undefined) {
+      const letterSpacing = String(style.letterSpacing).trim();
+      const size = this.toAndroidSize(letterSpacing, baseFontSize);
+      const ems = /[\d.]em$/.test(letterSpacing) && !letterSpacing.endsWith('rem')
+        ? parseFloat(letterSpacing)
+        : (fontSize && size !== null ? size / fontSize : null);
+      if (ems !== null && !isNaN(ems)) items.push(['android:letterSpacing', this.toNativeNumber(ems, 4)]);
+    }
+    if (style.textCase === 'uppercase') items.push(['android:textAllCaps', 'true']);
+
+    return items;
+  }
+
+  /**
+   * Android resource names only allow lowercase letters, digits and underscores
+   */
+  toResourceName(key) {
+    return String(key)
+      .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+      .toLowerCase()
+      .replace(/[^a-z0-9_]+/g, '_');
   }
 
   /**
@@ -645,6 +2301,8 @@ export default ${JSON.stringify(config, null, 2)};
             js.push(`    ${shade}: '${value}',`);
           });
           js.push('  },');
+        } else {
+          js.push(`  ${this.toJSKey(category)}: '${shades}',`);
         }
       });
       js.push('};');
@@ -695,6 +2353,18 @@ export default ${JSON.stringify(config, null, 2)};
       js.push('');
     }
 
+    // Composite text styles as ready-to-use TextStyle objects
+    const textStyles = this.getTextStyles(tokens);
+    if (textStyles.length > 0) {
+      js.push('/** @type {Record<string, import(\'react-native\').TextStyle>} */');
+      js.push('export const textStyles = {');
+      textStyles.forEach(([name, style]) => {
+        js.push(`  ${this.toJSKey(this.toCamelCase(name))}: ${JSON.stringify(this.toRNTextStyle(style))},`);
+      });
+      js.push('};');
+      js.push('');
+    }
+
     // Border radius
     if (tokens.borderRadius) {
       js.push('export const borderRadius = {');
@@ -717,6 +2387,35 @@ export default ${JSON.stringify(config, null, 2)};
       js.push('');
     }
 
+    // Custom categories, converted by token type
+    const customCategories = this.getCustomCategories(tokens);
+    customCategories.forEach(({ name, values, type }) => {
+      js.push(`export const ${this.toCamelCase(name)} = {`);
+      this.flattenEntries(values).forEach(([key, value]) => {
+        js.push(`  ${this.toJSKey(key)}: ${this.toRNLiteral(value, type)},`);
+      });
+      js.push('};');
+      js.push('');
+    });
+
+    // Per-theme values
+    const themes = tokens.themes || [];
+    if (themes.length > 0) {
+      js.push('export const themes = {');
+      themes.forEach(theme => {
+        js.push(`  ${this.toJSKey(theme.name)}: {`);
+        js.push(`    colorScheme: ${theme.colorScheme ? `'${theme.colorScheme}'` : 'null'},`);
+        js.push('    colors: {');
+        this.flattenEntries(theme.tokens.colors || {}).forEach(([key, value]) => {
+          js.push(`      ${this.toJSKey(key)}: '${value}',`);
+        });
+        js.push('    },');
+        js.push('  },');
+      });
+      js.push('};');
+      js.push('');
+    }
+
     // Common StyleSheet
     js.push('export const styles = StyleSheet.create({');
     js.push('  container: {');
@@ -736,14 +2435,27 @@ export default ${JSON.stringify(config, null, 2)};
     js.push('  colors,');
     if (tokens.spacing) js.push('  spacing,');
     if (tokens.typography) js.push('  typography,');
+    if (textStyles.length > 0) js.push('  textStyles,');
     if (tokens.borderRadius) js.push('  borderRadius,');
     if (tokens.shadows) js.push('  shadows,');
+    customCategories.forEach(({ name }) => js.push(`  ${this.toCamelCase(name)},`));
+    if (themes.length > 0) js.push('  themes,');
     js.push('  styles,');
     js.push('};');
 
     return js.join('\n');
   }
 
+  /**
+   * Format a token value as a React Native literal for its token type
+   */
+  toRNLiteral(value, type) {
+    if (type === 'dimension') return this.convertToRNValue(value);
+    if (type === 'shadow') return JSON.stringify(this.convertToRNShadow(value));
+    if (type === 'number' && !isNaN(Number(value))) return Number(value);
+    return JSON.stringify(value).replace(/^"|"$/g, "'");
+  }
+
   /**
    * Expo-specific generation with theme support
    */
@@ -755,44 +2467,58 @@ export default ${JSON.stringify(config, null, 2)};
     js.push('import { StyleSheet } from \'react-native\';');
     js.push('');
 
-    // Expo theme object
-    js.push('export const theme = {');
-    js.push('  light: {');
-    
-    if (tokens.colors) {
+    // Expo theme object, filled from Token Studio themes when present
+    const themes = tokens.themes || [];
+    const lightTheme = themes.find(theme => theme.colorScheme === 'light') || themes.find(theme => theme.isDefault);
+    const darkTheme = themes.find(theme => theme.colorScheme === 'dark' && theme !== lightTheme);
+
+    const pushColors = (colors) => {
       js.push('    colors: {');
-      Object.entries(tokens.colors).forEach(([category, shades]) => {
+      Object.entries(colors).forEach(([category, shades]) => {
         if (shades && typeof shades === 'object') {
           Object.entries(shades).forEach(([shade, value]) => {
             js.push(`      ${category}${shade}: '${value}',`);
           });
+        } else {
+          js.push(`      ${this.toJSKey(category)}: '${shades}',`);
         }
       });
       js.push('    },');
+    };
+
+    js.push('export const theme = {');
+    js.push('  light: {');
+    
+    const lightColors = this.getColorTokens(lightTheme ? lightTheme.tokens : tokens);
+    if (Object.keys(lightColors).length > 0) {
+      pushColors(lightColors);
     }
 
     js.push('  },');
     js.push('  dark: {');
-    js.push('    // Dark theme variants (customize as needed)');
-    js.push('    colors: {');
-    js.push('      // Add dark mode colors here');
-    js.push('    },');
+    if (darkTheme) {
+      pushColors(this.getColorTokens(this.getThemeTokens(tokens, darkTheme)));
+    } else {
+      js.push('    // Dark theme variants (customize as needed)');
+      js.push('    colors: {');
+      js.push('      // Add dark mode colors here');
+      js.push('    },');
+    }
     js.push('  },');
+    themes.filter(theme => theme !== lightTheme && theme !== darkTheme).forEach(theme => {
+      js.push(`  ${this.toJSKey(theme.name)}: {`);
+      pushColors(this.getColorTokens(this.getThemeTokens(tokens, theme)));
+      js.push('  },');
+    });
     js.push('};');
     js.push('');
 
     // NativeWind compatible utilities
     js.push('// NativeWind/Tailwind compatible color utilities');
     js.push('export const nativeWindColors = {');
-    if (tokens.colors) {
-      Object.entries(tokens.colors).forEach(([category, shades]) => {
-        if (shades && typeof shades === 'object') {
-          Object.entries(shades).forEach(([shade, value]) => {
-            js.push(`  '${category}-${shade}': '${value}',`);
-          });
-        }
-      });
-    }
+    this.flattenEntries(this.getColorTokens(tokens)).forEach(([key, value]) => {
+      js.push(`  '${key}': '${value}',`);
+    });
     js.push('};');
     js.push('');
 
@@ -808,28 +2534,26 @@ export default ${JSON.stringify(config, null, 2)};
   /**
    * Flutter Dart generation
    */
-  generateFlutterDart(tokens) {
+  generateFlutterDart(tokens, options = {}) {
+    const { light, dark } = this.getNativeThemes(tokens);
+    const includeExtensions = options.includeExtensions !== false;
     const dart = [];
     dart.push('// Design Tokens - Auto-generated for Flutter');
     dart.push('// Do not edit this file manually');
     dart.push('');
+    if (includeExtensions) dart.push('import \'dart:ui\' show lerpDouble;');
+    if (includeExtensions) dart.push('');
     dart.push('import \'package:flutter/material.dart\';');
     dart.push('');
 
     // Color class
-    if (tokens.colors) {
+    const colors = this.getNativeColors(tokens);
+    if (colors.length > 0) {
       dart.push('class AppColors {');
-      Object.entries(tokens.colors).forEach(([category, shades]) => {
-        if (shades && typeof shades === 'object') {
-          dart.push(`  // ${category.charAt(0).toUpperCase() + category.slice(1)} colors`);
-          Object.entries(shades).forEach(([shade, value]) => {
-            if (value.startsWith('#')) {
-              const dartColor = this.hexToFlutterColor(value);
-              dart.push(`  static const Color ${category}${shade.charAt(0).toUpperCase() + shade.slice(1)} = ${dartColor};`);
-            }
-          });
-          dart.push('');
-        }
+      colors.forEach(([key, color]) => {
+        const deprecation = this.getColorDeprecation(tokens, key);
+        if (deprecation) dart.push(`  ${this.toDartDeprecation(deprecation)}`);
+        dart.push(`  static const Color ${this.toDartIdentifier(key, 'color')} = ${this.toFlutterColor(color)};`);
       });
       dart.push('}');
       dart.push('');
@@ -840,51 +2564,278 @@ export default ${JSON.stringify(config, null, 2)};
       dart.push('class AppSpacing {');
       Object.entries(tokens.spacing).forEach(([key, value]) => {
         const flutterValue = this.convertToFlutterValue(value);
-        dart.push(`  static const double spacing${key.charAt(0).toUpperCase() + key.slice(1)} = ${flutterValue};`);
+        const deprecation = this.getDeprecation(tokens, 'spacing', key);
+        if (deprecation) dart.push(`  ${this.toDartDeprecation(deprecation)}`);
+        dart.push(`  static const double ${this.toDartIdentifier(key, 'spacing', true)} = ${flutterValue};`);
       });
       dart.push('}');
       dart.push('');
     }
 
+    // Custom dimension categories, one class each
+    this.getCustomDimensions(tokens).forEach(([name, entries]) => {
+      dart.push(`class App${this.toPascalCase(name)} {`);
+      entries.forEach(([key, value]) => {
+        const deprecation = this.getDeprecation(tokens, name, key);
+        if (deprecation) dart.push(`  ${this.toDartDeprecation(deprecation)}`);
+        dart.push(`  static const double ${this.toDartIdentifier(key, this.toCamelCase(name), true)} = ${this.convertToFlutterValue(value)};`);
+      });
+      dart.push('}');
+      dart.push('');
+    });
+
     // Typography
     if (tokens.typography) {
       dart.push('class AppTextStyles {');
-      const defaultFont = tokens.typography.fontFamily?.sans || 'Roboto';
+      // Flutter takes one family name, so the CSS stack's other named families become fallbacks
+      const [defaultFont = 'Roboto', ...fallbackFonts] = this.getNativeFontFamilies(tokens.typography.fontFamily?.sans);
       dart.push(`  static const String defaultFontFamily = '${defaultFont}';`);
+      if (fallbackFonts.length > 0) {
+        dart.push(`  static const List<String> defaultFontFamilyFallback = [${fallbackFonts.map(font => `'${font}'`).join(', ')}];`);
+      }
       dart.push('');
       
       if (tokens.typography.fontSize) {
         Object.entries(tokens.typography.fontSize).forEach(([key, value]) => {
           const flutterValue = this.convertToFlutterValue(value);
-          dart.push(`  static const TextStyle ${key} = TextStyle(`);
+          const deprecation = this.getDeprecation(tokens, 'typography', `fontSize-${key}`);
+          if (deprecation) dart.push(`  ${this.toDartDeprecation(deprecation)}`);
+          dart.push(`  static const TextStyle ${this.toDartIdentifier(key, 'text')} = TextStyle(`);
           dart.push(`    fontSize: ${flutterValue},`);
           dart.push(`    fontFamily: defaultFontFamily,`);
+          if (fallbackFonts.length > 0) dart.push('    fontFamilyFallback: defaultFontFamilyFallback,');
           dart.push('  );');
           dart.push('');
         });
       }
+
+      this.getTextStyles(tokens).forEach(([name, style]) => {
+        const deprecation = this.getTextStyleDeprecation(tokens, name);
+        if (deprecation) dart.push(`  ${this.toDartDeprecation(deprecation)}`);
+        dart.push(`  static const TextStyle ${this.toDartIdentifier(name, 'text')} = TextStyle(`);
+        this.toFlutterTextStyleArguments(style).forEach(argument => dart.push(`    ${argument},`));
+        dart.push('  );');
+        dart.push('');
+      });
       dart.push('}');
       dart.push('');
     }
 
-    // Theme data
-    dart.push('class AppTheme {');
-    dart.push('  static ThemeData get lightTheme {');
-    dart.push('    return ThemeData(');
-    dart.push('      useMaterial3: true,');
-    if (tokens.colors?.primary) {
-      dart.push(`      primarySwatch: MaterialColor(0xFF${tokens.colors.primary['500']?.substring(1) || '000000'}, {`);
-      Object.entries(tokens.colors.primary).forEach(([shade, value]) => {
-        dart.push(`        ${shade}: AppColors.primary${shade.charAt(0).toUpperCase() + shade.slice(1)},`);
+    dart.push(...this.getFlutterLayoutHelpers(light));
+
+    if (includeExtensions) {
+      dart.push(...this.getFlutterThemeExtension(light, dark));
+    }
+
+    if (options.generateTheme !== false) {
+      dart.push(...this.getFlutterThemes(tokens, light, dark, options));
+    }
+
+    return dart.join('\n');
+  }
+
+  /**
+   * Dart identifier for a token key, used for every member the Flutter output writes;
+   * keywords can't be escaped, so they get the prefix too. `always` prefixes every
+   * name ('xs' → 'spacingXs')
+   */
+  toDartIdentifier(key, prefix, always = false) {
+    if (always) {
+      const name = this.toNativeIdentifier(key, '');
+      return `${prefix}${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+    }
+    const identifier = this.toNativeIdentifier(key, prefix);
+    return DART_KEYWORDS.includes(identifier) ? `${prefix}${this.toPascalCase(identifier)}` : identifier;
+  }
+
+  /**
+   * AppInsets (EdgeInsets for every spacing value) and AppBorderRadius classes
+   */
+  getFlutterLayoutHelpers(values) {
+    const dart = [];
+    const spacing = this.flattenEntries(values.spacing || {});
+    const radii = this.flattenEntries(values.borderRadius || {});
+
+    if (spacing.length > 0) {
+      dart.push('class AppInsets {');
+      spacing.forEach(([key, value]) => {
+        const size = this.convertToFlutterValue(value);
+        dart.push(`  static const EdgeInsets ${this.toDartIdentifier(key, 'all', true)} = EdgeInsets.all(${size});`);
+        dart.push(`  static const EdgeInsets ${this.toDartIdentifier(key, 'horizontal', true)} = EdgeInsets.symmetric(horizontal: ${size});`);
+        dart.push(`  static const EdgeInsets ${this.toDartIdentifier(key, 'vertical', true)} = EdgeInsets.symmetric(vertical: ${size});`);
+      });
+      dart.push('}');
+      dart.push('');
+    }
+
+    if (radii.length > 0) {
+      dart.push('class AppBorderRadius {');
+      radii.forEach(([key, value]) => {
+        dart.push(`  static const BorderRadius ${this.toDartIdentifier(key, 'radius')} = BorderRadius.all(Radius.circular(${this.convertToFlutterValue(value)}));`);
       });
-      dart.push('      }),');
+      dart.push('}');
+      dart.push('');
+    }
+
+    return dart;
+  }
+
+  /**
+   * Fields of the AppTokens theme extension as { name, type, light, dark }: colors,
+   * spacing and radii, with their values in the light and dark themes
+   */
+  getFlutterTokenFields(light, dark) {
+    const darkColors = new Map(dark ? this.getNativeColors(dark) : []);
+    const dimension = (category, prefix) => {
+      const darkValues = new Map(dark ? this.flattenEntries(dark[category] || {}) : []);
+      return this.flattenEntries(light[category] || {}).map(([key, value]) => ({
+        name: this.toDartIdentifier(key, prefix, true),
+        type: 'double',
+        light: this.convertToFlutterValue(value),
+        dark: this.convertToFlutterValue(darkValues.has(key) ? darkValues.get(key) : value)
+      }));
+    };
+
+    return [
+      ...this.getNativeColors(light).map(([key, color]) => ({
+        name: this.toDartIdentifier(key, 'color'),
+        type: 'Color',
+        light: this.toFlutterColor(color),
+        dark: this.toFlutterColor(darkColors.get(key) || color)
+      })),
+      ...dimension('spacing', 'spacing'),
+      ...dimension('borderRadius', 'radius')
+    ];
+  }
+
+  /**
+   * AppTokens ThemeExtension with light/dark instances, copyWith and lerp,
+   * and a context.tokens shortcut
+   */
+  getFlutterThemeExtension(light, dark) {
+    const fields = this.getFlutterTokenFields(light, dark);
+    const dart = [];
+    if (fields.length === 0) return dart;
+
+    const instance = (name, theme) => {
+      dart.push(`  static const AppTokens ${name} = AppTokens(`);
+      fields.forEach(field => dart.push(`    ${field.name}: ${field[theme]},`));
+      dart.push('  );');
+    };
+
+    dart.push('@immutable');
+    dart.push('class AppTokens extends ThemeExtension<AppTokens> {');
+    dart.push('  const AppTokens({');
+    fields.forEach(({ name }) => dart.push(`    required this.${name},`));
+    dart.push('  });');
+    dart.push('');
+    instance('light', 'light');
+    if (dark) {
+      dart.push('');
+      instance('dark', 'dark');
     }
-    dart.push('      fontFamily: AppTextStyles.defaultFontFamily,');
+    dart.push('');
+    fields.forEach(({ name, type }) => dart.push(`  final ${type} ${name};`));
+    dart.push('');
+    dart.push('  @override');
+    dart.push('  AppTokens copyWith({');
+    fields.forEach(({ name, type }) => dart.push(`    ${type}? ${name},`));
+    dart.push('  }) {');
+    dart.push('    return AppTokens(');
+    fields.forEach(({ name }) => dart.push(`      ${name}: ${name} ?? this.${name},`));
+    dart.push('    );');
+    dart.push('  }');
+    dart.push('');
+    dart.push('  @override');
+    dart.push('  AppTokens lerp(ThemeExtension<AppTokens>? other, double t) {');
+    dart.push('    if (other is! AppTokens) return this;');
+    dart.push('    return AppTokens(');
+    fields.forEach(({ name, type }) => {
+      const lerp = type === 'Color' ? 'Color.lerp' : 'lerpDouble';
+      dart.push(`      ${name}: ${lerp}(${name}, other.${name}, t)!,`);
+    });
     dart.push('    );');
     dart.push('  }');
     dart.push('}');
+    dart.push('');
+    dart.push('extension AppTokensContext on BuildContext {');
+    dart.push('  AppTokens get tokens => Theme.of(this).extension<AppTokens>()!;');
+    dart.push('}');
+    dart.push('');
 
-    return dart.join('\n');
+    return dart;
+  }
+
+  /**
+   * Material 3 TextTheme slots filled by text styles as [slot, name]: the styles
+   * named in options.textTheme ({ bodyLarge: 'body' }), else the ones named after a slot
+   */
+  getMaterialTextThemeSlots(textStyles, mapping = {}) {
+    const names = new Set(textStyles.map(([name]) => name));
+    const byName = new Map(textStyles.map(([name]) => [this.toCamelCase(name), name]));
+
+    return MATERIAL_TEXT_THEME_SLOTS
+      .map(slot => [slot, mapping[slot] !== undefined ? mapping[slot] : byName.get(slot)])
+      .filter(([, name]) => name !== undefined && names.has(name));
+  }
+
+  /**
+   * AppTheme with light (and dark) ThemeData: a Material 3 ColorScheme seeded
+   * from the primary color with the roles colors fill (options.colorScheme), a
+   * TextTheme from text styles (options.textTheme) and the AppTokens extension
+   */
+  getFlutterThemes(tokens, light, dark, options) {
+    const colors = this.getNativeColors(light);
+    const roles = this.getMaterialColorRoles(colors, options.colorScheme);
+    const seedKey = roles.find(([role]) => role === 'primary')?.[1] ||
+      colors.find(([key]) => key === 'primary-500')?.[0] ||
+      colors[0]?.[0];
+    const slots = this.getMaterialTextThemeSlots(this.getTextStyles(light), options.textTheme);
+    const fields = new Set(this.getFlutterTokenFields(light, dark).map(({ name }) => name));
+    const includeExtensions = options.includeExtensions !== false && fields.size > 0;
+    const dart = [];
+
+    const theme = (getter, brightness, instance) => {
+      const color = (key) => (includeExtensions
+        ? `AppTokens.${instance}.${this.toDartIdentifier(key, 'color')}`
+        : `AppColors.${this.toDartIdentifier(key, 'color')}`);
+      const seed = seedKey !== undefined ? color(seedKey) : 'Colors.blue';
+
+      dart.push(`  static ThemeData get ${getter} {`);
+      dart.push('    return ThemeData(');
+      dart.push('      useMaterial3: true,');
+      dart.push(`      brightness: Brightness.${brightness},`);
+      if (roles.length > 0) {
+        dart.push(`      colorScheme: ColorScheme.fromSeed(seedColor: ${seed}, brightness: Brightness.${brightness}).copyWith(`);
+        roles.forEach(([role, key]) => dart.push(`        ${role}: ${color(key)},`));
+        dart.push('      ),');
+      } else {
+        dart.push(`      colorScheme: ColorScheme.fromSeed(seedColor: ${seed}, brightness: Brightness.${brightness}),`);
+      }
+      if (slots.length > 0) {
+        dart.push('      textTheme: const TextTheme(');
+        slots.forEach(([slot, name]) => dart.push(`        ${slot}: AppTextStyles.${this.toDartIdentifier(name, 'text')},`));
+        dart.push('      ),');
+      }
+      if (tokens.typography) dart.push('      fontFamily: AppTextStyles.defaultFontFamily,');
+      if (this.getNativeFontFamilies(tokens.typography?.fontFamily?.sans).length > 1) {
+        dart.push('      fontFamilyFallback: AppTextStyles.defaultFontFamilyFallback,');
+      }
+      if (includeExtensions) dart.push(`      extensions: const <ThemeExtension<dynamic>>[AppTokens.${instance}],`);
+      dart.push('    );');
+      dart.push('  }');
+    };
+
+    dart.push('class AppTheme {');
+    theme('lightTheme', 'light', 'light');
+    if (dark) {
+      dart.push('');
+      theme('darkTheme', 'dark', 'dark');
+    }
+    dart.push('}');
+    dart.push('');
+
+    return dart;
   }
 
   /**
@@ -899,19 +2850,13 @@ export default ${JSON.stringify(config, null, 2)};
     cs.push('');
 
     // Colors static class
-    if (tokens.colors) {
+    const colors = this.getColorTokens(tokens);
+    if (Object.keys(colors).length > 0) {
       cs.push('public static class AppColors');
       cs.push('{');
-      Object.entries(tokens.colors).forEach(([category, shades]) => {
-        if (shades && typeof shades === 'object') {
-          cs.push(`    // ${category.charAt(0).toUpperCase() + category.slice(1)} colors`);
-          Object.entries(shades).forEach(([shade, value]) => {
-            if (value.startsWith('#')) {
-              const propName = `${category.charAt(0).toUpperCase() + category.slice(1)}${shade.charAt(0).toUpperCase() + shade.slice(1)}`;
-              cs.push(`    public static Color ${propName} => Color.FromHex("${value}");`);
-            }
-          });
-          cs.push('');
+      this.flattenEntries(colors).forEach(([key, value]) => {
+        if (typeof value === 'string' && value.startsWith('#')) {
+          cs.push(`    public static Color ${this.toPascalCase(key)} => Color.FromHex("${value}");`);
         }
       });
       cs.push('}');
@@ -931,6 +2876,17 @@ export default ${JSON.stringify(config, null, 2)};
       cs.push('');
     }
 
+    // Custom dimension categories, one class each
+    this.getCustomDimensions(tokens).forEach(([name, entries]) => {
+      cs.push(`public static class App${this.toPascalCase(name)}`);
+      cs.push('{');
+      entries.forEach(([key, value]) => {
+        cs.push(`    public static double ${this.toPascalCase(`${name}-${key}`)} => ${this.convertToXamarinValue(value)};`);
+      });
+      cs.push('}');
+      cs.push('');
+    });
+
     // Typography
     if (tokens.typography) {
       cs.push('public static class AppFonts');
@@ -1013,10 +2969,22 @@ export default ${JSON.stringify(config, null, 2)};
     return defaultShadow;
   }
 
-  hexToFlutterColor(hex) {
-    if (!hex.startsWith('#')) return 'Colors.black';
-    const hexValue = hex.substring(1);
-    return `Color(0xFF${hexValue.toUpperCase()})`;
+  /**
+   * Flutter Color for a CSS color (hex, rgb(), hsl() or a named color); Colors.black if it doesn't parse
+   */
+  hexToFlutterColor(value) {
+    try {
+      return this.toFlutterColor(parseColor(value));
+    } catch (error) {
+      return 'Colors.black';
+    }
+  }
+
+  /**
+   * Flutter Color literal (0xAARRGGBB) for 0-1 sRGB channels
+   */
+  toFlutterColor(color) {
+    return this.toComposeColor(color);
   }
 
   convertToFlutterValue(cssValue) {
@@ -0,0 +1,113 @@
+import { BUILT_IN_FORMATS } from './formats.js';
+import { importModule } from '../utils/modules.js';
+
+/**
+ * Normalize an output entry: a path string or { path, formatter, options }
+ * Options written inline ({ path, exportFormat: 'named' }) are moved into options
+ * Returns null for disabled outputs (null/false)
+ */
+export function normalizeOutput(entry) {
+  if (!entry) return null;
+  if (typeof entry === 'string') return { path: entry, options: {} };
+
+  const { path: outputPath, formatter, options = {}, ...inline } = entry;
+  return { path: outputPath, formatter, options: { ...inline, ...options } };
+}
+
+/**
+ * Output format registry
+ * Maps output names (css, tailwind, flutter...) to formats. A format is
+ * { name, label, format(context) } where format receives
+ * { tokens, metadata, themes, options, outputPath, generator } and returns
+ * the file(s) to write: a string, { path, content } or an array of them.
+ * Built-in formats are registered up front; config formatters and plugins
+ * can add new ones or replace them
+ */
+export class FormatRegistry {
+  constructor(formats = BUILT_IN_FORMATS) {
+    this.formats = new Map();
+    formats.forEach(format => this.register(format));
+  }
+
+  /**
+   * Register a format, replacing any format with the same name
+   */
+  register(format) {
+    if (!format || typeof format.name !== 'string' || typeof format.format !== 'function') {
+      throw new Error('Invalid format: expected { name, format(context) }');
+    }
+    this.formats.set(format.name, format);
+    return this;
+  }
+
+  has(name) {
+    return this.formats.has(name);
+  }
+
+  get(name) {
+    return this.formats.get(name) || null;
+  }
+
+  list() {
+    return [...this.formats.keys()];
+  }
+
+  /**
+   * Import a module by path (relative to cwd) or package name
+   */
+  async importModule(specifier, cwd = process.cwd()) {
+    return importModule(specifier, cwd);
+  }
+
+  /**
+   * Load a formatter module for one output
+   * The module exports a format object or a bare format function, as default
+   * export or as `format`
+   */
+  async loadFormatter(specifier, name, cwd) {
+    let module;
+    try {
+      module = await this.importModule(specifier, cwd);
+    } catch (error) {
+      throw new Error(`Failed to load formatter "${specifier}" for output "${name}": ${error.message}`);
+    }
+
+    const exported = module.default || module.format;
+    const format = typeof exported === 'function' ? { name, format: exported } : { name, ...exported };
+
+    if (typeof format.format !== 'function') {
+      throw new Error(`Formatter "${specifier}" for output "${name}" must export a format function`);
+    }
+    return format;
+  }
+
+  /**
+   * Load a plugin and register its formats
+   * A plugin exports a register(registry) function, or { formats } as an
+   * array of formats or an object keyed by format name
+   */
+  async loadPlugin(specifier, cwd) {
+    let module;
+    try {
+      module = await this.importModule(specifier, cwd);
+    } catch (error) {
+      throw new Error(`Failed to load plugin "${specifier}": ${error.message}`);
+    }
+
+    const plugin = module.default || module;
+
+    if (typeof plugin === 'function') {
+      await plugin(this);
+      return;
+    }
+
+    const formats = Array.isArray(plugin.formats)
+      ? plugin.formats
+      : Object.entries(plugin.formats || {}).map(([name, format]) => ({ name, ...format }));
+
+    if (formats.length === 0) {
+      throw new Error(`Plugin "${specifier}" does not register any formats`);
+    }
+    formats.forEach(format => this.register(format));
+  }
+}
@@ -1,6 +1,9 @@
 import { simpleGit } from 'simple-git';
 import fs from 'fs-extra';
 import path from 'path';
+import os from 'os';
+import { TokenLoader } from './TokenLoader.js';
+import { normalizeOutput } from './FormatRegistry.js';
 
 /**
  * Git operations manager
@@ -217,9 +220,9 @@ export class GitManager {
     try {
       // Check if we have relevant changes
       const filesToAdd = config.git.filesToAdd || [
-        config.tokens.input,
-        config.output.css,
-        config.output.tailwind
+        ...await new TokenLoader().resolveFiles(config.tokens.input),
+        normalizeOutput(config.output.css)?.path,
+        normalizeOutput(config.output.tailwind)?.path
       ].filter(Boolean);
 
       const hasChanges = await this.hasRelevantChanges(filesToAdd);
@@ -283,6 +286,67 @@ export class GitManager {
     }
   }
 
+  /**
+   * Check if a string names a commit (branch, tag, sha, HEAD~1...)
+   */
+  async isRef(ref) {
+    try {
+      // --quiet exits silently for unknown refs, so check for a hash
+      const hash = await this.git.revparse(['--verify', '--quiet', `${ref}^{commit}`]);
+      return Boolean(hash.trim());
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Get the most recent tag reachable from HEAD, starting with prefix when
+   * given (null when there is none)
+   */
+  async getLatestTag(prefix) {
+    try {
+      const tag = await this.git.raw(['describe', '--tags', '--abbrev=0', ...(prefix ? ['--match', `${prefix}*`] : [])]);
+      return tag.trim() || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Load tokens.input as it was at a git ref
+   * The token files at that ref are copied to a temporary directory so globs,
+   * set files and $themes load exactly as they do from the working tree
+   */
+  async loadTokensAt(ref, input) {
+    if (!await this.isRef(ref)) {
+      throw new Error(`Unknown git ref: ${ref}`);
+    }
+
+    const loader = new TokenLoader();
+    const listing = (await this.git.raw(['ls-tree', '-r', '--name-only', ref])).split('\n').filter(Boolean);
+    const patterns = [].concat(input || 'tokens.json');
+
+    // Globs need every JSON file of the ref; plain paths only their own file
+    const files = patterns.some(pattern => loader.isMultiFile(pattern))
+      ? listing.filter(file => file.endsWith('.json'))
+      : patterns.map(pattern => loader.relative(path.resolve(pattern)));
+
+    const missing = files.filter(file => !listing.includes(file));
+    if (missing.length > 0) {
+      throw new Error(`Tokens file not found at ${ref}: ${missing.join(', ')}`);
+    }
+
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'design-tokens-'));
+    try {
+      for (const file of files) {
+        await fs.outputFile(path.join(dir, file), await this.git.show([`${ref}:./${file}`]));
+      }
+      return await new TokenLoader({ cwd: dir }).load(input);
+    } finally {
+      await fs.remove(dir);
+    }
+  }
+
   /**
    * Validate git environment
    */
@@ -0,0 +1,287 @@
+import { TokenResolver } from './TokenResolver.js';
+import { normalizeTokens } from '../utils/token-formats.js';
+import { getTokenSetOrder, walkTokens } from '../utils/token-sets.js';
+import { parseColor, colorDistance } from '../utils/color-modifiers.js';
+import { RELEASE_TYPES } from '../utils/release.js';
+
+export const CHANGE_KINDS = ['added', 'removed', 'renamed', 'value-changed', 'type-changed'];
+
+const CHANGE_LABELS = {
+  added: '➕ Added',
+  removed: '➖ Removed',
+  renamed: '🔀 Renamed',
+  'value-changed': '✏️ Value changed',
+  'type-changed': '🔁 Type changed'
+};
+
+// Semver impact of each kind of change: consumers referencing a removed,
+// renamed or retyped token break at build time
+export const CHANGE_RELEASE_TYPES = {
+  removed: 'major',
+  renamed: 'major',
+  'type-changed': 'major',
+  added: 'minor',
+  'value-changed': 'patch'
+};
+
+/**
+ * Semantic token diff
+ * Compares two raw token trees token by token (by dotted path) and classifies
+ * every change as added, removed, renamed (same value and type under a
+ * similar path), value-changed or type-changed. Values are compared both as
+ * written and resolved, so retargeted aliases show up too
+ */
+export class TokenDiff {
+  constructor(options = {}) {
+    // Minimum path similarity (0-1) for a removed + added pair to count as a rename
+    this.renameThreshold = options.renameThreshold ?? 0.5;
+  }
+
+  /**
+   * Flatten a raw tree into { path: { value, raw, type } } with resolved values
+   */
+  flatten(tokens) {
+    const normalized = normalizeTokens(tokens || {});
+    const { tokens: resolved } = new TokenResolver(normalized, { sets: getTokenSetOrder(normalized) }).resolveTree();
+    const flat = {};
+
+    walkTokens(normalized, (tokenPath, token) => {
+      const resolvedToken = tokenPath.split('.').reduce((node, key) => node?.[key], resolved) || token;
+      flat[tokenPath] = {
+        value: resolvedToken.value,
+        raw: token.value,
+        type: token.type || null
+      };
+    });
+
+    return flat;
+  }
+
+  /**
+   * Compare two raw token trees
+   * Returns { summary, changes } where each change is
+   * { kind, path, from?, before?, after?, delta? }
+   */
+  compare(baseTokens, headTokens) {
+    const base = this.flatten(baseTokens);
+    const head = this.flatten(headTokens);
+    const changes = [];
+
+    let removed = Object.keys(base).filter(tokenPath => !head[tokenPath]);
+    let added = Object.keys(head).filter(tokenPath => !base[tokenPath]);
+
+    this.findRenames(removed, added, base, head).forEach(({ from, to }) => {
+      changes.push({ kind: 'renamed', path: to, from, before: base[from], after: head[to] });
+      removed = removed.filter(tokenPath => tokenPath !== from);
+      added = added.filter(tokenPath => tokenPath !== to);
+    });
+
+    Object.keys(head).forEach(tokenPath => {
+      const before = base[tokenPath];
+      const after = head[tokenPath];
+      if (!before) return;
+
+      if (before.type !== after.type) {
+        changes.push({ kind: 'type-changed', path: tokenPath, before, after });
+      } else if (!this.isSameValue(before.value, after.value) || !this.isSameValue(before.raw, after.raw)) {
+        changes.push({ kind: 'value-changed', path: tokenPath, before, after, ...this.getDelta(before.value, after.value) });
+      }
+    });
+
+    added.forEach(tokenPath => changes.push({ kind: 'added', path: tokenPath, after: head[tokenPath] }));
+    removed.forEach(tokenPath => changes.push({ kind: 'removed', path: tokenPath, before: base[tokenPath] }));
+
+    changes.sort((a, b) =>
+      CHANGE_KINDS.indexOf(a.kind) - CHANGE_KINDS.indexOf(b.kind) || a.path.localeCompare(b.path)
+    );
+
+    return { summary: this.summarize(changes), changes };
+  }
+
+  /**
+   * Pair removed and added tokens with the same value and type, most similar paths first
+   */
+  findRenames(removed, added, base, head) {
+    const candidates = [];
+
+    removed.forEach(from => {
+      added.forEach(to => {
+        if (base[from].type !== head[to].type || !this.isSameValue(base[from].value, head[to].value)) return;
+
+        const similarity = this.getPathSimilarity(from, to);
+        if (similarity >= this.renameThreshold) {
+          candidates.push({ from, to, similarity });
+        }
+      });
+    });
+
+    const used = new Set();
+    return candidates
+      .sort((a, b) => b.similarity - a.similarity)
+      .filter(({ from, to }) => {
+        if (used.has(from) || used.has(to)) return false;
+        used.add(from);
+        used.add(to);
+        return true;
+      });
+  }
+
+  /**
+   * Path similarity from 0 to 1 (Dice coefficient over character bigrams)
+   */
+  getPathSimilarity(a, b) {
+    if (a === b) return 1;
+
+    const bigrams = (text) => {
+      const pairs = new Map();
+      for (let i = 0; i < text.length - 1; i++) {
+        const pair = text.slice(i, i + 2);
+        pairs.set(pair, (pairs.get(pair) || 0) + 1);
+      }
+      return pairs;
+    };
+
+    const first = bigrams(a.toLowerCase());
+    const second = bigrams(b.toLowerCase());
+    let overlap = 0;
+
+    first.forEach((count, pair) => {
+      overlap += Math.min(count, second.get(pair) || 0);
+    });
+
+    const total = Math.max(a.length - 1, 0) + Math.max(b.length - 1, 0);
+    return total === 0 ? 0 : (2 * overlap) / total;
+  }
+
+  isSameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  /**
+   * Color distance (ΔE) for changed color values
+   */
+  getDelta(before, after) {
+    if (!this.isColor(before) || !this.isColor(after)) return {};
+    return { delta: Math.round(colorDistance(before, after) * 10) / 10 };
+  }
+
+  isColor(value) {
+    if (typeof value !== 'string') return false;
+    try {
+      parseColor(value);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  summarize(changes) {
+    const count = (kind) => changes.filter(change => change.kind === kind).length;
+
+    return {
+      added: count('added'),
+      removed: count('removed'),
+      renamed: count('renamed'),
+      valueChanged: count('value-changed'),
+      typeChanged: count('type-changed'),
+      total: changes.length
+    };
+  }
+
+  /**
+   * Check if a change breaks consumers (requires a major release)
+   */
+  isBreaking(change) {
+    return CHANGE_RELEASE_TYPES[change.kind] === 'major';
+  }
+
+  /**
+   * Smallest release type covering every change: major, minor, patch or null
+   */
+  getReleaseType(diff) {
+    const types = diff.changes.map(change => CHANGE_RELEASE_TYPES[change.kind]);
+    return RELEASE_TYPES.find(type => types.includes(type)) || null;
+  }
+
+  /**
+   * Format a value for reports: the alias and what it resolves to
+   */
+  formatValue(entry) {
+    if (!entry) return '';
+
+    const text = (value) => (typeof value === 'object' ? JSON.stringify(value) : String(value));
+    return this.isSameValue(entry.raw, entry.value)
+      ? text(entry.value)
+      : `${text(entry.raw)} (${text(entry.value)})`;
+  }
+
+  /**
+   * Render a diff as a Markdown report for PR comments
+   */
+  toMarkdown(diff, labels = {}) {
+    const { summary, changes } = diff;
+    const title = labels.base && labels.head ? `${labels.base} → ${labels.head}` : 'Token changes';
+    const lines = [`## 🎨 ${title}`, ''];
+
+    if (changes.length === 0) {
+      lines.push('No token changes.');
+      return lines.join('\n') + '\n';
+    }
+
+    const counts = [
+      ['added', summary.added],
+      ['removed', summary.removed],
+      ['renamed', summary.renamed],
+      ['value changed', summary.valueChanged],
+      ['type changed', summary.typeChanged]
+    ].filter(([, count]) => count > 0).map(([label, count]) => `${count} ${label}`);
+
+    lines.push(`**${summary.total} change${summary.total === 1 ? '' : 's'}**: ${counts.join(', ')}`, '');
+    lines.push('| Change | Token | Before | After |', '|--------|-------|--------|-------|');
+
+    const cell = (text) => (text ? `\`${text.replace(/\|/g, '\\|')}\`` : '');
+
+    changes.forEach(change => {
+      const token = change.kind === 'renamed' ? `${cell(change.from)} → ${cell(change.path)}` : cell(change.path);
+      const before = change.kind === 'type-changed'
+        ? `${cell(this.formatValue(change.before))} _${change.before.type}_`
+        : cell(this.formatValue(change.before));
+      const after = change.kind === 'type-changed'
+        ? `${cell(this.formatValue(change.after))} _${change.after.type}_`
+        : cell(this.formatValue(change.after)) + (change.delta !== undefined ? ` ΔE ${change.delta}` : '');
+
+      lines.push(`| ${CHANGE_LABELS[change.kind]} | ${token} | ${before} | ${after} |`);
+    });
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Render a diff as a changelog section (Keep a Changelog style)
+   */
+  toChangelog(diff, { version, date = new Date().toISOString().slice(0, 10) } = {}) {
+    const code = (text) => `\`${text}\``;
+    const value = (entry) => code(this.formatValue(entry));
+
+    const breaking = diff.changes.filter(change => this.isBreaking(change)).map(change => {
+      if (change.kind === 'removed') return `- Removed ${code(change.path)}`;
+      if (change.kind === 'renamed') return `- Renamed ${code(change.from)} → ${code(change.path)}`;
+      return `- Changed the type of ${code(change.path)} from ${change.before.type} to ${change.after.type}`;
+    });
+    const added = diff.changes.filter(change => change.kind === 'added')
+      .map(change => `- ${code(change.path)}: ${value(change.after)}`);
+    const changed = diff.changes.filter(change => change.kind === 'value-changed')
+      .map(change => `- ${code(change.path)}: ${value(change.before)} → ${value(change.after)}`);
+
+    const lines = [`## [${version}] - ${date}`];
+    [
+      ['### ⚠️ Breaking Changes', breaking],
+      ['### ✨ Added', added],
+      ['### ✏️ Changed', changed]
+    ].forEach(([heading, items]) => {
+      if (items.length > 0) lines.push('', heading, '', ...items);
+    });
+
+    return lines.join('\n') + '\n';
+  }
+}
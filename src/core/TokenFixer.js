@@ -0,0 +1,159 @@
+import { getTokenSetOrder, isTokenGroup } from '../utils/token-sets.js';
+
+/**
+ * Token tree editor used by validation rule fixers
+ * Works on a copy of the raw tree as loaded (Token Studio or DTCG), finding
+ * tokens by full path or by set-relative path (colors.primary.500 in the
+ * last set that defines it, as the merged category tree sees it)
+ */
+export class TokenFixer {
+  constructor(tokens) {
+    this.tokens = structuredClone(tokens);
+    this.renames = [];
+  }
+
+  /**
+   * Find a node (token or group) by dotted path and return it with the
+   * segments leading to it from the root, or null
+   * A set is tried first when given, then the path as-is, then every set
+   */
+  findNode(tokenPath, set = null, accept = () => true) {
+    const segments = this.applyRenames(tokenPath).split('.');
+    const sets = getTokenSetOrder(this.tokens).slice().reverse();
+    const prefixes = [...(set ? [[set]] : []), [], ...sets.map(name => [name])];
+
+    for (const prefix of prefixes) {
+      const fullPath = [...prefix, ...segments];
+      const node = fullPath.reduce((current, key) => current?.[key], this.tokens);
+      if (node && typeof node === 'object' && accept(node)) {
+        return { node, fullPath };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find a token node by dotted path, or null
+   */
+  getToken(tokenPath, set = null) {
+    return this.findNode(tokenPath, set, node => !isTokenGroup(node))?.node || null;
+  }
+
+  getValue(tokenPath, set = null) {
+    const token = this.getToken(tokenPath, set);
+    if (!token) return undefined;
+    return token.$value !== undefined ? token.$value : token.value;
+  }
+
+  /**
+   * Replace a token's value, keeping its format ($value or value)
+   * Returns whether the token was found
+   */
+  setValue(tokenPath, value, set = null) {
+    const token = this.getToken(tokenPath, set);
+    if (!token) return false;
+
+    if (token.$value !== undefined) {
+      token.$value = value;
+    } else {
+      token.value = value;
+    }
+    return true;
+  }
+
+  /**
+   * Rename a token or group in every set that defines it and update the
+   * references pointing at it ({from} and {from.child})
+   * Paths reported before an earlier rename are mapped through it first.
+   * Returns false when nothing is found or the new path is taken
+   */
+  rename(from, to) {
+    from = this.applyRenames(from);
+    to = this.applyRenames(to);
+    if (from === to) return false;
+
+    const sets = getTokenSetOrder(this.tokens);
+    const roots = [[], ...sets.filter(set => isTokenGroup(this.tokens[set])).map(set => [set])];
+    const fromSegments = from.split('.');
+    const toSegments = to.split('.');
+    let renamed = false;
+
+    for (const prefix of roots) {
+      const parent = [...prefix, ...fromSegments.slice(0, -1)].reduce((current, key) => current?.[key], this.tokens);
+      const key = fromSegments[fromSegments.length - 1];
+      if (!isTokenGroup(parent) || !parent[key] || typeof parent[key] !== 'object') continue;
+
+      const target = [...prefix, ...toSegments.slice(0, -1)].reduce((current, segment) => {
+        if (!isTokenGroup(current)) return null;
+        if (current[segment] === undefined) current[segment] = {};
+        return current[segment];
+      }, this.tokens);
+      const newKey = toSegments[toSegments.length - 1];
+      if (!isTokenGroup(target) || target[newKey] !== undefined) continue;
+
+      // Keep the key's position when the node stays in the same group
+      if (target === parent) {
+        const entries = Object.entries(parent).map(([name, node]) => [name === key ? newKey : name, node]);
+        Object.keys(parent).forEach(name => delete parent[name]);
+        Object.assign(parent, Object.fromEntries(entries));
+      } else {
+        target[newKey] = parent[key];
+        delete parent[key];
+        this.removeEmptyGroups([...prefix, ...fromSegments.slice(0, -1)]);
+      }
+      renamed = true;
+    }
+
+    if (!renamed) return false;
+
+    this.renames.push({ from, to });
+    this.updateReferences(this.tokens, from, to, sets);
+    return true;
+  }
+
+  /**
+   * Map a path through the renames applied so far
+   */
+  applyRenames(tokenPath) {
+    return this.renames.reduce((current, { from, to }) => {
+      if (current === from) return to;
+      return current.startsWith(`${from}.`) ? `${to}${current.slice(from.length)}` : current;
+    }, tokenPath);
+  }
+
+  /**
+   * Rewrite references to a renamed path, set-qualified ones included
+   */
+  updateReferences(node, from, to, sets) {
+    const renameReference = (reference) => {
+      for (const prefix of ['', ...sets.map(set => `${set}.`)]) {
+        const qualified = `${prefix}${from}`;
+        if (reference === qualified || reference.startsWith(`${qualified}.`)) {
+          return `${prefix}${to}${reference.slice(qualified.length)}`;
+        }
+      }
+      return reference;
+    };
+
+    Object.entries(node).forEach(([key, value]) => {
+      if (typeof value === 'string') {
+        node[key] = value.replace(/\{([^{}]+)\}/g, (match, reference) => `{${renameReference(reference.trim())}}`);
+      } else if (value && typeof value === 'object' && key !== '$themes') {
+        this.updateReferences(value, from, to, sets);
+      }
+    });
+  }
+
+  /**
+   * Drop groups left empty by a move, from the deepest up
+   */
+  removeEmptyGroups(segments) {
+    for (let depth = segments.length; depth > 0; depth--) {
+      const parent = segments.slice(0, depth - 1).reduce((current, key) => current?.[key], this.tokens);
+      const key = segments[depth - 1];
+      if (!isTokenGroup(parent?.[key]) || Object.keys(parent[key]).length > 0) return;
+      delete parent[key];
+    }
+  }
+}
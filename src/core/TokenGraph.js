@@ -0,0 +1,257 @@
+import { TokenResolver } from './TokenResolver.js';
+import { walkTokens, getTokenSetOrder, isTokenGroup, isTokenSet, mergeThemeSets } from '../utils/token-sets.js';
+
+export const GRAPH_FORMATS = ['dot', 'mermaid', 'json'];
+
+/**
+ * Token dependency graph
+ * Every token is a node, identified by its path in the tree (set-qualified
+ * when the tree wraps Token Studio sets), with an edge to each token it
+ * references. Finds reference cycles, dangling references, references into
+ * sets a theme disables and orphan tokens, and exports the graph as DOT,
+ * Mermaid or JSON with arrows fanning out from a token to its aliases
+ */
+export class TokenGraph {
+  constructor(tokens, options = {}) {
+    this.tokens = tokens;
+    this.provenance = options.provenance || {};
+    // Top-level groups that wrap sets, not categories of a flat tree
+    this.sets = getTokenSetOrder(tokens).filter(set => isTokenGroup(tokens[set]) &&
+      (isTokenSet(tokens, set) || tokens.$metadata?.tokenSetOrder?.includes(set)));
+    this.resolver = new TokenResolver(tokens, { sets: getTokenSetOrder(tokens) });
+    this.nodes = new Map();
+    this.edges = [];
+    this.missing = [];
+    this.dependencies = new Map();
+    this.dependents = new Map();
+    this.build();
+  }
+
+  /**
+   * Collect the nodes, then one edge per distinct reference
+   */
+  build() {
+    // Keep the tokens walkTokens hands over: ids can't be split back into
+    // paths when keys hold dots ("1.5")
+    const tokens = new Map();
+    walkTokens(this.tokens, (id, token) => {
+      tokens.set(id, token);
+      this.nodes.set(id, { id, ...this.locate(id), type: token.type || null });
+      this.dependencies.set(id, new Set());
+      this.dependents.set(id, new Set());
+    });
+
+    tokens.forEach((token, id) => {
+      const references = [...new Set(this.resolver.getReferences(token.value))];
+
+      references.forEach(reference => {
+        const target = this.resolver.findToken(reference);
+        if (!target || !this.nodes.has(target.path)) {
+          this.missing.push({ from: id, reference });
+          return;
+        }
+        this.edges.push({ from: id, to: target.path, reference });
+        this.dependencies.get(id).add(target.path);
+        this.dependents.get(target.path).add(id);
+      });
+    });
+  }
+
+  /**
+   * The set a token belongs to and its path within that set
+   */
+  locate(id) {
+    const [first, ...rest] = id.split('.');
+    if (rest.length > 0 && this.sets.includes(first)) {
+      return { set: first, path: rest.join('.') };
+    }
+    return { set: this.provenance[id]?.set || null, path: id };
+  }
+
+  /**
+   * Tokens a token references
+   */
+  getDependencies(id) {
+    return [...(this.dependencies.get(id) || [])];
+  }
+
+  /**
+   * Tokens referencing a token
+   */
+  getDependents(id) {
+    return [...(this.dependents.get(id) || [])];
+  }
+
+  /**
+   * Every reference cycle once, as the chain of tokens in reference order
+   */
+  findCycles() {
+    const state = new Map();
+    const stack = [];
+    const cycles = [];
+    const seen = new Set();
+
+    const visit = (id) => {
+      state.set(id, 'visiting');
+      stack.push(id);
+
+      this.getDependencies(id).forEach(target => {
+        if (state.get(target) === 'visiting') {
+          const cycle = stack.slice(stack.indexOf(target));
+          const key = [...cycle].sort().join('|');
+          if (!seen.has(key)) {
+            seen.add(key);
+            cycles.push(cycle);
+          }
+        } else if (!state.has(target)) {
+          visit(target);
+        }
+      });
+
+      stack.pop();
+      state.set(id, 'done');
+    };
+
+    this.nodes.forEach((node, id) => {
+      if (!state.has(id)) visit(id);
+    });
+    return cycles;
+  }
+
+  /**
+   * References from a set a Token Studio theme uses into a set it disables,
+   * when none of the theme's own sets defines the token
+   * Returns [{ from, to, reference, set, themes }]
+   */
+  findDisabledReferences() {
+    const themes = Array.isArray(this.tokens.$themes) ? this.tokens.$themes : [];
+    const found = new Map();
+
+    themes.forEach(theme => {
+      const active = this.sets.filter(set => ['enabled', 'source'].includes(theme.selectedTokenSets?.[set]));
+      const themeResolver = new TokenResolver(mergeThemeSets(this.tokens, theme), { sets: this.sets });
+
+      this.edges.forEach(({ from, to, reference }) => {
+        const { set: fromSet } = this.nodes.get(from);
+        const { set: toSet } = this.nodes.get(to);
+        if (!active.includes(fromSet) || !toSet || active.includes(toSet)) return;
+
+        // A set-relative reference may still find the token in one of the theme's sets
+        const qualified = this.sets.includes(reference.split('.')[0]);
+        if (!qualified && themeResolver.findToken(reference)) return;
+
+        const key = `${from}|${reference}`;
+        if (!found.has(key)) found.set(key, { from, to, reference, set: toSet, themes: [] });
+        found.get(key).themes.push(theme.name || theme.id);
+      });
+    });
+
+    return [...found.values()];
+  }
+
+  /**
+   * Tokens of the given sets that reference nothing (dangling references
+   * count as references) and nothing references
+   */
+  findOrphans(sets) {
+    const dangling = new Set(this.missing.map(({ from }) => from));
+
+    return [...this.nodes.values()]
+      .filter(node => sets.includes(node.set) && !dangling.has(node.id))
+      .filter(node => this.dependencies.get(node.id).size === 0 && this.dependents.get(node.id).size === 0)
+      .map(node => node.id);
+  }
+
+  /**
+   * Nodes grouped by set, in set order (tokens without a set last)
+   */
+  getClusters() {
+    const clusters = new Map();
+    this.nodes.forEach(node => {
+      if (!clusters.has(node.set)) clusters.set(node.set, []);
+      clusters.get(node.set).push(node);
+    });
+
+    const order = [...this.sets, ...[...clusters.keys()].filter(set => !this.sets.includes(set))];
+    return [...clusters.entries()].sort(([a], [b]) => order.indexOf(a) - order.indexOf(b));
+  }
+
+  toJSON() {
+    return JSON.stringify({
+      nodes: [...this.nodes.values()],
+      edges: this.edges,
+      missing: this.missing,
+      cycles: this.findCycles()
+    }, null, 2) + '\n';
+  }
+
+  /**
+   * Graphviz DOT, one cluster per set, dangling references as dashed red nodes
+   */
+  toDOT() {
+    const quote = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    const lines = ['digraph tokens {', '  rankdir=LR;', '  node [shape=box, style=rounded, fontname="Helvetica"];'];
+
+    this.getClusters().forEach(([set, nodes]) => {
+      const declarations = nodes.map(node => `${quote(node.id)} [label=${quote(node.path)}];`);
+      if (!set) {
+        lines.push(...declarations.map(line => `  ${line}`));
+        return;
+      }
+      lines.push(`  subgraph ${quote(`cluster_${set}`)} {`, `    label=${quote(set)};`, ...declarations.map(line => `    ${line}`), '  }');
+    });
+
+    this.edges.forEach(({ from, to }) => lines.push(`  ${quote(to)} -> ${quote(from)};`));
+    this.missing.forEach(({ from, reference }) => {
+      lines.push(`  ${quote(`{${reference}}`)} [color=red, fontcolor=red, style="rounded,dashed"];`);
+      lines.push(`  ${quote(`{${reference}}`)} -> ${quote(from)} [color=red, style=dashed];`);
+    });
+
+    lines.push('}');
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Mermaid flowchart, one subgraph per set, dangling references styled as missing
+   */
+  toMermaid() {
+    const ids = new Map([...this.nodes.keys()].map((id, index) => [id, `t${index}`]));
+    const label = (text) => `["${String(text).replace(/"/g, '#quot;')}"]`;
+    const lines = ['flowchart LR'];
+
+    this.getClusters().forEach(([set, nodes]) => {
+      const declarations = nodes.map(node => `${ids.get(node.id)}${label(node.path)}`);
+      if (!set) {
+        lines.push(...declarations.map(line => `  ${line}`));
+        return;
+      }
+      lines.push(`  subgraph set_${set.replace(/[^\w-]/g, '_')}${label(set)}`, ...declarations.map(line => `    ${line}`), '  end');
+    });
+
+    this.edges.forEach(({ from, to }) => lines.push(`  ${ids.get(to)} --> ${ids.get(from)}`));
+    this.missing.forEach(({ from, reference }, index) => {
+      lines.push(`  missing${index}${label(`{${reference}}`)}:::missing -.-> ${ids.get(from)}`);
+    });
+    if (this.missing.length > 0) {
+      lines.push('  classDef missing stroke:#dc2626,color:#dc2626,stroke-dasharray:4');
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Export in one of GRAPH_FORMATS
+   */
+  format(format) {
+    switch (format) {
+      case 'dot':
+        return this.toDOT();
+      case 'mermaid':
+        return this.toMermaid();
+      case 'json':
+        return this.toJSON();
+      default:
+        throw new Error(`Unknown graph format "${format}". Use one of: ${GRAPH_FORMATS.join(', ')}`);
+    }
+  }
+}
@@ -0,0 +1,268 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { glob, hasMagic } from 'glob';
+import { isTokenSet, mergeTokenSets, getTokenSetOrder, walkTokens } from '../utils/token-sets.js';
+import { getJsonLocations, getTokenLocation } from '../utils/source-map.js';
+
+/**
+ * Token file loader
+ * Reads tokens.input as a single file, a glob or an ordered array of files.
+ * Multiple files are treated as Token Studio sets (one set per file, named
+ * after its path) and merged in $metadata.tokenSetOrder, later sets winning.
+ * Every token keeps provenance: the file and set it came from, and the line
+ * and column of its value in that file
+ */
+export class TokenLoader {
+  constructor(options = {}) {
+    this.cwd = options.cwd || process.cwd();
+  }
+
+  /**
+   * Expand tokens.input into a list of absolute file paths
+   */
+  async resolveFiles(input) {
+    const patterns = [].concat(input || 'tokens.json');
+    const files = [];
+
+    for (const pattern of patterns) {
+      if (hasMagic(pattern, { windowsPathsNoEscape: true })) {
+        const matches = await glob(pattern, { cwd: this.cwd, absolute: true, nodir: true });
+        if (matches.length === 0) {
+          throw new Error(`No token files match: ${pattern}`);
+        }
+        files.push(...matches.sort());
+      } else {
+        const file = path.resolve(this.cwd, pattern);
+        if (!await fs.pathExists(file)) {
+          throw new Error(`Tokens file not found: ${file}`);
+        }
+        files.push(file);
+      }
+    }
+
+    return [...new Set(files)];
+  }
+
+  /**
+   * Check if an input names several set files rather than one tokens file
+   */
+  isMultiFile(input) {
+    return Array.isArray(input) || hasMagic(input || '', { windowsPathsNoEscape: true });
+  }
+
+  /**
+   * Name a set after its file path relative to the token directory
+   * (tokens/brand/x.json → brand/x), the way Token Studio names synced sets
+   */
+  getSetName(file, baseDir) {
+    return path.relative(baseDir, file)
+      .replace(/\.json$/i, '')
+      .split(path.sep)
+      .join('/');
+  }
+
+  /**
+   * Load tokens.input
+   * Returns { tokens, files, provenance, sets, sources } where provenance maps
+   * token paths (both set-qualified and set-relative) to { file, set, line, column },
+   * sets maps each set file's name to { file, content } (null for a single
+   * file) and sources maps each relative file path to its text
+   */
+  async load(input) {
+    const files = await this.resolveFiles(input);
+
+    if (!this.isMultiFile(input)) {
+      const file = this.relative(files[0]);
+      const { content: tokens, text, locations } = await this.readFile(files[0]);
+      return {
+        tokens,
+        files,
+        provenance: this.getFileProvenance(tokens, file, locations),
+        sets: null,
+        sources: { [file]: text }
+      };
+    }
+
+    return this.loadSets(files);
+  }
+
+  /**
+   * Read and parse a token file, locating every key in it
+   */
+  async readFile(file) {
+    const text = await fs.readFile(file, 'utf8');
+
+    try {
+      const content = JSON.parse(text.replace(/^\uFEFF/, ''));
+      return { content, text, locations: getJsonLocations(text.replace(/^\uFEFF/, '')) };
+    } catch (error) {
+      throw new Error(`Failed to read token file ${this.relative(file)}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Merge one file per set into a single tree
+   * With $themes the sets stay keyed by name so each theme can pick its own;
+   * otherwise they are merged in set order into one tree of categories
+   */
+  async loadSets(files) {
+    const baseDir = this.getBaseDir(files);
+    const sets = {};
+    const setFiles = {};
+    const contents = {};
+    const setLocations = {};
+    const sources = {};
+    let themes = [];
+    let metadata = {};
+
+    for (const file of files) {
+      const name = this.getSetName(file, baseDir);
+      const { content, text, locations } = await this.readFile(file);
+      sources[this.relative(file)] = text;
+
+      // Token Studio multi-file sync keeps themes and set order in their own files
+      if (name === '$themes') {
+        themes = content;
+      } else if (name === '$metadata') {
+        metadata = content;
+      } else {
+        const { $themes, $metadata, ...set } = content;
+        if (Array.isArray($themes) && $themes.length > 0) themes = $themes;
+        if ($metadata) metadata = { ...$metadata, ...metadata };
+        sets[name] = set;
+        setFiles[name] = this.relative(file);
+        contents[name] = content;
+        setLocations[name] = locations;
+      }
+    }
+
+    // Configured order first, then any remaining sets in file order
+    const configuredOrder = (metadata.tokenSetOrder || []).filter(name => sets[name]);
+    const order = [...configuredOrder, ...Object.keys(sets).filter(name => !configuredOrder.includes(name))];
+
+    const provenance = {};
+    order.forEach(set => {
+      walkTokens(sets[set], (tokenPath) => {
+        const source = { file: setFiles[set], set, ...getTokenLocation(setLocations[set], tokenPath) };
+        provenance[`${set}.${tokenPath}`] = source;
+        provenance[tokenPath] = source;
+      });
+    });
+
+    const $metadata = { ...metadata, tokenSetOrder: order };
+    const tokens = Array.isArray(themes) && themes.length > 0
+      ? { ...Object.fromEntries(order.map(set => [set, sets[set]])), $themes: themes, $metadata }
+      : { ...order.reduce((tree, set) => mergeTokenSets(tree, sets[set]), {}), $metadata };
+
+    const loadedSets = Object.fromEntries(order.map(set => [set, { file: setFiles[set], content: contents[set] }]));
+    return { tokens, files, provenance, sets: loadedSets, sources };
+  }
+
+  /**
+   * The tree to edit before saving: the single file as-is, or every set file
+   * keyed by set name (in set order) so edits land in the file they belong to
+   */
+  getEditableTree(loaded) {
+    if (!loaded.sets) return loaded.tokens;
+
+    const order = Object.keys(loaded.sets);
+    return {
+      ...Object.fromEntries(order.map(set => [set, this.getSetTokens(loaded.sets[set].content)])),
+      $metadata: { tokenSetOrder: order }
+    };
+  }
+
+  /**
+   * Write an edited tree (see getEditableTree) back to the files it was loaded from
+   * Returns the relative paths of the files that changed
+   */
+  async save(tree, loaded) {
+    if (!loaded.sets) {
+      if (JSON.stringify(tree) === JSON.stringify(loaded.tokens)) return [];
+      await fs.writeJSON(loaded.files[0], tree, { spaces: 2 });
+      return [this.relative(loaded.files[0])];
+    }
+
+    const written = [];
+    for (const [set, { file, content }] of Object.entries(loaded.sets)) {
+      const { $themes, $metadata } = content;
+      if (JSON.stringify(tree[set]) === JSON.stringify(this.getSetTokens(content))) continue;
+
+      const updated = {
+        ...tree[set],
+        ...($themes !== undefined && { $themes }),
+        ...($metadata !== undefined && { $metadata })
+      };
+      await fs.writeJSON(path.resolve(this.cwd, file), updated, { spaces: 2 });
+      written.push(file);
+    }
+    return written;
+  }
+
+  /**
+   * A set file's tokens, without the $themes and $metadata it may carry
+   */
+  getSetTokens(content) {
+    return Object.fromEntries(Object.entries(content).filter(([key]) => !['$themes', '$metadata'].includes(key)));
+  }
+
+  /**
+   * Record the file (and set, for Token Studio set wrappers) of every token in
+   * one file, with its location when the file's locations are known
+   */
+  getFileProvenance(tokens, file, locations = {}) {
+    const provenance = {};
+    const setOrder = getTokenSetOrder(tokens);
+    const topLevel = Object.keys(tokens).filter(key => !key.startsWith('$'));
+    const sets = [
+      ...setOrder.filter(key => topLevel.includes(key)),
+      ...topLevel.filter(key => !setOrder.includes(key))
+    ];
+
+    sets.forEach(key => {
+      if (isTokenSet(tokens, key)) {
+        walkTokens(tokens[key], (tokenPath) => {
+          const source = { file, set: key, ...getTokenLocation(locations, `${key}.${tokenPath}`) };
+          provenance[`${key}.${tokenPath}`] = source;
+          provenance[tokenPath] = source;
+        });
+      } else {
+        walkTokens({ [key]: tokens[key] }, (tokenPath) => {
+          provenance[tokenPath] = { file, set: null, ...getTokenLocation(locations, tokenPath) };
+        });
+      }
+    });
+
+    return provenance;
+  }
+
+  /**
+   * Deepest directory shared by every file
+   */
+  getBaseDir(files) {
+    const dirs = files.map(file => path.dirname(file).split(path.sep));
+    const common = [];
+
+    for (const [index, segment] of dirs[0].entries()) {
+      if (!dirs.every(dir => dir[index] === segment)) break;
+      common.push(segment);
+    }
+
+    return common.join(path.sep) || path.sep;
+  }
+
+  /**
+   * Path relative to the working directory, with forward slashes
+   */
+  relative(file) {
+    return path.relative(this.cwd, file).split(path.sep).join('/');
+  }
+}
+
+/**
+ * Format a provenance entry for messages: "tokens/core.json › core"
+ */
+export function formatSource(source) {
+  if (!source) return '';
+  return source.set ? `${source.file} › ${source.set}` : source.file;
+}
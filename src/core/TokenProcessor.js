@@ -1,10 +1,30 @@
-import fs from 'fs-extra';
-import path from 'path';
 import chokidar from 'chokidar';
 import { loadConfig } from '../utils/config.js';
 import { TokenValidator } from './TokenValidator.js';
 import { FileGenerator } from './FileGenerator.js';
 import { GitManager } from './GitManager.js';
+import { TokenResolver } from './TokenResolver.js';
+import { TokenLoader } from './TokenLoader.js';
+import {
+  normalizeTokens, formatCompositeValue, isTypographyValue, normalizeTypography
+} from '../utils/token-formats.js';
+import {
+  CATEGORY_GROUPS, isTokenGroup, mergeTokenSets, getTokenSetOrder, getCategoryTree, mergeThemeSets, inferCategoryType
+} from '../utils/token-sets.js';
+import { collectDeprecations } from '../utils/deprecations.js';
+
+// Categories with dedicated extractors, and the token type each one holds
+const BUILT_IN_CATEGORY_TYPES = {
+  colors: 'color',
+  spacing: 'dimension',
+  typography: 'typography',
+  borderRadius: 'dimension',
+  shadows: 'shadow',
+  opacity: 'number',
+  zIndex: 'number',
+  transitions: 'transition',
+  breakpoints: 'dimension'
+};
 
 /**
  * Core token processing engine
@@ -15,6 +35,10 @@ export class TokenProcessor {
     this.options = options;
     this.config = null;
     this.tokens = null;
+    this.rawTokens = null;
+    this.resolver = null;
+    this.provenance = {};
+    this.files = [];
     this.isLoading = false;
     this.watcher = null;
     this.validator = new TokenValidator(options);
@@ -31,7 +55,7 @@ export class TokenProcessor {
   }
 
   /**
-   * Load and parse tokens from the configured input file
+   * Load and parse tokens from the configured input (a file, glob or array of set files)
    */
   async loadTokens(forceReload = false) {
     if (this.tokens && !forceReload) {
@@ -53,16 +77,12 @@ export class TokenProcessor {
         await this.init();
       }
 
-      const tokensPath = path.resolve(this.config.tokens.input);
-      
-      if (!await fs.pathExists(tokensPath)) {
-        throw new Error(`Tokens file not found: ${tokensPath}`);
-      }
-
-      const rawTokens = await fs.readJSON(tokensPath);
+      const { tokens: rawTokens, files, provenance } = await new TokenLoader().load(this.config.tokens.input);
       this.tokens = this.transformTokens(rawTokens);
+      this.files = files;
+      this.provenance = provenance;
       
-      console.log(`✅ Design tokens loaded from: ${tokensPath}`);
+      console.log(`✅ Design tokens loaded from: ${files.join(', ')}`);
       return this.tokens;
 
     } catch (error) {
@@ -77,16 +97,22 @@ export class TokenProcessor {
    * Transform raw tokens into standardized format
    */
   transformTokens(rawTokens) {
+    // DTCG files ($value/$type) are normalized to the same shape as Token Studio
+    rawTokens = normalizeTokens(rawTokens);
+    this.rawTokens = rawTokens;
+    this.resolver = new TokenResolver(rawTokens, { sets: getTokenSetOrder(rawTokens) });
+
+    // With Token Studio themes, the default theme provides the base values
+    const themes = this.transformThemes(rawTokens);
+    const defaultTheme = themes.find(theme => theme.isDefault);
+
+    const categories = defaultTheme ? defaultTheme.tokens : this.extractCategories(this.resolver.resolve());
+
     const transformed = {
-      colors: this.extractColors(rawTokens),
-      spacing: this.extractSpacing(rawTokens),
-      typography: this.extractTypography(rawTokens),
-      borderRadius: this.extractBorderRadius(rawTokens),
-      shadows: this.extractShadows(rawTokens),
-      opacity: this.extractOpacity(rawTokens),
-      zIndex: this.extractZIndex(rawTokens),
-      transitions: this.extractTransitions(rawTokens),
-      breakpoints: this.extractBreakpoints(rawTokens),
+      ...categories,
+      categoryTypes: this.getCategoryTypes(rawTokens, categories),
+      deprecations: this.getDeprecations(rawTokens),
+      themes,
       source: 'tokens.json',
       lastLoaded: new Date().toISOString()
     };
@@ -94,6 +120,165 @@ export class TokenProcessor {
     return transformed;
   }
 
+  /**
+   * Extract every category from a resolved token tree
+   * Built-in categories go through their extractors; any other group (sizing,
+   * elevation, motion...) is flattened and passed through under its own name
+   */
+  extractCategories(resolvedTokens) {
+    const tree = this.getCategoryTree(resolvedTokens);
+    const categories = {
+      colors: this.extractColors(tree),
+      spacing: this.extractSpacing(tree),
+      typography: this.extractTypography(tree),
+      borderRadius: this.extractBorderRadius(tree),
+      shadows: this.extractShadows(tree),
+      opacity: this.extractOpacity(tree),
+      zIndex: this.extractZIndex(tree),
+      transitions: this.extractTransitions(tree),
+      breakpoints: this.extractBreakpoints(tree)
+    };
+
+    Object.entries(tree).forEach(([name, group]) => {
+      if (CATEGORY_GROUPS.includes(name) || !this.isTokenGroup(group)) return;
+
+      // Groups of composite typography tokens become text styles
+      const [textStyles, values] = this.splitTextStyles(this.flattenTokenCategory(group), name);
+      if (Object.keys(textStyles).length > 0) {
+        categories.typography.textStyles = { ...categories.typography.textStyles, ...textStyles };
+      }
+      if (Object.keys(values).length > 0 || Object.keys(textStyles).length === 0) {
+        categories[name] = values;
+      }
+    });
+
+    // Categories that are missing and have no default are left out entirely
+    return Object.fromEntries(Object.entries(categories).filter(([, values]) => values !== undefined));
+  }
+
+  /**
+   * Merge Token Studio set wrappers (core, semantic, sets named in $themes, or
+   * any top-level group holding built-in categories) into one tree of categories
+   */
+  getCategoryTree(tokens) {
+    return getCategoryTree(tokens);
+  }
+
+  /**
+   * Check if a node is a group of tokens rather than a token or a plain value
+   */
+  isTokenGroup(node) {
+    return isTokenGroup(node);
+  }
+
+  /**
+   * Map each output category to the token type it holds (color, dimension,
+   * shadow...) so generators can render categories they have no special case for
+   */
+  getCategoryTypes(rawTokens, categories) {
+    const tree = this.getCategoryTree(rawTokens);
+
+    return Object.fromEntries(Object.keys(categories).map(name => [
+      name,
+      BUILT_IN_CATEGORY_TYPES[name] || (tree[name] ? inferCategoryType(tree[name]) : 'other')
+    ]));
+  }
+
+  /**
+   * Map deprecated tokens by category and flat key ({ colors: { 'primary-500': deprecation } }),
+   * the keys generators flatten category values to, so they can mark them
+   */
+  getDeprecations(rawTokens) {
+    const deprecations = {};
+
+    Object.entries(collectDeprecations(rawTokens)).forEach(([tokenPath, deprecation]) => {
+      const [category, ...rest] = tokenPath.split('.');
+      if (rest.length === 0) return;
+      deprecations[category] = { ...deprecations[category], [rest.join('-')]: deprecation };
+    });
+
+    return deprecations;
+  }
+
+  /**
+   * Check if fallback values may be injected for a missing category
+   * (tokens.defaults: true, false or { shadows: false, ... })
+   */
+  useDefaults(category) {
+    const defaults = this.config?.tokens?.defaults ?? true;
+    return typeof defaults === 'object' ? defaults[category] !== false : defaults;
+  }
+
+  /**
+   * Turn each Token Studio theme ($themes) into its own resolved token set
+   */
+  transformThemes(rawTokens) {
+    if (!Array.isArray(rawTokens.$themes) || rawTokens.$themes.length === 0) {
+      return [];
+    }
+
+    const themeConfig = this.config?.tokens?.themes || {};
+    const names = rawTokens.$themes.map(theme => this.getThemeName(theme));
+    const defaultName = names.includes(themeConfig.default) ? themeConfig.default : names[0];
+
+    return rawTokens.$themes.map((theme, index) => ({
+      name: names[index],
+      colorScheme: this.getThemeColorScheme(names[index], themeConfig.colorScheme),
+      isDefault: names[index] === defaultName,
+      tokens: this.extractCategories(this.resolveTheme(rawTokens, theme))
+    }));
+  }
+
+  /**
+   * Merge a theme's enabled and source sets (in token set order) and resolve them
+   */
+  resolveTheme(rawTokens, theme) {
+    const merged = mergeThemeSets(rawTokens, theme);
+
+    try {
+      return new TokenResolver(merged, { sets: this.getTokenSetOrder(rawTokens) }).resolve();
+    } catch (error) {
+      throw new Error(`Theme "${theme.name}": ${error.message}`);
+    }
+  }
+
+  /**
+   * Get token set order from $metadata, falling back to document order
+   */
+  getTokenSetOrder(rawTokens) {
+    return getTokenSetOrder(rawTokens);
+  }
+
+  /**
+   * Deep-merge a token set into a tree; later tokens replace earlier ones
+   */
+  mergeTokenSets(target, source) {
+    return mergeTokenSets(target, source);
+  }
+
+  /**
+   * Normalize a Token Studio theme name for use as a [data-theme] value
+   */
+  getThemeName(theme) {
+    return String(theme.name || theme.id || 'theme')
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * Map a theme to a prefers-color-scheme value (light/dark) if it has one
+   */
+  getThemeColorScheme(name, colorSchemeConfig = {}) {
+    const configured = Object.entries(colorSchemeConfig).find(([, themeName]) => themeName === name);
+    if (configured) return configured[0];
+
+    if (name.includes('dark')) return 'dark';
+    if (name.includes('light')) return 'light';
+    return null;
+  }
+
   /**
    * Extract color tokens from raw data
    */
@@ -144,15 +329,28 @@ export class TokenProcessor {
     };
 
     const typoData = rawTokens.core?.typography || rawTokens.typography || {};
+    const textStyles = {};
     
-    Object.keys(typography).forEach(category => {
-      if (typoData[category]) {
-        typography[category] = this.flattenTokenCategory(typoData[category]);
+    Object.keys(typoData).forEach(category => {
+      if (typography[category] || this.isTokenGroup(typoData[category])) {
+        const [styles, values] = this.splitTextStyles(this.flattenTokenCategory(typoData[category]), category);
+        Object.assign(textStyles, styles);
+        if (Object.keys(values).length > 0 || Object.keys(styles).length === 0) {
+          typography[category] = values;
+        }
+      } else {
+        // A composite typography token directly under typography (typography.body)
+        const [styles] = this.splitTextStyles(this.flattenTokenCategory({ [category]: typoData[category] }));
+        Object.assign(textStyles, styles);
       }
     });
 
+    if (Object.keys(textStyles).length > 0) {
+      typography.textStyles = textStyles;
+    }
+
     // Provide defaults if empty
-    if (Object.keys(typography.fontFamily).length === 0) {
+    if (Object.keys(typography.fontFamily).length === 0 && this.useDefaults('typography')) {
       typography.fontFamily = {
         sans: 'Inter, system-ui, sans-serif',
         mono: 'Fira Code, monospace'
@@ -162,6 +360,26 @@ export class TokenProcessor {
     return typography;
   }
 
+  /**
+   * Separate composite typography values ({ fontFamily, fontSize, ... }) from
+   * plain values, naming each text style after its group (heading + 1 → heading-1)
+   */
+  splitTextStyles(values, group = '') {
+    const textStyles = {};
+    const rest = {};
+    const prefix = group && group !== 'textStyles' ? `${group}-` : '';
+
+    Object.entries(values).forEach(([key, value]) => {
+      if (isTypographyValue(value)) {
+        textStyles[`${prefix}${key}`] = normalizeTypography(value);
+      } else {
+        rest[key] = value;
+      }
+    });
+
+    return [textStyles, rest];
+  }
+
   /**
    * Extract border radius tokens
    */
@@ -178,63 +396,78 @@ export class TokenProcessor {
   }
 
   /**
-   * Extract other token categories with defaults
+   * Extract other token categories, falling back to defaults unless disabled
    */
   extractShadows(rawTokens) {
-    return this.extractTokenCategory(rawTokens, 'shadows') || {
+    return this.extractTokenCategory(rawTokens, 'shadows') || this.getDefaults('shadows', {
       sm: '0 1px 2px 0 rgb(0 0 0 / 0.05)',
       md: '0 4px 6px -1px rgb(0 0 0 / 0.1)',
       lg: '0 10px 15px -3px rgb(0 0 0 / 0.1)',
       xl: '0 20px 25px -5px rgb(0 0 0 / 0.1)'
-    };
+    });
   }
 
   extractOpacity(rawTokens) {
-    return this.extractTokenCategory(rawTokens, 'opacity') || {
+    return this.extractTokenCategory(rawTokens, 'opacity') || this.getDefaults('opacity', {
       '0': '0',
       '25': '0.25',
       '50': '0.5',
       '75': '0.75',
       '100': '1'
-    };
+    });
   }
 
   extractZIndex(rawTokens) {
-    return this.extractTokenCategory(rawTokens, 'zIndex') || {
+    return this.extractTokenCategory(rawTokens, 'zIndex') || this.getDefaults('zIndex', {
       auto: 0,
       base: 1,
       dropdown: 1000,
       modal: 1040,
       popover: 1050,
       tooltip: 1060
-    };
+    });
   }
 
   extractTransitions(rawTokens) {
-    return {
-      duration: this.extractTokenCategory(rawTokens, 'transitionDuration') || {
+    const duration = this.extractTokenCategory(rawTokens, 'transitionDuration') ||
+      this.flattenTokenCategory(rawTokens.transitions?.duration || {});
+    const easing = this.extractTokenCategory(rawTokens, 'transitionEasing') ||
+      this.flattenTokenCategory(rawTokens.transitions?.easing || {});
+
+    const transitions = {
+      duration: Object.keys(duration).length > 0 ? duration : this.getDefaults('transitions', {
         fast: '150ms',
         normal: '300ms',
         slow: '500ms'
-      },
-      easing: this.extractTokenCategory(rawTokens, 'transitionEasing') || {
+      }),
+      easing: Object.keys(easing).length > 0 ? easing : this.getDefaults('transitions', {
         linear: 'linear',
         ease: 'ease',
         'ease-in': 'ease-in',
         'ease-out': 'ease-out',
         'ease-in-out': 'ease-in-out'
-      }
+      })
     };
+
+    if (!transitions.duration && !transitions.easing) return undefined;
+    return Object.fromEntries(Object.entries(transitions).filter(([, values]) => values !== undefined));
   }
 
   extractBreakpoints(rawTokens) {
-    return this.extractTokenCategory(rawTokens, 'breakpoints') || {
+    return this.extractTokenCategory(rawTokens, 'breakpoints') || this.getDefaults('breakpoints', {
       sm: '640px',
       md: '768px',
       lg: '1024px',
       xl: '1280px',
       '2xl': '1536px'
-    };
+    });
+  }
+
+  /**
+   * Return fallback values for a missing category, or undefined when disabled
+   */
+  getDefaults(category, values) {
+    return this.useDefaults(category) ? values : undefined;
   }
 
   /**
@@ -256,11 +489,13 @@ export class TokenProcessor {
     const flattened = {};
     
     Object.entries(obj).forEach(([key, value]) => {
+      if (key.startsWith('$')) return;
       const newKey = prefix ? `${prefix}-${key}` : key;
       
-      if (value && typeof value === 'object' && value.value !== undefined) {
-        // Token Studio format with .value
-        flattened[newKey] = this.resolveTokenValue(value.value);
+      if (value && typeof value === 'object' && (value.value !== undefined || value.$value !== undefined)) {
+        // Token Studio format with .value (or DTCG $value); composites become CSS strings
+        const tokenValue = value.$value !== undefined ? value.$value : value.value;
+        flattened[newKey] = formatCompositeValue(this.resolveTokenValue(tokenValue), value.type || value.$type);
       } else if (value && typeof value === 'object' && !Array.isArray(value)) {
         // Nested structure
         Object.assign(flattened, this.flattenTokenCategory(value, newKey));
@@ -274,15 +509,21 @@ export class TokenProcessor {
   }
 
   /**
-   * Resolve token references (e.g., {core.colors.primary.500})
+   * Resolve token references (e.g., {core.colors.primary.500}) against a raw
+   * token tree, defaulting to the most recently transformed tokens, then
+   * evaluate math ({spacing.4} * 2)
    */
-  resolveTokenValue(value) {
-    if (typeof value === 'string' && value.startsWith('{') && value.endsWith('}')) {
-      // This is a token reference - for now return as-is
-      // TODO: Implement full token resolution
-      return value;
+  resolveTokenValue(value, rawTokens = null) {
+    const resolver = rawTokens ? new TokenResolver(rawTokens) : this.resolver;
+
+    if (!resolver) {
+      if (new TokenResolver().getReferences(value).length > 0) {
+        throw new Error(`Cannot resolve token reference in "${value}": no tokens loaded`);
+      }
+      return new TokenResolver().evaluateValue(value);
     }
-    return value;
+
+    return resolver.evaluateValue(resolver.resolveValue(value));
   }
 
   /**
@@ -295,15 +536,15 @@ export class TokenProcessor {
       // Load tokens
       await this.loadTokens(true);
 
-      // Validate tokens
-      const validation = await this.validator.validate(this.tokens);
+      // Validate the raw tokens, exactly as `validate` does
+      const validation = await this.validator.validate(this.rawTokens, { provenance: this.provenance });
       if (!validation.isValid && !options.force) {
-        console.error('❌ Token validation failed:', validation.errors);
+        console.error('❌ Token validation failed:', validation.errors.map(error => this.validator.formatResult(error)));
         throw new Error('Token validation failed');
       }
 
       if (validation.warnings.length > 0) {
-        console.warn('⚠️ Token warnings:', validation.warnings);
+        console.warn('⚠️ Token warnings:', validation.warnings.map(warning => this.validator.formatResult(warning)));
       }
 
       // Generate output files
@@ -324,31 +565,36 @@ export class TokenProcessor {
   }
 
   /**
-   * Start watching tokens file for changes
+   * Start watching every token file for changes
    */
   async watch() {
     if (!this.config) {
       await this.init();
     }
 
-    const tokensPath = path.resolve(this.config.tokens.input);
+    // Globs are watched as-is so set files added later are picked up too
+    const tokensPaths = [].concat(this.config.tokens.input);
     
-    console.log(`👀 Watching for changes: ${tokensPath}`);
+    console.log(`👀 Watching for changes: ${tokensPaths.join(', ')}`);
 
-    this.watcher = chokidar.watch(tokensPath, {
+    this.watcher = chokidar.watch(tokensPaths, {
       ignored: this.config.watch.ignore,
       persistent: true,
       ignoreInitial: true
     });
 
-    this.watcher.on('change', async (path) => {
+    const onChange = async (path) => {
       console.log(`📝 Token file changed: ${path}`);
       try {
         await this.sync();
       } catch (error) {
         console.error('❌ Auto-sync failed:', error.message);
       }
-    });
+    };
+
+    this.watcher.on('change', onChange);
+    this.watcher.on('add', onChange);
+    this.watcher.on('unlink', onChange);
 
     this.watcher.on('error', (error) => {
       console.error('❌ Watch error:', error.message);
@@ -373,6 +619,10 @@ export class TokenProcessor {
    */
   refresh() {
     this.tokens = null;
+    this.rawTokens = null;
+    this.resolver = null;
+    this.provenance = {};
+    this.files = [];
   }
 
   /**
@@ -0,0 +1,302 @@
+import { evaluateExpression } from '../utils/token-math.js';
+import { applyColorModifier } from '../utils/color-modifiers.js';
+
+const REFERENCE_PATTERN = /\{([^{}]+)\}/g;
+const WHOLE_REFERENCE_PATTERN = /^\{([^{}]+)\}$/;
+
+/**
+ * Token reference resolver
+ * Resolves {alias} references across a raw token tree: dotted and short
+ * references, chained aliases and references embedded in composite values.
+ * Once references are resolved, math expressions are evaluated and Token
+ * Studio color modifiers applied
+ */
+export class TokenResolver {
+  constructor(tokens = {}, options = {}) {
+    this.tokens = tokens || {};
+    this.options = options;
+    this.cache = new Map();
+  }
+
+  /**
+   * Check if a node is a token (has a value or DTCG $value) rather than a group
+   */
+  isToken(node) {
+    return Boolean(node) && typeof node === 'object' && !Array.isArray(node) &&
+      (node.value !== undefined || node.$value !== undefined);
+  }
+
+  /**
+   * Get the key holding a token's value ('$value' for DTCG tokens)
+   */
+  getValueKey(token) {
+    return token.$value !== undefined ? '$value' : 'value';
+  }
+
+  /**
+   * Check if a value contains at least one {reference}
+   */
+  hasReference(value) {
+    return typeof value === 'string' && /\{[^{}]+\}/.test(value);
+  }
+
+  /**
+   * List every reference contained in a value
+   */
+  getReferences(value) {
+    if (typeof value === 'string') {
+      return [...value.matchAll(REFERENCE_PATTERN)].map(match => match[1].trim());
+    }
+    if (Array.isArray(value)) {
+      return value.flatMap(item => this.getReferences(item));
+    }
+    if (value && typeof value === 'object') {
+      return Object.values(value).flatMap(item => this.getReferences(item));
+    }
+    return [];
+  }
+
+  /**
+   * Get the top-level groups of the tree, skipping $themes, $metadata etc.
+   */
+  getGroups(node = this.tokens) {
+    return Object.entries(node).filter(([key, value]) =>
+      !key.startsWith('$') && value && typeof value === 'object' && !this.isToken(value)
+    );
+  }
+
+  /**
+   * Walk a dotted path from a node
+   */
+  getNode(node, segments) {
+    let current = node;
+    for (const segment of segments) {
+      if (!current || typeof current !== 'object' || current[segment] === undefined) {
+        return null;
+      }
+      current = current[segment];
+    }
+    return current;
+  }
+
+  /**
+   * Find the token a reference points to
+   *
+   * Lookup order:
+   *  1. Full path from the root ({core.colors.primary.500})
+   *  2. Set-qualified path into merged sets (options.sets)
+   *  3. Path relative to a top-level set ({colors.primary.500} → core.colors.primary.500)
+   *  4. Short single-segment reference inside a category ({3xl} → borderRadius.3xl)
+   */
+  findToken(reference) {
+    const segments = reference.split('.');
+
+    const direct = this.getNode(this.tokens, segments);
+    if (this.isToken(direct)) {
+      return { path: reference, token: direct };
+    }
+
+    // Set-qualified reference into a tree whose sets were already merged
+    const sets = this.options.sets || [];
+    if (segments.length > 1 && sets.includes(segments[0])) {
+      const node = this.getNode(this.tokens, segments.slice(1));
+      if (this.isToken(node)) {
+        return { path: segments.slice(1).join('.'), token: node };
+      }
+    }
+
+    for (const [groupName, group] of this.getGroups()) {
+      const node = this.getNode(group, segments);
+      if (this.isToken(node)) {
+        return { path: `${groupName}.${reference}`, token: node };
+      }
+    }
+
+    if (segments.length === 1) {
+      for (const [groupName, group] of this.getGroups()) {
+        if (this.isToken(group[reference])) {
+          return { path: `${groupName}.${reference}`, token: group[reference] };
+        }
+        for (const [categoryName, category] of this.getGroups(group)) {
+          if (this.isToken(category[reference])) {
+            return { path: `${groupName}.${categoryName}.${reference}`, token: category[reference] };
+          }
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve a single reference to its final value, following chained aliases
+   */
+  resolveReference(reference, trail = []) {
+    const match = this.findToken(reference.trim());
+
+    if (!match) {
+      const source = trail.length > 0 ? ` (referenced by ${trail[trail.length - 1]})` : '';
+      throw new Error(`Token reference {${reference.trim()}} not found${source}`);
+    }
+
+    const cycleStart = trail.indexOf(match.path);
+    if (cycleStart !== -1) {
+      const chain = [...trail.slice(cycleStart), match.path].join(' → ');
+      throw new Error(`Circular token reference: ${chain}`);
+    }
+
+    if (this.cache.has(match.path)) {
+      return this.cache.get(match.path);
+    }
+
+    const trailWithToken = [...trail, match.path];
+    const resolved = this.evaluateToken(
+      match.token,
+      this.resolveValue(match.token[this.getValueKey(match.token)], trailWithToken),
+      match.path,
+      trailWithToken
+    );
+    this.cache.set(match.path, resolved);
+    return resolved;
+  }
+
+  /**
+   * Resolve every reference inside a value
+   * A value that is a single reference takes the target's value as-is (it may
+   * be a number or a composite object); embedded references are interpolated
+   */
+  resolveValue(value, trail = []) {
+    if (typeof value === 'string') {
+      const whole = value.match(WHOLE_REFERENCE_PATTERN);
+      if (whole) {
+        return this.resolveReference(whole[1], trail);
+      }
+
+      return value.replace(REFERENCE_PATTERN, (match, reference) => {
+        const resolved = this.resolveReference(reference, trail);
+        return typeof resolved === 'object' ? JSON.stringify(resolved) : String(resolved);
+      });
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.resolveValue(item, trail));
+    }
+
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, this.resolveValue(item, trail)])
+      );
+    }
+
+    return value;
+  }
+
+  /**
+   * Evaluate math expressions in a resolved value, including inside composites
+   */
+  evaluateValue(value) {
+    if (typeof value === 'string') {
+      return evaluateExpression(value);
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.evaluateValue(item));
+    }
+
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, this.evaluateValue(item)])
+      );
+    }
+
+    return value;
+  }
+
+  /**
+   * Get a token's Token Studio color modifier, if any
+   */
+  getModifier(token) {
+    return token.$extensions?.['studio.tokens']?.modify || null;
+  }
+
+  /**
+   * Turn a token's resolved value into its final value: evaluate math, then
+   * apply its color modifier (whose value and color may be references too)
+   * Errors are tagged with the path of the token that failed to evaluate
+   */
+  evaluateToken(token, value, tokenPath, trail = [tokenPath]) {
+    const modify = this.getModifier(token);
+    const modifier = modify ? this.resolveValue(modify, trail) : null;
+
+    try {
+      const evaluated = this.evaluateValue(value);
+      return modifier
+        ? applyColorModifier(evaluated, { ...modifier, value: evaluateExpression(modifier.value) })
+        : evaluated;
+    } catch (error) {
+      const evaluationError = new Error(error.message);
+      evaluationError.kind = 'evaluation';
+      evaluationError.path = tokenPath;
+      throw evaluationError;
+    }
+  }
+
+  /**
+   * Resolve the whole tree
+   * Returns a copy with every token value resolved plus the list of failures
+   * ({ path, message, kind: 'reference' | 'evaluation' }); unresolvable tokens
+   * keep their raw value
+   */
+  resolveTree() {
+    const errors = [];
+
+    const walk = (node, pathSegments) => {
+      if (this.isToken(node)) {
+        const tokenPath = pathSegments.join('.');
+        const valueKey = this.getValueKey(node);
+        try {
+          const resolved = this.resolveValue(node[valueKey], [tokenPath]);
+          return { ...node, [valueKey]: this.evaluateToken(node, resolved, tokenPath) };
+        } catch (error) {
+          // A token that fails to evaluate is reported once, at its own path
+          const failure = { path: error.path || tokenPath, message: error.message, kind: error.kind || 'reference' };
+          if (!errors.some(existing => existing.path === failure.path && existing.message === failure.message)) {
+            errors.push(failure);
+          }
+          return { ...node };
+        }
+      }
+
+      if (Array.isArray(node)) {
+        return node.slice();
+      }
+
+      if (node && typeof node === 'object') {
+        return Object.fromEntries(
+          Object.entries(node).map(([key, child]) => [
+            key,
+            key.startsWith('$') ? child : walk(child, [...pathSegments, key])
+          ])
+        );
+      }
+
+      return node;
+    };
+
+    return { tokens: walk(this.tokens, []), errors };
+  }
+
+  /**
+   * Resolve the whole tree, throwing one error that lists every failure
+   */
+  resolve() {
+    const { tokens, errors } = this.resolveTree();
+
+    if (errors.length > 0) {
+      const details = errors.map(error => `  • ${error.path}: ${error.message}`).join('\n');
+      throw new Error(`Failed to resolve token references:\n${details}`);
+    }
+
+    return tokens;
+  }
+}
@@ -1,361 +1,289 @@
 import { loadConfig } from '../utils/config.js';
+import { TokenResolver } from './TokenResolver.js';
+import { TokenFixer } from './TokenFixer.js';
+import { TokenGraph } from './TokenGraph.js';
+import { BUILT_IN_RULES } from './rules.js';
+import { normalizeTokens, detectFormat } from '../utils/token-formats.js';
+import { validateColor } from '../utils/token-types.js';
+import { getCategoryTree, getTokenSetOrder, mergeThemeSets, isTokenSet } from '../utils/token-sets.js';
+import { importModule } from '../utils/modules.js';
+import { formatSource } from './TokenLoader.js';
+
+export const SEVERITIES = ['off', 'warning', 'error'];
 
 /**
  * Token validation engine
- * Validates design tokens structure, values, and consistency
- * Supports both flat format and Figma Token Studio format
+ * Runs ESLint-style rules (see rules.js) over design tokens, in flat or
+ * Figma Token Studio format. Rules are switched off, downgraded or
+ * configured under tokens.validation.rules; teams add their own through
+ * tokens.validation.customRules. Every problem is a structured result:
+ * { rule, severity, path, message, file, set, line, column, suggestion, fixable }
  */
 export class TokenValidator {
   constructor(options = {}) {
     this.options = options;
     this.config = null;
+    this.provenance = {};
+    this.rules = new Map();
+    this.customRulesLoaded = false;
+    BUILT_IN_RULES.forEach(rule => this.registerRule(rule));
   }
 
   async init() {
     if (!this.config) {
-      this.config = await loadConfig();
+      // The CLI passes the loaded config; the processor passes its own options
+      this.config = this.options.tokens ? this.options : await loadConfig(this.options.configPath);
+    }
+
+    if (!this.customRulesLoaded) {
+      this.customRulesLoaded = true;
+      for (const specifier of this.config.tokens?.validation?.customRules || []) {
+        await this.loadRules(specifier);
+      }
     }
   }
 
   /**
-   * Validate design tokens
+   * Register a rule, replacing any rule with the same id
    */
-  async validate(tokens) {
-    await this.init();
-    
-    const errors = [];
-    const warnings = [];
-    
-    // Validate structure
-    this.validateStructure(tokens, errors, warnings);
-    
-    // Validate required categories
-    this.validateRequiredCategories(tokens, errors, warnings);
-    
-    // Validate optional categories
-    this.validateOptionalCategories(tokens, errors, warnings);
-    
-    // Validate color values
-    this.validateColors(tokens, errors, warnings);
-    
-    // Validate spacing values
-    this.validateSpacing(tokens, errors, warnings);
-    
-    // Validate typography
-    this.validateTypography(tokens, errors, warnings);
-    
-    // Validate consistency
-    this.validateConsistency(tokens, errors, warnings);
+  registerRule(rule) {
+    if (!rule || typeof rule.id !== 'string' || typeof rule.check !== 'function') {
+      throw new Error('Invalid rule: expected { id, check(context) }');
+    }
+    if (rule.severity && !SEVERITIES.includes(this.normalizeSeverity(rule.severity))) {
+      throw new Error(`Invalid severity "${rule.severity}" for rule "${rule.id}"`);
+    }
 
-    return {
-      isValid: errors.length === 0,
-      errors,
-      warnings,
-      summary: {
-        totalCategories: this.countCategories(tokens),
-        validatedTokens: this.countTokens(tokens),
-        errorCount: errors.length,
-        warningCount: warnings.length
-      }
-    };
+    this.rules.set(rule.id, { severity: 'error', options: {}, ...rule });
+    return this;
   }
 
   /**
-   * Check if tokens are in Figma Token Studio format
+   * Load custom rules from a file or package
+   * The module exports a rule or an array of rules (default export or `rules`)
    */
-  isFigmaTokenStudioFormat(tokens) {
-    return tokens && (
-      tokens.core || 
-      tokens.semantic || 
-      tokens.$themes || 
-      tokens.$metadata
-    );
+  async loadRules(specifier, cwd) {
+    let module;
+    try {
+      module = await importModule(specifier, cwd);
+    } catch (error) {
+      throw new Error(`Failed to load validation rules "${specifier}": ${error.message}`);
+    }
+
+    const exported = module.default || module.rules;
+    const rules = Array.isArray(exported) ? exported : [exported].filter(Boolean);
+
+    if (rules.length === 0) {
+      throw new Error(`Validation rules "${specifier}" must export a rule or an array of rules`);
+    }
+    rules.forEach(rule => this.registerRule(rule));
+  }
+
+  normalizeSeverity(severity) {
+    return severity === 'warn' ? 'warning' : severity;
   }
 
   /**
-   * Extract tokens from Figma Token Studio format
+   * Severity and options of a rule: its defaults, overridden by
+   * tokens.validation.rules ("off" | "warn" | "error" | [severity, options])
    */
-  extractTokensFromFigmaFormat(tokens) {
-    const extracted = {};
-    
-    // Merge core and semantic tokens
-    if (tokens.core) {
-      Object.assign(extracted, tokens.core);
-    }
-    
-    if (tokens.semantic) {
-      // For semantic tokens, we need to be careful about merging
-      // Let's add them under a semantic prefix to avoid conflicts
-      Object.keys(tokens.semantic).forEach(category => {
-        if (extracted[category]) {
-          // Merge with existing category
-          Object.assign(extracted[category], tokens.semantic[category]);
-        } else {
-          // Add new category
-          extracted[category] = tokens.semantic[category];
-        }
-      });
-    }
-    
-    return extracted;
+  getRuleSettings(rule) {
+    const setting = this.config?.tokens?.validation?.rules?.[rule.id];
+    const [severity, options] = Array.isArray(setting) ? setting : [setting];
+
+    return {
+      severity: this.normalizeSeverity(severity || rule.severity),
+      options: { ...rule.options, ...options }
+    };
+  }
+
+  /**
+   * Rules that are not switched off, as { id, description, severity }
+   */
+  async getEnabledRules() {
+    await this.init();
+
+    return [...this.rules.values()]
+      .map(rule => ({ id: rule.id, description: rule.description || '', severity: this.getRuleSettings(rule).severity }))
+      .filter(rule => rule.severity !== 'off');
   }
 
   /**
-   * Validate basic structure
+   * Validate design tokens
+   * options.provenance maps token paths to the { file, set, line, column }
+   * they came from, which locates results about a specific token
    */
-  validateStructure(tokens, errors, warnings) {
+  async validate(tokens, options = {}) {
+    await this.init();
+    this.provenance = options.provenance || {};
+
     if (!tokens || typeof tokens !== 'object') {
-      errors.push('Tokens must be an object');
-      return;
+      const results = [this.createResult({ id: 'valid-structure' }, 'error', { message: 'Tokens must be an object' })];
+      return this.summarize(results, {});
     }
 
-    // Handle Figma Token Studio format
-    const isFigmaFormat = this.isFigmaTokenStudioFormat(tokens);
-    let tokensToValidate = tokens;
-    
-    if (isFigmaFormat) {
-      tokensToValidate = this.extractTokensFromFigmaFormat(tokens);
-      
-      // Validate Figma Token Studio specific structure
-      if (tokens.$themes && !Array.isArray(tokens.$themes)) {
-        warnings.push('$themes should be an array in Figma Token Studio format');
-      }
-      
-      if (tokens.$metadata && typeof tokens.$metadata !== 'object') {
-        warnings.push('$metadata should be an object in Figma Token Studio format');
-      }
+    const unknown = Object.keys(this.config?.tokens?.validation?.rules || {}).filter(id => !this.rules.has(id));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown validation rule${unknown.length === 1 ? '' : 's'} in tokens.validation.rules: ${unknown.join(', ')}`);
     }
 
-    // Check for colors category (now extracted from core/semantic if needed)
-    if (!tokensToValidate.colors) {
-      errors.push('Missing required token category: colors');
+    // DTCG files are checked in the same { value, type } shape as Token Studio
+    const format = detectFormat(tokens);
+    tokens = normalizeTokens(tokens);
+
+    // Resolve references once so values are checked after aliasing
+    const resolver = new TokenResolver(tokens, { sets: getTokenSetOrder(tokens) });
+    const { tokens: resolved, errors: resolveErrors } = resolver.resolveTree();
+
+    const shared = {
+      tokens,
+      format,
+      resolved,
+      rawCategories: getCategoryTree(tokens),
+      categories: getCategoryTree(resolved),
+      themes: this.resolveThemes(tokens),
+      graph: new TokenGraph(tokens, { provenance: this.provenance }),
+      resolveErrors,
+      failedExpressions: this.getFailedExpressions(tokens, resolveErrors),
+      config: this.config,
+      validator: this
+    };
+
+    const results = [];
+    for (const rule of this.rules.values()) {
+      const { severity, options: ruleOptions } = this.getRuleSettings(rule);
+      if (severity === 'off') continue;
+
+      await rule.check({
+        ...shared,
+        options: ruleOptions,
+        report: (problem) => results.push(this.createResult(rule, severity, problem))
+      });
     }
 
-    // Check for common typos or incorrect structures
-    const commonTypos = ['colour', 'color', 'spacings', 'typo', 'fonts'];
-    commonTypos.forEach(typo => {
-      if (tokensToValidate[typo] && !tokensToValidate[this.getCorrectCategory(typo)]) {
-        warnings.push(`Found "${typo}" - did you mean "${this.getCorrectCategory(typo)}"?`);
-      }
-    });
+    return this.summarize(results, tokens);
   }
 
   /**
-   * Validate required categories
+   * Category paths (set prefix dropped) of tokens whose math or color modifier
+   * failed, so value rules leave them to valid-expression
    */
-  validateRequiredCategories(tokens, errors, warnings) {
-    const required = this.config?.tokens?.validation?.required || ['colors'];
-    
-    // Extract tokens if in Figma format
-    const tokensToValidate = this.isFigmaTokenStudioFormat(tokens) 
-      ? this.extractTokensFromFigmaFormat(tokens) 
-      : tokens;
-    
-    required.forEach(category => {
-      if (!tokensToValidate[category] || Object.keys(tokensToValidate[category]).length === 0) {
-        errors.push(`Missing required token category: ${category}`);
-      }
-    });
-
-    // Specific color validation
-    if (tokensToValidate.colors) {
-      const requiredColorCategories = ['primary'];
-      requiredColorCategories.forEach(colorCategory => {
-        if (!tokensToValidate.colors[colorCategory] || Object.keys(tokensToValidate.colors[colorCategory]).length === 0) {
-          errors.push(`Missing required color category: colors.${colorCategory}`);
-        }
-      });
-    }
+  getFailedExpressions(tokens, resolveErrors) {
+    return new Set(resolveErrors
+      .filter(({ kind }) => kind === 'evaluation')
+      .map(({ path }) => {
+        const [first, ...rest] = path.split('.');
+        return rest.length > 0 && isTokenSet(tokens, first) ? rest.join('.') : path;
+      }));
   }
 
   /**
-   * Validate optional categories
+   * Resolve each Token Studio theme into its own category trees, with the
+   * sets it uses ([] without $themes); reference failures are left to valid-reference
    */
-  validateOptionalCategories(tokens, errors, warnings) {
-    const optional = this.config?.tokens?.validation?.optional || ['spacing', 'typography', 'borderRadius'];
-    
-    // Extract tokens if in Figma format
-    const tokensToValidate = this.isFigmaTokenStudioFormat(tokens) 
-      ? this.extractTokensFromFigmaFormat(tokens) 
-      : tokens;
-    
-    optional.forEach(category => {
-      if (!tokensToValidate[category]) {
-        warnings.push(`Optional token category not found: ${category}`);
-      }
+  resolveThemes(tokens) {
+    if (!Array.isArray(tokens.$themes)) return [];
+
+    const sets = getTokenSetOrder(tokens);
+    return tokens.$themes.map(theme => {
+      const rawCategories = mergeThemeSets(tokens, theme);
+      const { tokens: categories } = new TokenResolver(rawCategories, { sets }).resolveTree();
+      const themeSets = sets.filter(set => ['enabled', 'source'].includes(theme.selectedTokenSets?.[set]));
+      return { name: theme.name || theme.id, sets: themeSets, rawCategories, categories };
     });
   }
 
   /**
-   * Validate color values
+   * Build a result, located through provenance when it is about a token
+   * (rules checking one theme pass the set the token came from); rules
+   * report fixable: false for problems their fixer cannot repair
    */
-  validateColors(tokens, errors, warnings) {
-    // Extract tokens if in Figma format
-    const tokensToValidate = this.isFigmaTokenStudioFormat(tokens) 
-      ? this.extractTokensFromFigmaFormat(tokens) 
-      : tokens;
-      
-    if (!tokensToValidate.colors) return;
-
-    Object.entries(tokensToValidate.colors).forEach(([category, shades]) => {
-      if (!shades || typeof shades !== 'object') {
-        errors.push(`Invalid color category structure: colors.${category}`);
-        return;
-      }
+  createResult(rule, severity, { path = null, set = null, message, suggestion = null, fixable = true }) {
+    const source = path ? (set && this.provenance[`${set}.${path}`]) || this.provenance[path] : null;
 
-      Object.entries(shades).forEach(([shade, tokenData]) => {
-        // Handle both Token Studio format {value, type} and simple string values
-        const value = this.getTokenValue(tokenData);
-        
-        if (!this.isValidColor(value)) {
-          errors.push(`Invalid color value: colors.${category}.${shade} = "${value}"`);
-        }
+    return {
+      rule: rule.id,
+      severity,
+      path,
+      message,
+      file: source?.file || null,
+      set: source?.set || null,
+      line: source?.line ?? null,
+      column: source?.column ?? null,
+      suggestion,
+      fixable: typeof rule.fix === 'function' && fixable
+    };
+  }
 
-        // Check for common shade inconsistencies
-        if (this.isNumericShade(shade)) {
-          const shadeNum = parseInt(shade);
-          if (shadeNum < 50 || shadeNum > 950 || shadeNum % 50 !== 0) {
-            warnings.push(`Unusual shade value: colors.${category}.${shade} (consider using 50, 100, 200... 900, 950)`);
-          }
-        }
-      });
+  summarize(results, tokens) {
+    const errors = results.filter(result => result.severity === 'error');
+    const warnings = results.filter(result => result.severity === 'warning');
 
-      // Check for missing common shades
-      const hasNumericShades = Object.keys(shades).some(shade => this.isNumericShade(shade));
-      if (hasNumericShades) {
-        const commonShades = ['100', '200', '300', '400', '500', '600', '700', '800', '900'];
-        const missingShades = commonShades.filter(shade => !shades[shade]);
-        if (missingShades.length > 0) {
-          warnings.push(`Consider adding common shades to colors.${category}: ${missingShades.join(', ')}`);
-        }
+    return {
+      isValid: errors.length === 0,
+      results,
+      errors,
+      warnings,
+      summary: {
+        totalCategories: this.countCategories(tokens),
+        validatedTokens: this.countTokens(tokens),
+        errorCount: errors.length,
+        warningCount: warnings.length
       }
-    });
+    };
   }
 
   /**
-   * Validate spacing values
+   * Apply rule fixers to a copy of the raw tokens
+   * Returns { tokens, fixed } with the fixed tree and the results that were fixed
    */
-  validateSpacing(tokens, errors, warnings) {
-    // Extract tokens if in Figma format
-    const tokensToValidate = this.isFigmaTokenStudioFormat(tokens) 
-      ? this.extractTokensFromFigmaFormat(tokens) 
-      : tokens;
-      
-    if (!tokensToValidate.spacing) return;
-
-    Object.entries(tokensToValidate.spacing).forEach(([key, tokenData]) => {
-      const value = this.getTokenValue(tokenData);
-      
-      if (!this.isValidSpacing(value)) {
-        errors.push(`Invalid spacing value: spacing.${key} = "${value}"`);
-      }
+  async fix(tokens, results) {
+    await this.init();
+    const fixer = new TokenFixer(tokens);
+
+    const fixed = results.filter(result => {
+      const rule = this.rules.get(result.rule);
+      if (!rule?.fix || !result.path) return false;
+      return Boolean(rule.fix(result, fixer, { options: this.getRuleSettings(rule).options, validator: this }));
     });
 
-    // Check for common spacing values
-    const commonSpacing = ['0', '1', '2', '4', '8', '16'];
-    const missingSpacing = commonSpacing.filter(spacing => !tokensToValidate.spacing[spacing]);
-    if (missingSpacing.length > 0) {
-      warnings.push(`Consider adding common spacing values: ${missingSpacing.join(', ')}`);
-    }
+    return { tokens: fixer.tokens, fixed };
   }
 
   /**
-   * Validate typography
+   * Format a result for the terminal: message [file:line:column › set]
    */
-  validateTypography(tokens, errors, warnings) {
-    // Extract tokens if in Figma format
-    const tokensToValidate = this.isFigmaTokenStudioFormat(tokens) 
-      ? this.extractTokensFromFigmaFormat(tokens) 
-      : tokens;
-      
-    if (!tokensToValidate.typography) return;
-
-    // Check required typography categories
-    const requiredTypo = ['fontFamily'];
-    requiredTypo.forEach(category => {
-      if (!tokensToValidate.typography[category]) {
-        warnings.push(`Missing typography category: typography.${category}`);
-      }
-    });
-
-    // Validate font families
-    if (tokensToValidate.typography.fontFamily) {
-      if (!tokensToValidate.typography.fontFamily.sans) {
-        errors.push('Missing sans-serif font family (typography.fontFamily.sans)');
-      }
-
-      Object.entries(tokensToValidate.typography.fontFamily).forEach(([key, tokenData]) => {
-        const value = this.getTokenValue(tokenData);
-        if (typeof value !== 'string' || value.trim().length === 0) {
-          errors.push(`Invalid font family: typography.fontFamily.${key} = "${value}"`);
-        }
-      });
-    }
-
-    // Validate font sizes
-    if (tokensToValidate.typography.fontSize) {
-      Object.entries(tokensToValidate.typography.fontSize).forEach(([key, tokenData]) => {
-        const value = this.getTokenValue(tokenData);
-        if (!this.isValidSize(value)) {
-          errors.push(`Invalid font size: typography.fontSize.${key} = "${value}"`);
-        }
-      });
-    }
+  formatResult(result) {
+    if (!result.file) return result.message;
+    return `${result.message} [${formatSource({ file: this.formatLocation(result), set: result.set })}]`;
   }
 
   /**
-   * Validate token consistency
+   * file:line:column of a result, as editors and CI annotations link it
    */
-  validateConsistency(tokens, errors, warnings) {
-    // Extract tokens if in Figma format
-    const tokensToValidate = this.isFigmaTokenStudioFormat(tokens) 
-      ? this.extractTokensFromFigmaFormat(tokens) 
-      : tokens;
-
-    // Collect all values to check for duplicates
-    const allValues = [];
-    
-    const collectValues = (obj, path = '') => {
-      Object.entries(obj).forEach(([key, value]) => {
-        const currentPath = path ? `${path}.${key}` : key;
-        
-        if (value && typeof value === 'object') {
-          if (this.getTokenValue(value) !== undefined) {
-            // This is a token
-            allValues.push({
-              path: currentPath,
-              value: this.getTokenValue(value)
-            });
-          } else {
-            // This is a nested object
-            collectValues(value, currentPath);
-          }
-        } else if (typeof value === 'string') {
-          // Direct string value
-          allValues.push({
-            path: currentPath,
-            value: value
-          });
-        }
-      });
-    };
-
-    collectValues(tokensToValidate);
+  formatLocation(result) {
+    return [result.file, result.line, result.line && result.column].filter(Boolean).join(':');
+  }
 
-    // Find duplicates
-    const valueCounts = {};
-    allValues.forEach(({ path, value }) => {
-      if (!valueCounts[value]) {
-        valueCounts[value] = [];
-      }
-      valueCounts[value].push(path);
-    });
+  /**
+   * Check if tokens are in Figma Token Studio format
+   */
+  isFigmaTokenStudioFormat(tokens) {
+    return tokens && (
+      tokens.core || 
+      tokens.semantic || 
+      tokens.$themes || 
+      tokens.$metadata
+    );
+  }
 
-    Object.entries(valueCounts).forEach(([value, paths]) => {
-      if (paths.length > 1 && value !== '0' && value !== 'transparent') {
-        warnings.push(`Duplicate value "${value}" found in: ${paths.join(', ')}`);
-      }
-    });
+  /**
+   * Extract tokens from Figma Token Studio format
+   * Set wrappers (core, semantic, sets named in $themes) are merged into one
+   * tree of categories; top-level categories are kept as-is
+   */
+  extractTokensFromFigmaFormat(tokens) {
+    return getCategoryTree(tokens);
   }
 
   /**
@@ -371,38 +299,16 @@ export class TokenValidator {
   }
 
   /**
-   * Utility methods
+   * Value checks shared by the built-in rules
    */
-  getCorrectCategory(typo) {
-    const mapping = {
-      'colour': 'colors',
-      'color': 'colors',
-      'spacings': 'spacing',
-      'typo': 'typography',
-      'fonts': 'typography'
-    };
-    return mapping[typo] || typo;
-  }
-
   isValidColor(value) {
     if (typeof value !== 'string') return false;
-    
-    // Hex colors
-    if (/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/.test(value)) return true;
-    
-    // RGB/RGBA
-    if (/^rgba?\([\d\s,./]+\)$/i.test(value)) return true;
-    
-    // HSL/HSLA
-    if (/^hsla?\([\d\s,%./]+\)$/i.test(value)) return true;
-    
-    // CSS named colors (basic check)
-    if (/^[a-z]+$/i.test(value)) return true;
-    
+
     // Token references
     if (value.startsWith('{') && value.endsWith('}')) return true;
-    
-    return false;
+
+    // Hex, rgb(), hsl(), hwb(), lab(), lch(), oklab(), oklch(), color() and named colors
+    return validateColor(value) === null;
   }
 
   isValidSpacing(value) {
@@ -0,0 +1,124 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+/**
+ * Validation baseline
+ * Records the violations a project already has so stricter rules can be
+ * turned on without fixing everything first: later runs only report new
+ * violations and list the baselined ones that no longer occur. Violations
+ * are matched by rule, set and token path (the message for results that
+ * are not about a token), so editing a value does not resurface them
+ */
+
+export const DEFAULT_BASELINE_FILE = '.tokens-baseline.json';
+const BASELINE_VERSION = 1;
+
+function getKey({ rule, set, path: tokenPath, message }) {
+  return [rule, set || '', tokenPath ?? message].join('|');
+}
+
+/**
+ * Baseline recording every result, grouped by key with a count for
+ * violations found more than once, sorted so the file diffs cleanly
+ */
+export function createBaseline(results) {
+  const violations = new Map();
+
+  results.forEach(result => {
+    const key = getKey(result);
+    const existing = violations.get(key);
+    if (existing) {
+      existing.count = (existing.count || 1) + 1;
+    } else {
+      violations.set(key, {
+        rule: result.rule,
+        ...(result.set && { set: result.set }),
+        path: result.path,
+        message: result.message
+      });
+    }
+  });
+
+  return {
+    version: BASELINE_VERSION,
+    violations: [...violations.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([, violation]) => violation)
+  };
+}
+
+/**
+ * Split a validation result into new and baselined violations
+ * Returns the result with only new violations (summary counts updated and
+ * summary.baselinedCount added), the baselined results and the stale
+ * baseline entries whose violation was fixed
+ */
+export function applyBaseline(result, baseline) {
+  const remaining = new Map();
+  (baseline?.violations || []).forEach(violation => {
+    remaining.set(getKey(violation), { violation, count: violation.count || 1 });
+  });
+
+  const baselined = [];
+  const results = result.results.filter(item => {
+    const entry = remaining.get(getKey(item));
+    if (!entry || entry.count === 0) return true;
+
+    entry.count--;
+    baselined.push(item);
+    return false;
+  });
+
+  const errors = results.filter(item => item.severity === 'error');
+  const warnings = results.filter(item => item.severity === 'warning');
+  const stale = [...remaining.values()]
+    .filter(({ count }) => count > 0)
+    .map(({ violation, count }) => ({ ...violation, count }));
+
+  return {
+    result: {
+      ...result,
+      isValid: errors.length === 0,
+      results,
+      errors,
+      warnings,
+      summary: {
+        ...result.summary,
+        errorCount: errors.length,
+        warningCount: warnings.length,
+        baselinedCount: baselined.length
+      }
+    },
+    baselined,
+    stale
+  };
+}
+
+/**
+ * Read a baseline file, or null when there is none
+ */
+export async function readBaseline(file) {
+  if (!await fs.pathExists(file)) return null;
+
+  let baseline;
+  try {
+    baseline = await fs.readJSON(file);
+  } catch (error) {
+    throw new Error(`Failed to read baseline file ${file}: ${error.message}`);
+  }
+
+  if (!baseline || !Array.isArray(baseline.violations)) {
+    throw new Error(`Invalid baseline file ${file}: expected { "violations": [...] }`);
+  }
+  return baseline;
+}
+
+/**
+ * Record the results in a baseline file, returning the baseline written
+ */
+export async function writeBaseline(file, results) {
+  const baseline = createBaseline(results);
+  await fs.ensureDir(path.dirname(path.resolve(file)));
+  await fs.writeJSON(file, baseline, { spaces: 2 });
+  return baseline;
+}
@@ -0,0 +1,44 @@
+import path from 'path';
+
+/**
+ * Built-in output formats
+ * Each one hands the processed tokens to its FileGenerator content method,
+ * so they can be replaced by a config formatter or a plugin format of the
+ * same name
+ */
+
+// The generator's content methods take tokens with their metadata and themes
+const toProcessedTokens = ({ tokens, metadata, themes }) => ({ ...tokens, ...metadata, themes });
+
+const builtIn = (name, label, method) => ({
+  name,
+  label,
+  format: (context) => context.generator[method](toProcessedTokens(context), context.options)
+});
+
+export const BUILT_IN_FORMATS = [
+  builtIn('css', 'CSS', 'generateCSSCustomProperties'),
+  builtIn('tailwind', 'Tailwind config', 'generateTailwindConfigContent'),
+  builtIn('tailwindTheme', 'Tailwind v4 theme', 'generateTailwindThemeCSS'),
+  builtIn('tailwindPreset', 'Tailwind preset', 'generateTailwindPresetContent'),
+  builtIn('typescript', 'TypeScript definitions', 'generateTypeDefinitions'),
+  builtIn('scss', 'SCSS', 'generateSCSSVariables'),
+  builtIn('styledTheme', 'CSS-in-JS theme', 'generateStyledTheme'),
+  builtIn('vanillaExtract', 'vanilla-extract theme', 'generateVanillaExtractTheme'),
+  builtIn('panda', 'Panda preset', 'generatePandaPreset'),
+  builtIn('reactNative', 'React Native', 'generateReactNativeJS'),
+  builtIn('expo', 'Expo tokens', 'generateExpoJS'),
+  builtIn('flutter', 'Flutter Dart', 'generateFlutterDart'),
+  builtIn('ios', 'iOS Swift', 'generateSwiftColors'),
+  builtIn('swiftui', 'SwiftUI', 'generateSwiftUI'),
+  {
+    name: 'android',
+    label: 'Android XML',
+    // A res/ directory gets the whole resource set, a .xml path the colors alone
+    format: (context) => (path.extname(context.outputPath || '') === '.xml'
+      ? context.generator.generateAndroidXML(toProcessedTokens(context), context.options)
+      : context.generator.generateAndroidResources(toProcessedTokens(context), context.outputPath, context.options))
+  },
+  builtIn('compose', 'Jetpack Compose', 'generateComposeKotlin'),
+  builtIn('xamarin', 'Xamarin C#', 'generateXamarinCSharp')
+];
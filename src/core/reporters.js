@@ -0,0 +1,182 @@
+/**
+ * Validation reporters
+ * Turn a TokenValidator result into machine-readable reports for CI: plain
+ * JSON, SARIF 2.1.0 (GitHub code scanning), JUnit XML (test dashboards) and
+ * GitHub Actions workflow commands. Every reporter receives the result and
+ * { rules, version, defaultFile }, where rules lists the enabled rules as
+ * { id, description, severity } and defaultFile locates results that are
+ * not about a single token (a missing category...)
+ */
+
+export const REPORT_FORMATS = ['text', 'json', 'sarif', 'junit', 'github'];
+
+const TOOL_NAME = 'design-tokens-sync';
+const TOOL_URI = 'https://github.com/sixi3/design-tokens-sync';
+
+function getFile(item, { defaultFile } = {}) {
+  return item.file || defaultFile || null;
+}
+
+/**
+ * The result as JSON, with the problems --fix repaired
+ */
+export function toJSON(result, { fixed = [] } = {}) {
+  return JSON.stringify({
+    isValid: result.isValid,
+    summary: result.summary,
+    results: result.results,
+    fixed
+  }, null, 2);
+}
+
+/**
+ * SARIF 2.1.0 log with one run, the enabled rules as the driver's rules
+ */
+export function toSARIF(result, { rules = [], version = '0.0.0', defaultFile = null } = {}) {
+  const ruleIds = [...new Set([...rules.map(rule => rule.id), ...result.results.map(item => item.rule)])];
+  const ruleInfo = Object.fromEntries(rules.map(rule => [rule.id, rule]));
+
+  return JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: TOOL_NAME,
+          version,
+          informationUri: TOOL_URI,
+          rules: ruleIds.map(id => ({
+            id,
+            shortDescription: { text: ruleInfo[id]?.description || id },
+            defaultConfiguration: { level: ruleInfo[id]?.severity === 'warning' ? 'warning' : 'error' }
+          }))
+        }
+      },
+      results: result.results.map(item => {
+        const file = getFile(item, { defaultFile });
+        const region = item.file && item.line
+          ? { startLine: item.line, ...(item.column && { startColumn: item.column }) }
+          : { startLine: 1 };
+
+        return {
+          ruleId: item.rule,
+          ruleIndex: ruleIds.indexOf(item.rule),
+          level: item.severity === 'warning' ? 'warning' : 'error',
+          message: { text: item.message },
+          locations: file ? [{ physicalLocation: { artifactLocation: { uri: file }, region } }] : [],
+          ...(item.path && { partialFingerprints: { tokenPath: `${item.rule}:${item.path}` } })
+        };
+      })
+    }]
+  }, null, 2);
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * JUnit XML with a test suite per enabled rule: every problem is a test case,
+ * failing for errors; a rule without problems is a single passing case
+ */
+export function toJUnit(result, { rules = [], defaultFile = null } = {}) {
+  const ruleIds = [...new Set([...rules.map(rule => rule.id), ...result.results.map(item => item.rule)])];
+  const location = (item) => [getFile(item, { defaultFile }), item.line, item.line && item.column].filter(Boolean).join(':');
+  let tests = 0;
+
+  const suites = ruleIds.map(id => {
+    const items = result.results.filter(item => item.rule === id);
+    const failures = items.filter(item => item.severity === 'error').length;
+
+    const cases = items.length === 0
+      ? [`    <testcase name="${escapeXml(id)}" classname="${escapeXml(id)}"/>`]
+      : items.map(item => {
+        const file = getFile(item, { defaultFile });
+        const attributes = [
+          `name="${escapeXml(item.path || item.message)}"`,
+          `classname="${escapeXml(id)}"`,
+          ...(file ? [`file="${escapeXml(file)}"`] : []),
+          ...(item.line ? [`line="${item.line}"`] : [])
+        ].join(' ');
+        const detail = escapeXml([location(item), item.message].filter(Boolean).join(' '));
+
+        return item.severity === 'error'
+          ? `    <testcase ${attributes}>\n      <failure message="${escapeXml(item.message)}" type="${escapeXml(id)}">${detail}</failure>\n    </testcase>`
+          : `    <testcase ${attributes}>\n      <system-out>warning: ${detail}</system-out>\n    </testcase>`;
+      });
+    tests += cases.length;
+
+    return [
+      `  <testsuite name="${escapeXml(id)}" tests="${cases.length}" failures="${failures}" errors="0">`,
+      ...cases,
+      '  </testsuite>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${TOOL_NAME}" tests="${tests}" failures="${result.errors.length}" errors="0">`,
+    ...suites,
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+// Workflow command escaping, see https://github.com/actions/toolkit/blob/main/packages/core/src/command.ts
+function escapeData(value) {
+  return String(value).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+}
+
+function escapeProperty(value) {
+  return escapeData(value).replace(/:/g, '%3A').replace(/,/g, '%2C');
+}
+
+/**
+ * GitHub Actions workflow commands (::error file=…,line=…::message), one per problem
+ */
+export function toGitHub(result, { defaultFile = null } = {}) {
+  return result.results.map(item => {
+    const file = getFile(item, { defaultFile });
+    const properties = [
+      ...(file ? [`file=${escapeProperty(file)}`] : []),
+      ...(item.file && item.line ? [`line=${item.line}`] : []),
+      ...(item.file && item.column ? [`col=${item.column}`] : []),
+      `title=${escapeProperty(item.rule)}`
+    ].join(',');
+
+    return `::${item.severity === 'warning' ? 'warning' : 'error'} ${properties}::${escapeData(item.message)}`;
+  }).join('\n') + (result.results.length > 0 ? '\n' : '');
+}
+
+/**
+ * Markdown summary for $GITHUB_STEP_SUMMARY
+ */
+export function toGitHubSummary(result, { defaultFile = null } = {}) {
+  const lines = [
+    `## ${result.isValid ? '✅' : '❌'} Design Token Validation`,
+    '',
+    `${result.summary.validatedTokens} tokens checked: ${result.errors.length} error(s), ${result.warnings.length} warning(s)`
+  ];
+
+  if (result.results.length > 0) {
+    lines.push('', '| Severity | Rule | Location | Message |', '| --- | --- | --- | --- |');
+    result.results.forEach(item => {
+      const location = [getFile(item, { defaultFile }), item.line].filter(Boolean).join(':');
+      const message = item.message.replace(/\|/g, '\\|');
+      lines.push(`| ${item.severity} | \`${item.rule}\` | ${location ? `\`${location}\`` : ''} | ${message} |`);
+    });
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+export const REPORTERS = {
+  json: toJSON,
+  sarif: toSARIF,
+  junit: toJUnit,
+  github: toGitHub
+};
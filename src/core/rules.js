@@ -0,0 +1,860 @@
+import { walkTokens, isTokenGroup, getTokenSetOrder, CATEGORY_GROUPS } from '../utils/token-sets.js';
+import { TokenResolver } from './TokenResolver.js';
+import { getContrastRatio, getRequiredRatio } from '../utils/contrast.js';
+import { parseColor } from '../utils/color-modifiers.js';
+import { matchesCase, toCase, findClosestName } from '../utils/naming.js';
+import { getValidatedType, validateTokenValue, validateColor, validateDimension } from '../utils/token-types.js';
+import { toDTCGType } from '../utils/token-formats.js';
+import { getDeprecation } from '../utils/deprecations.js';
+import { compareVersions } from '../utils/release.js';
+
+/**
+ * Built-in validation rules
+ * A rule is { id, severity, description, options, check(context), fix(problem, fixer) }.
+ * check() reports problems with context.report({ path, message, set?, suggestion? }).
+ * The context holds:
+ * - tokens, format: the normalized tree and its format ('dtcg' or 'tokens-studio')
+ * - resolved: the tree with references resolved
+ * - rawCategories, categories: both trees merged into categories
+ * - themes: [{ name, sets, rawCategories, categories }] per Token Studio theme
+ * - graph: the TokenGraph of the normalized tree
+ * - resolveErrors: the resolver failures
+ * - failedExpressions: category paths whose expression failed, for value rules to skip
+ * - options, config, validator: the rule's options, the config and the validator
+ * fix(problem, fixer, { options, validator }) repairs one problem through a
+ * TokenFixer and returns whether it did
+ */
+
+const CATEGORY_TYPOS = {
+  colour: 'colors',
+  color: 'colors',
+  spacings: 'spacing',
+  typo: 'typography',
+  fonts: 'typography'
+};
+
+/**
+ * Fix a dimension written as a bare number (16 → "16px") or with stray whitespace
+ */
+function fixDimension(problem, fixer, isValid, unit) {
+  const value = fixer.getValue(problem.path);
+
+  if (typeof value === 'number') {
+    return fixer.setValue(problem.path, value === 0 ? '0' : `${value}${unit}`);
+  }
+  if (typeof value === 'string' && value.trim() !== value && isValid(value.trim())) {
+    return fixer.setValue(problem.path, value.trim());
+  }
+  return false;
+}
+
+const requiredCategories = {
+  id: 'required-categories',
+  severity: 'error',
+  description: 'Categories listed in tokens.validation.required must exist and hold tokens',
+  options: { categories: null },
+  check({ categories, options, config, report }) {
+    const required = options.categories || config?.tokens?.validation?.required || ['colors'];
+
+    required.forEach(category => {
+      if (!categories[category] || Object.keys(categories[category]).length === 0) {
+        report({ path: category, message: `Missing required token category: ${category}` });
+      }
+    });
+  }
+};
+
+const requiredColors = {
+  id: 'required-colors',
+  severity: 'error',
+  description: 'Color scales every palette needs',
+  options: { scales: ['primary'] },
+  check({ categories, options, report }) {
+    if (!categories.colors) return;
+
+    options.scales.forEach(scale => {
+      if (!categories.colors[scale] || Object.keys(categories.colors[scale]).length === 0) {
+        report({ path: `colors.${scale}`, message: `Missing required color category: colors.${scale}` });
+      }
+    });
+  }
+};
+
+const optionalCategories = {
+  id: 'optional-categories',
+  severity: 'warning',
+  description: 'Categories listed in tokens.validation.optional are worth adding',
+  options: { categories: null },
+  check({ categories, options, config, report }) {
+    const optional = options.categories || config?.tokens?.validation?.optional || ['spacing', 'typography', 'borderRadius'];
+
+    optional.forEach(category => {
+      if (!categories[category]) {
+        report({ path: category, message: `Optional token category not found: ${category}` });
+      }
+    });
+  }
+};
+
+const categoryTypos = {
+  id: 'category-typos',
+  severity: 'warning',
+  description: 'Misspelled category names',
+  options: { typos: CATEGORY_TYPOS },
+  check({ categories, options, report }) {
+    Object.entries(options.typos).forEach(([typo, category]) => {
+      if (categories[typo] && !categories[category]) {
+        report({ path: typo, message: `Found "${typo}" - did you mean "${category}"?` });
+      }
+    });
+  }
+};
+
+const validMetadata = {
+  id: 'valid-metadata',
+  severity: 'warning',
+  description: 'Token Studio $themes must be an array and $metadata an object',
+  options: {},
+  check({ tokens, report }) {
+    if (tokens.$themes && !Array.isArray(tokens.$themes)) {
+      report({ path: '$themes', message: '$themes should be an array in Figma Token Studio format' });
+    }
+    if (tokens.$metadata && typeof tokens.$metadata !== 'object') {
+      report({ path: '$metadata', message: '$metadata should be an object in Figma Token Studio format' });
+    }
+  }
+};
+
+const validReference = {
+  id: 'valid-reference',
+  severity: 'error',
+  description: 'Aliases must point to existing tokens without cycles',
+  options: {},
+  check({ graph, report }) {
+    graph.findCycles().forEach(cycle => {
+      const { path, set } = graph.nodes.get(cycle[0]);
+      report({ path, set, message: `Circular token reference: ${[...cycle, cycle[0]].join(' → ')}` });
+    });
+
+    graph.missing.forEach(({ from, reference }) => {
+      const { path, set } = graph.nodes.get(from);
+      report({ path, set, message: `Invalid token reference: ${from} - Token reference {${reference}} not found` });
+    });
+  }
+};
+
+const noDisabledSetReferences = {
+  id: 'no-disabled-set-references',
+  severity: 'error',
+  description: 'Tokens must not alias tokens from a set their theme disables',
+  options: {},
+  check({ graph, report }) {
+    graph.findDisabledReferences().forEach(({ from, reference, set, themes }) => {
+      const { path, set: fromSet } = graph.nodes.get(from);
+      report({
+        path,
+        set: fromSet,
+        message: `${from} references {${reference}} from set "${set}", which ${themes.length === 1 ? 'theme' : 'themes'} ${themes.map(theme => `"${theme}"`).join(', ')} ${themes.length === 1 ? 'disables' : 'disable'}`
+      });
+    });
+  }
+};
+
+const noOrphanTokens = {
+  id: 'no-orphan-tokens',
+  severity: 'warning',
+  description: 'Semantic tokens should alias other tokens or be aliased themselves',
+  options: { sets: ['semantic'] },
+  check({ graph, options, report }) {
+    graph.findOrphans(options.sets).forEach(id => {
+      const { path, set } = graph.nodes.get(id);
+      report({ path, set, message: `Orphan token ${id}: it references no token and no token references it` });
+    });
+  }
+};
+
+const deprecatedTokens = {
+  id: 'deprecated-tokens',
+  severity: 'error',
+  description: 'Deprecated tokens must be removed once $metadata.version reaches their removeIn version',
+  options: { version: null },
+  check({ tokens, graph, options, report }) {
+    const version = options.version || tokens.$metadata?.version;
+    if (!version) return;
+
+    walkTokens(tokens, (id, token) => {
+      const deprecation = getDeprecation(token);
+      if (!deprecation?.removeIn) return;
+
+      const { path, set } = graph.nodes.get(id);
+      let due;
+      try {
+        due = compareVersions(version, deprecation.removeIn) >= 0;
+      } catch (error) {
+        report({ path, set, message: `Deprecated token ${id}: ${error.message}` });
+        return;
+      }
+
+      if (due) {
+        report({
+          path,
+          set,
+          suggestion: deprecation.replacement && `{${deprecation.replacement}}`,
+          message: `Deprecated token ${id} was due for removal in ${deprecation.removeIn} (tokens are at ${version})` +
+            (deprecation.replacement ? `; move its usages to {${deprecation.replacement}} and delete it` : '; delete it')
+        });
+      }
+    });
+  }
+};
+
+const validExpression = {
+  id: 'valid-expression',
+  severity: 'error',
+  description: 'Math expressions and color modifiers must evaluate',
+  options: {},
+  check({ resolveErrors, report }) {
+    resolveErrors
+      .filter(({ kind }) => kind === 'evaluation')
+      .forEach(({ path, message }) => report({ path, message: `Invalid token value: ${path} - ${message}` }));
+  }
+};
+
+const colorValue = {
+  id: 'color-value',
+  severity: 'error',
+  description: 'Colors must be valid CSS colors',
+  options: {},
+  check({ categories, failedExpressions, validator, report }) {
+    Object.entries(categories.colors || {}).forEach(([category, shades]) => {
+      if (!shades || typeof shades !== 'object') {
+        report({ path: `colors.${category}`, message: `Invalid color category structure: colors.${category}` });
+        return;
+      }
+
+      Object.entries(shades).forEach(([shade, tokenData]) => {
+        const value = validator.getTokenValue(tokenData);
+        if (!failedExpressions.has(`colors.${category}.${shade}`) && !validator.isValidColor(value)) {
+          report({ path: `colors.${category}.${shade}`, message: `Invalid color value: colors.${category}.${shade} = "${value}"` });
+        }
+      });
+    });
+  },
+  // "3b82f6" → "#3b82f6", " #fff " → "#fff"
+  fix(problem, fixer) {
+    const value = fixer.getValue(problem.path);
+    if (typeof value !== 'string') return false;
+
+    const trimmed = value.trim();
+    if (/^([0-9a-f]{3}|[0-9a-f]{6})$/i.test(trimmed)) return fixer.setValue(problem.path, `#${trimmed}`);
+    if (trimmed !== value) return fixer.setValue(problem.path, trimmed);
+    return false;
+  }
+};
+
+const colorShades = {
+  id: 'color-shades',
+  severity: 'warning',
+  description: 'Numeric color scales should use the usual 50-950 steps',
+  options: { shades: ['100', '200', '300', '400', '500', '600', '700', '800', '900'] },
+  check({ categories, options, validator, report }) {
+    Object.entries(categories.colors || {}).forEach(([category, shades]) => {
+      if (!shades || typeof shades !== 'object') return;
+
+      Object.keys(shades).filter(shade => validator.isNumericShade(shade)).forEach(shade => {
+        const shadeNum = parseInt(shade);
+        if (shadeNum < 50 || shadeNum > 950 || shadeNum % 50 !== 0) {
+          report({ path: `colors.${category}.${shade}`, message: `Unusual shade value: colors.${category}.${shade} (consider using 50, 100, 200... 900, 950)` });
+        }
+      });
+
+      const hasNumericShades = Object.keys(shades).some(shade => validator.isNumericShade(shade));
+      const missingShades = options.shades.filter(shade => !shades[shade]);
+      if (hasNumericShades && missingShades.length > 0) {
+        report({ path: `colors.${category}`, message: `Consider adding common shades to colors.${category}: ${missingShades.join(', ')}` });
+      }
+    });
+  }
+};
+
+const spacingValue = {
+  id: 'spacing-value',
+  severity: 'error',
+  description: 'Spacing values must be CSS lengths',
+  options: { unit: 'px' },
+  check({ categories, failedExpressions, validator, report }) {
+    Object.entries(categories.spacing || {}).forEach(([key, tokenData]) => {
+      const value = validator.getTokenValue(tokenData);
+      if (!failedExpressions.has(`spacing.${key}`) && !validator.isValidSpacing(value)) {
+        report({ path: `spacing.${key}`, message: `Invalid spacing value: spacing.${key} = "${value}"` });
+      }
+    });
+  },
+  fix(problem, fixer, { options, validator }) {
+    return fixDimension(problem, fixer, value => validator.isValidSpacing(value), options.unit);
+  }
+};
+
+const spacingScale = {
+  id: 'spacing-scale',
+  severity: 'warning',
+  description: 'Common spacing steps worth defining',
+  options: { values: ['0', '1', '2', '4', '8', '16'] },
+  check({ categories, options, report }) {
+    if (!categories.spacing) return;
+
+    const missingSpacing = options.values.filter(spacing => !categories.spacing[spacing]);
+    if (missingSpacing.length > 0) {
+      report({ path: 'spacing', message: `Consider adding common spacing values: ${missingSpacing.join(', ')}` });
+    }
+  }
+};
+
+const typographyCategories = {
+  id: 'typography-categories',
+  severity: 'warning',
+  description: 'Typography groups worth defining',
+  options: { categories: ['fontFamily'] },
+  check({ categories, options, report }) {
+    if (!categories.typography) return;
+
+    options.categories.forEach(category => {
+      if (!categories.typography[category]) {
+        report({ path: `typography.${category}`, message: `Missing typography category: typography.${category}` });
+      }
+    });
+  }
+};
+
+const fontFamily = {
+  id: 'font-family',
+  severity: 'error',
+  description: 'Font families must be non-empty strings, with a sans-serif family',
+  options: { required: ['sans'] },
+  check({ categories, options, validator, report }) {
+    const families = categories.typography?.fontFamily;
+    if (!families) return;
+
+    options.required.forEach(name => {
+      if (!families[name]) {
+        report({ path: `typography.fontFamily.${name}`, message: `Missing ${name === 'sans' ? 'sans-serif' : name} font family (typography.fontFamily.${name})` });
+      }
+    });
+
+    Object.entries(families).forEach(([key, tokenData]) => {
+      const value = validator.getTokenValue(tokenData);
+      if (typeof value !== 'string' || value.trim().length === 0) {
+        report({ path: `typography.fontFamily.${key}`, message: `Invalid font family: typography.fontFamily.${key} = "${value}"` });
+      }
+    });
+  }
+};
+
+const fontSizeValue = {
+  id: 'font-size-value',
+  severity: 'error',
+  description: 'Font sizes must be CSS lengths',
+  options: { unit: 'px' },
+  check({ categories, failedExpressions, validator, report }) {
+    Object.entries(categories.typography?.fontSize || {}).forEach(([key, tokenData]) => {
+      const value = validator.getTokenValue(tokenData);
+      if (!failedExpressions.has(`typography.fontSize.${key}`) && !validator.isValidSize(value)) {
+        report({ path: `typography.fontSize.${key}`, message: `Invalid font size: typography.fontSize.${key} = "${value}"` });
+      }
+    });
+  },
+  fix(problem, fixer, { options, validator }) {
+    return fixDimension(problem, fixer, value => validator.isValidSize(value), options.unit);
+  }
+};
+
+const noDuplicateValues = {
+  id: 'no-duplicate-values',
+  severity: 'warning',
+  description: 'Tokens sharing a raw value should alias one another',
+  options: { ignore: ['0', 'transparent'] },
+  check({ rawCategories, options, validator, report }) {
+    const valuePaths = {};
+
+    walkTokens(rawCategories, (tokenPath, token) => {
+      const value = validator.getTokenValue(token);
+      if (value === undefined || typeof value === 'object') return;
+      (valuePaths[value] = valuePaths[value] || []).push(tokenPath);
+    });
+
+    Object.entries(valuePaths).forEach(([value, paths]) => {
+      if (paths.length > 1 && !options.ignore.includes(value)) {
+        report({ path: paths[1], message: `Duplicate value "${value}" found in: ${paths.join(', ')}` });
+      }
+    });
+  }
+};
+
+/**
+ * The declared type of a token, else of the token its alias points to
+ * (following chained aliases), or null
+ */
+function getEffectiveType(tokenPath, rawCategories, resolver) {
+  let current = resolver.getNode(rawCategories, tokenPath.split('.'));
+
+  for (let depth = 0; depth < 20 && current; depth++) {
+    if (current.type) return current.type;
+    const match = typeof current.value === 'string' && current.value.trim().match(/^\{([^{}]+)\}$/);
+    current = match ? resolver.findToken(match[1].trim())?.token : null;
+  }
+  return null;
+}
+
+/**
+ * A value to replace an invalid one with: "3b82f6" → "#3b82f6" for colors,
+ * 16 → "16px" for dimensions, stray whitespace trimmed; or null
+ */
+function suggestTypedValue(type, value) {
+  if (type === 'color' && typeof value === 'string') {
+    const trimmed = value.trim();
+    if (/^([0-9a-f]{3}|[0-9a-f]{6})$/i.test(trimmed)) return `#${trimmed}`;
+    return trimmed !== value && !validateColor(trimmed) ? trimmed : null;
+  }
+  if (type === 'dimension') {
+    if (typeof value === 'number') return value === 0 ? '0' : `${value}px`;
+    if (typeof value === 'string' && value.trim() !== value && !validateDimension(value.trim())) return value.trim();
+  }
+  return null;
+}
+
+const valueType = {
+  id: 'value-type',
+  severity: 'error',
+  description: 'Token values must match their $type, and aliases must point at tokens of the same type',
+  options: {},
+  check({ rawCategories, categories, format, failedExpressions, report }) {
+    const resolver = new TokenResolver(rawCategories);
+    // Token Studio writes unitless pixel values
+    const lenient = format !== 'dtcg';
+
+    walkTokens(categories, (tokenPath, token) => {
+      const raw = resolver.getNode(rawCategories, tokenPath.split('.'));
+      const alias = typeof raw?.value === 'string' && raw.value.trim().match(/^\{([^{}]+)\}$/);
+
+      if (alias && raw.type) {
+        const target = resolver.findToken(alias[1].trim());
+        const targetType = target && getEffectiveType(target.path, rawCategories, resolver);
+        if (targetType && toDTCGType(targetType) !== toDTCGType(raw.type)) {
+          report({
+            path: tokenPath,
+            fixable: false,
+            message: `Type mismatch: ${tokenPath} ($type ${raw.type}) aliases {${alias[1].trim()}} ($type ${targetType})`
+          });
+          return;
+        }
+      }
+
+      const type = getEffectiveType(tokenPath, rawCategories, resolver);
+      const validatedType = getValidatedType(type);
+      // Unresolved references are left to valid-reference, failed expressions to valid-expression,
+      // colors.<scale>.<shade> to color-value
+      if (!validatedType || resolver.getReferences(token.value).length > 0 || failedExpressions.has(tokenPath)) return;
+      if (validatedType === 'color' && /^colors\.[^.]+\.[^.]+$/.test(tokenPath)) return;
+
+      const problem = validateTokenValue(type, token.value, { lenient });
+      if (problem) {
+        // Only values written on the token itself can be fixed in place
+        const suggestion = raw.value === token.value ? suggestTypedValue(validatedType, token.value) : null;
+        report({
+          path: tokenPath,
+          suggestion,
+          fixable: Boolean(suggestion),
+          message: `Invalid ${type} value: ${tokenPath} = ${JSON.stringify(token.value)} (${problem})`
+        });
+      }
+    });
+  },
+  fix(problem, fixer) {
+    return Boolean(problem.suggestion) && fixer.setValue(problem.path, problem.suggestion);
+  }
+};
+
+// $extensions key for pairs declared on the foreground token:
+// { "design-tokens-sync": { "contrast": { "background": "surface.*", "level": "AAA" } } }
+export const EXTENSION_KEY = 'design-tokens-sync';
+
+/**
+ * Match a token path against a pattern where * stands for one segment and
+ * ** for any number; the category may be left out (text.* matches colors.text.*)
+ */
+export function matchTokenPath(pattern, tokenPath) {
+  const source = pattern.split('.').map(segment => {
+    if (segment === '**') return '.+';
+    return segment.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^.]+');
+  }).join('\\.');
+  const regex = new RegExp(`^${source}$`);
+
+  return regex.test(tokenPath) || regex.test(tokenPath.split('.').slice(1).join('.'));
+}
+
+/**
+ * Read a contrast pair: "text.* on surface.*" or { foreground, background, level, size }
+ */
+function parseContrastPair(entry) {
+  if (typeof entry === 'string') {
+    const match = entry.match(/^\s*(\S+)\s+on\s+(\S+)\s*$/);
+    return match ? { foreground: match[1], background: match[2] } : null;
+  }
+  return entry?.foreground && entry?.background ? entry : null;
+}
+
+/**
+ * Follow whole-value aliases ({colors.gray.400}) to the token that defines the color
+ */
+function getAliasTarget(tokenPath, rawCategories) {
+  const resolver = new TokenResolver(rawCategories);
+  let current = tokenPath;
+
+  for (let depth = 0; depth < 20; depth++) {
+    const token = resolver.getNode(rawCategories, current.split('.'));
+    const match = typeof token?.value === 'string' && token.value.trim().match(/^\{([^{}]+)\}$/);
+    if (!match) return current;
+
+    const target = resolver.findToken(match[1].trim());
+    if (!target) return current;
+    current = target.path;
+  }
+
+  return current;
+}
+
+/**
+ * The shade closest to the foreground's own (in the scale its alias points to)
+ * that reaches the required ratio against the background
+ */
+function findPassingShade(tokenPath, background, required, target) {
+  const shadePath = getAliasTarget(tokenPath, target.rawCategories).split('.');
+  const shade = shadePath.pop();
+  const scale = shadePath.reduce((node, key) => node?.[key], target.categories);
+  if (!scale || typeof scale !== 'object') return null;
+
+  const keys = Object.keys(scale).filter(key => !key.startsWith('$'));
+  const numeric = keys.every(key => /^\d+$/.test(key));
+  const distance = (key) => (numeric ? Math.abs(Number(key) - Number(shade)) : Math.abs(keys.indexOf(key) - keys.indexOf(shade)));
+
+  return keys
+    .filter(key => key !== shade && typeof scale[key]?.value === 'string')
+    .map(key => {
+      try {
+        return { path: [...shadePath, key].join('.'), key, ratio: getContrastRatio(scale[key].value, background) };
+      } catch {
+        return null;
+      }
+    })
+    .filter(candidate => candidate && candidate.ratio >= required)
+    .sort((a, b) => distance(a.key) - distance(b.key))[0] || null;
+}
+
+/**
+ * The set a theme takes a token from (the last of its sets defining it)
+ */
+function getDefiningSet(tokenPath, target, tokens) {
+  const resolver = new TokenResolver(tokens);
+  return (target.sets || [])
+    .filter(set => resolver.isToken(resolver.getNode(tokens[set], tokenPath.split('.'))))
+    .pop() || null;
+}
+
+const colorContrast = {
+  id: 'color-contrast',
+  severity: 'error',
+  description: 'Declared foreground/background pairs must meet WCAG contrast, in every theme',
+  options: { level: 'AA', size: 'normal', pairs: null },
+  check({ tokens, rawCategories, categories, themes, options, config, report }) {
+    const configured = (options.pairs || config?.tokens?.validation?.contrastPairs || [])
+      .map(parseContrastPair)
+      .filter(Boolean);
+
+    const targets = themes.length > 0 ? themes : [{ name: null, rawCategories, categories }];
+    // Floor so a ratio just below the minimum never reads as passing
+    const format = (ratio) => `${Math.floor(ratio * 100) / 100}:1`;
+    const invalid = new Set();
+
+    targets.forEach(target => {
+      const colors = {};
+      const pairs = [...configured];
+
+      walkTokens(target.categories, (tokenPath, token) => {
+        try {
+          parseColor(token.value);
+          colors[tokenPath] = token.value;
+        } catch {
+          // Not a plain color (gradient, alias that failed to resolve...)
+        }
+
+        const declared = token.$extensions?.[EXTENSION_KEY]?.contrast;
+        if (declared) {
+          [].concat(declared.background).filter(Boolean).forEach(background => {
+            pairs.push({ ...declared, foreground: tokenPath, background });
+          });
+        }
+      });
+
+      const paths = Object.keys(colors);
+      const theme = target.name ? ` in theme "${target.name}"` : '';
+      const checked = new Set();
+
+      pairs.forEach(pair => {
+        const level = pair.level || options.level;
+        const size = pair.size || options.size;
+        let required;
+        try {
+          required = getRequiredRatio(level, size);
+        } catch (error) {
+          // Reported once for the pair, not once per theme; the other pairs are still checked
+          const key = [pair.foreground, pair.background, level, size].join('|');
+          if (!invalid.has(key)) {
+            invalid.add(key);
+            report({ path: pair.foreground, set: getDefiningSet(pair.foreground, target, tokens), message: error.message });
+          }
+          return;
+        }
+        const foregrounds = paths.filter(tokenPath => tokenPath === pair.foreground || matchTokenPath(pair.foreground, tokenPath));
+        const backgrounds = paths.filter(tokenPath => matchTokenPath(pair.background, tokenPath));
+
+        foregrounds.forEach(foreground => {
+          backgrounds.filter(background => background !== foreground).forEach(background => {
+            // A pair declared both in config and in $extensions is checked once
+            const key = [foreground, background, level, size].join('|');
+            if (checked.has(key)) return;
+            checked.add(key);
+
+            const ratio = getContrastRatio(colors[foreground], colors[background]);
+            if (ratio >= required) return;
+
+            const passing = findPassingShade(foreground, colors[background], required, target);
+            const suggestion = passing
+              ? `; nearest passing shade: ${passing.path} (${format(passing.ratio)})`
+              : '; no shade in the same scale passes';
+
+            report({
+              path: foreground,
+              set: getDefiningSet(foreground, target, tokens),
+              message: `Contrast ${format(ratio)} for ${foreground} on ${background} is below ${level} ${size} text (${required}:1)${theme}${suggestion}`
+            });
+          });
+        });
+      });
+    });
+  }
+};
+
+/**
+ * Visit every group and token in a tree with its path segments, parents first
+ */
+function walkNodes(node, visit, pathSegments = []) {
+  Object.entries(node || {}).forEach(([key, child]) => {
+    if (key.startsWith('$') || !child || typeof child !== 'object' || Array.isArray(child)) return;
+
+    const segments = [...pathSegments, key];
+    visit(segments, child);
+    if (isTokenGroup(child)) walkNodes(child, visit, segments);
+  });
+}
+
+// Naming rules report the path to rename to as their suggestion
+function fixRename(problem, fixer) {
+  return Boolean(problem.suggestion) && fixer.rename(problem.path, problem.suggestion);
+}
+
+const namingCase = {
+  id: 'naming-case',
+  severity: 'off',
+  description: 'Path segments must follow a case style (one for every segment, or one per depth)',
+  options: { case: 'camelCase' },
+  check({ rawCategories, options, report }) {
+    const styles = [].concat(options.case);
+
+    walkNodes(rawCategories, (segments) => {
+      const name = segments[segments.length - 1];
+      const style = styles[Math.min(segments.length - 1, styles.length - 1)];
+      if (matchesCase(name, style)) return;
+
+      const tokenPath = segments.join('.');
+      const renamed = toCase(name, style);
+      const suggestion = renamed ? [...segments.slice(0, -1), renamed].join('.') : null;
+
+      report({
+        path: tokenPath,
+        suggestion,
+        fixable: Boolean(suggestion),
+        message: `"${name}" in ${tokenPath} is not ${style}${suggestion ? `; rename to ${suggestion}` : ''}`
+      });
+    });
+  },
+  fix: fixRename
+};
+
+const allowedRoots = {
+  id: 'allowed-roots',
+  severity: 'off',
+  description: 'Top-level categories must be one of the allowed roots',
+  options: { roots: null },
+  check({ rawCategories, options, report }) {
+    const roots = options.roots || CATEGORY_GROUPS;
+
+    Object.keys(rawCategories).filter(root => !roots.includes(root)).forEach(root => {
+      const suggestion = (roots.includes(CATEGORY_TYPOS[root]) && CATEGORY_TYPOS[root]) || findClosestName(root, roots);
+
+      report({
+        path: root,
+        suggestion,
+        fixable: Boolean(suggestion),
+        message: `Unknown token category "${root}" (allowed: ${roots.join(', ')})${suggestion ? `; rename to ${suggestion}` : ''}`
+      });
+    });
+  },
+  fix: fixRename
+};
+
+const maxDepth = {
+  id: 'max-depth',
+  severity: 'off',
+  description: 'Token paths must not be nested deeper than a maximum number of segments',
+  options: { max: 4, separator: '-' },
+  check({ rawCategories, options, validator, report }) {
+    // Folded names follow naming-case when it is on
+    const naming = validator.getRuleSettings(namingCase);
+    const styles = naming.severity === 'off' ? null : [].concat(naming.options.case);
+
+    walkTokens(rawCategories, (tokenPath) => {
+      const segments = tokenPath.split('.');
+      if (segments.length <= options.max) return;
+
+      // Fold the extra levels into the last segment: a.b.c.d.e → a.b.c.d-e
+      const folded = segments.slice(options.max - 1).join(options.separator);
+      const style = styles?.[Math.min(options.max - 1, styles.length - 1)];
+      const suggestion = [...segments.slice(0, options.max - 1), style ? toCase(folded, style) : folded].join('.');
+
+      report({
+        path: tokenPath,
+        suggestion,
+        message: `${tokenPath} is ${segments.length} levels deep (max ${options.max}); rename to ${suggestion}`
+      });
+    });
+  },
+  fix: fixRename
+};
+
+/**
+ * Rebuild per-set trees from a merged tree and the provenance of its tokens
+ */
+function splitBySet(categories, provenance) {
+  const sets = {};
+
+  walkTokens(categories, (tokenPath, token) => {
+    const set = provenance[tokenPath]?.set;
+    if (!set) return;
+
+    const segments = tokenPath.split('.');
+    const parent = segments.slice(0, -1).reduce((node, key) => (node[key] = node[key] || {}), sets[set] = sets[set] || {});
+    parent[segments[segments.length - 1]] = token;
+  });
+
+  return sets;
+}
+
+const tokenTiers = {
+  id: 'token-tiers',
+  severity: 'off',
+  description: 'Token sets form tiers (core → semantic → component) where each tier aliases its own or the one below',
+  options: { tiers: ['core', 'semantic', 'component'] },
+  check({ tokens: tree, rawCategories, options, validator, report }) {
+    const tiers = options.tiers.map(tier => [].concat(tier));
+    const names = tiers.map(tier => tier.join('/'));
+    const tierOf = (set) => tiers.findIndex(tier => tier.includes(set));
+
+    // Set files merged by the loader are split back by provenance
+    const tokens = getTokenSetOrder(tree).some(set => isTokenGroup(tree[set]) && tierOf(set) !== -1)
+      ? tree
+      : splitBySet(rawCategories, validator.provenance);
+    const resolver = new TokenResolver(tokens);
+    const sets = getTokenSetOrder(tokens).filter(set => isTokenGroup(tokens[set]));
+    const hasToken = (set, segments) => resolver.isToken(resolver.getNode(tokens[set], segments));
+
+    // Sets a reference can point into: the one it names, else every set defining the path
+    const getTargetSets = (reference) => {
+      const [first, ...rest] = reference.split('.');
+      if (sets.includes(first) && hasToken(first, rest)) return [first];
+      return sets.filter(set => hasToken(set, reference.split('.')));
+    };
+
+    sets.filter(set => tierOf(set) !== -1).forEach(set => {
+      const tier = tierOf(set);
+      const allowed = tier === 0 ? [0] : [tier, tier - 1];
+
+      walkTokens(tokens[set], (tokenPath, token) => {
+        const references = resolver.getReferences(token.value);
+
+        if (tier > 0 && references.length === 0) {
+          // Point at a token of the tier below that holds the same value
+          let suggestion = null;
+          tiers[tier - 1].filter(lower => tokens[lower]).forEach(lower => {
+            walkTokens(tokens[lower], (lowerPath, lowerToken) => {
+              if (!suggestion && typeof token.value !== 'object' && lowerToken.value === token.value) {
+                suggestion = `{${lowerPath}}`;
+              }
+            });
+          });
+
+          report({
+            path: tokenPath,
+            set,
+            suggestion,
+            fixable: Boolean(suggestion),
+            message: `${names[tier]} token ${tokenPath} hard-codes ${JSON.stringify(token.value)}; alias a ${names[tier - 1]} token${suggestion ? ` such as ${suggestion}` : ' instead'}`
+          });
+          return;
+        }
+
+        references.forEach(reference => {
+          const targetTiers = getTargetSets(reference).map(tierOf).filter(index => index !== -1);
+          if (targetTiers.length === 0 || targetTiers.some(index => allowed.includes(index))) return;
+
+          report({
+            path: tokenPath,
+            set,
+            fixable: false,
+            message: `${names[tier]} token ${tokenPath} aliases ${names[targetTiers[0]]} token {${reference}}; ${names[tier]} tokens may only alias ${allowed.map(index => names[index]).join(' or ')} tokens`
+          });
+        });
+      });
+    });
+  },
+  // Replace a hard-coded value with the suggested alias
+  fix(problem, fixer) {
+    return Boolean(problem.suggestion) && fixer.setValue(problem.path, problem.suggestion, problem.set);
+  }
+};
+
+export const BUILT_IN_RULES = [
+  requiredCategories,
+  requiredColors,
+  optionalCategories,
+  categoryTypos,
+  validMetadata,
+  validReference,
+  noDisabledSetReferences,
+  noOrphanTokens,
+  deprecatedTokens,
+  validExpression,
+  colorValue,
+  colorShades,
+  spacingValue,
+  spacingScale,
+  typographyCategories,
+  fontFamily,
+  fontSizeValue,
+  noDuplicateValues,
+  valueType,
+  colorContrast,
+  namingCase,
+  allowedRoots,
+  maxDepth,
+  tokenTiers
+];
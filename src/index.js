@@ -2,8 +2,20 @@
 export { TokenProcessor } from './core/TokenProcessor.js';
 export { TokenValidator } from './core/TokenValidator.js';
 export { FileGenerator } from './core/FileGenerator.js';
+export { FormatRegistry } from './core/FormatRegistry.js';
+export { TokenResolver } from './core/TokenResolver.js';
+export { TokenLoader } from './core/TokenLoader.js';
+export { TokenDiff } from './core/TokenDiff.js';
+export { TokenGraph, GRAPH_FORMATS } from './core/TokenGraph.js';
+export { REPORTERS, REPORT_FORMATS, toJSON, toSARIF, toJUnit, toGitHub, toGitHubSummary } from './core/reporters.js';
+export { DEFAULT_BASELINE_FILE, createBaseline, applyBaseline, readBaseline, writeBaseline } from './core/baseline.js';
 export { AnalyticsEngine } from './analytics/AnalyticsEngine.js';
-export { createConfig, loadConfig } from './utils/config.js';
+export { createConfig, loadConfig, validateConfig, CONFIG_VERSION } from './utils/config.js';
+export { convertTokens, detectFormat, normalizeTokens } from './utils/token-formats.js';
+export { getContrastRatio, getRequiredRatio, isAccessible, WCAG_LEVELS } from './utils/contrast.js';
+export { getJsonLocations, getTokenLocation, formatCodeFrame } from './utils/source-map.js';
+export { validateTokenValue, getValidatedType, TYPE_VALIDATORS, NAMED_COLORS } from './utils/token-types.js';
+export { getDeprecation, collectDeprecations, formatDeprecation } from './utils/deprecations.js';
 
 // Re-export CLI commands for programmatic usage
 export * as cli from './cli/index.js';
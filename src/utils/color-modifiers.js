@@ -0,0 +1,255 @@
+/**
+ * Color modifiers
+ * Applies Token Studio color modifiers ($extensions['studio.tokens'].modify)
+ * to resolved colors: lighten, darken, alpha and mix, computed in the srgb,
+ * hsl or lch color space the same way Token Studio does
+ */
+
+export const COLOR_MODIFIERS = ['lighten', 'darken', 'alpha', 'mix'];
+export const COLOR_SPACES = ['srgb', 'hsl', 'lch'];
+
+const NAMED_COLORS = {
+  white: '#ffffff',
+  black: '#000000',
+  transparent: '#00000000'
+};
+
+// sRGB (D65) → XYZ, and Bradford adaptation D65 → D50 for CIE Lab/LCH
+const SRGB_TO_XYZ = [
+  [0.4123907992659595, 0.357584339383878, 0.1804807884018343],
+  [0.2126390058715104, 0.715168678767756, 0.0721923153607337],
+  [0.0193308187155918, 0.119194779794626, 0.9505321522496606]
+];
+const XYZ_TO_SRGB = [
+  [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+  [-0.9692436362808796, 1.8759675015077202, 0.0415550574071756],
+  [0.0556300796969936, -0.2039769588889765, 1.0569715142428786]
+];
+const D65_TO_D50 = [
+  [1.0479298208405488, 0.022946793341019088, -0.05019222954313557],
+  [0.029627815688159344, 0.990434484573249, -0.01707382502938514],
+  [-0.009243058152591178, 0.015055144896577895, 0.7518742899580008]
+];
+const D50_TO_D65 = [
+  [0.9554734527042182, -0.023098536874261423, 0.0632593086610217],
+  [-0.028369706963208136, 1.0099954580058226, 0.021041398966943008],
+  [0.012314001688319899, -0.020507696433477912, 1.3303659366080753]
+];
+const D50_WHITE = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+
+const multiply = (matrix, vector) => matrix.map(row => row.reduce((sum, value, i) => sum + value * vector[i], 0));
+const clamp = (value, min = 0, max = 1) => Math.min(max, Math.max(min, value));
+
+/**
+ * Parse a CSS color (hex, rgb(), hsl(), white/black/transparent) into 0-1 sRGB channels
+ */
+export function parseColor(value) {
+  const color = String(value).trim().toLowerCase();
+  const named = NAMED_COLORS[color];
+  if (named) return parseColor(named);
+
+  const hex = color.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hex) {
+    const digits = hex[1].length <= 4 ? [...hex[1]].map(digit => digit + digit).join('') : hex[1];
+    const [r, g, b, a = 255] = digits.match(/../g).map(pair => parseInt(pair, 16));
+    return { r: r / 255, g: g / 255, b: b / 255, a: a / 255 };
+  }
+
+  const functional = color.match(/^(rgba?|hsla?)\((.*)\)$/);
+  if (functional) {
+    const parts = functional[2].split(/[\s,/]+/).filter(Boolean);
+    const channel = (part, scale) => (part.endsWith('%') ? parseFloat(part) / 100 : parseFloat(part) / scale);
+    const alpha = parts[3] !== undefined ? channel(parts[3], 1) : 1;
+
+    if (parts.length < 3 || parts.slice(0, 3).some(part => isNaN(parseFloat(part)))) {
+      throw new Error(`Cannot parse color "${value}"`);
+    }
+
+    if (functional[1].startsWith('rgb')) {
+      return { r: channel(parts[0], 255), g: channel(parts[1], 255), b: channel(parts[2], 255), a: alpha };
+    }
+    return { ...hslToRgb({ h: parseFloat(parts[0]), s: parseFloat(parts[1]), l: parseFloat(parts[2]) }), a: alpha };
+  }
+
+  throw new Error(`Cannot parse color "${value}"`);
+}
+
+/**
+ * Format 0-1 sRGB channels as hex, or rgba() when translucent
+ */
+export function formatColor({ r, g, b, a = 1 }) {
+  const channels = [r, g, b].map(channel => Math.round(clamp(channel) * 255));
+
+  if (a < 1) {
+    return `rgba(${channels.join(', ')}, ${Math.round(clamp(a) * 1000) / 1000})`;
+  }
+  return `#${channels.map(channel => channel.toString(16).padStart(2, '0')).join('')}`;
+}
+
+export function rgbToHsl({ r, g, b }) {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  const d = max - min;
+
+  if (d === 0) return { h: 0, s: 0, l: l * 100 };
+
+  const s = d / (1 - Math.abs(2 * l - 1));
+  let h;
+  if (max === r) h = ((g - b) / d) % 6;
+  else if (max === g) h = (b - r) / d + 2;
+  else h = (r - g) / d + 4;
+
+  return { h: (h * 60 + 360) % 360, s: s * 100, l: l * 100 };
+}
+
+export function hslToRgb({ h, s, l }) {
+  const saturation = s / 100;
+  const lightness = l / 100;
+  const k = (n) => (n + h / 30) % 12;
+  const a = saturation * Math.min(lightness, 1 - lightness);
+  const f = (n) => lightness - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+
+  return { r: f(0), g: f(8), b: f(4) };
+}
+
+export function rgbToLch({ r, g, b }) {
+  const linear = [r, g, b].map(c => (Math.abs(c) <= 0.04045 ? c / 12.92 : Math.sign(c) * ((Math.abs(c) + 0.055) / 1.055) ** 2.4));
+  const xyz = multiply(D65_TO_D50, multiply(SRGB_TO_XYZ, linear));
+  const [fx, fy, fz] = xyz.map((value, i) => {
+    const ratio = value / D50_WHITE[i];
+    return ratio > 216 / 24389 ? Math.cbrt(ratio) : (24389 / 27 * ratio + 16) / 116;
+  });
+
+  const l = 116 * fy - 16;
+  const a = 500 * (fx - fy);
+  const bAxis = 200 * (fy - fz);
+  const c = Math.sqrt(a * a + bAxis * bAxis);
+  const h = c < 1e-4 ? 0 : (Math.atan2(bAxis, a) * 180 / Math.PI + 360) % 360;
+
+  return { l, c, h };
+}
+
+export function lchToRgb({ l, c, h }) {
+  const a = c * Math.cos(h * Math.PI / 180);
+  const bAxis = c * Math.sin(h * Math.PI / 180);
+  const fy = (l + 16) / 116;
+  const fx = fy + a / 500;
+  const fz = fy - bAxis / 200;
+
+  const xyz = [fx, fy, fz].map((f, i) => {
+    const cube = f ** 3;
+    const ratio = i === 1
+      ? (l > 8 ? cube : l / (24389 / 27))
+      : (cube > 216 / 24389 ? cube : (116 * f - 16) / (24389 / 27));
+    return ratio * D50_WHITE[i];
+  });
+
+  const [r, g, b] = multiply(XYZ_TO_SRGB, multiply(D50_TO_D65, xyz))
+    .map(c => (Math.abs(c) > 0.0031308 ? Math.sign(c) * (1.055 * Math.abs(c) ** (1 / 2.4) - 0.055) : 12.92 * c));
+
+  return { r, g, b };
+}
+
+/**
+ * Interpolate a hue along the shorter arc
+ */
+function mixHue(from, to, amount) {
+  const delta = ((to - from + 540) % 360) - 180;
+  return (from + delta * amount + 360) % 360;
+}
+
+/**
+ * Mix two colors in a color space; amount is the share of the second color
+ */
+function mixColors(color, other, amount, space) {
+  const alpha = color.a + (other.a - color.a) * amount;
+
+  if (space === 'hsl' || space === 'lch') {
+    const [to, from] = space === 'hsl' ? [rgbToHsl, hslToRgb] : [rgbToLch, lchToRgb];
+    const a = to(color);
+    const b = to(other);
+    const mixed = Object.fromEntries(Object.keys(a).map(key => [
+      key,
+      key === 'h' ? mixHue(a.h, b.h, amount) : a[key] + (b[key] - a[key]) * amount
+    ]));
+    return { ...from(mixed), a: alpha };
+  }
+
+  return {
+    r: color.r + (other.r - color.r) * amount,
+    g: color.g + (other.g - color.g) * amount,
+    b: color.b + (other.b - color.b) * amount,
+    a: alpha
+  };
+}
+
+/**
+ * Move a color's lightness towards white (lighten) or black (darken)
+ * hsl and lch change lightness (lch also fades chroma when lightening);
+ * srgb mixes with white or black
+ */
+function shiftLightness(color, amount, space, lighten) {
+  if (space === 'hsl') {
+    const hsl = rgbToHsl(color);
+    const l = lighten ? hsl.l + (100 - hsl.l) * amount : hsl.l - hsl.l * amount;
+    return { ...hslToRgb({ ...hsl, l: clamp(l, 0, 100) }), a: color.a };
+  }
+
+  if (space === 'lch') {
+    const lch = rgbToLch(color);
+    const l = lighten ? lch.l + (100 - lch.l) * amount : lch.l - lch.l * amount;
+    const c = lighten ? Math.max(0, lch.c - lch.c * amount) : lch.c;
+    return { ...lchToRgb({ ...lch, l: clamp(l, 0, 100), c }), a: color.a };
+  }
+
+  return mixColors(color, parseColor(lighten ? 'white' : 'black'), amount, 'srgb');
+}
+
+/**
+ * Apply a Token Studio modifier ({ type, value, space, color }) to a resolved color
+ */
+export function applyColorModifier(value, modifier) {
+  const { type, space = 'srgb' } = modifier;
+  const amount = Number(modifier.value);
+
+  if (!COLOR_MODIFIERS.includes(type)) {
+    throw new Error(`Unknown color modifier "${type}". Expected one of: ${COLOR_MODIFIERS.join(', ')}`);
+  }
+  if (!COLOR_SPACES.includes(space)) {
+    throw new Error(`Unknown color space "${space}". Expected one of: ${COLOR_SPACES.join(', ')}`);
+  }
+  if (modifier.value === undefined || isNaN(amount) || amount < 0 || amount > 1) {
+    throw new Error(`Color modifier "${type}" needs a value between 0 and 1, got "${modifier.value}"`);
+  }
+
+  const color = parseColor(value);
+
+  switch (type) {
+    case 'lighten':
+      return formatColor(shiftLightness(color, amount, space, true));
+    case 'darken':
+      return formatColor(shiftLightness(color, amount, space, false));
+    case 'alpha':
+      return formatColor({ ...color, a: amount });
+    case 'mix':
+      if (!modifier.color) {
+        throw new Error('Color modifier "mix" needs a color to mix with');
+      }
+      return formatColor(mixColors(color, parseColor(modifier.color), amount, space));
+    default:
+      return value;
+  }
+}
+
+/**
+ * Perceptual distance between two colors (CIE76 ΔE in Lab); about 2.3 is
+ * the smallest difference most people notice
+ */
+export function colorDistance(a, b) {
+  const [from, to] = [a, b].map(color => {
+    const { l, c, h } = rgbToLch(parseColor(color));
+    return [l, c * Math.cos(h * Math.PI / 180), c * Math.sin(h * Math.PI / 180)];
+  });
+  return Math.sqrt(from.reduce((sum, value, i) => sum + (value - to[i]) ** 2, 0));
+}
@@ -1,47 +1,254 @@
 import { cosmiconfig } from 'cosmiconfig';
 import Joi from 'joi';
 import { join } from 'path';
-import { existsSync } from 'fs';
+import { existsSync, statSync } from 'fs';
 
 const MODULE_NAME = 'design-tokens';
 
+// Version of the config format this release reads; bump on breaking changes
+export const CONFIG_VERSION = 1;
+
+// Output entries are a path, or { path, formatter, options, ...per-output options }
+// (per-output options may also be written inline, as the templates do)
+const outputEntry = (options = {}) => Joi.alternatives().try(
+  Joi.string(),
+  Joi.object({
+    path: Joi.string().required(),
+    formatter: Joi.string(),
+    options: Joi.object(),
+    ...options
+  })
+).allow(null, false);
+
+// Outputs registered by plugins or formatters can take any options
+const customOutput = Joi.alternatives().try(
+  Joi.string(),
+  Joi.object({
+    path: Joi.string(),
+    formatter: Joi.string(),
+    options: Joi.object()
+  }).unknown(true)
+).allow(null, false);
+
+const mobileModuleOptions = {
+  format: Joi.string().valid('js', 'ts'),
+  includeTypeDefinitions: Joi.boolean(),
+  exportFormat: Joi.string().valid('named', 'default')
+};
+
+const outputSchema = Joi.object({
+  css: outputEntry().default('src/styles/tokens.css'),
+  tailwind: outputEntry().default('tailwind.config.js'),
+  tailwindTheme: outputEntry(),
+  tailwindPreset: outputEntry(),
+  typescript: outputEntry({
+    generateInterfaces: Joi.boolean(),
+    strictTypes: Joi.boolean()
+  }),
+  scss: outputEntry(),
+  styledTheme: outputEntry({
+    library: Joi.string().valid('styled-components', 'emotion')
+  }),
+  vanillaExtract: outputEntry(),
+  panda: outputEntry(),
+  reactNative: outputEntry(mobileModuleOptions),
+  expo: outputEntry(mobileModuleOptions),
+  flutter: outputEntry({
+    generateTheme: Joi.boolean(),
+    includeExtensions: Joi.boolean(),
+    colorScheme: Joi.object().pattern(Joi.string(), Joi.string()),
+    textTheme: Joi.object().pattern(Joi.string(), Joi.string())
+  }),
+  ios: outputEntry({
+    generateExtensions: Joi.boolean(),
+    includeUIKit: Joi.boolean()
+  }),
+  swiftui: outputEntry({
+    assetCatalog: Joi.string()
+  }),
+  android: outputEntry({
+    generateStyles: Joi.boolean(),
+    includeMaterialDesign: Joi.boolean(),
+    baseFontSize: Joi.number().positive(),
+    fontResources: Joi.boolean()
+  }),
+  compose: outputEntry({
+    packageName: Joi.string(),
+    colorScheme: Joi.object().pattern(Joi.string(), Joi.string())
+  }),
+  xamarin: outputEntry()
+}).pattern(Joi.string(), customOutput).default();
+
+const figmaSchema = Joi.object({
+  fileKey: Joi.string().allow(''),
+  fileUrl: Joi.string().uri(),
+  accessToken: Joi.string().allow(''),
+  nodeQueries: Joi.array().items(Joi.string())
+});
+
+const processingSchema = Joi.object({
+  // Unit conversion for platforms without rem/px ({ rem: { multiply: 16, unit: 'dp' } })
+  transformUnits: Joi.object().pattern(Joi.string(), Joi.object({
+    multiply: Joi.number().required(),
+    unit: Joi.string().required()
+  })),
+  colors: Joi.object({
+    generateDarkMode: Joi.boolean(),
+    formats: Joi.array().items(Joi.string().valid('hex', 'rgb', 'rgba', 'hsl')),
+    materialDesign3: Joi.boolean(),
+    generateColorSchemes: Joi.boolean(),
+    adaptiveColors: Joi.boolean()
+  }),
+  typography: Joi.object({
+    scaleFactors: Joi.object().pattern(Joi.string(), Joi.number().positive()),
+    fontMapping: Joi.object().pattern(Joi.string(), Joi.object().pattern(Joi.string(), Joi.string())),
+    materialTextScale: Joi.boolean(),
+    generateTextTheme: Joi.boolean(),
+    fontWeightMapping: Joi.object().pattern(Joi.string(), Joi.string())
+  })
+});
+
+// Validation rule settings: a severity, or [severity, options] as in ESLint
+const ruleSeverity = Joi.string().valid('off', 'warn', 'warning', 'error');
+const ruleSetting = Joi.alternatives().try(
+  ruleSeverity,
+  Joi.array().ordered(ruleSeverity.required(), Joi.object())
+);
+
+// Foreground/background pairs for the color-contrast rule, with * wildcards
+const contrastPair = Joi.alternatives().try(
+  Joi.string().pattern(/^\S+\s+on\s+\S+$/, 'foreground on background'),
+  Joi.object({
+    foreground: Joi.string().required(),
+    background: Joi.string().required(),
+    level: Joi.string().valid('AA', 'AAA'),
+    size: Joi.string().valid('normal', 'large')
+  })
+);
+
+// Framework sections read by templates and plugins rather than by the core
+const integrationSchema = Joi.object().unknown(true);
+
 // Configuration schema
 const configSchema = Joi.object({
+  version: Joi.number().valid(CONFIG_VERSION).default(CONFIG_VERSION)
+    .messages({ 'any.only': `unsupported config version; this release reads version ${CONFIG_VERSION}` }),
+
   tokens: Joi.object({
-    input: Joi.string().default('tokens.json'),
+    input: Joi.alternatives().try(Joi.string(), Joi.array().items(Joi.string()).min(1)).default('tokens.json'),
+    themes: Joi.object({
+      default: Joi.string(),
+      colorScheme: Joi.object({
+        light: Joi.string(),
+        dark: Joi.string()
+      })
+    }),
+    // Inject fallback shadows/opacity/zIndex/transitions/breakpoints/fontFamily
+    // for categories missing from tokens.json (true, false or per category)
+    defaults: Joi.alternatives().try(
+      Joi.boolean(),
+      Joi.object().pattern(Joi.string(), Joi.boolean())
+    ).default(true),
     validation: Joi.object({
       required: Joi.array().items(Joi.string()).default(['colors']),
-      optional: Joi.array().items(Joi.string()).default(['spacing', 'typography'])
-    })
-  }),
-  
-  output: Joi.object({
-    css: Joi.string().default('src/styles/tokens.css'),
-    tailwind: Joi.string().allow(null).default('tailwind.config.js'),
-    typescript: Joi.string().allow(null),
-    scss: Joi.string().allow(null)
-  }),
-  
+      optional: Joi.array().items(Joi.string()).default(['spacing', 'typography']),
+      rules: Joi.object().pattern(Joi.string(), ruleSetting),
+      // Files (or packages) exporting custom rules
+      customRules: Joi.array().items(Joi.string()),
+      contrastPairs: Joi.array().items(contrastPair),
+      // Known violations that validate does not report (see validate --update-baseline)
+      baseline: Joi.string()
+    }).default()
+  }).default(),
+
+  output: outputSchema,
+
+  // Modules (package names or paths) that register extra output formats
+  plugins: Joi.array().items(Joi.string()).default([]),
+
+  figma: figmaSchema,
+  processing: processingSchema,
+
   git: Joi.object({
     enabled: Joi.boolean().default(true),
     autoCommit: Joi.boolean().default(true),
     autoPush: Joi.boolean().default(false),
-    commitMessage: Joi.string().default('🎨 Update design tokens')
-  }),
-  
+    commitMessage: Joi.string().default('🎨 Update design tokens'),
+    filesToAdd: Joi.array().items(Joi.string())
+  }).default(),
+
   analytics: Joi.object({
     enabled: Joi.boolean().default(true),
     autoCollect: Joi.boolean().default(true),
-    reportSchedule: Joi.string().allow(null)
-  }),
-  
+    reportSchedule: Joi.string().allow(null),
+    scanDirs: Joi.array().items(Joi.string()),
+    fileExtensions: Joi.array().items(Joi.string()),
+    excludePatterns: Joi.array().items(Joi.string()),
+    outputDir: Joi.string()
+  }).default(),
+
   watch: Joi.object({
     enabled: Joi.boolean().default(true),
-    ignore: Joi.array().items(Joi.string()).default(['node_modules', '.git'])
-  })
+    ignore: Joi.array().items(Joi.string()).default(['node_modules', '.git']),
+    metroIntegration: Joi.boolean(),
+    hotReload: Joi.boolean()
+  }).default(),
+
+  validation: integrationSchema,
+  react: integrationSchema,
+  nextjs: integrationSchema,
+  reactNative: integrationSchema,
+  flutter: integrationSchema,
+  build: integrationSchema,
+  development: integrationSchema
 }).default();
 
+/**
+ * Validate a raw config against the schema, collecting every problem
+ * Returns { value, errors } where errors are { path, message } located by
+ * dotted path (output.reactNative.exportFormat)
+ */
+export function validateConfig(rawConfig = {}) {
+  const { value, error } = configSchema.validate(rawConfig, {
+    abortEarly: false,
+    errors: { label: false }
+  });
+
+  const errors = (error?.details || []).map(detail => ({
+    path: detail.path.join('.') || '(root)',
+    message: detail.message
+  }));
+
+  return { value, errors };
+}
+
+/**
+ * Format validation errors as one "path: message" per line
+ */
+export function formatConfigErrors(errors) {
+  return errors.map(({ path, message }) => `  • ${path}: ${message}`).join('\n');
+}
+
 export async function loadConfig(searchFrom = process.cwd()) {
+  try {
+    const result = await findConfig(searchFrom);
+    const { value, errors } = validateConfig(result ? result.config : {});
+
+    if (errors.length > 0) {
+      throw new Error(`Configuration validation error${result ? ` in ${result.filepath}` : ''}:\n${formatConfigErrors(errors)}`);
+    }
+    return value;
+
+  } catch (error) {
+    throw new Error(`Failed to load configuration: ${error.message}`);
+  }
+}
+
+/**
+ * Find the config file: searchFrom may be a config file or a directory to search from
+ * Returns cosmiconfig's { config, filepath } or null when there is none
+ */
+export async function findConfig(searchFrom = process.cwd()) {
   const explorer = cosmiconfig(MODULE_NAME, {
     searchPlaces: [
       'package.json',
@@ -55,35 +262,23 @@ export async function loadConfig(searchFrom = process.cwd()) {
     ]
   });
 
-  try {
-    const result = await explorer.search(searchFrom);
-    
-    if (result) {
-      const { value, error } = configSchema.validate(result.config);
-      if (error) {
-        throw new Error(`Configuration validation error: ${error.message}`);
-      }
-      return value;
-    }
-    
-    // Return default config if no config file found
-    return configSchema.validate({}).value;
-    
-  } catch (error) {
-    throw new Error(`Failed to load configuration: ${error.message}`);
+  if (existsSync(searchFrom) && statSync(searchFrom).isFile()) {
+    return explorer.load(searchFrom);
   }
+  return explorer.search(searchFrom);
 }
 
 export function createConfig(customConfig = {}) {
-  const { value, error } = configSchema.validate(customConfig);
-  if (error) {
-    throw new Error(`Configuration validation error: ${error.message}`);
+  const { value, errors } = validateConfig(customConfig);
+  if (errors.length > 0) {
+    throw new Error(`Configuration validation error:\n${formatConfigErrors(errors)}`);
   }
   return value;
 }
 
 export function createDefaultConfig() {
   return {
+    version: CONFIG_VERSION,
     tokens: {
       input: 'tokens.json',
       validation: {
@@ -0,0 +1,8 @@
+export type WcagLevel = 'AA' | 'AAA';
+export type TextSize = 'normal' | 'large';
+
+export declare const WCAG_LEVELS: Record<WcagLevel, Record<TextSize, number>>;
+export declare function getRelativeLuminance(color: { r: number; g: number; b: number }): number;
+export declare function getContrastRatio(foreground: string, background: string): number;
+export declare function getRequiredRatio(level?: WcagLevel, size?: TextSize): number;
+export declare function isAccessible(foreground: string, background: string, level?: WcagLevel, size?: TextSize): boolean;
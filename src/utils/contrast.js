@@ -0,0 +1,58 @@
+import { parseColor } from './color-modifiers.js';
+
+/**
+ * WCAG 2 contrast
+ * Shared by the validator's color-contrast rule and the app's design-system
+ * helpers (src/utils/design-system.ts)
+ */
+
+// Minimum contrast ratios by level and text size (large: 18pt, or 14pt bold)
+export const WCAG_LEVELS = {
+  AA: { normal: 4.5, large: 3 },
+  AAA: { normal: 7, large: 4.5 }
+};
+
+/**
+ * Relative luminance of 0-1 sRGB channels
+ */
+export function getRelativeLuminance({ r, g, b }) {
+  const [rs, gs, bs] = [r, g, b].map(c => (c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4)));
+  return 0.2126 * rs + 0.7152 * gs + 0.0722 * bs;
+}
+
+/**
+ * Contrast ratio (1-21) between two CSS colors
+ * A translucent foreground is blended over the background, and a
+ * translucent background over white
+ */
+export function getContrastRatio(foreground, background) {
+  const blend = (top, bottom) => ({
+    r: top.r * top.a + bottom.r * (1 - top.a),
+    g: top.g * top.a + bottom.g * (1 - top.a),
+    b: top.b * top.a + bottom.b * (1 - top.a),
+    a: 1
+  });
+
+  const back = blend(parseColor(background), { r: 1, g: 1, b: 1 });
+  const front = blend(parseColor(foreground), back);
+
+  const lum1 = getRelativeLuminance(front);
+  const lum2 = getRelativeLuminance(back);
+
+  return (Math.max(lum1, lum2) + 0.05) / (Math.min(lum1, lum2) + 0.05);
+}
+
+/**
+ * Minimum ratio for a level (AA, AAA) and text size (normal, large)
+ */
+export function getRequiredRatio(level = 'AA', size = 'normal') {
+  const ratio = WCAG_LEVELS[level]?.[size];
+  if (!ratio) {
+    throw new Error(`Unknown WCAG level "${level}" / text size "${size}": expected AA or AAA, normal or large`);
+  }
+  return ratio;
+}
+
+export function isAccessible(foreground, background, level = 'AA', size = 'normal') {
+  return getContrastRatio(foreground, background) >= getRequiredRatio(level, size);
+}
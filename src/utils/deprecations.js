@@ -0,0 +1,60 @@
+import { normalizeTokens } from './token-formats.js';
+import { getCategoryTree, walkTokens } from './token-sets.js';
+
+/**
+ * Token deprecations
+ * A token is deprecated by its $deprecated property: true, a message, or
+ * { message, replacement, removeIn } where replacement is the token to use
+ * instead ("{colors.brand.primary}") and removeIn the tokens version
+ * ($metadata.version) that removes it
+ */
+
+/**
+ * Read a token's $deprecated as { message, replacement, removeIn }, or null
+ */
+export function getDeprecation(token) {
+  const deprecated = token?.$deprecated;
+  if (deprecated === undefined || deprecated === false || deprecated === null) return null;
+
+  if (typeof deprecated !== 'object') {
+    return { message: typeof deprecated === 'string' ? deprecated : null, replacement: null, removeIn: null };
+  }
+
+  const replacement = typeof deprecated.replacement === 'string'
+    ? deprecated.replacement.trim().replace(/^\{|\}$/g, '')
+    : null;
+
+  return {
+    message: deprecated.message || null,
+    replacement: replacement || null,
+    removeIn: deprecated.removeIn ? String(deprecated.removeIn) : null
+  };
+}
+
+/**
+ * Every deprecated token of a raw tree by category path ({ 'colors.old': deprecation }),
+ * with Token Studio sets merged like the generated outputs
+ */
+export function collectDeprecations(tokens) {
+  const deprecations = {};
+
+  walkTokens(getCategoryTree(normalizeTokens(tokens || {})), (tokenPath, token) => {
+    const deprecation = getDeprecation(token);
+    if (deprecation) deprecations[tokenPath] = deprecation;
+  });
+
+  return deprecations;
+}
+
+/**
+ * One-line note for generated code: "Use the brand palette. Use {colors.brand} instead. Removed in 3.0.0"
+ */
+export function formatDeprecation(deprecation) {
+  if (!deprecation) return '';
+
+  return [
+    deprecation.message && deprecation.message.trim().replace(/\.$/, ''),
+    deprecation.replacement && `Use {${deprecation.replacement}} instead`,
+    deprecation.removeIn && `Removed in ${deprecation.removeIn}`
+  ].filter(Boolean).join('. ');
+}
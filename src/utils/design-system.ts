@@ -367,30 +367,8 @@ export const rgbToHex = (r: number, g: number, b: number): string => {
   return "#" + ((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1);
 };
 
-export const getContrastRatio = (color1: string, color2: string): number => {
-  const getLuminance = (hex: string): number => {
-    const rgb = hexToRgb(hex);
-    if (!rgb) return 0;
-    
-    const { r, g, b } = rgb;
-    const [rs, gs, bs] = [r, g, b].map(c => {
-      c = c / 255;
-      return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
-    });
-    
-    return 0.2126 * rs + 0.7152 * gs + 0.0722 * bs;
-  };
-  
-  const lum1 = getLuminance(color1);
-  const lum2 = getLuminance(color2);
-  
-  return (Math.max(lum1, lum2) + 0.05) / (Math.min(lum1, lum2) + 0.05);
-};
-
-export const isAccessible = (foreground: string, background: string, level: 'AA' | 'AAA' = 'AA'): boolean => {
-  const contrast = getContrastRatio(foreground, background);
-  return level === 'AA' ? contrast >= 4.5 : contrast >= 7;
-};
+// Contrast checks are shared with the CLI's color-contrast validation rule
+export { getContrastRatio, isAccessible } from './contrast.js';
 
 // Responsive Utilities
 export const generateResponsiveClasses = (property: string, values: Record<string, string>): string => {
@@ -0,0 +1,16 @@
+import path from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+
+/**
+ * Import a module by path (relative to cwd) or package name
+ * Shared by output format plugins and custom validation rules
+ */
+export async function importModule(specifier, cwd = process.cwd()) {
+  const isPath = specifier.startsWith('.') || path.isAbsolute(specifier);
+  const resolved = isPath
+    ? path.resolve(cwd, specifier)
+    : createRequire(path.join(cwd, 'package.json')).resolve(specifier);
+
+  return import(pathToFileURL(resolved).href);
+}
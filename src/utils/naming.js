@@ -0,0 +1,88 @@
+/**
+ * Token name case styles
+ * Used by the naming validation rules to check path segments and suggest renames
+ */
+
+export const CASE_STYLES = {
+  'kebab-case': /^[a-z0-9]+(-[a-z0-9]+)*$/,
+  camelCase: /^[a-z0-9][a-zA-Z0-9]*$/,
+  PascalCase: /^[A-Z0-9][a-zA-Z0-9]*$/,
+  snake_case: /^[a-z0-9]+(_[a-z0-9]+)*$/
+};
+
+/**
+ * Split a name into lowercase words: "brandPrimary500" → ["brand", "primary", "500"]
+ */
+export function splitWords(name) {
+  return String(name)
+    .replace(/([a-z])([A-Z0-9])/g, '$1 $2')
+    .replace(/([0-9])([A-Za-z])/g, '$1 $2')
+    .replace(/([A-Z])([A-Z][a-z])/g, '$1 $2')
+    .split(/[\s_\-.]+/)
+    .filter(Boolean)
+    .map(word => word.toLowerCase());
+}
+
+/**
+ * Check a name against a case style; scale steps ("500", "1.5") always pass
+ */
+export function matchesCase(name, style) {
+  if (!CASE_STYLES[style]) {
+    throw new Error(`Unknown case style "${style}". Use one of: ${Object.keys(CASE_STYLES).join(', ')}`);
+  }
+  return /^\d+(\.\d+)?$/.test(name) || CASE_STYLES[style].test(name);
+}
+
+/**
+ * Convert a name to a case style
+ */
+export function toCase(name, style) {
+  const words = splitWords(name);
+  const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+  switch (style) {
+    case 'kebab-case':
+      return words.join('-');
+    case 'snake_case':
+      return words.join('_');
+    case 'camelCase':
+      return words.map((word, index) => (index === 0 ? word : capitalize(word))).join('');
+    case 'PascalCase':
+      return words.map(capitalize).join('');
+    default:
+      throw new Error(`Unknown case style "${style}". Use one of: ${Object.keys(CASE_STYLES).join(', ')}`);
+  }
+}
+
+/**
+ * Levenshtein distance between two names
+ */
+export function getEditDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * The candidate a name most likely means: same words in another case
+ * ("border-radius" → "borderRadius"), else the closest within maxDistance edits
+ */
+export function findClosestName(name, candidates, maxDistance = 2) {
+  const words = splitWords(name).join('');
+  const sameWords = candidates.find(candidate => splitWords(candidate).join('') === words);
+  if (sameWords) return sameWords;
+
+  return candidates
+    .map(candidate => ({ candidate, distance: getEditDistance(name.toLowerCase(), candidate.toLowerCase()) }))
+    .filter(({ distance }) => distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance)[0]?.candidate || null;
+}
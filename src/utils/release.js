@@ -0,0 +1,84 @@
+/**
+ * Token releases
+ * Semver helpers for $metadata.version and changelog editing, used by `dts release`
+ */
+
+export const RELEASE_TYPES = ['major', 'minor', 'patch'];
+
+// Version of a token tree that has never been released
+export const INITIAL_VERSION = '0.0.0';
+
+// Token releases keep their own changelog and tags, apart from the package's
+export const TOKEN_CHANGELOG = 'TOKENS_CHANGELOG.md';
+export const TOKEN_TAG_PREFIX = 'tokens-v';
+
+/**
+ * Parse "major.minor.patch" (a leading "v" and any prerelease/build suffix are ignored)
+ */
+export function parseVersion(version) {
+  const match = /^v?(\d+)\.(\d+)\.(\d+)(?:[-+].*)?$/.exec(String(version).trim());
+  if (!match) {
+    throw new Error(`Invalid version "${version}": expected major.minor.patch`);
+  }
+
+  const [, major, minor, patch] = match.map(Number);
+  return { major, minor, patch };
+}
+
+/**
+ * Bump a version by release type
+ */
+export function bumpVersion(version, releaseType) {
+  const { major, minor, patch } = parseVersion(version);
+
+  switch (releaseType) {
+    case 'major': return `${major + 1}.0.0`;
+    case 'minor': return `${major}.${minor + 1}.0`;
+    case 'patch': return `${major}.${minor}.${patch + 1}`;
+    default:
+      throw new Error(`Invalid release type "${releaseType}": expected one of ${RELEASE_TYPES.join(', ')}`);
+  }
+}
+
+/**
+ * Compare two versions: negative when a < b, 0 when equal, positive when a > b
+ */
+export function compareVersions(a, b) {
+  const first = parseVersion(a);
+  const second = parseVersion(b);
+
+  return first.major - second.major || first.minor - second.minor || first.patch - second.patch;
+}
+
+/**
+ * Release type of the step from one version to another (null when not higher)
+ */
+export function getVersionBump(from, to) {
+  const before = parseVersion(from);
+  const after = parseVersion(to);
+
+  if (after.major > before.major) return 'major';
+  if (compareVersions(to, from) <= 0) return null;
+  return after.minor > before.minor ? 'minor' : 'patch';
+}
+
+/**
+ * Insert a release section into a changelog, above the latest release
+ * The header (title and intro) is kept; a new changelog gets a plain title
+ */
+export function insertChangelogSection(changelog, section) {
+  if (!changelog || !changelog.trim()) {
+    return `# Changelog\n\n${section.trim()}\n`;
+  }
+
+  const lines = changelog.split('\n');
+  const index = lines.findIndex(line => line.startsWith('## '));
+
+  if (index === -1) {
+    return `${changelog.trimEnd()}\n\n${section.trim()}\n`;
+  }
+
+  const header = lines.slice(0, index).join('\n').trimEnd();
+  const releases = lines.slice(index).join('\n');
+  return `${header ? `${header}\n\n` : ''}${section.trim()}\n\n${releases}`;
+}
@@ -0,0 +1,133 @@
+/**
+ * JSON source maps
+ * Locates every key of a JSON document so validation results can point at
+ * file:line:column, and renders code frames around those locations
+ */
+
+/**
+ * Map the dotted path of every object key (and array index) to the 1-based
+ * { line, column } of the key and of its value
+ * The text must be valid JSON (parse it first to report syntax errors)
+ */
+export function getJsonLocations(text) {
+  const locations = {};
+  let index = 0;
+  let line = 1;
+  let column = 1;
+
+  const advance = () => {
+    if (text[index] === '\n') {
+      line++;
+      column = 1;
+    } else {
+      column++;
+    }
+    index++;
+  };
+
+  const skipWhitespace = () => {
+    while (index < text.length && /\s/.test(text[index])) advance();
+  };
+
+  const readString = () => {
+    const start = index;
+    advance();
+    while (index < text.length && text[index] !== '"') {
+      if (text[index] === '\\') advance();
+      advance();
+    }
+    advance();
+    return JSON.parse(text.slice(start, index));
+  };
+
+  // Parse the members of an object or array after its opening bracket
+  const readMembers = (close, readMember) => {
+    advance();
+    skipWhitespace();
+    if (text[index] === close) {
+      advance();
+      return;
+    }
+
+    for (let position = 0; index < text.length; position++) {
+      readMember(position);
+      skipWhitespace();
+      const separator = text[index];
+      advance();
+      if (separator !== ',') return;
+    }
+  };
+
+  const readValue = (segments) => {
+    skipWhitespace();
+    const char = text[index];
+
+    if (char === '{') {
+      readMembers('}', () => {
+        skipWhitespace();
+        const key = { line, column };
+        const name = readString();
+        skipWhitespace();
+        advance(); // :
+        skipWhitespace();
+
+        const childPath = [...segments, name];
+        locations[childPath.join('.')] = { line: key.line, column: key.column, valueLine: line, valueColumn: column };
+        readValue(childPath);
+      });
+    } else if (char === '[') {
+      readMembers(']', (position) => {
+        skipWhitespace();
+        const childPath = [...segments, String(position)];
+        locations[childPath.join('.')] = { line, column, valueLine: line, valueColumn: column };
+        readValue(childPath);
+      });
+    } else if (char === '"') {
+      readString();
+    } else {
+      while (index < text.length && !/[\s,}\]]/.test(text[index])) advance();
+    }
+  };
+
+  readValue([]);
+  return locations;
+}
+
+/**
+ * Location of a token in a file: its value when it has one, else its key
+ */
+export function getTokenLocation(locations, tokenPath) {
+  const value = locations[`${tokenPath}.$value`] || locations[`${tokenPath}.value`];
+  if (value) return { line: value.valueLine, column: value.valueColumn };
+
+  const key = locations[tokenPath];
+  return key ? { line: key.line, column: key.column } : null;
+}
+
+/**
+ * Render the lines around a location with a marker under the column
+ *
+ *     141 |       "500": {
+ *   > 142 |         "value": "not a color",
+ *         |                  ^
+ */
+export function formatCodeFrame(text, line, column = null, context = 2) {
+  const lines = text.split(/\r?\n/);
+  const start = Math.max(1, line - context);
+  const end = Math.min(lines.length, line + context);
+  const width = String(end).length;
+  const frame = [];
+
+  for (let number = start; number <= end; number++) {
+    const content = lines[number - 1];
+    frame.push(`${number === line ? '>' : ' '} ${String(number).padStart(width)} |${content ? ` ${content}` : ''}`);
+
+    if (number === line && column) {
+      // Keep tabs so the marker lines up with tab-indented files
+      const padding = content.slice(0, column - 1).replace(/[^\t]/g, ' ');
+      frame.push(`  ${' '.repeat(width)} | ${padding}^`);
+    }
+  }
+
+  return frame.join('\n');
+}
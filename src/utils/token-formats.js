@@ -0,0 +1,353 @@
+/**
+ * Token file formats
+ * Detects, normalizes and converts between the Token Studio format
+ * ({ value, type }) and the W3C Design Tokens Community Group format
+ * ({ $value, $type } with group-level $type inheritance)
+ */
+
+export const TOKEN_FORMATS = ['dtcg', 'tokens-studio'];
+
+const TOKENS_STUDIO_TO_DTCG_TYPES = {
+  boxShadow: 'shadow',
+  fontFamilies: 'fontFamily',
+  fontWeights: 'fontWeight',
+  fontSizes: 'dimension',
+  lineHeights: 'number',
+  letterSpacing: 'dimension',
+  paragraphSpacing: 'dimension',
+  spacing: 'dimension',
+  sizing: 'dimension',
+  borderRadius: 'dimension',
+  borderWidth: 'dimension',
+  opacity: 'number'
+};
+
+const DTCG_TO_TOKENS_STUDIO_TYPES = {
+  shadow: 'boxShadow',
+  fontFamily: 'fontFamilies',
+  fontWeight: 'fontWeights'
+};
+
+const STUDIO_EXTENSION = 'studio.tokens';
+
+const SHADOW_DIMENSIONS = ['offsetX', 'offsetY', 'blur', 'spread'];
+
+/**
+ * Get the DTCG name of a Token Studio or DTCG type (boxShadow → shadow, spacing → dimension)
+ */
+export function toDTCGType(type) {
+  return TOKENS_STUDIO_TO_DTCG_TYPES[type] || type;
+}
+
+/**
+ * Guess the DTCG type of an untyped, resolved token value
+ */
+export function inferTokenType(value) {
+  if (typeof value === 'number') return 'number';
+  if (typeof value !== 'string') return null;
+
+  const trimmed = value.trim();
+  if (/^(#[0-9a-f]{3,8}|(rgba?|hsla?|hwb|lab|lch|oklab|oklch|color)\(.*\))$/i.test(trimmed)) return 'color';
+  if (/^-?\d*\.?\d+(px|rem|em|%|vh|vw|dp|sp|pt)$/.test(trimmed)) return 'dimension';
+  if (/^-?\d*\.?\d+m?s$/.test(trimmed)) return 'duration';
+  if (/^-?\d*\.?\d+$/.test(trimmed)) return 'number';
+  return null;
+}
+
+/**
+ * Check if a node is a DTCG token ($value) rather than a group
+ */
+export function isDTCGToken(node) {
+  return Boolean(node) && typeof node === 'object' && !Array.isArray(node) && node.$value !== undefined;
+}
+
+/**
+ * Check if a node is a Token Studio token (value) rather than a group
+ */
+export function isTokensStudioToken(node) {
+  return Boolean(node) && typeof node === 'object' && !Array.isArray(node) && node.value !== undefined;
+}
+
+/**
+ * Detect the format of a raw token tree
+ */
+export function detectFormat(tokens) {
+  const hasDTCGToken = (node) => {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) return false;
+    if (isDTCGToken(node)) return true;
+    if (isTokensStudioToken(node)) return false;
+    return Object.entries(node).some(([key, child]) => !['$themes', '$metadata'].includes(key) && hasDTCGToken(child));
+  };
+
+  return hasDTCGToken(tokens) ? 'dtcg' : 'tokens-studio';
+}
+
+/**
+ * Walk every group of a tree, rebuilding it with a token transform
+ * Root-level $themes and $metadata are kept as-is; other group-level $ keys
+ * are handed to onGroup so formats can consume or drop them
+ */
+function mapTree(tokens, isToken, mapToken, onGroup = () => ({})) {
+  const walk = (node, context, isRoot) => {
+    if (isToken(node)) {
+      return mapToken(node, context);
+    }
+
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      return node;
+    }
+
+    const groupContext = { ...context, ...onGroup(node, context) };
+    const result = {};
+
+    Object.entries(node).forEach(([key, child]) => {
+      if (key.startsWith('$')) {
+        if (isRoot && ['$themes', '$metadata'].includes(key)) {
+          result[key] = child;
+        }
+        return;
+      }
+      result[key] = walk(child, groupContext, false);
+    });
+
+    return result;
+  };
+
+  return walk(tokens, {}, true);
+}
+
+/**
+ * Normalize a raw tree into the internal { value, type } shape
+ * DTCG tokens get their inherited $type; $extensions and $deprecated are kept
+ * on the token. Token Studio trees are returned untouched
+ */
+export function normalizeTokens(tokens) {
+  if (detectFormat(tokens) !== 'dtcg') {
+    return tokens;
+  }
+
+  return mapTree(
+    tokens,
+    isDTCGToken,
+    (token, context) => {
+      const { $value, $type, $description, ...rest } = token;
+      const type = $type || context.type;
+
+      return {
+        value: $value,
+        ...(type && { type }),
+        ...($description && { description: $description }),
+        ...rest
+      };
+    },
+    group => (group.$type ? { type: group.$type } : {})
+  );
+}
+
+/**
+ * Append px to unitless numbers (Token Studio shadows are often unitless)
+ */
+function toDimension(value) {
+  if (typeof value === 'number' || (typeof value === 'string' && /^-?\d*\.?\d+$/.test(value))) {
+    return Number(value) === 0 ? '0' : `${value}px`;
+  }
+  return value;
+}
+
+function shadowToDTCG(shadow) {
+  if (Array.isArray(shadow)) return shadow.map(shadowToDTCG);
+  if (!shadow || typeof shadow !== 'object') return shadow;
+
+  const { x, y, type, offsetX = x, offsetY = y, ...rest } = shadow;
+  const converted = { ...rest, offsetX, offsetY };
+  SHADOW_DIMENSIONS.forEach(key => {
+    if (converted[key] !== undefined) converted[key] = toDimension(converted[key]);
+  });
+  if (type === 'innerShadow') converted.inset = true;
+
+  return converted;
+}
+
+function shadowToTokensStudio(shadow) {
+  if (Array.isArray(shadow)) return shadow.map(shadowToTokensStudio);
+  if (!shadow || typeof shadow !== 'object') return shadow;
+
+  const { offsetX, offsetY, inset, ...rest } = shadow;
+  return { x: offsetX, y: offsetY, ...rest, type: inset ? 'innerShadow' : 'dropShadow' };
+}
+
+/**
+ * Convert a raw tree to the given format ('dtcg' or 'tokens-studio')
+ */
+export function convertTokens(tokens, to) {
+  if (!TOKEN_FORMATS.includes(to)) {
+    throw new Error(`Unknown token format "${to}". Expected one of: ${TOKEN_FORMATS.join(', ')}`);
+  }
+
+  const normalized = normalizeTokens(tokens);
+
+  if (to === 'tokens-studio') {
+    return mapTree(normalized, isTokensStudioToken, ({ value, type, description, ...rest }) => {
+      const { $extensions, ...others } = rest;
+      const { originalType, ...studio } = $extensions?.[STUDIO_EXTENSION] || {};
+      const extensions = { ...$extensions, [STUDIO_EXTENSION]: studio };
+      if (Object.keys(studio).length === 0) delete extensions[STUDIO_EXTENSION];
+      const tokensStudioType = originalType || DTCG_TO_TOKENS_STUDIO_TYPES[type] || type;
+
+      return {
+        value: type === 'shadow' ? shadowToTokensStudio(value) : value,
+        ...(tokensStudioType && { type: tokensStudioType }),
+        ...(description && { description }),
+        ...others,
+        ...(Object.keys(extensions).length > 0 && { $extensions: extensions })
+      };
+    });
+  }
+
+  // Types that would not map back to the same Token Studio name keep it in
+  // $extensions so converting back is lossless
+  return mapTree(normalized, isTokensStudioToken, ({ value, type, description, ...rest }) => {
+    const $type = TOKENS_STUDIO_TO_DTCG_TYPES[type] || type;
+    const $extensions = type && (DTCG_TO_TOKENS_STUDIO_TYPES[$type] || $type) !== type
+      ? { ...rest.$extensions, [STUDIO_EXTENSION]: { ...rest.$extensions?.[STUDIO_EXTENSION], originalType: type } }
+      : rest.$extensions;
+
+    return {
+      $value: $type === 'shadow' ? shadowToDTCG(value) : value,
+      ...($type && { $type }),
+      ...(description && { $description: description }),
+      ...rest,
+      ...($extensions && { $extensions })
+    };
+  });
+}
+
+const FONT_WEIGHTS = {
+  thin: 100, hairline: 100, extralight: 200, ultralight: 200, light: 300,
+  regular: 400, normal: 400, book: 400, medium: 500, semibold: 600, demibold: 600,
+  bold: 700, extrabold: 800, ultrabold: 800, black: 900, heavy: 900
+};
+
+const TYPOGRAPHY_PROPERTIES = ['fontFamily', 'fontSize', 'fontWeight', 'lineHeight', 'letterSpacing'];
+
+/**
+ * Check if a resolved value is a composite typography style
+ */
+export function isTypographyValue(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+    TYPOGRAPHY_PROPERTIES.some(property => value[property] !== undefined);
+}
+
+/**
+ * Turn a font weight name ('Bold', 'Semi Bold Italic') into its numeric weight
+ */
+export function toFontWeight(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string') return value;
+  if (/^\d+$/.test(value.trim())) return Number(value);
+
+  const name = value.toLowerCase().replace(/italic/, '').replace(/[\s_-]+/g, '');
+  return FONT_WEIGHTS[name || 'regular'] ?? value;
+}
+
+/**
+ * Normalize a resolved composite typography value (Token Studio or DTCG) into
+ * CSS-ready parts: { fontFamily, fontSize, fontWeight, fontStyle, lineHeight,
+ * letterSpacing, textCase, textDecoration }
+ * Percentages become unitless line heights (150% → 1.5) and em letter
+ * spacing (2% → 0.02em); unitless sizes are pixels
+ */
+export function normalizeTypography(value) {
+  const { fontFamily, fontSize, fontWeight, lineHeight, letterSpacing, textCase, textDecoration } = value;
+
+  const toLineHeight = (input) => {
+    const height = formatCompositeValue(input);
+    if (typeof height !== 'string') return height;
+    if (/^auto$/i.test(height)) return 'normal';
+    if (/^-?\d*\.?\d+%$/.test(height)) return parseFloat(height) / 100;
+    if (/^-?\d*\.?\d+$/.test(height)) return Number(height);
+    return height;
+  };
+
+  const toLetterSpacing = (input) => {
+    const spacing = formatCompositeValue(input);
+    if (typeof spacing === 'string' && /^-?\d*\.?\d+%$/.test(spacing)) {
+      return `${parseFloat(spacing) / 100}em`;
+    }
+    return toDimension(spacing);
+  };
+
+  const style = {
+    fontFamily: formatCompositeValue(fontFamily, 'fontFamily'),
+    fontSize: toDimension(formatCompositeValue(fontSize)),
+    fontWeight: toFontWeight(fontWeight),
+    fontStyle: typeof fontWeight === 'string' && /italic/i.test(fontWeight) ? 'italic' : value.fontStyle,
+    lineHeight: toLineHeight(lineHeight),
+    letterSpacing: toLetterSpacing(letterSpacing),
+    textCase: textCase === 'none' ? undefined : textCase,
+    textDecoration: textDecoration === 'none' ? undefined : textDecoration
+  };
+
+  return Object.fromEntries(Object.entries(style).filter(([, part]) => part !== undefined && part !== ''));
+}
+
+/**
+ * Serialize a resolved composite value (shadow, border, gradient, transition,
+ * cubicBezier, fontFamily, DTCG dimension objects) to a CSS string
+ * Typography composites and plain values are returned untouched
+ */
+export function formatCompositeValue(value, type) {
+  if (value === null || value === undefined || typeof value !== 'object') {
+    return value;
+  }
+
+  // DTCG 2025 dimension/duration objects: { value: 4, unit: 'px' }
+  if (!Array.isArray(value) && value.unit !== undefined && value.value !== undefined) {
+    return `${value.value}${value.unit}`;
+  }
+
+  const format = (item) => formatCompositeValue(item);
+
+  switch (type) {
+    case 'shadow':
+    case 'boxShadow':
+      return [].concat(value).map(shadow => {
+        if (!shadow || typeof shadow !== 'object') return shadow;
+        const inset = shadow.inset || shadow.type === 'innerShadow';
+        const parts = [
+          shadow.offsetX ?? shadow.x ?? 0,
+          shadow.offsetY ?? shadow.y ?? 0,
+          shadow.blur ?? 0,
+          shadow.spread ?? 0
+        ].map(part => toDimension(format(part)));
+        return `${inset ? 'inset ' : ''}${parts.join(' ')} ${format(shadow.color)}`.trim();
+      }).join(', ');
+
+    case 'border':
+      return [format(value.width), value.style, format(value.color)].filter(Boolean).join(' ');
+
+    case 'gradient':
+      return `linear-gradient(${[].concat(value).map(stop =>
+        stop.position !== undefined ? `${format(stop.color)} ${Math.round(stop.position * 100)}%` : format(stop.color)
+      ).join(', ')})`;
+
+    case 'cubicBezier':
+      return Array.isArray(value) ? `cubic-bezier(${value.join(', ')})` : value;
+
+    case 'transition': {
+      const timing = Array.isArray(value.timingFunction)
+        ? `cubic-bezier(${value.timingFunction.join(', ')})`
+        : value.timingFunction;
+      return [format(value.duration), timing, format(value.delay)].filter(Boolean).join(' ');
+    }
+
+    case 'fontFamily':
+    case 'fontFamilies':
+      return Array.isArray(value)
+        ? value.map(name => (/\s/.test(name) && !/^['"]/.test(name) ? `"${name}"` : name)).join(', ')
+        : value;
+
+    default:
+      return value;
+  }
+}
@@ -0,0 +1,208 @@
+/**
+ * Token math
+ * Evaluates Token Studio math expressions in resolved token values
+ * ({spacing.4} * 2 → 2rem, roundTo(16px / 3) → 5px). Operands keep their
+ * unit: adding or subtracting needs matching units (a bare number takes the
+ * other side's unit), multiplying allows one unit, and dividing two values
+ * of the same unit gives a plain number
+ */
+
+const NUMBER_PATTERN = /^(\d*\.?\d+(?:e[+-]?\d+)?)([a-z%]*)/i;
+
+const FUNCTIONS = {
+  roundTo: (value, decimals = { number: 0 }) => {
+    const factor = 10 ** decimals.number;
+    return { ...value, number: Math.round(value.number * factor) / factor };
+  },
+  round: (value) => ({ ...value, number: Math.round(value.number) }),
+  floor: (value) => ({ ...value, number: Math.floor(value.number) }),
+  ceil: (value) => ({ ...value, number: Math.ceil(value.number) }),
+  abs: (value) => ({ ...value, number: Math.abs(value.number) }),
+  min: (...values) => values.reduce((a, b) => ({ number: Math.min(a.number, b.number), unit: combineUnits(a, b, 'compare') })),
+  max: (...values) => values.reduce((a, b) => ({ number: Math.max(a.number, b.number), unit: combineUnits(a, b, 'compare') }))
+};
+
+const format = ({ number, unit }) => `${number}${unit}`;
+
+/**
+ * Unit of a sum or comparison of two operands
+ */
+function combineUnits(a, b, operation) {
+  if (a.unit && b.unit && a.unit !== b.unit) {
+    throw new Error(`Cannot ${operation} ${format(a)} and ${format(b)}: units differ`);
+  }
+  return a.unit || b.unit;
+}
+
+/**
+ * Split an expression into numbers (with units), names and operators
+ */
+function tokenize(expression) {
+  const tokens = [];
+  let rest = expression.trim();
+
+  while (rest.length > 0) {
+    const number = rest.match(NUMBER_PATTERN);
+    const name = rest.match(/^[a-z_][\w]*/i);
+
+    if (number) {
+      tokens.push({ type: 'number', number: Number(number[1]), unit: number[2] });
+      rest = rest.slice(number[0].length);
+    } else if (name) {
+      tokens.push({ type: 'name', name: name[0] });
+      rest = rest.slice(name[0].length);
+    } else if ('+-*/(),'.includes(rest[0])) {
+      tokens.push({ type: rest[0] });
+      rest = rest.slice(1);
+    } else {
+      return null;
+    }
+
+    rest = rest.trimStart();
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive descent parser over the token list
+ * Returns { value, operations } or null when the string is not an expression
+ */
+function parse(tokens) {
+  let position = 0;
+  let operations = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = (type) => {
+    if (peek()?.type !== type) throw new SyntaxError(`Expected "${type}"`);
+    return next();
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+
+    if (!token) throw new SyntaxError('Unexpected end of expression');
+
+    if (token.type === 'number') {
+      return { number: token.number, unit: token.unit };
+    }
+
+    if (token.type === '(') {
+      const value = parseSum();
+      expect(')');
+      return value;
+    }
+
+    if (token.type === 'name' && FUNCTIONS[token.name] && peek()?.type === '(') {
+      next();
+      const args = [parseSum()];
+      while (peek()?.type === ',') {
+        next();
+        args.push(parseSum());
+      }
+      expect(')');
+      operations++;
+      return FUNCTIONS[token.name](...args);
+    }
+
+    throw new SyntaxError(`Unexpected "${token.name || token.type}"`);
+  };
+
+  const parseUnary = () => {
+    if (peek()?.type === '-' || peek()?.type === '+') {
+      const sign = next().type === '-' ? -1 : 1;
+      const value = parseUnary();
+      return { ...value, number: sign * value.number };
+    }
+    return parsePrimary();
+  };
+
+  const parseProduct = () => {
+    let value = parseUnary();
+
+    while (peek()?.type === '*' || peek()?.type === '/') {
+      const operator = next().type;
+      const operand = parseUnary();
+      operations++;
+
+      if (operator === '*') {
+        if (value.unit && operand.unit) {
+          throw new Error(`Cannot multiply ${format(value)} by ${format(operand)}`);
+        }
+        value = { number: value.number * operand.number, unit: value.unit || operand.unit };
+      } else {
+        if (operand.number === 0) {
+          throw new Error(`Division by zero: ${format(value)} / ${format(operand)}`);
+        }
+        if (operand.unit && operand.unit !== value.unit) {
+          throw new Error(`Cannot divide ${format(value)} by ${format(operand)}`);
+        }
+        value = { number: value.number / operand.number, unit: operand.unit ? '' : value.unit };
+      }
+    }
+
+    return value;
+  };
+
+  const parseSum = () => {
+    let value = parseProduct();
+
+    while (peek()?.type === '+' || peek()?.type === '-') {
+      const operator = next().type;
+      const operand = parseProduct();
+      operations++;
+
+      const unit = combineUnits(value, operand, operator === '+' ? 'add' : 'subtract');
+      value = { number: operator === '+' ? value.number + operand.number : value.number - operand.number, unit };
+    }
+
+    return value;
+  };
+
+  try {
+    const value = parseSum();
+    if (position < tokens.length) throw new SyntaxError(`Unexpected "${peek().name || peek().type}"`);
+    return { value, operations };
+  } catch (error) {
+    if (error instanceof SyntaxError) return null;
+    throw error;
+  }
+}
+
+/**
+ * Check if a string is written as math (an operator between operands or a
+ * math function) rather than a plain CSS value like "0 1px 2px #000"
+ */
+export function isExpression(value) {
+  return typeof value === 'string' &&
+    (/[\d)%a-z]\s*[*/+]\s*[\d(.a-z-]/i.test(value) || /\s-\s/.test(value) ||
+      new RegExp(`(^|[^\\w-])(${Object.keys(FUNCTIONS).join('|')})\\(`).test(value));
+}
+
+/**
+ * Evaluate a math expression, returning the value unchanged when it is not one
+ * Numbers are rounded to 4 decimals to hide floating point noise (0.1 + 0.2)
+ */
+export function evaluateExpression(value) {
+  if (!isExpression(value)) {
+    return value;
+  }
+
+  const tokens = tokenize(value);
+  const result = tokens && parse(tokens);
+
+  // Plain CSS values with a "/" or "-" (rgb(0 0 0 / 0.1), calc(...)) stay as written
+  if (!result || result.operations === 0) {
+    if (/\*|\broundTo\(/.test(value)) {
+      throw new Error(`Invalid expression "${value}"`);
+    }
+    return value;
+  }
+
+  if (!Number.isFinite(result.value.number)) {
+    throw new Error(`Expression "${value}" does not give a finite number`);
+  }
+
+  return format({ ...result.value, number: Math.round(result.value.number * 10000) / 10000 });
+}
@@ -0,0 +1,136 @@
+/**
+ * Token Studio token sets
+ * Helpers for trees whose top-level keys are sets ({ core: {...}, semantic: {...} })
+ * rather than categories, shared by the loader, processor and validator
+ */
+
+import { toDTCGType, inferTokenType } from './token-formats.js';
+
+// Set names that always wrap categories
+export const TOKEN_SETS = ['core', 'semantic'];
+
+// Category groups read by the built-in extractors
+export const CATEGORY_GROUPS = [
+  'colors', 'spacing', 'typography', 'borderRadius', 'shadows', 'opacity',
+  'zIndex', 'transitions', 'breakpoints', 'transitionDuration', 'transitionEasing'
+];
+
+/**
+ * Check if a node is a group of tokens rather than a token or a plain value
+ */
+export function isTokenGroup(node) {
+  return Boolean(node) && typeof node === 'object' && !Array.isArray(node) &&
+    node.value === undefined && node.$value === undefined;
+}
+
+/**
+ * Deep-merge a token set into a tree; later tokens replace earlier ones
+ */
+export function mergeTokenSets(target, source) {
+  const merged = { ...target };
+
+  Object.entries(source).forEach(([key, value]) => {
+    const existing = merged[key];
+
+    if (isTokenGroup(value) && isTokenGroup(existing)) {
+      merged[key] = mergeTokenSets(existing, value);
+    } else {
+      merged[key] = value;
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * Get token set order from $metadata, falling back to document order
+ */
+export function getTokenSetOrder(tokens) {
+  if (Array.isArray(tokens.$metadata?.tokenSetOrder)) {
+    return tokens.$metadata.tokenSetOrder;
+  }
+  return Object.keys(tokens).filter(key => !key.startsWith('$'));
+}
+
+/**
+ * Check if a top-level group is a set wrapping categories: core/semantic, a
+ * set selected by a $themes entry, or a group holding built-in categories
+ */
+export function isTokenSet(tokens, key) {
+  const group = tokens[key];
+  if (key.startsWith('$') || !isTokenGroup(group)) return false;
+
+  const themeSets = (tokens.$themes || []).flatMap(theme => Object.keys(theme.selectedTokenSets || {}));
+
+  return TOKEN_SETS.includes(key) || themeSets.includes(key) ||
+    Object.keys(group).some(child => CATEGORY_GROUPS.includes(child));
+}
+
+/**
+ * Merge every set wrapper into one tree of categories, keeping other
+ * top-level groups as categories of their own
+ */
+export function getCategoryTree(tokens) {
+  return Object.entries(tokens).reduce((tree, [key, value]) => {
+    if (key.startsWith('$') || !isTokenGroup(value)) {
+      return tree;
+    }
+    return mergeTokenSets(tree, isTokenSet(tokens, key) ? value : { [key]: value });
+  }, {});
+}
+
+/**
+ * Merge the sets a Token Studio theme enables (or uses as source), in token set order
+ */
+export function mergeThemeSets(tokens, theme) {
+  const selectedSets = theme.selectedTokenSets || {};
+
+  return getTokenSetOrder(tokens)
+    .filter(set => tokens[set] && ['enabled', 'source'].includes(selectedSets[set]))
+    .reduce((tree, set) => mergeTokenSets(tree, tokens[set]), {});
+}
+
+/**
+ * Visit every token in a tree with its dotted path
+ */
+export function walkTokens(node, visit, pathSegments = []) {
+  Object.entries(node || {}).forEach(([key, child]) => {
+    if (key.startsWith('$') || !child || typeof child !== 'object' || Array.isArray(child)) return;
+
+    if (isTokenGroup(child)) {
+      walkTokens(child, visit, [...pathSegments, key]);
+    } else {
+      visit([...pathSegments, key].join('.'), child);
+    }
+  });
+}
+
+/**
+ * Most common token type in a category, for raw token groups and processed
+ * values alike; untyped tokens and plain values are inferred from their value
+ */
+export function inferCategoryType(group) {
+  const counts = {};
+
+  const walk = (node) => {
+    Object.entries(node).forEach(([key, child]) => {
+      if (key.startsWith('$')) return;
+
+      if (isTokenGroup(child)) {
+        walk(child);
+        return;
+      }
+
+      const type = child && typeof child === 'object' && !Array.isArray(child)
+        ? toDTCGType(child.type || child.$type) || inferTokenType(child.value ?? child.$value)
+        : inferTokenType(child);
+
+      if (type) counts[type] = (counts[type] || 0) + 1;
+    });
+  };
+
+  walk(group);
+
+  const [mostCommon] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  return mostCommon ? mostCommon[0] : 'other';
+}
@@ -0,0 +1,357 @@
+import { toFontWeight } from './token-formats.js';
+
+/**
+ * Token value types
+ * One validator per DTCG $type, checking a resolved value. A validator
+ * returns null for a valid value, else the reason it is not. Token Studio
+ * type names map onto the DTCG ones (boxShadow → shadow, fontSizes →
+ * dimension); Token Studio files are checked leniently, since they write
+ * unitless pixel values ("4" in a shadow offset)
+ */
+
+// CSS Color Module Level 4 named colors
+export const NAMED_COLORS = new Set(`
+  aliceblue antiquewhite aqua aquamarine azure beige bisque black blanchedalmond blue
+  blueviolet brown burlywood cadetblue chartreuse chocolate coral cornflowerblue cornsilk
+  crimson cyan darkblue darkcyan darkgoldenrod darkgray darkgreen darkgrey darkkhaki
+  darkmagenta darkolivegreen darkorange darkorchid darkred darksalmon darkseagreen
+  darkslateblue darkslategray darkslategrey darkturquoise darkviolet deeppink deepskyblue
+  dimgray dimgrey dodgerblue firebrick floralwhite forestgreen fuchsia gainsboro ghostwhite
+  gold goldenrod gray green greenyellow grey honeydew hotpink indianred indigo ivory khaki
+  lavender lavenderblush lawngreen lemonchiffon lightblue lightcoral lightcyan
+  lightgoldenrodyellow lightgray lightgreen lightgrey lightpink lightsalmon lightseagreen
+  lightskyblue lightslategray lightslategrey lightsteelblue lightyellow lime limegreen linen
+  magenta maroon mediumaquamarine mediumblue mediumorchid mediumpurple mediumseagreen
+  mediumslateblue mediumspringgreen mediumturquoise mediumvioletred midnightblue mintcream
+  mistyrose moccasin navajowhite navy oldlace olive olivedrab orange orangered orchid
+  palegoldenrod palegreen paleturquoise palevioletred papayawhip peachpuff peru pink plum
+  powderblue purple rebeccapurple red rosybrown royalblue saddlebrown salmon sandybrown
+  seagreen seashell sienna silver skyblue slateblue slategray slategrey snow springgreen
+  steelblue tan teal thistle tomato turquoise violet wheat white whitesmoke yellow yellowgreen
+  transparent currentcolor
+`.trim().split(/\s+/));
+
+const PREDEFINED_COLOR_SPACES = [
+  'srgb', 'srgb-linear', 'display-p3', 'a98-rgb', 'prophoto-rgb', 'rec2020', 'xyz', 'xyz-d50', 'xyz-d65'
+];
+
+export const DIMENSION_UNITS = ['px', 'rem', 'em', '%', 'vh', 'vw', 'vmin', 'vmax', 'ch', 'ex', 'pt', 'dp', 'sp'];
+
+const STROKE_STYLES = ['solid', 'dashed', 'dotted', 'double', 'groove', 'ridge', 'outset', 'inset'];
+
+const NUMBER = '[+-]?(\\d+\\.?\\d*|\\.\\d+)(e[+-]?\\d+)?';
+const isNumeric = (value) => new RegExp(`^${NUMBER}$`, 'i').test(String(value).trim());
+const WHITESPACE = 'unexpected leading or trailing whitespace';
+
+/**
+ * Split a CSS value on a separator outside parentheses: "0 1px rgb(0 0 0)" → ["0", "1px", "rgb(0 0 0)"]
+ */
+function splitOutsideParens(value, separator) {
+  const parts = [''];
+  let depth = 0;
+
+  for (const char of value) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (depth === 0 && separator.test(char)) {
+      parts.push('');
+    } else {
+      parts[parts.length - 1] += char;
+    }
+  }
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+// Token Studio type names checked as a DTCG type
+const STUDIO_TYPES = {
+  boxShadow: 'shadow',
+  fontWeights: 'fontWeight',
+  fontFamilies: 'fontFamily',
+  fontSizes: 'dimension',
+  borderWidth: 'dimension'
+};
+
+/**
+ * Check the arguments of a color function: 3 channels (numbers, percentages,
+ * hue angles or none) and an optional alpha, comma-separated for the legacy
+ * rgb()/hsl() syntax, else space-separated with the alpha after a slash
+ */
+function checkColorChannels(name, args) {
+  const channel = new RegExp(`^(${NUMBER}(%|deg|rad|grad|turn)?|none)$`, 'i');
+  let parts;
+
+  if (args.includes(',')) {
+    if (!['rgb', 'rgba', 'hsl', 'hsla'].includes(name)) return `${name}() channels are separated by spaces`;
+    parts = args.split(',').map(part => part.trim());
+    if (![3, 4].includes(parts.length)) return `${name}() takes 3 channels and an optional alpha`;
+  } else {
+    const [channels, alpha, ...rest] = args.split('/');
+    parts = channels.trim().split(/\s+/).filter(Boolean);
+    if (parts.length !== 3 || rest.length > 0 || (alpha !== undefined && !alpha.trim())) {
+      return `${name}() takes 3 channels and an optional "/ alpha"`;
+    }
+    if (alpha !== undefined) parts.push(alpha.trim());
+  }
+
+  return parts.every(part => channel.test(part)) ? null : `${name}() channels must be numbers, percentages or angles`;
+}
+
+export function validateColor(value) {
+  if (typeof value !== 'string') return 'expected a color string';
+  if (value.trim() !== value) return WHITESPACE;
+  const color = value.toLowerCase();
+
+  if (color.startsWith('#')) {
+    return /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.test(color) ? null : 'hex colors take 3, 4, 6 or 8 digits';
+  }
+
+  const functional = color.match(/^([a-z-]+)\((.*)\)$/);
+  if (functional) {
+    const [, name, args] = functional;
+    if (['rgb', 'rgba', 'hsl', 'hsla', 'hwb', 'lab', 'lch', 'oklab', 'oklch'].includes(name)) {
+      return checkColorChannels(name, args);
+    }
+    if (name === 'color') {
+      const [space, ...rest] = args.trim().split(/\s+/);
+      if (!PREDEFINED_COLOR_SPACES.includes(space)) {
+        return `color() needs a color space (${PREDEFINED_COLOR_SPACES.join(', ')})`;
+      }
+      return checkColorChannels('color', rest.join(' '));
+    }
+    return `unknown color function ${name}()`;
+  }
+
+  return NAMED_COLORS.has(color) ? null : `"${value}" is not a CSS color`;
+}
+
+/**
+ * "16px", "1.5rem", 0 or a DTCG { value, unit } object
+ * Unitless numbers pass when lenient (Token Studio pixel values)
+ */
+export function validateDimension(value, { lenient = false } = {}) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    return typeof value.value === 'number' && ['px', 'rem'].includes(value.unit)
+      ? null
+      : 'expected { value: number, unit: "px" | "rem" }';
+  }
+  if (value === 0 || (typeof value === 'string' && isNumeric(value) && Number(value) === 0)) return null;
+  if (lenient && isNumeric(value)) return null;
+  if (typeof value !== 'string') return 'expected a dimension such as "16px"';
+  if (value.trim() !== value) return WHITESPACE;
+
+  const match = value.match(new RegExp(`^${NUMBER}([a-z%]+)$`, 'i'));
+  if (!match) return 'expected a number with a unit, such as "16px"';
+  return DIMENSION_UNITS.includes(match[3].toLowerCase()) ? null : `unknown unit "${match[3]}"`;
+}
+
+/**
+ * "200ms", "0.2s" or a DTCG { value, unit } object
+ */
+export function validateDuration(value) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    return typeof value.value === 'number' && ['ms', 's'].includes(value.unit)
+      ? null
+      : 'expected { value: number, unit: "ms" | "s" }';
+  }
+  if (typeof value !== 'string' || !new RegExp(`^${NUMBER}m?s$`, 'i').test(value.trim())) {
+    return 'expected a duration such as "200ms" or "0.2s"';
+  }
+  return value.trim().startsWith('-') ? 'durations cannot be negative' : null;
+}
+
+/**
+ * [x1, y1, x2, y2], "cubic-bezier(x1, y1, x2, y2)" or "x1, y1, x2, y2",
+ * with both x coordinates within 0-1
+ */
+export function validateCubicBezier(value) {
+  let points = value;
+  if (typeof value === 'string') {
+    const args = value.trim().replace(/^cubic-bezier\((.*)\)$/i, '$1');
+    points = args.split(',').map(part => (isNumeric(part) ? Number(part) : NaN));
+  }
+
+  if (!Array.isArray(points) || points.length !== 4 || points.some(point => typeof point !== 'number' || isNaN(point))) {
+    return 'expected four numbers [x1, y1, x2, y2]';
+  }
+  if ([points[0], points[2]].some(x => x < 0 || x > 1)) {
+    return 'x1 and x2 must be between 0 and 1';
+  }
+  return null;
+}
+
+/**
+ * 1-1000, or a weight name ("bold", "Semi Bold")
+ */
+export function validateFontWeight(value) {
+  const weight = toFontWeight(typeof value === 'string' ? value.trim() : value);
+  if (typeof weight !== 'number' || isNaN(weight)) return `unknown font weight "${value}"`;
+  return weight >= 1 && weight <= 1000 ? null : 'font weights range from 1 to 1000';
+}
+
+export function validateFontFamily(value) {
+  const families = [].concat(value);
+  return families.length > 0 && families.every(family => typeof family === 'string' && family.trim().length > 0)
+    ? null
+    : 'expected a font name or a list of names';
+}
+
+export function validateNumber(value) {
+  return (typeof value === 'number' && isFinite(value)) || (typeof value === 'string' && isNumeric(value))
+    ? null
+    : 'expected a number';
+}
+
+/**
+ * Prefix a property's problem with its name
+ */
+function checkProperties(checks) {
+  for (const [property, problem] of checks) {
+    if (problem) return `${property}: ${problem}`;
+  }
+  return null;
+}
+
+/**
+ * A CSS box-shadow: comma-separated layers of 2-4 lengths, a color and inset
+ */
+function validateShadowString(value) {
+  for (const layer of splitOutsideParens(value, /,/)) {
+    const parts = splitOutsideParens(layer, /\s/).filter(part => part !== 'inset');
+    const lengths = parts.filter(part => !validateDimension(part));
+    const colors = parts.filter(part => validateDimension(part) && !validateColor(part));
+
+    if (lengths.length < 2 || lengths.length > 4 || colors.length > 1 || lengths.length + colors.length !== parts.length) {
+      return `"${layer}" is not a box-shadow`;
+    }
+  }
+  return null;
+}
+
+/**
+ * A shadow or a list of layered shadows (DTCG offsetX/offsetY or Token
+ * Studio x/y), or a CSS box-shadow string
+ */
+export function validateShadow(value, options = {}) {
+  if (typeof value === 'string') return validateShadowString(value);
+  if (Array.isArray(value)) {
+    if (value.length === 0) return 'expected at least one shadow';
+    for (const [index, shadow] of value.entries()) {
+      const problem = validateShadow(shadow, options);
+      if (problem) return `[${index}] ${problem}`;
+    }
+    return null;
+  }
+  if (!value || typeof value !== 'object') return 'expected { color, offsetX, offsetY, blur, spread }';
+
+  const { color, offsetX = value.x, offsetY = value.y, blur, spread, inset } = value;
+  return checkProperties([
+    ['color', validateColor(color)],
+    ['offsetX', validateDimension(offsetX, options)],
+    ['offsetY', validateDimension(offsetY, options)],
+    ['blur', blur === undefined ? null : validateDimension(blur, options)],
+    ['spread', spread === undefined ? null : validateDimension(spread, options)],
+    ['inset', inset === undefined || typeof inset === 'boolean' ? null : 'expected true or false']
+  ]);
+}
+
+function validateStrokeStyle(value) {
+  if (typeof value === 'string') {
+    return STROKE_STYLES.includes(value) ? null : `expected one of ${STROKE_STYLES.join(', ')}`;
+  }
+  if (value && typeof value === 'object' && Array.isArray(value.dashArray)) {
+    return value.dashArray.map(dash => validateDimension(dash)).find(Boolean) || null;
+  }
+  return 'expected a stroke style or { dashArray, lineCap }';
+}
+
+/**
+ * { color, width, style }
+ */
+export function validateBorder(value, options = {}) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return 'expected { color, width, style }';
+
+  return checkProperties([
+    ['color', validateColor(value.color)],
+    ['width', validateDimension(value.width, options)],
+    ['style', validateStrokeStyle(value.style)]
+  ]);
+}
+
+/**
+ * Color stops [{ color, position }] with positions within 0-1, or a CSS gradient
+ */
+export function validateGradient(value) {
+  if (typeof value === 'string') {
+    return /^(repeating-)?(linear|radial|conic)-gradient\(.+\)$/i.test(value.trim()) ? null : 'expected color stops or a CSS gradient';
+  }
+  if (!Array.isArray(value) || value.length < 2) return 'expected at least two color stops';
+
+  for (const [index, stop] of value.entries()) {
+    const problem = checkProperties([
+      ['color', validateColor(stop?.color)],
+      ['position', typeof stop?.position === 'number' && stop.position >= 0 && stop.position <= 1 ? null : 'expected a number between 0 and 1']
+    ]);
+    if (problem) return `[${index}] ${problem}`;
+  }
+  return null;
+}
+
+function validateLineHeight(value, options) {
+  if (typeof value === 'string' && /^(auto|normal)$/i.test(value.trim())) return null;
+  return validateNumber(value) && validateDimension(value, options) ? 'expected a number, percentage or dimension' : null;
+}
+
+/**
+ * { fontFamily, fontSize, fontWeight, lineHeight, letterSpacing }, each optional
+ */
+export function validateTypography(value, options = {}) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return 'expected { fontFamily, fontSize, fontWeight, lineHeight, letterSpacing }';
+  }
+
+  const { fontFamily, fontSize, fontWeight, lineHeight, letterSpacing } = value;
+  if ([fontFamily, fontSize, fontWeight, lineHeight, letterSpacing].every(part => part === undefined)) {
+    return 'expected at least one of fontFamily, fontSize, fontWeight, lineHeight, letterSpacing';
+  }
+
+  return checkProperties([
+    ['fontFamily', fontFamily === undefined ? null : validateFontFamily(fontFamily)],
+    ['fontSize', fontSize === undefined ? null : validateDimension(fontSize, options)],
+    ['fontWeight', fontWeight === undefined ? null : validateFontWeight(fontWeight)],
+    ['lineHeight', lineHeight === undefined ? null : validateLineHeight(lineHeight, options)],
+    ['letterSpacing', letterSpacing === undefined ? null : validateDimension(letterSpacing, options)]
+  ]);
+}
+
+export const TYPE_VALIDATORS = {
+  color: validateColor,
+  dimension: validateDimension,
+  duration: validateDuration,
+  cubicBezier: validateCubicBezier,
+  fontWeight: validateFontWeight,
+  fontFamily: validateFontFamily,
+  number: validateNumber,
+  shadow: validateShadow,
+  border: validateBorder,
+  gradient: validateGradient,
+  typography: validateTypography
+};
+
+/**
+ * The validated type for a DTCG or Token Studio type name, or null when it has no validator
+ */
+export function getValidatedType(type) {
+  if (TYPE_VALIDATORS[type]) return type;
+  return STUDIO_TYPES[type] || null;
+}
+
+/**
+ * Check a resolved value against its type (options.lenient accepts unitless dimensions)
+ * Returns null when valid or the type has no validator, else the problem
+ */
+export function validateTokenValue(type, value, options = {}) {
+  const validatedType = getValidatedType(type);
+  if (!validatedType) return null;
+
+  return TYPE_VALIDATORS[validatedType](value, options);
+}
@@ -55,27 +55,11 @@ export default {
 
   // Output configuration
   output: {
-    // Main Flutter tokens file
+    // Flutter tokens file: colors, text styles, spacing and radii in one library
     flutter: {
       path: 'lib/design_tokens/app_tokens.dart',
       generateTheme: true,
       includeExtensions: true
-    },
-
-    // Separate files for organization
-    colors: {
-      path: 'lib/design_tokens/app_colors.dart',
-      generateMaterialColorSwatch: true
-    },
-
-    typography: {
-      path: 'lib/design_tokens/app_text_styles.dart',
-      generateTextTheme: true
-    },
-
-    spacing: {
-      path: 'lib/design_tokens/app_spacing.dart',
-      generateEdgeInsets: true
     }
   },
 
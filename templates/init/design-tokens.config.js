@@ -1,5 +1,6 @@
 // Design Tokens Configuration
 module.exports = {
+  version: 1,
   tokens: {
     input: 'tokens.json',
     validation: {
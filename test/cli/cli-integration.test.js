@@ -75,6 +75,27 @@ describe('CLI Integration Tests', () => {
         });
       }).toThrow();
     });
+
+    test('should give SARIF results about the whole tree a location for set files', async () => {
+      await fs.outputJSON('tokens/core.json', { spacing: { s: { value: '4px', type: 'spacing' } } });
+      await fs.outputJSON('tokens/semantic.json', { spacing: { m: { value: '{spacing.s} * 2', type: 'spacing' } } });
+      await fs.outputJSON('.design-tokensrc.json', { tokens: { input: ['tokens/core.json', 'tokens/semantic.json'] } });
+
+      let output;
+      try {
+        output = execSync('node ' + path.join(originalCwd, 'bin/design-tokens-sync.js') + ' validate -f sarif', {
+          encoding: 'utf8',
+          stdio: 'pipe'
+        });
+      } catch (error) {
+        output = error.stdout;
+      }
+      const [run] = JSON.parse(output).runs;
+      const missing = run.results.find(item => item.ruleId === 'required-categories');
+
+      expect(missing.locations[0].physicalLocation.artifactLocation.uri).toBe('.design-tokensrc.json');
+      expect(run.results.every(item => item.locations.length === 1)).toBe(true);
+    });
   });
 
   describe('Sync Command', () => {
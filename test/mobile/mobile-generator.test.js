@@ -216,7 +216,8 @@ describe('Mobile Platform Generators', () => {
       
       // Check text styles
       expect(content).toContain('class AppTextStyles {');
-      expect(content).toContain("static const String defaultFontFamily = 'Inter, system-ui, sans-serif';");
+      expect(content).toContain("static const String defaultFontFamily = 'Inter';");
+      expect(content).not.toContain('defaultFontFamilyFallback');
       
       // Check theme data
       expect(content).toContain('class AppTheme {');
@@ -0,0 +1,32 @@
+import { AnalyticsEngine } from '../../../src/analytics/AnalyticsEngine.js';
+
+describe('AnalyticsEngine', () => {
+  test('should list usages of deprecated tokens with their replacement', () => {
+    const engine = new AnalyticsEngine({
+      deprecatedTokens: {
+        'colors.legacy.500': { message: 'Too pink', replacement: 'colors.brand.500', removeIn: '3.0.0' },
+        'spacing.gutter': { message: null, replacement: null, removeIn: null }
+      }
+    });
+
+    engine.analyzeCSSFile('src/app.css', '.a { color: var(--color-legacy-500); margin: var(--spacing-gutter); }');
+    engine.analyzeCSSFile('src/card.css', '.b { border-color: var(--color-legacy-500); }');
+    engine.recordTokenUsage('bg-legacy-500', 'src/Card.jsx', 'tailwind-jsx');
+    engine.recordTokenUsage('color-brand-500', 'src/Card.jsx', 'css-in-js');
+
+    expect(engine.getDeprecatedUsages()).toEqual([
+      {
+        name: 'color-legacy-500',
+        token: 'colors.legacy.500',
+        message: 'Too pink',
+        replacement: 'colors.brand.500',
+        removeIn: '3.0.0',
+        replaceWith: 'color-brand-500',
+        count: 2,
+        files: ['src/app.css', 'src/card.css']
+      },
+      expect.objectContaining({ name: 'spacing-gutter', replaceWith: null, count: 1 }),
+      expect.objectContaining({ name: 'bg-legacy-500', replaceWith: 'bg-brand-500', files: ['src/Card.jsx'] })
+    ]);
+  });
+});
@@ -0,0 +1,126 @@
+import { createBaseline, applyBaseline, readBaseline, writeBaseline } from '../../../src/core/baseline.js';
+import { TokenValidator } from '../../../src/core/TokenValidator.js';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+
+describe('Validation baseline', () => {
+  const duplicate = (tokenPath, message) => ({
+    rule: 'no-duplicate-values',
+    severity: 'warning',
+    path: tokenPath,
+    message,
+    file: 'tokens.json',
+    set: 'core',
+    line: 4,
+    column: 18,
+    suggestion: null,
+    fixable: false
+  });
+  const missing = {
+    rule: 'required-categories',
+    severity: 'error',
+    path: null,
+    message: 'Missing required category: spacing',
+    file: null,
+    set: null,
+    line: null,
+    column: null,
+    suggestion: null,
+    fixable: false
+  };
+  const summarize = (results) => new TokenValidator({ tokens: {} }).summarize(results, {});
+
+  test('should record violations sorted, grouping repeats with a count', () => {
+    const baseline = createBaseline([
+      duplicate('colors.b', 'Duplicate value "#fff" found in: colors.a, colors.b'),
+      missing,
+      duplicate('colors.b', 'Duplicate value "#fff" found in: colors.a, colors.b')
+    ]);
+
+    expect(baseline).toEqual({
+      version: 1,
+      violations: [
+        { rule: 'no-duplicate-values', set: 'core', path: 'colors.b', message: 'Duplicate value "#fff" found in: colors.a, colors.b', count: 2 },
+        { rule: 'required-categories', path: null, message: 'Missing required category: spacing' }
+      ]
+    });
+  });
+
+  test('should only report violations that are not in the baseline', () => {
+    const baseline = createBaseline([duplicate('colors.b', 'Duplicate value "#fff" found in: colors.a, colors.b'), missing]);
+    const current = summarize([
+      // Same token and rule, message changed by a new duplicate
+      duplicate('colors.b', 'Duplicate value "#fff" found in: colors.a, colors.b, colors.c'),
+      duplicate('colors.d', 'Duplicate value "#000" found in: colors.e, colors.d'),
+      missing
+    ]);
+
+    const { result, baselined, stale } = applyBaseline(current, baseline);
+
+    expect(result.results.map(item => item.path)).toEqual(['colors.d']);
+    expect(result.isValid).toBe(true);
+    expect(result.summary).toMatchObject({ errorCount: 0, warningCount: 1, baselinedCount: 2 });
+    expect(baselined).toHaveLength(2);
+    expect(stale).toEqual([]);
+  });
+
+  test('should report baselined violations that no longer occur', () => {
+    const baseline = createBaseline([
+      duplicate('colors.b', 'Duplicate value "#fff" found in: colors.a, colors.b'),
+      duplicate('colors.b', 'Duplicate value "#fff" found in: colors.a, colors.b'),
+      missing
+    ]);
+
+    const { result, stale } = applyBaseline(summarize([duplicate('colors.b', 'Duplicate value "#fff" found in: colors.a, colors.b')]), baseline);
+
+    expect(result.results).toEqual([]);
+    expect(stale).toEqual([
+      expect.objectContaining({ rule: 'no-duplicate-values', path: 'colors.b', count: 1 }),
+      expect.objectContaining({ rule: 'required-categories', message: 'Missing required category: spacing', count: 1 })
+    ]);
+  });
+
+  test('should not hide a violation from another set', () => {
+    const baseline = createBaseline([duplicate('colors.b', 'Duplicate')]);
+    const { result } = applyBaseline(summarize([{ ...duplicate('colors.b', 'Duplicate'), set: 'brand' }]), baseline);
+
+    expect(result.results).toHaveLength(1);
+  });
+
+  describe('files', () => {
+    let testDir;
+
+    beforeEach(async () => {
+      if (!global.TEST_TMP_DIR) {
+        global.TEST_TMP_DIR = path.join(os.tmpdir(), 'design-tokens-sync-test');
+      }
+      testDir = path.join(global.TEST_TMP_DIR, `baseline-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`);
+      await fs.ensureDir(testDir);
+    });
+
+    afterEach(async () => {
+      if (testDir && await fs.pathExists(testDir)) {
+        await fs.remove(testDir);
+      }
+    });
+
+    test('should write a baseline and read it back', async () => {
+      const file = path.join(testDir, '.tokens-baseline.json');
+      const written = await writeBaseline(file, [missing]);
+
+      expect(await readBaseline(file)).toEqual(written);
+    });
+
+    test('should return null without a baseline file', async () => {
+      expect(await readBaseline(path.join(testDir, 'missing.json'))).toBeNull();
+    });
+
+    test('should reject a malformed baseline file', async () => {
+      const file = path.join(testDir, 'baseline.json');
+      await fs.writeJSON(file, { entries: [] });
+
+      await expect(readBaseline(file)).rejects.toThrow('Invalid baseline file');
+    });
+  });
+});
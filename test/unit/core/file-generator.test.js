@@ -0,0 +1,610 @@
+import { FileGenerator } from '../../../src/core/FileGenerator.js';
+
+describe('FileGenerator', () => {
+  let generator;
+
+  const baseTokens = {
+    colors: {
+      'primary-500': '#3b82f6',
+      background: '#ffffff',
+      text: '#111827'
+    },
+    spacing: {
+      4: '1rem'
+    }
+  };
+
+  const themedTokens = {
+    ...baseTokens,
+    themes: [
+      { name: 'light', colorScheme: 'light', isDefault: true, tokens: baseTokens },
+      {
+        name: 'dark',
+        colorScheme: 'dark',
+        isDefault: false,
+        tokens: { ...baseTokens, colors: { ...baseTokens.colors, background: '#111827', text: '#ffffff' } }
+      },
+      {
+        name: 'high-contrast',
+        colorScheme: null,
+        isDefault: false,
+        tokens: { ...baseTokens, colors: { ...baseTokens.colors, text: '#000000' } }
+      }
+    ]
+  };
+
+  beforeEach(() => {
+    suppressConsole();
+    generator = new FileGenerator();
+  });
+
+  afterEach(() => {
+    restoreConsole();
+  });
+
+  describe('CSS Custom Properties', () => {
+    test('should emit flat and nested colors alike', () => {
+      const css = generator.generateCSSCustomProperties({
+        colors: { primary: { 500: '#3b82f6' }, 'secondary-500': '#6b7280' }
+      });
+
+      expect(css).toContain('--color-primary-500: #3b82f6;');
+      expect(css).toContain('--color-secondary-500: #6b7280;');
+      expect(css).toContain('.text-primary-500 { color: var(--color-primary-500); }');
+    });
+
+    test('should emit only changed variables for non-default themes', () => {
+      const css = generator.generateCSSCustomProperties(themedTokens);
+
+      expect(css).toContain(':root {');
+      expect(css).toContain('[data-theme="dark"] {\n  --color-background: #111827;\n  --color-text: #ffffff;\n}');
+      expect(css).toContain('[data-theme="high-contrast"] {\n  --color-text: #000000;\n}');
+      expect(css).not.toContain('[data-theme="light"]');
+    });
+
+    test('should follow prefers-color-scheme when no theme is picked', () => {
+      const css = generator.generateCSSCustomProperties(themedTokens);
+
+      expect(css).toContain('@media (prefers-color-scheme: dark) {\n  :root:not([data-theme]) {\n    --color-background: #111827;');
+      expect(css).not.toContain('prefers-color-scheme: light');
+    });
+  });
+
+  describe('Themed Outputs', () => {
+    test('should point themed Tailwind values at CSS variables', () => {
+      const content = generator.generateTailwindConfigContent(themedTokens);
+
+      expect(content).toContain('"background": "var(--color-background)"');
+      expect(content).toContain('"primary-500": "#3b82f6"');
+      expect(content).toContain('"darkMode": [\n    "selector",\n    "[data-theme=\\"dark\\"]"\n  ]');
+    });
+
+    test('should declare theme names in TypeScript definitions', () => {
+      const types = generator.generateTypeDefinitions(themedTokens);
+
+      expect(types).toContain("export type ThemeName = 'light' | 'dark' | 'high-contrast';");
+      expect(types).toContain('  themes: Theme[];');
+    });
+
+    test('should emit per-theme colors for React Native and Expo', () => {
+      const rn = generator.generateReactNativeJS(themedTokens);
+      const expo = generator.generateExpoJS(themedTokens);
+
+      expect(rn).toContain('export const themes = {');
+      expect(rn).toContain("  dark: {\n    colorScheme: 'dark',\n    colors: {\n      'primary-500': '#3b82f6',\n      background: '#111827',");
+      expect(expo).toContain("  dark: {\n    colors: {\n      'primary-500': '#3b82f6',\n      background: '#111827',");
+      expect(expo).toContain("  'high-contrast': {");
+    });
+  });
+
+  describe('Tailwind v4 and Preset', () => {
+    const tailwindTokens = {
+      ...themedTokens,
+      colors: { ...baseTokens.colors, overlay: 'rgba(0, 0, 0, 0.5)' },
+      borderRadius: { sm: '4px' },
+      typography: {
+        textStyles: { 'heading-1': { fontSize: '2rem', lineHeight: 1.2, fontWeight: 700 } }
+      }
+    };
+
+    test('should emit @theme variables in Tailwind namespaces', () => {
+      const css = generator.generateTailwindThemeCSS(tailwindTokens);
+
+      expect(css).toContain('@theme {\n  /* Colors */\n  --color-primary-500: #3b82f6;');
+      expect(css).toContain('  --spacing-4: 1rem;');
+      expect(css).toContain('  --radius-sm: 4px;');
+      expect(css).toContain('  --text-heading-1: 2rem;\n  --text-heading-1--line-height: 1.2;\n  --text-heading-1--font-weight: 700;');
+      expect(css).toContain('@custom-variant dark (&:where([data-theme="dark"], [data-theme="dark"] *));');
+      expect(css).toContain('[data-theme="dark"] {\n  --color-background: #111827;\n  --color-text: #ffffff;\n}');
+    });
+
+    test('should map DEFAULT and dotted keys to Tailwind v4 variables', () => {
+      const css = generator.generateTailwindThemeCSS({
+        colors: { primary: { DEFAULT: '#3b82f6', 600: '#2563eb' } },
+        spacing: { DEFAULT: '4px', '1.5': '0.375rem', 2: '8' },
+        borderRadius: { DEFAULT: '4', lg: '8px' },
+        shadows: { DEFAULT: '0 1px 3px rgb(0 0 0 / 0.1)' }
+      });
+
+      expect(css).toContain('  --color-primary: #3b82f6;');
+      expect(css).toContain('  --color-primary-600: #2563eb;');
+      expect(css).toContain('  --spacing-1_5: 0.375rem;');
+      expect(css).toContain('  --spacing-2: 8px;');
+      expect(css).toContain('  --radius: 4px;');
+      expect(css).toContain('  --radius-lg: 8px;');
+      expect(css).toContain('  --shadow: 0 1px 3px rgb(0 0 0 / 0.1);');
+      expect(css).toContain('  --spacing-DEFAULT: 4px;');
+      expect(css).not.toContain('  --spacing:');
+      expect(css).not.toContain('--color-primary-DEFAULT');
+      expect(css).not.toContain('--spacing-1.5');
+    });
+
+    test('should override custom dimension categories under their @theme name', () => {
+      const light = { ...baseTokens, sizing: { 'icon-sm': '16' } };
+      const css = generator.generateTailwindThemeCSS({
+        ...light,
+        categoryTypes: { sizing: 'dimension' },
+        themes: [
+          { name: 'light', colorScheme: 'light', isDefault: true, tokens: light },
+          { name: 'compact', colorScheme: null, isDefault: false, tokens: { ...light, sizing: { 'icon-sm': '12' } } }
+        ]
+      });
+
+      expect(css).toContain('  --spacing-sizing-icon-sm: 16px;');
+      expect(css).toContain('[data-theme="compact"] {\n  --spacing-sizing-icon-sm: 12px;\n}');
+    });
+
+    test('should emit a preset pointing at RGB channel variables', () => {
+      const preset = generator.generateTailwindPresetContent(tailwindTokens);
+      const module = { exports: {} };
+      new Function('module', preset)(module);
+      const { theme, plugins } = module.exports;
+
+      expect(theme.extend.colors['primary-500']).toBe('rgb(var(--color-primary-500-rgb) / <alpha-value>)');
+      expect(theme.extend.colors.overlay).toBe('var(--color-overlay)');
+      expect(theme.extend.spacing[4]).toBe('var(--spacing-4)');
+
+      let variables;
+      plugins[0]({ addBase: (styles) => { variables = styles; } });
+      expect(variables[':root']).toMatchObject({
+        '--color-primary-500': '#3b82f6',
+        '--color-primary-500-rgb': '59 130 246',
+        '--color-overlay': 'rgba(0, 0, 0, 0.5)'
+      });
+      expect(variables[':root']).not.toHaveProperty('--color-overlay-rgb');
+      const dark = {
+        '--color-background': '#111827',
+        '--color-background-rgb': '17 24 39',
+        '--color-text': '#ffffff',
+        '--color-text-rgb': '255 255 255'
+      };
+      expect(variables['[data-theme="dark"]']).toEqual(dark);
+      expect(variables['@media (prefers-color-scheme: dark)']).toEqual({ ':root:not([data-theme])': dark });
+    });
+  });
+
+  describe('CSS-in-JS Themes', () => {
+    test('should emit a typed theme and augment DefaultTheme', () => {
+      const styled = generator.generateStyledTheme(themedTokens);
+
+      expect(styled).toContain("export const theme = {\n  colors: {\n    'primary-500': '#3b82f6',\n    background: '#ffffff',");
+      expect(styled).toContain('export type TokensTheme = typeof theme;');
+      expect(styled).toContain("export type ThemeName = 'light' | 'dark' | 'high-contrast';");
+      expect(styled).toContain("  light: theme,\n  dark: {\n    colors: {\n      'primary-500': '#3b82f6',\n      background: '#111827',");
+      expect(styled).toContain("declare module 'styled-components' {\n  export interface DefaultTheme extends TokensTheme {}\n}");
+      expect(styled).not.toContain('isDefault');
+    });
+
+    test('should augment the Emotion theme when asked to', () => {
+      const emotion = generator.generateStyledTheme(baseTokens, { library: 'emotion' });
+
+      expect(emotion).toContain("declare module '@emotion/react' {\n  export interface Theme extends TokensTheme {}\n}");
+      expect(emotion).not.toContain('ThemeName');
+    });
+
+    test('should emit a vanilla-extract contract with a global theme per theme', () => {
+      const vanilla = generator.generateVanillaExtractTheme(themedTokens);
+
+      expect(vanilla).toContain("import { assignVars, createGlobalTheme, createThemeContract, globalStyle } from '@vanilla-extract/css';");
+      expect(vanilla).toContain("export const vars = createThemeContract({\n  colors: {\n    'primary-500': null,");
+      expect(vanilla).toContain("createGlobalTheme(':root', vars, {\n  colors: {\n    'primary-500': '#3b82f6',\n    background: '#ffffff',");
+      expect(vanilla).toContain("createGlobalTheme('[data-theme=\"high-contrast\"]', vars, {");
+      expect(vanilla).toContain("'(prefers-color-scheme: dark)': {\n      vars: assignVars(vars, {");
+      expect(generator.generateVanillaExtractTheme(baseTokens)).toContain("import { createGlobalTheme, createThemeContract } from '@vanilla-extract/css';");
+    });
+
+    test('should split Panda tokens into tokens and semantic tokens', () => {
+      const panda = generator.generatePandaPreset({
+        ...themedTokens,
+        borderRadius: { sm: '4px' },
+        breakpoints: { md: '768px' },
+        typography: { textStyles: { body: { fontSize: '1rem', lineHeight: 1.5 } } }
+      });
+
+      expect(panda).toContain("export const tokens = defineTokens({\n  colors: {\n    'primary-500': {\n      value: '#3b82f6'\n    }\n  },");
+      expect(panda).toContain("  radii: {\n    sm: {\n      value: '4px'\n    }\n  }");
+      expect(panda).toContain("    background: {\n      value: {\n        base: '#ffffff',\n        _dark: '#111827'\n      }\n    },");
+      expect(panda).toContain("    text: {\n      value: {\n        base: '#111827',\n        _dark: '#ffffff',\n        _highContrast: '#000000'\n      }\n    }");
+      expect(panda).toContain("export const textStyles = defineTextStyles({\n  body: {\n    value: {\n      fontSize: '1rem',");
+      expect(panda).toContain("      highContrast: '[data-theme=\"high-contrast\"] &'");
+      expect(panda).toContain("      breakpoints: {\n        md: '768px'\n      },\n      tokens,\n      semanticTokens,\n      textStyles");
+    });
+  });
+
+  describe('SwiftUI and Compose', () => {
+    const nativeTokens = {
+      ...themedTokens,
+      colors: { ...baseTokens.colors, overlay: 'rgba(0, 0, 0, 0.5)', gradient: 'linear-gradient(#fff, #000)' },
+      borderRadius: { md: '8px' },
+      shadows: { md: '0 4px 6px -1px rgb(0 0 0 / 0.1)' },
+      typography: {
+        textStyles: { 'heading-1': { fontFamily: 'serif', fontSize: '2rem', lineHeight: 1.2, fontWeight: 700 } }
+      }
+    };
+
+    test('should emit a SwiftUI namespace with adaptive colors', () => {
+      const swift = generator.generateSwiftUI(nativeTokens);
+
+      expect(swift).toContain('public static let primary500 = Color(red: 0.231, green: 0.51, blue: 0.965, opacity: 1)');
+      expect(swift).toContain('public static let overlay = Color(red: 0, green: 0, blue: 0, opacity: 0.5)');
+      expect(swift).toContain('public static let background = Color(UIColor { $0.userInterfaceStyle == .dark ? UIColor(red: 0.067, green: 0.094, blue: 0.153, alpha: 1) : UIColor(red: 1, green: 1, blue: 1, alpha: 1) })');
+      expect(swift).not.toContain('gradient');
+      expect(swift).toContain('    public enum Spacing {\n        public static let size4: CGFloat = 16\n    }');
+      expect(swift).toContain('    public enum Radius {\n        public static let md: CGFloat = 8\n    }');
+      expect(swift).toContain('public static let heading1: Font = .system(size: 32, weight: .bold, design: .serif)');
+      expect(swift).toContain('public static let md = Shadow(color: Color(red: 0, green: 0, blue: 0, opacity: 0.1), radius: 3, x: 0, y: 4)');
+    });
+
+    test('should write color sets with dark appearances to an asset catalog', () => {
+      const [swift, folder, ...colorsets] = generator.generateSwiftUI(nativeTokens, { assetCatalog: 'ios/Tokens' });
+
+      expect(swift.path).toBeUndefined();
+      expect(swift.content).toContain('public static let background = Color("background", bundle: .main)');
+      expect(swift.content).not.toContain('import UIKit');
+      expect(folder.path).toBe('ios/Tokens/Contents.json');
+      expect(colorsets.map(file => file.path)).toContain('ios/Tokens/primary-500.colorset/Contents.json');
+
+      const background = JSON.parse(colorsets.find(file => file.path.includes('/background.')).content);
+      expect(background.colors).toHaveLength(2);
+      expect(background.colors[1].appearances).toEqual([{ appearance: 'luminosity', value: 'dark' }]);
+      expect(background.colors[1].color.components).toEqual({ alpha: '1.000', blue: '0.153', green: '0.094', red: '0.067' });
+      expect(JSON.parse(colorsets.find(file => file.path.includes('/primary-500.')).content).colors).toHaveLength(1);
+    });
+
+    test('should emit a Compose DesignTokens object with color schemes', () => {
+      const kotlin = generator.generateComposeKotlin(nativeTokens, { packageName: 'com.acme.tokens', colorScheme: { primary: 'primary-500' } });
+
+      expect(kotlin).toContain('package com.acme.tokens');
+      expect(kotlin).toContain('import androidx.compose.material3.darkColorScheme');
+      expect(kotlin).toContain('        val primary500 = Color(0xFF3B82F6)');
+      expect(kotlin).toContain('        val overlay = Color(0x80000000)');
+      expect(kotlin).toContain('    object DarkColors {\n        val primary500 = Color(0xFF3B82F6)\n        val background = Color(0xFF111827)');
+      expect(kotlin).toContain('        val size4 = 16.dp');
+      expect(kotlin).toContain('    object Shapes {\n        val md = RoundedCornerShape(8.dp)\n    }');
+      expect(kotlin).toContain('        val heading1 = TextStyle(\n            fontFamily = FontFamily.Serif,\n            fontSize = 32.sp,\n            fontWeight = FontWeight(700),\n            lineHeight = 38.4.sp\n        )');
+      expect(kotlin).toContain('        val md = Shadow(Color(0x1A000000), offsetX = 0.dp, offsetY = 4.dp, blur = 6.dp, spread = (-1).dp)');
+      expect(kotlin).toContain('    val LightColorScheme: ColorScheme = lightColorScheme(\n        primary = Colors.primary500,\n        background = Colors.background\n    )');
+      expect(kotlin).toContain('    val DarkColorScheme: ColorScheme = darkColorScheme(\n        primary = DarkColors.primary500,');
+    });
+
+    test('should keep fractional keys apart from whole ones', () => {
+      const tokens = { spacing: { '1.5': '6px', 15: '60px' } };
+      const swift = generator.generateSwiftUI(tokens);
+      const kotlin = generator.generateComposeKotlin(tokens);
+
+      expect(swift).toContain('public static let size1_5: CGFloat = 6');
+      expect(swift).toContain('public static let size15: CGFloat = 60');
+      expect(kotlin).toContain('val size1_5 = 6.dp');
+      expect(kotlin).toContain('val size15 = 60.dp');
+    });
+
+    test('should leave out the dark color scheme without a dark theme', () => {
+      const kotlin = generator.generateComposeKotlin(baseTokens);
+
+      expect(kotlin).toContain('package designtokens');
+      expect(kotlin).toContain('lightColorScheme(\n        background = Colors.background\n    )');
+      expect(kotlin).not.toContain('DarkColorScheme');
+    });
+  });
+
+  describe('Android Resources', () => {
+    const androidTokens = {
+      ...themedTokens,
+      colors: { ...baseTokens.colors, overlay: 'hsla(0, 0%, 0%, 0.5)' },
+      borderRadius: { md: '8px' },
+      typography: {
+        fontSize: { base: '1rem' },
+        textStyles: {
+          'heading-1': { fontFamily: 'Inter Display, sans-serif', fontSize: '2rem', lineHeight: 1.2, fontWeight: 700, letterSpacing: '-0.02em' },
+          caption: { fontFamily: 'serif', fontSize: '12px', lineHeight: '16px', fontStyle: 'italic', textCase: 'uppercase' }
+        }
+      }
+    };
+    const getFile = (files, name) => files.find(file => file.path === `res/${name}`).content;
+
+    test('should write colors, dimensions and text appearances into a res directory', () => {
+      const files = generator.generateAndroidResources(androidTokens, 'res');
+
+      expect(files.map(file => file.path)).toEqual([
+        'res/values/colors.xml', 'res/values/dimens.xml', 'res/values/styles.xml', 'res/values-night/colors.xml'
+      ]);
+      expect(getFile(files, 'values/colors.xml')).toContain('    <color name="primary_500">#3b82f6</color>\n    <color name="background">#ffffff</color>');
+      expect(getFile(files, 'values/colors.xml')).toContain('<color name="overlay">#80000000</color>');
+      expect(getFile(files, 'values/dimens.xml')).toContain('    <dimen name="spacing_4">16dp</dimen>\n    <dimen name="radius_md">8dp</dimen>\n    <dimen name="font_size_base">16sp</dimen>');
+      expect(getFile(files, 'values/styles.xml')).toContain([
+        '    <style name="TextAppearance.DesignTokens.Heading1">',
+        '        <item name="android:textSize">32sp</item>',
+        '        <item name="android:textFontWeight">700</item>',
+        '        <item name="android:textStyle">bold</item>',
+        '        <item name="android:lineHeight">38.4sp</item>',
+        '        <item name="android:letterSpacing">-0.02</item>',
+        '    </style>'
+      ].join('\n'));
+      expect(getFile(files, 'values/styles.xml')).not.toContain('@font/');
+      expect(getFile(files, 'values/styles.xml')).toContain('<item name="android:fontFamily">serif</item>');
+      expect(getFile(files, 'values/styles.xml')).toContain('<item name="android:textStyle">italic</item>');
+      expect(getFile(files, 'values/styles.xml')).toContain('<item name="android:textAllCaps">true</item>');
+      expect(getFile(files, 'values-night/colors.xml')).toContain('<resources>\n    <color name="background">#111827</color>\n    <color name="text">#ffffff</color>\n</resources>');
+    });
+
+    test('should reference font resources only when asked to', () => {
+      const files = generator.generateAndroidResources(androidTokens, 'res', { fontResources: true });
+
+      expect(getFile(files, 'values/styles.xml')).toContain('<item name="android:fontFamily">@font/inter_display</item>');
+    });
+
+    test('should convert rem with the configured base font size', () => {
+      const files = generator.generateAndroidResources(androidTokens, 'res', { baseFontSize: 10, generateStyles: false });
+
+      expect(getFile(files, 'values/dimens.xml')).toContain('<dimen name="spacing_4">10dp</dimen>');
+      expect(getFile(files, 'values/dimens.xml')).toContain('<dimen name="font_size_base">10sp</dimen>');
+      expect(files.map(file => file.path)).not.toContain('res/values/styles.xml');
+    });
+
+    test('should write only colors.xml for an .xml output path', () => {
+      const format = generator.formats.get('android');
+      const context = generator.getFormatContext(androidTokens, { path: 'res/values/colors.xml' });
+
+      expect(format.format(context)).toContain('<color name="overlay">#80000000</color>');
+      expect(format.format({ ...context, outputPath: 'res' })).toHaveLength(4);
+    });
+  });
+
+  describe('Flutter Themes', () => {
+    const flutterTokens = {
+      ...themedTokens,
+      colors: { ...baseTokens.colors, primary: '#3b82f6', overlay: 'rgba(0, 0, 0, 0.5)', accent: 'hsl(0, 100%, 50%)' },
+      borderRadius: { md: '8px' },
+      typography: {
+        fontFamily: { sans: 'Inter' },
+        textStyles: { 'body-large': { fontSize: '16px', lineHeight: 1.5 }, heading: { fontSize: '2rem', fontWeight: 700 } }
+      }
+    };
+
+    test('should convert hex, rgba and hsl colors', () => {
+      const dart = generator.generateFlutterDart(flutterTokens);
+
+      expect(dart).toContain('  static const Color overlay = Color(0x80000000);');
+      expect(dart).toContain('  static const Color accent = Color(0xFFFF0000);');
+      expect(generator.hexToFlutterColor('rgb(59 130 246 / 50%)')).toBe('Color(0x803B82F6)');
+    });
+
+    test('should emit EdgeInsets and BorderRadius helpers', () => {
+      const dart = generator.generateFlutterDart(flutterTokens);
+
+      expect(dart).toContain('  static const EdgeInsets all4 = EdgeInsets.all(16.0);');
+      expect(dart).toContain('  static const EdgeInsets horizontal4 = EdgeInsets.symmetric(horizontal: 16.0);');
+      expect(dart).toContain('  static const BorderRadius md = BorderRadius.all(Radius.circular(8.0));');
+    });
+
+    test('should emit an AppTokens theme extension with copyWith and lerp', () => {
+      const dart = generator.generateFlutterDart(flutterTokens);
+
+      expect(dart).toContain("import 'dart:ui' show lerpDouble;");
+      expect(dart).toContain('class AppTokens extends ThemeExtension<AppTokens> {');
+      expect(dart).toContain('  static const AppTokens dark = AppTokens(\n    primary500: Color(0xFF3B82F6),\n    background: Color(0xFF111827),');
+      expect(dart).toContain('  final double radiusMd;');
+      expect(dart).toContain('      background: background ?? this.background,');
+      expect(dart).toContain('      background: Color.lerp(background, other.background, t)!,');
+      expect(dart).toContain('      spacing4: lerpDouble(spacing4, other.spacing4, t)!,');
+      expect(dart).toContain('  AppTokens get tokens => Theme.of(this).extension<AppTokens>()!;');
+    });
+
+    test('should build light and dark ThemeData with a Material 3 color scheme and text theme', () => {
+      const dart = generator.generateFlutterDart(flutterTokens, { textTheme: { headlineLarge: 'heading' } });
+
+      expect(dart).toContain([
+        '      colorScheme: ColorScheme.fromSeed(seedColor: AppTokens.light.primary, brightness: Brightness.light).copyWith(',
+        '        primary: AppTokens.light.primary,',
+        '        background: AppTokens.light.background,',
+        '      ),',
+        '      textTheme: const TextTheme(',
+        '        headlineLarge: AppTextStyles.heading,',
+        '        bodyLarge: AppTextStyles.bodyLarge,',
+        '      ),'
+      ].join('\n'));
+      expect(dart).toContain('  static ThemeData get darkTheme {');
+      expect(dart).toContain('      extensions: const <ThemeExtension<dynamic>>[AppTokens.dark],');
+    });
+
+    test('should write valid, distinct Dart names for fractional and keyword keys', () => {
+      const dart = generator.generateFlutterDart({
+        colors: { 'brand.default': '#3b82f6' },
+        spacing: { '1.5': '6px', 15: '60px' },
+        typography: { fontSize: { '2xl': '24px' } }
+      });
+
+      expect(dart).toContain('  static const double spacing1_5 = 6.0;');
+      expect(dart).toContain('  static const double spacing15 = 60.0;');
+      expect(dart).toContain('  static const EdgeInsets all1_5 = EdgeInsets.all(6.0);');
+      expect(dart).toContain('  static const EdgeInsets all15 = EdgeInsets.all(60.0);');
+      expect(dart).toContain('  final double spacing1_5;');
+      expect(dart).toContain('  static const Color brandDefault = Color(0xFF3B82F6);');
+      expect(dart).toContain('  static const TextStyle text2xl = TextStyle(');
+      expect(dart).not.toContain('spacing1.5');
+    });
+
+    test('should use the first family of a CSS font stack and fall back to the others', () => {
+      const dart = generator.generateFlutterDart({
+        ...baseTokens,
+        typography: { fontFamily: { sans: '"Inter Display", Roboto, system-ui, sans-serif' }, fontSize: { base: '16px' } }
+      });
+
+      expect(dart).toContain("  static const String defaultFontFamily = 'Inter Display';");
+      expect(dart).toContain("  static const List<String> defaultFontFamilyFallback = ['Roboto'];");
+      expect(dart).toContain('    fontFamily: defaultFontFamily,\n    fontFamilyFallback: defaultFontFamilyFallback,');
+      expect(dart).toContain('      fontFamily: AppTextStyles.defaultFontFamily,\n      fontFamilyFallback: AppTextStyles.defaultFontFamilyFallback,');
+    });
+
+    test('should skip the extension and dark theme when not needed', () => {
+      const dart = generator.generateFlutterDart(baseTokens, { includeExtensions: false });
+
+      expect(dart).not.toContain('AppTokens');
+      expect(dart).not.toContain('darkTheme');
+      expect(dart).toContain('      colorScheme: ColorScheme.fromSeed(seedColor: AppColors.primary500, brightness: Brightness.light).copyWith(\n        background: AppColors.background,');
+    });
+  });
+
+  describe('Custom Categories', () => {
+    const customTokens = {
+      ...baseTokens,
+      sizing: { 'icon-sm': '16px' },
+      borderWidth: { thin: '1px' },
+      voice: { brand: '#3b82f6' },
+      elevation: { card: '0 2px 4px 0 #0000001a' },
+      categoryTypes: { sizing: 'dimension', borderWidth: 'dimension', voice: 'color', elevation: 'shadow' }
+    };
+
+    test('should emit CSS and SCSS variables for every category', () => {
+      const css = generator.generateCSSCustomProperties(customTokens);
+      const scss = generator.generateSCSSVariables(customTokens);
+
+      expect(css).toContain('  /* Border Width */\n  --border-width-thin: 1px;');
+      expect(css).toContain('--voice-brand: #3b82f6;');
+      expect(css).not.toContain('categoryTypes');
+      expect(scss).toContain('$sizing-icon-sm: 16px;');
+    });
+
+    test('should add px to unitless custom dimensions in CSS, SCSS and Panda', () => {
+      const unitless = { ...customTokens, sizing: { icon: { sm: '16' } } };
+
+      expect(generator.generateCSSCustomProperties(unitless)).toContain('  --sizing-icon-sm: 16px;');
+      expect(generator.generateSCSSVariables(unitless)).toContain('$sizing-icon-sm: 16px;');
+      expect(generator.generatePandaPreset(unitless)).toContain("    'sizing-icon-sm': {\n      value: '16px'\n    }");
+    });
+
+    test('should place custom categories in Tailwind by name or token type', () => {
+      const config = generator.generateTailwindConfigContent(customTokens);
+
+      expect(config).toContain('"borderWidth": {\n        "thin": "1px"');
+      expect(config).toContain('"voice": {\n          "brand": "#3b82f6"');
+      expect(config).toContain('"sizing-icon-sm": "16px"');
+      expect(config).toContain('"elevation-card": "0 2px 4px 0 #0000001a"');
+    });
+
+    test('should carry custom categories into TypeScript and native outputs', () => {
+      expect(generator.generateTypeDefinitions(customTokens)).toContain('  borderWidth: Record<string, string>;');
+      expect(generator.generateReactNativeJS(customTokens)).toContain("export const sizing = {\n  'icon-sm': 16,\n};");
+      expect(generator.generateAndroidXML(customTokens)).toContain('<dimen name="border_width_thin">1dp</dimen>');
+      expect(generator.generateAndroidXML(customTokens)).toContain('<color name="voice_brand">#3b82f6</color>');
+      expect(generator.generateSwiftColors(customTokens)).toContain('static let voiceBrand = UIColor(hex: "#3b82f6")');
+      expect(generator.generateFlutterDart(customTokens)).toContain('static const double sizingIconSm = 16.0;');
+    });
+
+    test('should infer the type of categories without categoryTypes', () => {
+      const untyped = { ...customTokens, categoryTypes: undefined };
+      const types = generator.getCustomCategories(untyped).map(({ name, type }) => [name, type]);
+
+      expect(types).toEqual([['sizing', 'dimension'], ['borderWidth', 'dimension'], ['voice', 'color'], ['elevation', 'other']]);
+    });
+  });
+
+  describe('Text Styles', () => {
+    const typographyTokens = {
+      ...baseTokens,
+      typography: {
+        fontFamily: { sans: 'Inter, sans-serif' },
+        textStyles: {
+          'heading-1': { fontFamily: 'Inter, sans-serif', fontSize: '2rem', fontWeight: 700, lineHeight: 1.2, letterSpacing: '-0.02em', textCase: 'uppercase' },
+          body: { fontFamily: 'system-ui', fontSize: '16px', fontWeight: 400, lineHeight: '24px' }
+        }
+      }
+    };
+
+    test('should emit CSS utility classes and SCSS mixins', () => {
+      const css = generator.generateCSSCustomProperties(typographyTokens);
+      const scss = generator.generateSCSSVariables(typographyTokens);
+
+      expect(css).toContain('.text-heading-1 { font: 700 2rem/1.2 Inter, sans-serif; letter-spacing: -0.02em; text-transform: uppercase; }');
+      expect(css).not.toContain('--typography-textStyles');
+      expect(scss).toContain('@mixin text-body {\n  font: 400 16px/24px system-ui;\n}');
+    });
+
+    test('should emit Tailwind fontSize tuples', () => {
+      const config = generator.generateTailwindConfigContent(typographyTokens);
+
+      expect(config).toContain('"heading-1": [\n          "2rem",\n          {\n            "lineHeight": "1.2",\n            "letterSpacing": "-0.02em",\n            "fontWeight": "700"');
+    });
+
+    test('should emit native text styles', () => {
+      expect(generator.generateReactNativeJS(typographyTokens)).toContain(
+        '  heading1: {"fontFamily":"Inter","fontSize":32,"fontWeight":"700","lineHeight":38.4,"letterSpacing":-0.64,"textTransform":"uppercase"},'
+      );
+      expect(generator.generateFlutterDart(typographyTokens)).toContain(
+        "  static const TextStyle heading1 = TextStyle(\n    fontFamily: 'Inter',\n    fontSize: 32.0,\n    fontWeight: FontWeight.w700,\n    height: 1.2,\n    letterSpacing: -0.64,\n  );"
+      );
+      expect(generator.generateFlutterDart(typographyTokens)).toContain('    height: 1.5,');
+
+      const swift = generator.generateSwiftColors(typographyTokens);
+      expect(swift).toContain('static let heading1: Font = .custom("Inter", size: 32).weight(.bold)');
+      expect(swift).toContain('static let body: Font = .system(size: 16, weight: .regular)');
+      expect(generator.generateTypeDefinitions(typographyTokens)).toContain('    "heading-1": TextStyle;');
+    });
+  });
+
+  describe('Deprecations', () => {
+    const deprecatedTokens = {
+      colors: { primary: { 500: '#3b82f6' }, legacy: '#ff0066' },
+      spacing: { 4: '1rem', gutter: '24px' },
+      borderRadius: { sm: '4px', pill: '9999px' },
+      deprecations: {
+        colors: { legacy: { message: "Don't use the old pink", replacement: 'colors.primary.500', removeIn: '3.0.0' } },
+        spacing: { gutter: { message: null, replacement: 'spacing.4', removeIn: null } },
+        borderRadius: { pill: { message: null, replacement: null, removeIn: null } }
+      }
+    };
+
+    test('should mark deprecated CSS custom properties', () => {
+      const css = generator.generateCSSCustomProperties(deprecatedTokens);
+
+      expect(css).toContain("  /* @deprecated Don't use the old pink. Use {colors.primary.500} instead. Removed in 3.0.0 */\n  --color-legacy: #ff0066;");
+      expect(css).toContain('  /* @deprecated */\n  --border-radius-pill: 9999px;');
+      expect(css).not.toContain('deprecations');
+    });
+
+    test('should mark deprecated TypeScript members', () => {
+      const types = generator.generateTypeDefinitions(deprecatedTokens);
+
+      expect(types).toContain('export interface Colors {\n  "primary-500": string;\n');
+      expect(types).toContain(
+        '  /** @deprecated Don\'t use the old pink. Use {colors.primary.500} instead. Removed in 3.0.0 */\n  "legacy": string;'
+      );
+      expect(types).toContain('  /** @deprecated Use {spacing.4} instead */\n  "gutter": string;');
+      expect(types).toContain('  borderRadius: Record<string, string> & {\n    /** @deprecated */\n    "pill": string;\n  };');
+    });
+
+    test('should annotate deprecated Swift and Dart declarations', () => {
+      const message = "Don't use the old pink. Use {colors.primary.500} instead. Removed in 3.0.0";
+
+      expect(generator.generateSwiftColors(deprecatedTokens)).toContain(
+        `    @available(*, deprecated, message: "${message}")\n    static let legacy = UIColor(hex: "#ff0066")`
+      );
+      expect(generator.generateFlutterDart(deprecatedTokens)).toContain(
+        "  @Deprecated('Don\\'t use the old pink. Use {colors.primary.500} instead. Removed in 3.0.0')\n  static const Color legacy"
+      );
+      expect(generator.generateFlutterDart(deprecatedTokens)).toContain(
+        "  @Deprecated('Use {spacing.4} instead')\n  static const double spacingGutter = 24.0;"
+      );
+    });
+  });
+});
@@ -0,0 +1,149 @@
+import { FormatRegistry, normalizeOutput } from '../../../src/core/FormatRegistry.js';
+import { FileGenerator } from '../../../src/core/FileGenerator.js';
+import { createConfig } from '../../../src/utils/config.js';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+
+describe('FormatRegistry', () => {
+  let generator;
+  let testDir;
+
+  const tokens = {
+    colors: { primary: '#3b82f6' },
+    spacing: { md: '1rem' },
+    categoryTypes: { colors: 'color' },
+    themes: [{ name: 'dark', isDefault: false, colorScheme: 'dark', tokens: { colors: { primary: '#60a5fa' } } }]
+  };
+
+  beforeEach(async () => {
+    suppressConsole();
+    if (!global.TEST_TMP_DIR) {
+      global.TEST_TMP_DIR = path.join(os.tmpdir(), 'design-tokens-sync-test');
+    }
+    testDir = path.join(global.TEST_TMP_DIR, `format-registry-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`);
+    await fs.ensureDir(testDir);
+    generator = new FileGenerator({ cwd: testDir });
+  });
+
+  afterEach(async () => {
+    restoreConsole();
+    if (testDir && await fs.pathExists(testDir)) {
+      await fs.remove(testDir);
+    }
+  });
+
+  test('should register every built-in format', () => {
+    expect(new FormatRegistry().list()).toEqual([
+      'css', 'tailwind', 'tailwindTheme', 'tailwindPreset', 'typescript', 'scss', 'styledTheme', 'vanillaExtract', 'panda', 'reactNative', 'expo', 'flutter', 'ios', 'swiftui', 'android', 'compose', 'xamarin'
+    ]);
+    expect(() => new FormatRegistry().register({ name: 'broken' })).toThrow('Invalid format');
+  });
+
+  test('should normalize output entries', () => {
+    expect(normalizeOutput('tokens.css')).toEqual({ path: 'tokens.css', options: {} });
+    expect(normalizeOutput({ path: 'a.json', formatter: './f.js' })).toEqual({ path: 'a.json', formatter: './f.js', options: {} });
+    expect(normalizeOutput(null)).toBeNull();
+  });
+
+  test('should run a config formatter with tokens, metadata and themes', async () => {
+    await fs.writeFile(path.join(testDir, 'my-format.mjs'), `
+      export default {
+        label: 'My format',
+        format: ({ tokens, metadata, themes, options, outputPath }) => [
+          { path: outputPath, content: JSON.stringify({ tokens, metadata, themes: themes.map(theme => theme.name), options }) },
+          { path: outputPath.replace('.json', '.txt'), content: Object.keys(tokens).join(',') }
+        ]
+      };
+    `);
+
+    const outputPath = path.join(testDir, 'out', 'tokens.json');
+    const results = await generator.generateAll(tokens, {
+      output: { myFormat: { formatter: './my-format.mjs', path: outputPath, options: { pretty: true } } }
+    });
+
+    expect(results.myFormat).toHaveLength(2);
+    expect(await fs.readJSON(outputPath)).toEqual({
+      tokens: { colors: { primary: '#3b82f6' }, spacing: { md: '1rem' } },
+      metadata: { categoryTypes: { colors: 'color' } },
+      themes: ['dark'],
+      options: { pretty: true }
+    });
+    expect(await fs.readFile(path.join(testDir, 'out', 'tokens.txt'), 'utf8')).toBe('colors,spacing');
+  });
+
+  test('should let a formatter override a built-in format', async () => {
+    await fs.writeFile(path.join(testDir, 'css.mjs'), `
+      export default ({ tokens }) => \`:root { --brand: \${tokens.colors.primary}; }\`;
+    `);
+
+    const outputPath = path.join(testDir, 'tokens.css');
+    const results = await generator.generateAll(tokens, {
+      output: { css: { formatter: './css.mjs', path: outputPath } }
+    });
+
+    expect(results.css.content).toBe(':root { --brand: #3b82f6; }');
+    expect(await fs.readFile(outputPath, 'utf8')).toBe(':root { --brand: #3b82f6; }');
+  });
+
+  test('should register formats from plugins', async () => {
+    await fs.outputFile(path.join(testDir, 'node_modules', 'dts-plugin-json', 'package.json'), JSON.stringify({
+      name: 'dts-plugin-json', type: 'module', main: 'index.js'
+    }));
+    await fs.outputFile(path.join(testDir, 'node_modules', 'dts-plugin-json', 'index.js'), `
+      export const formats = {
+        flatJson: { label: 'Flat JSON', format: ({ tokens }) => JSON.stringify(tokens.colors) }
+      };
+    `);
+
+    const outputPath = path.join(testDir, 'colors.json');
+    await generator.generateAll(tokens, { plugins: ['dts-plugin-json'], output: { flatJson: outputPath } });
+
+    expect(await fs.readJSON(outputPath)).toEqual({ primary: '#3b82f6' });
+    expect(generator.formats.has('flatJson')).toBe(true);
+  });
+
+  test('should keep built-in outputs working through the registry', async () => {
+    const outputPath = path.join(testDir, 'tokens.css');
+    const results = await generator.generateAll(tokens, { output: { css: outputPath, tailwind: null } });
+
+    expect(Object.keys(results)).toEqual(['css']);
+    expect(results.css.content).toContain('--color-primary: #3b82f6;');
+    expect(results.css.content).toContain('--color-primary: #60a5fa;');
+  });
+
+  test('should report unknown formats and failing formatters', async () => {
+    await expect(generator.generateAll(tokens, { output: { mystery: 'out.txt' } }))
+      .rejects.toThrow('Unknown output format "mystery"');
+
+    generator.registerFormat({ name: 'broken', format: () => { throw new Error('boom'); } });
+    await expect(generator.generateAll(tokens, { output: { broken: path.join(testDir, 'x') } }))
+      .rejects.toThrow('Output "broken" failed: boom');
+  });
+
+  test('should check that every output has a format', async () => {
+    const problems = await generator.checkOutputs({
+      plugins: ['missing-plugin'],
+      output: { css: 'tokens.css', colors: 'colors.dart', custom: { formatter: './missing.mjs', path: 'x' } }
+    });
+
+    expect(problems.map(problem => problem.path)).toEqual(['plugins.0', 'output.colors', 'output.custom.formatter']);
+    expect(problems[1].message).toContain('no format named "colors"');
+  });
+
+  test('should pass inline output options to formats', () => {
+    expect(normalizeOutput({ path: 'a.js', exportFormat: 'named', options: { format: 'ts' } }))
+      .toEqual({ path: 'a.js', formatter: undefined, options: { exportFormat: 'named', format: 'ts' } });
+  });
+
+  test('should accept custom outputs and plugins in the config', () => {
+    const config = createConfig({
+      output: { myFormat: { formatter: './formats/my.js', path: 'dist/my.json' } },
+      plugins: ['dts-plugin-json']
+    });
+
+    expect(config.output.myFormat.formatter).toBe('./formats/my.js');
+    expect(config.output.css).toBe('src/styles/tokens.css');
+    expect(config.plugins).toEqual(['dts-plugin-json']);
+  });
+});
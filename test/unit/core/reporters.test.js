@@ -0,0 +1,115 @@
+import { toJSON, toSARIF, toJUnit, toGitHub, toGitHubSummary } from '../../../src/core/reporters.js';
+import { TokenValidator } from '../../../src/core/TokenValidator.js';
+
+describe('Reporters', () => {
+  const error = {
+    rule: 'color-value',
+    severity: 'error',
+    path: 'colors.primary.600',
+    message: 'Invalid color value: colors.primary.600 = "<nope>"',
+    file: 'tokens.json',
+    set: 'core',
+    line: 7,
+    column: 20,
+    suggestion: null,
+    fixable: true
+  };
+  const warning = {
+    rule: 'spacing-scale',
+    severity: 'warning',
+    path: 'spacing',
+    message: 'Consider adding common spacing values: 0, 1',
+    file: null,
+    set: null,
+    line: null,
+    column: null,
+    suggestion: null,
+    fixable: false
+  };
+  const result = {
+    isValid: false,
+    results: [error, warning],
+    errors: [error],
+    warnings: [warning],
+    summary: { totalCategories: 2, validatedTokens: 12, errorCount: 1, warningCount: 1 }
+  };
+  const rules = [
+    { id: 'color-value', description: 'Colors must be valid CSS colors', severity: 'error' },
+    { id: 'spacing-scale', description: 'Common spacing steps worth defining', severity: 'warning' },
+    { id: 'font-family', description: 'Font families must be non-empty strings', severity: 'error' }
+  ];
+
+  test('should report JSON', () => {
+    const report = JSON.parse(toJSON(result));
+
+    expect(report).toEqual({ isValid: false, summary: result.summary, results: [error, warning], fixed: [] });
+  });
+
+  test('should report SARIF with rules and locations', () => {
+    const sarif = JSON.parse(toSARIF(result, { rules, version: '1.2.3', defaultFile: 'tokens.json' }));
+    const run = sarif.runs[0];
+
+    expect(sarif.version).toBe('2.1.0');
+    expect(run.tool.driver).toMatchObject({ name: 'design-tokens-sync', version: '1.2.3' });
+    expect(run.tool.driver.rules.map(({ id }) => id)).toEqual(['color-value', 'spacing-scale', 'font-family']);
+    expect(run.tool.driver.rules[1].defaultConfiguration).toEqual({ level: 'warning' });
+
+    expect(run.results[0]).toEqual({
+      ruleId: 'color-value',
+      ruleIndex: 0,
+      level: 'error',
+      message: { text: error.message },
+      locations: [{ physicalLocation: { artifactLocation: { uri: 'tokens.json' }, region: { startLine: 7, startColumn: 20 } } }],
+      partialFingerprints: { tokenPath: 'color-value:colors.primary.600' }
+    });
+    // Results about the whole tree point at the input file
+    expect(run.results[1].locations[0].physicalLocation).toEqual({ artifactLocation: { uri: 'tokens.json' }, region: { startLine: 1 } });
+    expect(JSON.parse(toSARIF(result, { rules })).runs[0].results[1].locations).toEqual([]);
+  });
+
+  test('should report JUnit XML with a suite per rule', () => {
+    const xml = toJUnit(result, { rules });
+
+    expect(xml).toContain('<testsuites name="design-tokens-sync" tests="3" failures="1" errors="0">');
+    expect(xml).toContain([
+      '  <testsuite name="color-value" tests="1" failures="1" errors="0">',
+      '    <testcase name="colors.primary.600" classname="color-value" file="tokens.json" line="7">',
+      '      <failure message="Invalid color value: colors.primary.600 = &quot;&lt;nope&gt;&quot;" type="color-value">tokens.json:7:20 Invalid color value: colors.primary.600 = &quot;&lt;nope&gt;&quot;</failure>',
+      '    </testcase>',
+      '  </testsuite>'
+    ].join('\n'));
+    expect(xml).toContain('<system-out>warning: Consider adding common spacing values: 0, 1</system-out>');
+    expect(xml).toContain('<testcase name="font-family" classname="font-family"/>');
+  });
+
+  test('should report GitHub workflow commands', () => {
+    expect(toGitHub(result)).toBe([
+      '::error file=tokens.json,line=7,col=20,title=color-value::Invalid color value: colors.primary.600 = "<nope>"',
+      '::warning title=spacing-scale::Consider adding common spacing values: 0, 1',
+      ''
+    ].join('\n'));
+
+    const multiline = { ...result, results: [{ ...warning, message: '100% done\nnext', rule: 'a,b' }] };
+    expect(toGitHub(multiline)).toBe('::warning title=a%2Cb::100%25 done%0Anext\n');
+    expect(toGitHub({ ...result, results: [] })).toBe('');
+  });
+
+  test('should summarize for the GitHub step summary', () => {
+    const summary = toGitHubSummary(result, { defaultFile: 'tokens.json' });
+
+    expect(summary).toContain('## ❌ Design Token Validation');
+    expect(summary).toContain('12 tokens checked: 1 error(s), 1 warning(s)');
+    expect(summary).toContain('| error | `color-value` | `tokens.json:7` | Invalid color value: colors.primary.600 = "<nope>" |');
+  });
+
+  test('should list the enabled rules', async () => {
+    const validator = new TokenValidator({
+      tokens: { validation: { rules: { 'color-shades': 'off', 'naming-case': 'warn' } } }
+    });
+    const enabled = await validator.getEnabledRules();
+
+    expect(enabled.map(({ id }) => id)).not.toContain('color-shades');
+    expect(enabled.map(({ id }) => id)).not.toContain('token-tiers');
+    expect(enabled).toContainEqual({ id: 'naming-case', description: expect.any(String), severity: 'warning' });
+  });
+});
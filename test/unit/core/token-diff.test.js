@@ -0,0 +1,204 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { execSync } from 'child_process';
+import { TokenDiff } from '../../../src/core/TokenDiff.js';
+import { GitManager } from '../../../src/core/GitManager.js';
+
+describe('TokenDiff', () => {
+  let tokenDiff;
+
+  const base = {
+    colors: {
+      primary: { 500: { value: '#3b82f6', type: 'color' } },
+      brand: { value: '{colors.primary.500}', type: 'color' },
+      'old-accent': { value: '#f59e0b', type: 'color' }
+    },
+    spacing: {
+      4: { value: '1rem', type: 'spacing' },
+      gap: { value: '8', type: 'spacing' }
+    },
+    radius: {
+      sm: { value: '2px', type: 'borderRadius' }
+    },
+    $metadata: { tokenSetOrder: ['colors', 'spacing', 'radius'] }
+  };
+
+  const head = {
+    colors: {
+      primary: { 500: { value: '#2563eb', type: 'color' } },
+      brand: { value: '{colors.primary.500}', type: 'color' },
+      'accent-old': { value: '#f59e0b', type: 'color' },
+      overlay: { value: 'rgba(0, 0, 0, 0.5)', type: 'color' }
+    },
+    spacing: {
+      4: { value: '1rem', type: 'spacing' },
+      gap: { value: '8', type: 'dimension' }
+    }
+  };
+
+  beforeEach(() => {
+    tokenDiff = new TokenDiff();
+  });
+
+  test('should classify every kind of change', () => {
+    const { summary, changes } = tokenDiff.compare(base, head);
+
+    expect(summary).toEqual({ added: 1, removed: 1, renamed: 1, valueChanged: 2, typeChanged: 1, total: 6 });
+    expect(changes.map(change => [change.kind, change.path])).toEqual([
+      ['added', 'colors.overlay'],
+      ['removed', 'radius.sm'],
+      ['renamed', 'colors.accent-old'],
+      ['value-changed', 'colors.brand'],
+      ['value-changed', 'colors.primary.500'],
+      ['type-changed', 'spacing.gap']
+    ]);
+    expect(changes[2].from).toBe('colors.old-accent');
+  });
+
+  test('should compare resolved values and report color deltas', () => {
+    const { changes } = tokenDiff.compare(base, head);
+    const brand = changes.find(change => change.path === 'colors.brand');
+
+    expect(brand.before).toEqual({ value: '#3b82f6', raw: '{colors.primary.500}', type: 'color' });
+    expect(brand.after.value).toBe('#2563eb');
+    expect(brand.delta).toBe(18.5);
+  });
+
+  test('should report retargeted aliases even when the value is unchanged', () => {
+    const tokens = (target) => ({
+      colors: {
+        a: { value: '#ffffff', type: 'color' },
+        b: { value: '#ffffff', type: 'color' },
+        surface: { value: `{colors.${target}}`, type: 'color' }
+      }
+    });
+
+    const { changes } = tokenDiff.compare(tokens('a'), tokens('b'));
+
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({ kind: 'value-changed', path: 'colors.surface' });
+    expect(changes[0].delta).toBe(0);
+  });
+
+  test('should only pair renames with the same value and a similar path', () => {
+    const { changes } = tokenDiff.compare(
+      { spacing: { small: { value: '4px', type: 'spacing' } } },
+      { layout: { gutter: { value: '4px', type: 'spacing' } } }
+    );
+
+    expect(changes.map(change => change.kind)).toEqual(['added', 'removed']);
+    expect(tokenDiff.getPathSimilarity('colors.old-accent', 'colors.accent-old')).toBeGreaterThan(0.5);
+  });
+
+  test('should compare DTCG files', () => {
+    const { changes } = tokenDiff.compare(
+      { colors: { $type: 'color', primary: { $value: '#3b82f6' } } },
+      { colors: { $type: 'color', primary: { $value: '#3b82f6' }, secondary: { $value: '#64748b' } } }
+    );
+
+    expect(changes).toEqual([
+      { kind: 'added', path: 'colors.secondary', after: { value: '#64748b', raw: '#64748b', type: 'color' } }
+    ]);
+  });
+
+  test('should render a Markdown report', () => {
+    const markdown = tokenDiff.toMarkdown(tokenDiff.compare(base, head), { base: 'main', head: 'feature' });
+
+    expect(markdown).toContain('## 🎨 main → feature');
+    expect(markdown).toContain('**6 changes**: 1 added, 1 removed, 1 renamed, 2 value changed, 1 type changed');
+    expect(markdown).toContain('| 🔀 Renamed | `colors.old-accent` → `colors.accent-old` | `#f59e0b` | `#f59e0b` |');
+    expect(markdown).toContain('| ✏️ Value changed | `colors.primary.500` | `#3b82f6` | `#2563eb` ΔE 18.5 |');
+    expect(markdown).toContain('| 🔁 Type changed | `spacing.gap` | `8` _spacing_ | `8` _dimension_ |');
+    expect(tokenDiff.toMarkdown(tokenDiff.compare(base, base))).toContain('No token changes.');
+  });
+
+  test('should recommend the release type for the changes', () => {
+    const spacing = (value) => ({ spacing: { 4: { value, type: 'spacing' } } });
+    const withGap = { spacing: { ...spacing('1rem').spacing, gap: { value: '8px', type: 'spacing' } } };
+
+    expect(tokenDiff.getReleaseType(tokenDiff.compare(base, head))).toBe('major');
+    expect(tokenDiff.getReleaseType(tokenDiff.compare(spacing('1rem'), withGap))).toBe('minor');
+    expect(tokenDiff.getReleaseType(tokenDiff.compare(spacing('1rem'), spacing('1.25rem')))).toBe('patch');
+    expect(tokenDiff.getReleaseType(tokenDiff.compare(spacing('1rem'), spacing('1rem')))).toBeNull();
+  });
+
+  test('should render a changelog section with breaking changes first', () => {
+    const changelog = tokenDiff.toChangelog(tokenDiff.compare(base, head), { version: '2.0.0', date: '2026-01-01' });
+
+    expect(changelog).toBe([
+      '## [2.0.0] - 2026-01-01',
+      '',
+      '### ⚠️ Breaking Changes',
+      '',
+      '- Removed `radius.sm`',
+      '- Renamed `colors.old-accent` → `colors.accent-old`',
+      '- Changed the type of `spacing.gap` from spacing to dimension',
+      '',
+      '### ✨ Added',
+      '',
+      '- `colors.overlay`: `rgba(0, 0, 0, 0.5)`',
+      '',
+      '### ✏️ Changed',
+      '',
+      '- `colors.brand`: `{colors.primary.500} (#3b82f6)` → `{colors.primary.500} (#2563eb)`',
+      '- `colors.primary.500`: `#3b82f6` → `#2563eb`',
+      ''
+    ].join('\n'));
+  });
+});
+
+describe('GitManager.loadTokensAt', () => {
+  const originalCwd = process.cwd();
+  let repoDir;
+
+  const git = (command) => execSync(`git -c user.name=test -c user.email=test@example.com ${command}`, { cwd: repoDir, stdio: 'pipe' });
+
+  beforeEach(async () => {
+    repoDir = path.join(global.TEST_TMP_DIR, `git-diff-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    await fs.ensureDir(path.join(repoDir, 'tokens'));
+    git('init -q');
+
+    await fs.writeJSON(path.join(repoDir, 'tokens/core.json'), { colors: { primary: { value: '#3b82f6', type: 'color' } } });
+    await fs.writeJSON(path.join(repoDir, 'tokens.json'), { spacing: { 4: { value: '1rem', type: 'spacing' } } });
+    git('add -A');
+    git('commit -q -m base');
+
+    await fs.writeJSON(path.join(repoDir, 'tokens/core.json'), { colors: { primary: { value: '#2563eb', type: 'color' } } });
+    process.chdir(repoDir);
+  });
+
+  afterEach(async () => {
+    process.chdir(originalCwd);
+    await fs.remove(repoDir);
+  });
+
+  test('should load a single tokens file from a ref', async () => {
+    const { tokens } = await new GitManager().loadTokensAt('HEAD', 'tokens.json');
+    expect(tokens.spacing[4].value).toBe('1rem');
+  });
+
+  test('should load globbed token sets as committed', async () => {
+    const { tokens } = await new GitManager().loadTokensAt('HEAD', 'tokens/*.json');
+    expect(tokens.colors.primary.value).toBe('#3b82f6');
+  });
+
+  test('should find the latest tag', async () => {
+    expect(await new GitManager().getLatestTag()).toBeNull();
+
+    git('tag v1.0.0');
+    expect(await new GitManager().getLatestTag()).toBe('v1.0.0');
+    expect(await new GitManager().getLatestTag('tokens-v')).toBeNull();
+
+    git('tag tokens-v0.1.0');
+    expect(await new GitManager().getLatestTag('tokens-v')).toBe('tokens-v0.1.0');
+  });
+
+  test('should reject unknown refs and missing files', async () => {
+    const gitManager = new GitManager();
+
+    expect(await gitManager.isRef('HEAD')).toBe(true);
+    expect(await gitManager.isRef('no-such-branch')).toBe(false);
+    await expect(gitManager.loadTokensAt('no-such-branch', 'tokens.json')).rejects.toThrow('Unknown git ref: no-such-branch');
+    await expect(gitManager.loadTokensAt('HEAD', 'missing.json')).rejects.toThrow('Tokens file not found at HEAD: missing.json');
+  });
+});
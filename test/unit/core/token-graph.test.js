@@ -0,0 +1,129 @@
+import { TokenGraph } from '../../../src/core/TokenGraph.js';
+
+describe('TokenGraph', () => {
+  const tokens = {
+    core: {
+      colors: {
+        gray: { 900: { value: '#111827', type: 'color' } },
+        accent: { value: '#ff0066', type: 'color' }
+      }
+    },
+    brand: { colors: { accent: { value: '#7c3aed', type: 'color' } } },
+    semantic: {
+      colors: {
+        text: { value: '{colors.gray.900}', type: 'color' },
+        link: { value: '{brand.colors.accent}', type: 'color' },
+        spare: { value: '#abcdef', type: 'color' },
+        a: { value: '{colors.b}', type: 'color' },
+        b: { value: '{colors.c}', type: 'color' },
+        c: { value: '{colors.a}', type: 'color' },
+        broken: { value: '{colors.nope}', type: 'color' }
+      }
+    },
+    $themes: [
+      { id: 'light', name: 'Light', selectedTokenSets: { core: 'source', brand: 'disabled', semantic: 'enabled' } },
+      { id: 'brand', name: 'Brand', selectedTokenSets: { core: 'source', brand: 'enabled', semantic: 'enabled' } }
+    ],
+    $metadata: { tokenSetOrder: ['core', 'brand', 'semantic'] }
+  };
+
+  test('should build nodes and reference edges per set', () => {
+    const graph = new TokenGraph(tokens);
+
+    expect(graph.nodes.get('semantic.colors.text')).toEqual({ id: 'semantic.colors.text', set: 'semantic', path: 'colors.text', type: 'color' });
+    expect(graph.getDependencies('semantic.colors.text')).toEqual(['core.colors.gray.900']);
+    expect(graph.getDependents('core.colors.gray.900')).toEqual(['semantic.colors.text']);
+    expect(graph.missing).toEqual([{ from: 'semantic.colors.broken', reference: 'colors.nope' }]);
+  });
+
+  test('should handle keys that contain dots', () => {
+    const graph = new TokenGraph({
+      core: { spacing: { 2: { value: '8px', type: 'dimension' } } },
+      semantic: { spacing: { '1.5': { value: '{spacing.2} * 0.75', type: 'dimension' } } },
+      $metadata: { tokenSetOrder: ['core', 'semantic'] }
+    });
+
+    expect(graph.nodes.get('semantic.spacing.1.5')).toEqual({ id: 'semantic.spacing.1.5', set: 'semantic', path: 'spacing.1.5', type: 'dimension' });
+    expect(graph.getDependents('core.spacing.2')).toEqual(['semantic.spacing.1.5']);
+    expect(graph.missing).toEqual([]);
+  });
+
+  test('should report each cycle once with its full chain', () => {
+    expect(new TokenGraph(tokens).findCycles()).toEqual([
+      ['semantic.colors.a', 'semantic.colors.b', 'semantic.colors.c']
+    ]);
+  });
+
+  test('should find references into sets a theme disables', () => {
+    expect(new TokenGraph(tokens).findDisabledReferences()).toEqual([{
+      from: 'semantic.colors.link',
+      to: 'brand.colors.accent',
+      reference: 'brand.colors.accent',
+      set: 'brand',
+      themes: ['Light']
+    }]);
+  });
+
+  test('should find orphan tokens', () => {
+    expect(new TokenGraph(tokens).findOrphans(['semantic'])).toEqual(['semantic.colors.spare']);
+  });
+
+  test('should locate tokens of merged set files through provenance', () => {
+    const graph = new TokenGraph(
+      { colors: { base: { value: '#fff' }, surface: { value: '{colors.base}' } } },
+      { provenance: { 'colors.base': { set: 'core' }, 'colors.surface': { set: 'semantic' } } }
+    );
+
+    expect(graph.nodes.get('colors.surface')).toMatchObject({ set: 'semantic', path: 'colors.surface' });
+    expect(graph.findOrphans(['semantic'])).toEqual([]);
+  });
+
+  test('should export DOT, Mermaid and JSON', () => {
+    const graph = new TokenGraph({
+      core: { colors: { ink: { value: '#111827' } } },
+      semantic: { colors: { text: { value: '{colors.ink}' }, broken: { value: '{colors.nope}' } } },
+      $metadata: { tokenSetOrder: ['core', 'semantic'] }
+    });
+
+    expect(graph.format('dot')).toBe([
+      'digraph tokens {',
+      '  rankdir=LR;',
+      '  node [shape=box, style=rounded, fontname="Helvetica"];',
+      '  subgraph "cluster_core" {',
+      '    label="core";',
+      '    "core.colors.ink" [label="colors.ink"];',
+      '  }',
+      '  subgraph "cluster_semantic" {',
+      '    label="semantic";',
+      '    "semantic.colors.text" [label="colors.text"];',
+      '    "semantic.colors.broken" [label="colors.broken"];',
+      '  }',
+      '  "core.colors.ink" -> "semantic.colors.text";',
+      '  "{colors.nope}" [color=red, fontcolor=red, style="rounded,dashed"];',
+      '  "{colors.nope}" -> "semantic.colors.broken" [color=red, style=dashed];',
+      '}',
+      ''
+    ].join('\n'));
+
+    expect(graph.format('mermaid')).toBe([
+      'flowchart LR',
+      '  subgraph set_core["core"]',
+      '    t0["colors.ink"]',
+      '  end',
+      '  subgraph set_semantic["semantic"]',
+      '    t1["colors.text"]',
+      '    t2["colors.broken"]',
+      '  end',
+      '  t0 --> t1',
+      '  missing0["{colors.nope}"]:::missing -.-> t2',
+      '  classDef missing stroke:#dc2626,color:#dc2626,stroke-dasharray:4',
+      ''
+    ].join('\n'));
+
+    const json = JSON.parse(graph.format('json'));
+    expect(json.edges).toEqual([{ from: 'semantic.colors.text', to: 'core.colors.ink', reference: 'colors.ink' }]);
+    expect(json.cycles).toEqual([]);
+
+    expect(() => graph.format('svg')).toThrow('Unknown graph format "svg". Use one of: dot, mermaid, json');
+  });
+});
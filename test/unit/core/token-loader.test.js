@@ -0,0 +1,178 @@
+import { TokenLoader, formatSource } from '../../../src/core/TokenLoader.js';
+import { TokenProcessor } from '../../../src/core/TokenProcessor.js';
+import { TokenValidator } from '../../../src/core/TokenValidator.js';
+import { TokenFixer } from '../../../src/core/TokenFixer.js';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+
+describe('TokenLoader', () => {
+  let loader;
+  let testDir;
+
+  const writeSets = async (sets) => {
+    await fs.ensureDir(path.join(testDir, 'tokens'));
+    for (const [name, content] of Object.entries(sets)) {
+      await fs.outputJSON(path.join(testDir, 'tokens', `${name}.json`), content);
+    }
+  };
+
+  beforeEach(async () => {
+    suppressConsole();
+    if (!global.TEST_TMP_DIR) {
+      global.TEST_TMP_DIR = path.join(os.tmpdir(), 'design-tokens-sync-test');
+    }
+    testDir = path.join(global.TEST_TMP_DIR, `token-loader-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`);
+    await fs.ensureDir(testDir);
+    loader = new TokenLoader({ cwd: testDir });
+  });
+
+  afterEach(async () => {
+    restoreConsole();
+    if (testDir && await fs.pathExists(testDir)) {
+      await fs.remove(testDir);
+    }
+  });
+
+  test('should load a single file as-is with provenance', async () => {
+    const tokens = {
+      core: { colors: { primary: { 500: { value: '#3b82f6', type: 'color' } } } },
+      $metadata: { tokenSetOrder: ['core'] }
+    };
+    await fs.writeJSON(path.join(testDir, 'tokens.json'), tokens, { spaces: 2 });
+
+    const result = await loader.load('tokens.json');
+    const source = { file: 'tokens.json', set: 'core', line: 6, column: 20 };
+
+    expect(result.tokens).toEqual(tokens);
+    expect(result.files).toEqual([path.join(testDir, 'tokens.json')]);
+    expect(result.provenance['core.colors.primary.500']).toEqual(source);
+    expect(result.provenance['colors.primary.500']).toEqual(source);
+    expect(result.sources['tokens.json']).toContain('"#3b82f6"');
+  });
+
+  test('should merge an ordered array of set files, later sets winning', async () => {
+    await writeSets({
+      core: { colors: { primary: { 500: { value: '#3b82f6' }, 600: { value: '#2563eb' } } } },
+      'brand-x': { colors: { primary: { 500: { value: '#ff0000' } } } }
+    });
+
+    const result = await loader.load(['tokens/core.json', 'tokens/brand-x.json']);
+
+    expect(result.tokens.colors.primary['500'].value).toBe('#ff0000');
+    expect(result.tokens.colors.primary['600'].value).toBe('#2563eb');
+    expect(result.tokens.$metadata.tokenSetOrder).toEqual(['core', 'brand-x']);
+    expect(result.provenance['colors.primary.500']).toEqual({ file: 'tokens/brand-x.json', set: 'brand-x', line: 1, column: 38 });
+    expect(result.provenance['colors.primary.600']).toEqual({ file: 'tokens/core.json', set: 'core', line: 1, column: 64 });
+    expect(result.provenance['core.colors.primary.500']).toEqual({ file: 'tokens/core.json', set: 'core', line: 1, column: 38 });
+  });
+
+  test('should expand globs and follow $metadata.tokenSetOrder', async () => {
+    await writeSets({
+      core: { spacing: { 4: { value: '1rem' } } },
+      semantic: { spacing: { 4: { value: '{core.spacing.4}' }, gutter: { value: '{spacing.4}' } } },
+      $metadata: { tokenSetOrder: ['semantic', 'core'] }
+    });
+
+    const result = await loader.load('tokens/*.json');
+
+    expect(result.files).toHaveLength(3);
+    expect(result.tokens.$metadata.tokenSetOrder).toEqual(['semantic', 'core']);
+    expect(result.tokens.spacing['4'].value).toBe('1rem');
+    expect(result.provenance['spacing.4'].set).toBe('core');
+    expect(result.provenance['spacing.gutter'].set).toBe('semantic');
+  });
+
+  test('should keep sets keyed by name when $themes are present', async () => {
+    await writeSets({
+      light: { colors: { bg: { value: '#ffffff' } } },
+      dark: { colors: { bg: { value: '#000000' } } },
+      $themes: [
+        { name: 'Light', selectedTokenSets: { light: 'enabled' } },
+        { name: 'Dark', selectedTokenSets: { dark: 'enabled' } }
+      ]
+    });
+
+    const { tokens } = await loader.load('tokens/**/*.json');
+
+    expect(tokens.light.colors.bg.value).toBe('#ffffff');
+    expect(tokens.dark.colors.bg.value).toBe('#000000');
+    expect(tokens.$themes).toHaveLength(2);
+  });
+
+  test('should name sets in subdirectories by relative path', async () => {
+    await writeSets({
+      core: { spacing: { 1: { value: '4px' } } },
+      'brand/x': { spacing: { 1: { value: '8px' } } }
+    });
+
+    const result = await loader.load('tokens/**/*.json');
+
+    expect(result.tokens.$metadata.tokenSetOrder).toEqual(['brand/x', 'core']);
+    expect(result.provenance['brand/x.spacing.1']).toEqual({ file: 'tokens/brand/x.json', set: 'brand/x', line: 1, column: 26 });
+  });
+
+  test('should reject missing files and empty globs', async () => {
+    await expect(loader.load('missing.json')).rejects.toThrow('Tokens file not found');
+    await expect(loader.load('tokens/*.json')).rejects.toThrow('No token files match');
+  });
+
+  test('should load set files through TokenProcessor', async () => {
+    await writeSets({
+      core: { colors: { primary: { 500: { value: '#3b82f6', type: 'color' } } } },
+      semantic: { colors: { brand: { value: '{colors.primary.500}', type: 'color' } } }
+    });
+
+    const processor = new TokenProcessor();
+    processor.config = { tokens: { input: path.join(testDir, 'tokens/*.json') } };
+    const tokens = await processor.loadTokens();
+
+    expect(tokens.colors['primary-500']).toBe('#3b82f6');
+    expect(tokens.colors.brand).toBe('#3b82f6');
+    expect(processor.provenance['colors.brand'].set).toBe('semantic');
+  });
+
+  test('should show provenance in validation errors', async () => {
+    await writeSets({
+      core: { colors: { primary: { 500: { value: '#3b82f6' } } } },
+      'brand-x': { colors: { primary: { 600: { value: 'not a color!' } } } }
+    });
+
+    const { tokens, provenance } = await loader.load('tokens/*.json');
+    const validator = new TokenValidator();
+    const result = await validator.validate(tokens, { provenance });
+    const error = result.errors.find(({ rule }) => rule === 'color-value');
+
+    expect(error).toMatchObject({ path: 'colors.primary.600', file: 'tokens/brand-x.json', set: 'brand-x', line: 1, column: 38 });
+    expect(validator.formatResult(error)).toBe(
+      'Invalid color value: colors.primary.600 = "not a color!" [tokens/brand-x.json:1:38 › brand-x]'
+    );
+  });
+
+  test('should save edits back to the set files they came from', async () => {
+    await writeSets({
+      core: { colors: { Blue: { 500: { value: '#3b82f6' } } } },
+      semantic: { colors: { brand: { value: '{colors.Blue.500}' } }, $metadata: { tokenSetOrder: ['core', 'semantic'] } },
+      other: { spacing: { 1: { value: '4px' } } }
+    });
+
+    const loaded = await loader.load('tokens/*.json');
+    const fixer = new TokenFixer(loader.getEditableTree(loaded));
+    expect(fixer.rename('colors.Blue', 'colors.blue')).toBe(true);
+
+    const written = await loader.save(fixer.tokens, loaded);
+
+    expect(written).toEqual(['tokens/core.json', 'tokens/semantic.json']);
+    expect(await fs.readJSON(path.join(testDir, 'tokens/core.json'))).toEqual({ colors: { blue: { 500: { value: '#3b82f6' } } } });
+    expect(await fs.readJSON(path.join(testDir, 'tokens/semantic.json'))).toEqual({
+      colors: { brand: { value: '{colors.blue.500}' } },
+      $metadata: { tokenSetOrder: ['core', 'semantic'] }
+    });
+  });
+
+  test('should format sources', () => {
+    expect(formatSource({ file: 'tokens/core.json', set: 'core' })).toBe('tokens/core.json › core');
+    expect(formatSource({ file: 'tokens.json', set: null })).toBe('tokens.json');
+    expect(formatSource(undefined)).toBe('');
+  });
+});
@@ -142,13 +142,77 @@ describe('TokenProcessor Core', () => {
     });
 
     test('should handle token references', () => {
-      const value = '{core.colors.primary.500}';
+      const rawTokens = {
+        core: {
+          colors: {
+            primary: {
+              500: { value: '#3b82f6', type: 'color' }
+            }
+          }
+        }
+      };
       
-      // Use the actual method from TokenProcessor
-      const resolved = processor.resolveTokenValue(value);
+      expect(processor.resolveTokenValue('{core.colors.primary.500}', rawTokens)).toBe('#3b82f6');
+      expect(processor.resolveTokenValue('{colors.primary.500}', rawTokens)).toBe('#3b82f6');
+      expect(processor.resolveTokenValue('0 1px {colors.primary.500}', rawTokens)).toBe('0 1px #3b82f6');
+    });
+
+    test('should resolve semantic aliases when transforming tokens', () => {
+      const rawTokens = {
+        core: {
+          colors: {
+            primary: {
+              500: { value: '#3b82f6', type: 'color' }
+            }
+          }
+        },
+        semantic: {
+          colors: {
+            brand: {
+              default: { value: '{core.colors.primary.500}', type: 'color' },
+              hover: { value: '{colors.brand.default}', type: 'color' }
+            }
+          }
+        }
+      };
       
-      // Currently just returns the reference as-is (TODO: implement full resolution)
-      expect(resolved).toBe('{core.colors.primary.500}');
+      const result = processor.transformTokens(rawTokens);
+      
+      expect(result.colors['brand-default']).toBe('#3b82f6');
+      expect(result.colors['brand-hover']).toBe('#3b82f6');
+    });
+
+    test('should evaluate math and color modifiers when transforming tokens', () => {
+      const rawTokens = {
+        core: {
+          colors: {
+            primary: { 500: { value: '#3b82f6', type: 'color' } }
+          },
+          spacing: {
+            4: { value: '1rem', type: 'spacing' }
+          }
+        },
+        semantic: {
+          colors: {
+            brand: {
+              hover: {
+                value: '{colors.primary.500}',
+                type: 'color',
+                $extensions: { 'studio.tokens': { modify: { type: 'alpha', value: '0.5' } } }
+              }
+            }
+          },
+          spacing: {
+            section: { value: '{spacing.4} * 2', type: 'spacing' }
+          }
+        }
+      };
+
+      const result = processor.transformTokens(rawTokens);
+
+      expect(result.colors['brand-hover']).toBe('rgba(59, 130, 246, 0.5)');
+      expect(result.spacing.section).toBe('2rem');
+      expect(processor.resolveTokenValue('roundTo({spacing.4} / 3, 2)', rawTokens)).toBe('0.33rem');
     });
 
     test('should normalize spacing values', () => {
@@ -188,6 +252,208 @@ describe('TokenProcessor Core', () => {
     });
   });
 
+  describe('Themes', () => {
+    const themedTokens = {
+      core: {
+        colors: {
+          gray: {
+            50: { value: '#f9fafb', type: 'color' },
+            900: { value: '#111827', type: 'color' }
+          }
+        }
+      },
+      light: {
+        colors: {
+          background: { value: '{colors.gray.50}', type: 'color' }
+        }
+      },
+      dark: {
+        colors: {
+          background: { value: '{core.colors.gray.900}', type: 'color' }
+        }
+      },
+      $themes: [
+        { id: '1', name: 'Light', selectedTokenSets: { core: 'source', light: 'enabled' } },
+        { id: '2', name: 'Dark', selectedTokenSets: { core: 'source', dark: 'enabled' } }
+      ],
+      $metadata: { tokenSetOrder: ['core', 'light', 'dark'] }
+    };
+
+    test('should resolve each Token Studio theme into its own token set', () => {
+      const result = processor.transformTokens(themedTokens);
+
+      expect(result.themes.map(theme => theme.name)).toEqual(['light', 'dark']);
+      expect(result.themes[0].tokens.colors.background).toBe('#f9fafb');
+      expect(result.themes[1].tokens.colors.background).toBe('#111827');
+      expect(result.themes[1].colorScheme).toBe('dark');
+    });
+
+    test('should use the default theme for base values', () => {
+      processor.config = { tokens: { themes: { default: 'dark' } } };
+
+      const result = processor.transformTokens(themedTokens);
+
+      expect(result.colors.background).toBe('#111827');
+      expect(result.themes.find(theme => theme.isDefault).name).toBe('dark');
+    });
+
+    test('should let later token sets override earlier ones', () => {
+      const merged = processor.mergeTokenSets(
+        { colors: { a: { value: '#000' }, b: { value: '#111' } } },
+        { colors: { a: { value: '#fff' } } }
+      );
+
+      expect(merged.colors.a.value).toBe('#fff');
+      expect(merged.colors.b.value).toBe('#111');
+    });
+
+    test('should return no themes for plain token files', () => {
+      const result = processor.transformTokens({ colors: { primary: { value: '#000' } }, $themes: [] });
+
+      expect(result.themes).toEqual([]);
+      expect(result.colors.primary).toBe('#000');
+    });
+  });
+
+  describe('Categories', () => {
+    const customTokens = {
+      core: {
+        colors: { primary: { 500: { value: '#3b82f6', type: 'color' } } },
+        sizing: { icon: { sm: { value: '16px', type: 'sizing' } } }
+      },
+      semantic: {
+        voice: { brand: { value: '{colors.primary.500}', type: 'color' } },
+        elevation: { card: { value: { x: 0, y: 2, blur: 4, spread: 0, color: '#0000001a' }, type: 'boxShadow' } }
+      }
+    };
+
+    test('should pass every group through under its own name', () => {
+      const result = processor.transformTokens(customTokens);
+
+      expect(result.sizing).toEqual({ 'icon-sm': '16px' });
+      expect(result.voice).toEqual({ brand: '#3b82f6' });
+      expect(result.elevation).toEqual({ card: '0 2px 4px 0 #0000001a' });
+    });
+
+    test('should record the token type of each category', () => {
+      const result = processor.transformTokens(customTokens);
+
+      expect(result.categoryTypes).toMatchObject({
+        colors: 'color',
+        sizing: 'dimension',
+        voice: 'color',
+        elevation: 'shadow'
+      });
+    });
+
+    test('should skip default values when disabled', () => {
+      processor.config = { tokens: { defaults: false } };
+
+      const result = processor.transformTokens(customTokens);
+
+      expect(result.shadows).toBeUndefined();
+      expect(result.zIndex).toBeUndefined();
+      expect(result.transitions).toBeUndefined();
+      expect(result.typography.fontFamily).toEqual({});
+    });
+
+    test('should skip default values per category', () => {
+      processor.config = { tokens: { defaults: { shadows: false } } };
+
+      const result = processor.transformTokens(customTokens);
+
+      expect(result.shadows).toBeUndefined();
+      expect(result.breakpoints.md).toBe('768px');
+    });
+  });
+
+  describe('Text Styles', () => {
+    const typographyTokens = {
+      core: {
+        colors: { primary: { 500: { value: '#3b82f6', type: 'color' } } },
+        typography: {
+          fontFamily: { sans: { value: 'Inter, sans-serif', type: 'fontFamilies' } },
+          fontSize: { xl: { value: '2rem', type: 'fontSizes' } },
+          heading: {
+            1: {
+              value: { fontFamily: '{typography.fontFamily.sans}', fontWeight: 'Bold', fontSize: '{typography.fontSize.xl}', lineHeight: '120%' },
+              type: 'typography'
+            }
+          },
+          body: { value: { fontFamily: 'Inter', fontWeight: 'Regular', fontSize: 16, lineHeight: '24px' }, type: 'typography' }
+        }
+      },
+      semantic: {
+        textStyles: {
+          caption: { value: { fontFamily: 'Inter', fontSize: '12px', letterSpacing: '2%' }, type: 'typography' }
+        }
+      }
+    };
+
+    test('should collect composite typography tokens as text styles', () => {
+      const result = processor.transformTokens(typographyTokens);
+
+      expect(result.typography.textStyles['heading-1']).toEqual({
+        fontFamily: 'Inter, sans-serif',
+        fontSize: '2rem',
+        fontWeight: 700,
+        lineHeight: 1.2
+      });
+      expect(result.typography.textStyles.body).toEqual({
+        fontFamily: 'Inter',
+        fontSize: '16px',
+        fontWeight: 400,
+        lineHeight: '24px'
+      });
+      expect(result.typography.fontSize).toEqual({ xl: '2rem' });
+      expect(result.typography.heading).toBeUndefined();
+    });
+
+    test('should fold typography groups outside typography into text styles', () => {
+      const result = processor.transformTokens(typographyTokens);
+
+      expect(result.typography.textStyles['caption']).toEqual({
+        fontFamily: 'Inter',
+        fontSize: '12px',
+        letterSpacing: '0.02em'
+      });
+      expect(result.textStyles).toBeUndefined();
+    });
+  });
+
+  describe('DTCG Format', () => {
+    const dtcgTokens = {
+      colors: {
+        $type: 'color',
+        primary: {
+          500: { $value: '#3b82f6', $description: 'Brand blue' }
+        },
+        action: { $value: '{colors.primary.500}', $deprecated: 'Use colors.primary.500' }
+      },
+      shadows: {
+        $type: 'shadow',
+        md: {
+          $value: { color: '{colors.primary.500}', offsetX: '0px', offsetY: '4px', blur: '6px', spread: '-1px' }
+        }
+      }
+    };
+
+    test('should read $value tokens with inherited $type', () => {
+      const result = processor.transformTokens(dtcgTokens);
+
+      expect(result.colors['primary-500']).toBe('#3b82f6');
+      expect(result.colors.action).toBe('#3b82f6');
+      expect(processor.rawTokens.colors.action.type).toBe('color');
+      expect(processor.rawTokens.colors.action.$deprecated).toBe('Use colors.primary.500');
+    });
+
+    test('should serialize composite values', () => {
+      const result = processor.transformTokens(dtcgTokens);
+
+      expect(result.shadows.md).toBe('0px 4px 6px -1px #3b82f6');
+    });
+  });
+
   describe('Error Handling', () => {
     test('should recover from parsing errors', async () => {
       const invalidPath = path.join(testDir, 'invalid.json');
@@ -217,16 +483,28 @@ describe('TokenProcessor Core', () => {
     });
 
     test('should handle circular references', () => {
-      const value1 = '{colors.b}';
-      const value2 = '{colors.a}';
+      const rawTokens = {
+        colors: {
+          a: { value: '{colors.b}', type: 'color' },
+          b: { value: '{colors.a}', type: 'color' }
+        }
+      };
       
-      // Test the resolveTokenValue method with circular references
-      // Currently it just returns the reference as-is (no resolution implemented)
-      const resolved1 = processor.resolveTokenValue(value1);
-      const resolved2 = processor.resolveTokenValue(value2);
+      expect(() => processor.resolveTokenValue('{colors.a}', rawTokens))
+        .toThrow('Circular token reference: colors.a → colors.b → colors.a');
+      expect(() => processor.transformTokens(rawTokens))
+        .toThrow(/Failed to resolve token references/);
+    });
+
+    test('should report missing reference targets', () => {
+      const rawTokens = {
+        colors: {
+          brand: { value: '{colors.missing}', type: 'color' }
+        }
+      };
       
-      expect(resolved1).toBe('{colors.b}');
-      expect(resolved2).toBe('{colors.a}');
+      expect(() => processor.transformTokens(rawTokens))
+        .toThrow('Token reference {colors.missing} not found (referenced by colors.brand)');
     });
   });
 
@@ -0,0 +1,199 @@
+import { TokenResolver } from '../../../src/core/TokenResolver.js';
+
+describe('TokenResolver', () => {
+  const tokens = {
+    core: {
+      colors: {
+        primary: {
+          500: { value: '#3b82f6', type: 'color' },
+          600: { value: '#2563eb', type: 'color' }
+        }
+      },
+      spacing: {
+        1: { value: '4px', type: 'spacing' }
+      },
+      borderRadius: {
+        '3xl': { value: '1.5rem', type: 'borderRadius' }
+      }
+    },
+    semantic: {
+      colors: {
+        action: {
+          default: { value: '{core.colors.primary.500}', type: 'color' },
+          hover: { value: '{colors.action.default}', type: 'color' }
+        }
+      },
+      shadows: {
+        focus: { value: '0 0 0 {spacing.1} {colors.action.hover}', type: 'boxShadow' }
+      }
+    },
+    $themes: [],
+    $metadata: { tokenSetOrder: ['core', 'semantic'] }
+  };
+
+  describe('Reference Lookup', () => {
+    test('should resolve full dotted references', () => {
+      const resolver = new TokenResolver(tokens);
+
+      expect(resolver.resolveValue('{core.colors.primary.600}')).toBe('#2563eb');
+    });
+
+    test('should resolve references relative to a token set', () => {
+      const resolver = new TokenResolver(tokens);
+
+      expect(resolver.resolveValue('{colors.primary.500}')).toBe('#3b82f6');
+    });
+
+    test('should resolve short single-segment references', () => {
+      const resolver = new TokenResolver(tokens);
+
+      expect(resolver.resolveValue('{3xl}')).toBe('1.5rem');
+    });
+
+    test('should follow chained aliases', () => {
+      const resolver = new TokenResolver(tokens);
+
+      expect(resolver.resolveValue('{colors.action.hover}')).toBe('#3b82f6');
+    });
+
+    test('should interpolate references inside composite values', () => {
+      const resolver = new TokenResolver(tokens);
+
+      expect(resolver.resolveValue('{semantic.shadows.focus}')).toBe('0 0 0 4px #3b82f6');
+      expect(resolver.resolveValue({ color: '{colors.primary.600}', width: 2 }))
+        .toEqual({ color: '#2563eb', width: 2 });
+    });
+
+    test('should keep non-string values of whole references', () => {
+      const resolver = new TokenResolver({
+        opacity: { half: { value: 0.5, type: 'opacity' } },
+        overlay: { value: '{opacity.half}', type: 'opacity' }
+      });
+
+      expect(resolver.resolveValue('{overlay}')).toBe(0.5);
+    });
+
+    test('should resolve DTCG $value tokens', () => {
+      const resolver = new TokenResolver({
+        colors: {
+          blue: { $value: '#3b82f6', $type: 'color' },
+          link: { $value: '{colors.blue}' }
+        }
+      });
+
+      expect(resolver.resolveValue('{colors.link}')).toBe('#3b82f6');
+      expect(resolver.resolve().colors.link.$value).toBe('#3b82f6');
+    });
+  });
+
+  describe('Error Handling', () => {
+    test('should report missing targets', () => {
+      const resolver = new TokenResolver(tokens);
+
+      expect(() => resolver.resolveValue('{colors.unknown.500}'))
+        .toThrow('Token reference {colors.unknown.500} not found');
+    });
+
+    test('should report cycles with the full chain', () => {
+      const resolver = new TokenResolver({
+        colors: {
+          a: { value: '{colors.b}' },
+          b: { value: '{colors.c}' },
+          c: { value: '{colors.a}' }
+        }
+      });
+
+      expect(() => resolver.resolveValue('{colors.a}'))
+        .toThrow('Circular token reference: colors.a → colors.b → colors.c → colors.a');
+    });
+  });
+
+  describe('Tree Resolution', () => {
+    test('should resolve every token without mutating the input', () => {
+      const resolver = new TokenResolver(tokens);
+      const { tokens: resolved, errors } = resolver.resolveTree();
+
+      expect(errors).toEqual([]);
+      expect(resolved.semantic.colors.action.hover.value).toBe('#3b82f6');
+      expect(resolved.semantic.colors.action.hover.type).toBe('color');
+      expect(resolved.$metadata).toEqual(tokens.$metadata);
+      expect(tokens.semantic.colors.action.hover.value).toBe('{colors.action.default}');
+    });
+
+    test('should collect every failure with its token path', () => {
+      const resolver = new TokenResolver({
+        colors: {
+          broken: { value: '{colors.missing}' },
+          loop: { value: '{colors.loop}' },
+          fine: { value: '#ffffff' }
+        }
+      });
+      const { tokens: resolved, errors } = resolver.resolveTree();
+
+      expect(errors.map(error => error.path)).toEqual(['colors.broken', 'colors.loop']);
+      expect(resolved.colors.broken.value).toBe('{colors.missing}');
+      expect(resolved.colors.fine.value).toBe('#ffffff');
+      expect(() => resolver.resolve()).toThrow(/colors\.loop: Circular token reference/);
+    });
+  });
+
+  describe('Math and Color Modifiers', () => {
+    const studio = (modify) => ({ 'studio.tokens': { modify } });
+
+    test('should evaluate math after resolving references', () => {
+      const resolver = new TokenResolver({
+        spacing: {
+          4: { value: '1rem' },
+          8: { value: '{spacing.4} * 2' },
+          third: { value: 'roundTo({spacing.4} / 3, 2)' },
+          gutter: { value: '{spacing.8}' }
+        }
+      });
+      const { tokens: resolved, errors } = resolver.resolveTree();
+
+      expect(errors).toEqual([]);
+      expect(resolved.spacing['8'].value).toBe('2rem');
+      expect(resolved.spacing.third.value).toBe('0.33rem');
+      expect(resolved.spacing.gutter.value).toBe('2rem');
+    });
+
+    test('should apply color modifiers and pass them on to aliases', () => {
+      const resolver = new TokenResolver({
+        colors: {
+          primary: { value: '#3b82f6' },
+          white: { value: '#ffffff' },
+          hover: { value: '{colors.primary}', $extensions: studio({ type: 'darken', value: '0.5' }) },
+          tint: { value: '{colors.primary}', $extensions: studio({ type: 'mix', value: '{opacity.half}', color: '{colors.white}' }) },
+          action: { value: '{colors.hover}' }
+        },
+        opacity: { half: { value: '0.5' } }
+      });
+      const { tokens: resolved, errors } = resolver.resolveTree();
+
+      expect(errors).toEqual([]);
+      expect(resolved.colors.hover.value).toBe('#1e417b');
+      expect(resolved.colors.tint.value).toBe('#9dc1fb');
+      expect(resolved.colors.action.value).toBe('#1e417b');
+    });
+
+    test('should report evaluation errors once at the failing token path', () => {
+      const resolver = new TokenResolver({
+        spacing: {
+          4: { value: '1rem' },
+          broken: { value: '{spacing.4} + 4px' },
+          alias: { value: '{spacing.broken}' }
+        },
+        colors: {
+          faded: { value: '#fff', $extensions: studio({ type: 'alpha', value: 5 }) }
+        }
+      });
+      const { errors } = resolver.resolveTree();
+
+      expect(errors).toEqual([
+        { path: 'spacing.broken', message: 'Cannot add 1rem and 4px: units differ', kind: 'evaluation' },
+        { path: 'colors.faded', message: 'Color modifier "alpha" needs a value between 0 and 1, got "5"', kind: 'evaluation' }
+      ]);
+      expect(() => resolver.resolve()).toThrow(/spacing\.broken: Cannot add 1rem and 4px/);
+    });
+  });
+});
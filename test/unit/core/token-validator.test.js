@@ -3,6 +3,9 @@ import fs from 'fs-extra';
 import path from 'path';
 import os from 'os';
 
+// Messages of structured validation results
+const messages = (results) => results.map(result => result.message);
+
 describe('TokenValidator', () => {
   let validator;
   let testDir;
@@ -58,7 +61,7 @@ describe('TokenValidator', () => {
       const result = await validator.validate(incompleteTokens);
 
       expect(result.isValid).toBe(false);
-      expect(result.errors).toContain('Missing required token category: colors');
+      expect(messages(result.errors)).toContain('Missing required token category: colors');
     });
 
     test('should validate token structure format', async () => {
@@ -322,7 +325,7 @@ describe('TokenValidator', () => {
       
       // Should report missing colors but not fail completely
       expect(result.isValid).toBe(false);
-      expect(result.errors).toContain('Missing required token category: colors');
+      expect(messages(result.errors)).toContain('Missing required token category: colors');
     });
   });
 
@@ -344,8 +347,36 @@ describe('TokenValidator', () => {
       expect(result.isValid).toBe(false);
       expect(result.summary.totalCategories).toBeGreaterThan(0);
       expect(result.summary.errorCount).toBeGreaterThan(0);
-      expect(result.errors.some(error => error.includes('invalid-color'))).toBe(true);
-      expect(result.errors.some(error => error.includes('invalid-spacing'))).toBe(true);
+      expect(messages(result.errors).some(error => error.includes('invalid-color'))).toBe(true);
+      expect(messages(result.errors).some(error => error.includes('invalid-spacing'))).toBe(true);
+    });
+
+    test('should report token values that fail to evaluate', async () => {
+      const result = await validator.validate({
+        colors: { primary: { 500: { value: '#3b82f6', type: 'color' } } },
+        spacing: {
+          base: { value: '1rem', type: 'spacing' },
+          wide: { value: '{spacing.base} + 4px', type: 'spacing' }
+        }
+      });
+
+      expect(result.isValid).toBe(false);
+      expect(messages(result.errors)).toContain('Invalid token value: spacing.wide - Cannot add 1rem and 4px: units differ');
+    });
+
+    test('should report a failed expression once, not also as an invalid value', async () => {
+      const result = await validator.validate({
+        core: {
+          colors: { primary: { 500: { value: '#3b82f6', type: 'color' } } },
+          spacing: {
+            s: { value: '4px', type: 'spacing' },
+            bad: { value: '{spacing.s} / 0', type: 'spacing' }
+          }
+        }
+      });
+
+      expect(result.errors.filter(error => error.path.endsWith('spacing.bad')).map(error => error.rule)).toEqual(['valid-expression']);
+      expect(messages(result.errors)).toContain('Invalid token value: core.spacing.bad - Division by zero: 4px / 0');
     });
 
     test('should count validated tokens correctly', async () => {
@@ -401,9 +432,534 @@ describe('TokenValidator', () => {
 
       expect(result.isValid).toBe(false);
       expect(result.errors.length).toBeGreaterThan(1);
-      expect(result.errors.some(error => error.includes('invalid-color-1'))).toBe(true);
-      expect(result.errors.some(error => error.includes('invalid-color-2'))).toBe(true);
-      expect(result.errors.some(error => error.includes('invalid-spacing'))).toBe(true);
+      expect(messages(result.errors).some(error => error.includes('invalid-color-1'))).toBe(true);
+      expect(messages(result.errors).some(error => error.includes('invalid-color-2'))).toBe(true);
+      expect(messages(result.errors).some(error => error.includes('invalid-spacing'))).toBe(true);
+    });
+  });
+
+  describe('Rules', () => {
+    const tokens = {
+      colors: {
+        primary: {
+          500: { value: '3b82f6', type: 'color' },
+          600: { value: '#2563eb', type: 'color' }
+        }
+      },
+      spacing: {
+        sm: { value: 8, type: 'spacing' }
+      }
+    };
+
+    // A validator configured the way the CLI does it, with a loaded config
+    const withRules = (validation = {}) => new TokenValidator({
+      tokens: { validation: { required: ['colors'], optional: [], ...validation } }
+    });
+
+    test('should return structured results', async () => {
+      const result = await withRules().validate(tokens, {
+        provenance: { 'colors.primary.500': { file: 'tokens.json', set: null } }
+      });
+
+      expect(result.errors).toContainEqual({
+        rule: 'color-value',
+        severity: 'error',
+        path: 'colors.primary.500',
+        message: 'Invalid color value: colors.primary.500 = "3b82f6"',
+        file: 'tokens.json',
+        set: null,
+        line: null,
+        column: null,
+        suggestion: null,
+        fixable: true
+      });
+      expect(result.results).toHaveLength(result.errors.length + result.warnings.length);
+    });
+
+    test('should turn rules off, downgrade them and pass options', async () => {
+      const validator = withRules({
+        rules: {
+          'color-value': 'warn',
+          'spacing-value': 'off',
+          'color-shades': ['error', { shades: ['500', '600'] }],
+          'spacing-scale': 'off'
+        }
+      });
+
+      const result = await validator.validate(tokens);
+
+      expect(result.isValid).toBe(true);
+      expect(result.warnings.map(({ rule }) => rule)).toEqual(['color-value']);
+      expect(result.results.some(({ rule }) => rule === 'color-shades')).toBe(false);
+
+      const strict = await withRules({ rules: { 'color-shades': ['error', { shades: ['50'] }] } }).validate(tokens);
+      expect(messages(strict.errors)).toContain('Consider adding common shades to colors.primary: 50');
+    });
+
+    test('should reject unknown rules in config', async () => {
+      await expect(withRules({ rules: { 'no-such-rule': 'error' } }).validate(tokens))
+        .rejects.toThrow('Unknown validation rule in tokens.validation.rules: no-such-rule');
+    });
+
+    test('should load custom rules from local files', async () => {
+      const rulePath = path.join(testDir, 'brand-prefix.mjs');
+      await fs.writeFile(rulePath, `
+        export default {
+          id: 'brand-prefix',
+          severity: 'warn',
+          options: { prefix: 'brand' },
+          check({ categories, options, report }) {
+            Object.keys(categories.colors || {}).forEach(name => {
+              if (!name.startsWith(options.prefix)) {
+                report({ path: 'colors.' + name, message: 'Color scales must start with ' + options.prefix });
+              }
+            });
+          }
+        };
+      `);
+
+      const validator = withRules({
+        customRules: [rulePath],
+        rules: { 'brand-prefix': ['error', { prefix: 'acme' }] }
+      });
+      const result = await validator.validate(tokens);
+
+      expect(result.errors).toContainEqual(expect.objectContaining({
+        rule: 'brand-prefix',
+        path: 'colors.primary',
+        message: 'Color scales must start with acme',
+        fixable: false
+      }));
+    });
+
+    test('should reject invalid custom rules', async () => {
+      expect(() => validator.registerRule({ id: 'broken' })).toThrow('Invalid rule: expected { id, check(context) }');
+
+      const rulePath = path.join(testDir, 'empty.mjs');
+      await fs.writeFile(rulePath, 'export const unrelated = 1;\n');
+      await expect(validator.loadRules(rulePath)).rejects.toThrow('must export a rule or an array of rules');
+    });
+
+    test('should fix problems with rule fixers', async () => {
+      const validator = withRules();
+      const result = await validator.validate(tokens);
+      const { tokens: fixed, fixed: fixedResults } = await validator.fix(tokens, result.results);
+
+      expect(fixed.colors.primary['500'].value).toBe('#3b82f6');
+      expect(fixed.spacing.sm.value).toBe('8px');
+      expect(tokens.spacing.sm.value).toBe(8);
+      expect(fixedResults.map(({ rule }) => rule)).toEqual(['color-value', 'spacing-value']);
+      expect((await validator.validate(fixed)).isValid).toBe(true);
+    });
+
+    test('should fix DTCG tokens inside token sets', async () => {
+      const dtcg = {
+        core: { colors: { $type: 'color', primary: { 500: { $value: ' #3b82f6 ' } } } },
+        $metadata: { tokenSetOrder: ['core'] }
+      };
+
+      const validator = withRules();
+      const result = await validator.validate(dtcg);
+      const { tokens: fixed } = await validator.fix(dtcg, result.errors);
+
+      expect(fixed.core.colors.primary['500'].$value).toBe('#3b82f6');
+    });
+  });
+
+  describe('References', () => {
+    test('should report cycles, missing tokens, disabled sets and orphans from the graph', async () => {
+      const tokens = {
+        core: { colors: { ink: { value: '#111827', type: 'color' } } },
+        brand: { colors: { accent: { value: '#7c3aed', type: 'color' } } },
+        semantic: {
+          colors: {
+            link: { value: '{brand.colors.accent}', type: 'color' },
+            spare: { value: '#abcdef', type: 'color' },
+            a: { value: '{colors.b}', type: 'color' },
+            b: { value: '{colors.a}', type: 'color' },
+            broken: { value: '{colors.nope}', type: 'color' }
+          }
+        },
+        $themes: [{ id: 'light', name: 'Light', selectedTokenSets: { core: 'source', brand: 'disabled', semantic: 'enabled' } }],
+        $metadata: { tokenSetOrder: ['core', 'brand', 'semantic'] }
+      };
+      const graphRules = ['valid-reference', 'no-disabled-set-references', 'no-orphan-tokens'];
+
+      const result = await new TokenValidator({ tokens: { validation: { required: [], optional: [] } } }).validate(tokens);
+      const found = result.results.filter(item => graphRules.includes(item.rule));
+
+      expect(found.map(({ rule, path, set, message }) => [rule, path, set, message])).toEqual([
+        ['valid-reference', 'colors.a', null, 'Circular token reference: semantic.colors.a → semantic.colors.b → semantic.colors.a'],
+        ['valid-reference', 'colors.broken', null, 'Invalid token reference: semantic.colors.broken - Token reference {colors.nope} not found'],
+        ['no-disabled-set-references', 'colors.link', null, 'semantic.colors.link references {brand.colors.accent} from set "brand", which theme "Light" disables'],
+        ['no-orphan-tokens', 'colors.spare', null, 'Orphan token semantic.colors.spare: it references no token and no token references it']
+      ]);
+      expect(found.map(({ severity }) => severity)).toEqual(['error', 'error', 'error', 'warning']);
+    });
+  });
+
+  describe('Deprecations', () => {
+    const tokens = (version) => ({
+      colors: {
+        $type: 'color',
+        brand: { $value: '#3b82f6' },
+        legacy: { $value: '#ff0066', $deprecated: { message: 'Use brand', replacement: '{colors.brand}', removeIn: '2.0.0' } },
+        old: { $value: '#123456', $deprecated: true }
+      },
+      $metadata: { version }
+    });
+    const byRule = (result) => result.results.filter(item => item.rule === 'deprecated-tokens');
+    const validator = () => new TokenValidator({ tokens: { validation: { required: [], optional: [] } } });
+
+    test('should allow deprecated tokens before their removal version', async () => {
+      expect(byRule(await validator().validate(tokens('1.4.0')))).toEqual([]);
+    });
+
+    test('should error once the tokens reach the removal version', async () => {
+      const [problem, ...rest] = byRule(await validator().validate(tokens('2.0.0')));
+
+      expect(rest).toEqual([]);
+      expect(problem).toMatchObject({
+        severity: 'error',
+        path: 'colors.legacy',
+        suggestion: '{colors.brand}',
+        message: 'Deprecated token colors.legacy was due for removal in 2.0.0 (tokens are at 2.0.0); move its usages to {colors.brand} and delete it'
+      });
+    });
+  });
+
+  describe('Types', () => {
+    const typeValidator = () => new TokenValidator({
+      tokens: { validation: { required: [], optional: [], rules: { 'no-duplicate-values': 'off' } } }
+    });
+    const byRule = (result) => result.results.filter(item => item.rule === 'value-type');
+
+    test('should check resolved values against their DTCG $type', async () => {
+      const tokens = {
+        duration: { $type: 'duration', fast: { $value: '150ms' }, slow: { $value: 'slow' } },
+        easing: { standard: { $type: 'cubicBezier', $value: [1.4, 0, 0.2, 1] } },
+        size: { $type: 'dimension', base: { $value: 16 }, card: { $value: '{size.base}' } },
+        elevation: {
+          raised: {
+            $type: 'shadow',
+            $value: { color: '{palette.ink}', offsetX: '0', offsetY: '2px', blur: '4px', spread: '0' }
+          }
+        },
+        palette: { $type: 'color', ink: { $value: 'inky' } }
+      };
+
+      const result = await typeValidator().validate(tokens);
+
+      expect(messages(byRule(result))).toEqual([
+        'Invalid duration value: duration.slow = "slow" (expected a duration such as "200ms" or "0.2s")',
+        'Invalid cubicBezier value: easing.standard = [1.4,0,0.2,1] (x1 and x2 must be between 0 and 1)',
+        'Invalid dimension value: size.base = 16 (expected a dimension such as "16px")',
+        'Invalid dimension value: size.card = 16 (expected a dimension such as "16px")',
+        'Invalid shadow value: elevation.raised = {"color":"inky","offsetX":"0","offsetY":"2px","blur":"4px","spread":"0"} (color: "inky" is not a CSS color)',
+        'Invalid color value: palette.ink = "inky" ("inky" is not a CSS color)'
+      ]);
+      // Only the value written on the token can be fixed, not the alias to it
+      expect(byRule(result).filter(item => item.fixable).map(({ path, suggestion }) => [path, suggestion])).toEqual([
+        ['size.base', '16px']
+      ]);
+    });
+
+    test('should report aliases to a token of another type', async () => {
+      const tokens = {
+        colors: { brand: { 500: { value: '#3b82f6', type: 'color' } } },
+        spacing: { md: { value: '16px', type: 'spacing' } },
+        sizing: { card: { value: '{spacing.md}', type: 'sizing' } },
+        border: { focus: { value: '{colors.brand.500}', type: 'dimension' } }
+      };
+
+      const result = await typeValidator().validate(tokens);
+
+      expect(messages(byRule(result))).toEqual([
+        'Type mismatch: border.focus ($type dimension) aliases {colors.brand.500} ($type color)'
+      ]);
+    });
+
+    test('should accept Token Studio values written without units', async () => {
+      const tokens = {
+        colors: { ink: { value: '#111827', type: 'color' } },
+        shadows: { md: { value: { x: '0', y: '4', blur: '6', spread: '-1', color: '{colors.ink}', type: 'dropShadow' }, type: 'boxShadow' } },
+        fontWeights: { heading: { value: 'Semi Bold', type: 'fontWeights' } }
+      };
+
+      const result = await typeValidator().validate(tokens);
+      expect(byRule(result)).toEqual([]);
+    });
+  });
+
+  describe('Contrast', () => {
+    const palette = {
+      gray: {
+        100: { value: '#f3f4f6', type: 'color' },
+        400: { value: '#9ca3af', type: 'color' },
+        600: { value: '#4b5563', type: 'color' },
+        900: { value: '#111827', type: 'color' }
+      },
+      primary: { 500: { value: '#3b82f6', type: 'color' } }
+    };
+
+    const contrastValidator = (validation = {}) => new TokenValidator({
+      tokens: { validation: { required: [], optional: [], rules: { 'color-shades': 'off', 'no-duplicate-values': 'off' }, ...validation } }
+    });
+
+    const contrastMessages = (result) => result.results
+      .filter(({ rule }) => rule === 'color-contrast')
+      .map(({ message }) => message);
+
+    test('should check configured pairs with wildcards', async () => {
+      const tokens = {
+        colors: {
+          ...palette,
+          text: {
+            body: { value: '{colors.gray.900}', type: 'color' },
+            muted: { value: '{colors.gray.400}', type: 'color' }
+          },
+          surface: { base: { value: '#ffffff', type: 'color' } }
+        }
+      };
+
+      const result = await contrastValidator({ contrastPairs: ['text.* on surface.*'] }).validate(tokens);
+
+      expect(contrastMessages(result)).toEqual([
+        'Contrast 2.53:1 for colors.text.muted on colors.surface.base is below AA normal text (4.5:1); nearest passing shade: colors.gray.600 (7.55:1)'
+      ]);
+      expect(result.errors[0]).toMatchObject({ rule: 'color-contrast', path: 'colors.text.muted' });
+    });
+
+    test('should apply AAA and large text thresholds', async () => {
+      const tokens = {
+        colors: { ...palette, surface: { base: { value: '#ffffff', type: 'color' } } }
+      };
+
+      const large = await contrastValidator({
+        contrastPairs: [{ foreground: 'colors.primary.500', background: 'surface.base', size: 'large' }]
+      }).validate(tokens);
+      expect(contrastMessages(large)).toEqual([]);
+
+      const strict = await contrastValidator({
+        contrastPairs: [{ foreground: 'colors.primary.500', background: 'surface.base', level: 'AAA' }]
+      }).validate(tokens);
+      expect(contrastMessages(strict)).toEqual([
+        'Contrast 3.67:1 for colors.primary.500 on colors.surface.base is below AAA normal text (7:1); no shade in the same scale passes'
+      ]);
+    });
+
+    test('should report an unknown level on its token and keep checking the other pairs', async () => {
+      const tokens = {
+        colors: {
+          ...palette,
+          text: {
+            muted: {
+              value: '{colors.gray.400}',
+              type: 'color',
+              $extensions: { 'design-tokens-sync': { contrast: { background: 'surface.*', level: 'aa' } } }
+            }
+          },
+          surface: { base: { value: '#ffffff', type: 'color' } }
+        }
+      };
+
+      const result = await contrastValidator({
+        contrastPairs: [{ foreground: 'colors.primary.500', background: 'surface.base', level: 'AAA' }]
+      }).validate(tokens);
+
+      expect(result.errors.filter(({ rule }) => rule === 'color-contrast').map(({ path, message }) => [path, message])).toEqual([
+        ['colors.primary.500', 'Contrast 3.67:1 for colors.primary.500 on colors.surface.base is below AAA normal text (7:1); no shade in the same scale passes'],
+        ['colors.text.muted', 'Unknown WCAG level "aa" / text size "normal": expected AA or AAA, normal or large']
+      ]);
+    });
+
+    test('should read pairs from $extensions and check every theme', async () => {
+      const tokens = {
+        core: { colors: palette },
+        light: {
+          colors: {
+            text: {
+              muted: {
+                value: '{colors.gray.400}',
+                type: 'color',
+                $extensions: { 'design-tokens-sync': { contrast: { background: 'surface.*' } } }
+              }
+            },
+            surface: { base: { value: '#ffffff', type: 'color' } }
+          }
+        },
+        dark: {
+          colors: {
+            text: {
+              muted: {
+                value: '{colors.gray.600}',
+                type: 'color',
+                $extensions: { 'design-tokens-sync': { contrast: { background: 'surface.*' } } }
+              }
+            },
+            surface: { base: { value: '{colors.gray.900}', type: 'color' } }
+          }
+        },
+        $themes: [
+          { name: 'Light', selectedTokenSets: { core: 'source', light: 'enabled' } },
+          { name: 'Dark', selectedTokenSets: { core: 'source', dark: 'enabled' } }
+        ],
+        $metadata: { tokenSetOrder: ['core', 'light', 'dark'] }
+      };
+      const provenance = {
+        'light.colors.text.muted': { file: 'tokens.json', set: 'light' },
+        'dark.colors.text.muted': { file: 'tokens.json', set: 'dark' },
+        'colors.text.muted': { file: 'tokens.json', set: 'dark' }
+      };
+
+      const result = await contrastValidator().validate(tokens, { provenance });
+      const errors = result.errors.filter(({ rule }) => rule === 'color-contrast');
+
+      expect(errors.map(({ message }) => message)).toEqual([
+        'Contrast 2.53:1 for colors.text.muted on colors.surface.base is below AA normal text (4.5:1) in theme "Light"; nearest passing shade: colors.gray.600 (7.55:1)',
+        'Contrast 2.34:1 for colors.text.muted on colors.surface.base is below AA normal text (4.5:1) in theme "Dark"; nearest passing shade: colors.gray.400 (6.98:1)'
+      ]);
+      expect(errors.map(({ set }) => set)).toEqual(['light', 'dark']);
+    });
+  });
+
+  describe('Naming', () => {
+    const namingValidator = (rules) => new TokenValidator({
+      tokens: {
+        validation: {
+          required: [],
+          optional: [],
+          rules: { 'color-shades': 'off', 'color-value': 'off', 'no-duplicate-values': 'off', ...rules }
+        }
+      }
+    });
+
+    const byRule = (result, rule) => result.results.filter(item => item.rule === rule);
+
+    test('should check the case of every segment and suggest renames', async () => {
+      const tokens = {
+        colors: {
+          Primary500: { value: '#3b82f6', type: 'color' },
+          brand_primary: { value: '{colors.Primary500}', type: 'color' }
+        },
+        borderRadius: { sm: { value: '4px', type: 'borderRadius' } }
+      };
+
+      const result = await namingValidator({ 'naming-case': 'error' }).validate(tokens);
+      expect(messages(byRule(result, 'naming-case'))).toEqual([
+        '"Primary500" in colors.Primary500 is not camelCase; rename to colors.primary500',
+        '"brand_primary" in colors.brand_primary is not camelCase; rename to colors.brandPrimary'
+      ]);
+      expect(byRule(result, 'naming-case')[0]).toMatchObject({ suggestion: 'colors.primary500', fixable: true });
+
+      // One style per depth: camelCase categories, kebab-case below
+      const perDepth = await namingValidator({ 'naming-case': ['error', { case: ['camelCase', 'kebab-case'] }] }).validate(tokens);
+      expect(byRule(perDepth, 'naming-case').map(({ suggestion }) => suggestion)).toEqual([
+        'colors.primary-500',
+        'colors.brand-primary'
+      ]);
+    });
+
+    test('should rename tokens and update references when fixing', async () => {
+      const tokens = {
+        core: {
+          colors: {
+            Blue: { 500: { value: '#3b82f6', type: 'color' } },
+            surface: { value: '{colors.Blue.500}', type: 'color' }
+          }
+        },
+        semantic: {
+          colors: { brand: { value: '{core.colors.Blue.500}', type: 'color' } }
+        },
+        $metadata: { tokenSetOrder: ['core', 'semantic'] }
+      };
+
+      const validator = namingValidator({ 'naming-case': 'error' });
+      const result = await validator.validate(tokens);
+      const { tokens: fixed, fixed: fixedResults } = await validator.fix(tokens, result.results);
+
+      expect(fixedResults).toHaveLength(1);
+      expect(Object.keys(fixed.core.colors)).toEqual(['blue', 'surface']);
+      expect(fixed.core.colors.surface.value).toBe('{colors.blue.500}');
+      expect(fixed.semantic.colors.brand.value).toBe('{core.colors.blue.500}');
+      expect(byRule(await validator.validate(fixed), 'naming-case')).toEqual([]);
+    });
+
+    test('should check allowed roots', async () => {
+      const tokens = {
+        colour: { primary: { value: '#3b82f6', type: 'color' } },
+        'border-radius': { sm: { value: '4px', type: 'borderRadius' } },
+        misc: { x: { value: '1', type: 'other' } }
+      };
+
+      const validator = namingValidator({ 'allowed-roots': ['error', { roots: ['colors', 'borderRadius', 'spacing'] }] });
+      const result = await validator.validate(tokens);
+
+      expect(messages(byRule(result, 'allowed-roots'))).toEqual([
+        'Unknown token category "colour" (allowed: colors, borderRadius, spacing); rename to colors',
+        'Unknown token category "border-radius" (allowed: colors, borderRadius, spacing); rename to borderRadius',
+        'Unknown token category "misc" (allowed: colors, borderRadius, spacing)'
+      ]);
+      expect(byRule(result, 'allowed-roots').map(({ fixable }) => fixable)).toEqual([true, true, false]);
+
+      const { tokens: fixed } = await validator.fix(tokens, result.results);
+      expect(Object.keys(fixed)).toEqual(['colors', 'borderRadius', 'misc']);
+    });
+
+    test('should fold paths deeper than the maximum', async () => {
+      const tokens = {
+        colors: { brand: { primary: { light: { 500: { value: '#3b82f6', type: 'color' } } } } }
+      };
+
+      const validator = namingValidator({ 'max-depth': 'error' });
+      const result = await validator.validate(tokens);
+      expect(messages(byRule(result, 'max-depth'))).toEqual([
+        'colors.brand.primary.light.500 is 5 levels deep (max 4); rename to colors.brand.primary.light-500'
+      ]);
+
+      // Folded names follow naming-case when it is on
+      const cased = await namingValidator({ 'max-depth': ['error', { max: 3 }], 'naming-case': 'error' }).validate(tokens);
+      expect(byRule(cased, 'max-depth')[0].suggestion).toBe('colors.brand.primaryLight500');
+
+      const { tokens: fixed } = await validator.fix(tokens, result.results);
+      expect(fixed.colors.brand.primary).toEqual({ 'light-500': { value: '#3b82f6', type: 'color' } });
+    });
+
+    test('should require semantic tokens to alias core tokens', async () => {
+      const tokens = {
+        core: { colors: { gray: { 900: { value: '#111827', type: 'color' } } } },
+        semantic: {
+          colors: {
+            text: { value: '#111827', type: 'color' },
+            muted: { value: '#6b7280', type: 'color' },
+            body: { value: '{colors.gray.900}', type: 'color' }
+          }
+        },
+        component: {
+          colors: {
+            button: { value: '{colors.gray.900}', type: 'color' },
+            label: { value: '{colors.body}', type: 'color' }
+          }
+        },
+        $metadata: { tokenSetOrder: ['core', 'semantic', 'component'] }
+      };
+      const provenance = { 'semantic.colors.text': { file: 'tokens.json', set: 'semantic' } };
+
+      const validator = namingValidator({ 'token-tiers': 'error' });
+      const result = await validator.validate(tokens, { provenance });
+      const tiers = byRule(result, 'token-tiers');
+
+      expect(messages(tiers)).toEqual([
+        'semantic token colors.text hard-codes "#111827"; alias a core token such as {colors.gray.900}',
+        'semantic token colors.muted hard-codes "#6b7280"; alias a core token instead',
+        'component token colors.button aliases core token {colors.gray.900}; component tokens may only alias component or semantic tokens'
+      ]);
+      expect(tiers[0]).toMatchObject({ set: 'semantic', file: 'tokens.json', suggestion: '{colors.gray.900}', fixable: true });
+      expect(tiers.map(({ fixable }) => fixable)).toEqual([true, false, false]);
+
+      const { tokens: fixed } = await validator.fix(tokens, tiers);
+      expect(fixed.semantic.colors.text.value).toBe('{colors.gray.900}');
+      expect(fixed.core.colors.gray['900'].value).toBe('#111827');
     });
   });
-}); 
\ No newline at end of file
+});
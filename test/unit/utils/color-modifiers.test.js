@@ -0,0 +1,40 @@
+import { applyColorModifier, parseColor, formatColor } from '../../../src/utils/color-modifiers.js';
+
+describe('Color Modifiers', () => {
+  const modify = (type, value, space, color) => applyColorModifier('#3b82f6', { type, value, space, color });
+
+  test('should parse and format CSS colors', () => {
+    expect(formatColor(parseColor('#38f'))).toBe('#3388ff');
+    expect(formatColor(parseColor('rgb(59 130 246)'))).toBe('#3b82f6');
+    expect(formatColor(parseColor('hsl(0, 100%, 50%)'))).toBe('#ff0000');
+    expect(formatColor(parseColor('rgba(0, 0, 0, 0.5)'))).toBe('rgba(0, 0, 0, 0.5)');
+    expect(formatColor(parseColor('#00000080'))).toBe('rgba(0, 0, 0, 0.502)');
+    expect(() => parseColor('1rem')).toThrow('Cannot parse color "1rem"');
+  });
+
+  test('should lighten and darken in srgb by mixing with white and black', () => {
+    expect(modify('lighten', 0.5)).toBe('#9dc1fb');
+    expect(modify('darken', 0.5)).toBe('#1e417b');
+    expect(modify('lighten', 1)).toBe('#ffffff');
+  });
+
+  test('should lighten and darken in hsl and lch', () => {
+    expect(modify('lighten', 0.2, 'hsl')).toBe('#629bf8');
+    expect(modify('darken', 0.2, 'hsl')).toBe('#0b5fe9');
+    expect(modify('lighten', 0.2, 'lch')).toBe('#7299f9');
+    expect(modify('darken', 0.2, 'lch')).toBe('#0067d6');
+  });
+
+  test('should set alpha and mix colors', () => {
+    expect(modify('alpha', 0.5)).toBe('rgba(59, 130, 246, 0.5)');
+    expect(modify('mix', 0.5, 'srgb', '#ff0000')).toBe('#9d417b');
+    expect(modify('mix', 0, 'lch', '#ff0000')).toBe('#3b82f6');
+  });
+
+  test('should reject invalid modifiers', () => {
+    expect(() => modify('saturate', 0.5)).toThrow('Unknown color modifier "saturate"');
+    expect(() => modify('lighten', 0.5, 'oklab')).toThrow('Unknown color space "oklab"');
+    expect(() => modify('darken', 2)).toThrow('needs a value between 0 and 1');
+    expect(() => modify('mix', 0.5)).toThrow('needs a color to mix with');
+  });
+});
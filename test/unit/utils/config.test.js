@@ -0,0 +1,112 @@
+import { loadConfig, createConfig, validateConfig, findConfig, CONFIG_VERSION } from '../../../src/utils/config.js';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+
+describe('Config', () => {
+  let testDir;
+
+  beforeEach(async () => {
+    if (!global.TEST_TMP_DIR) {
+      global.TEST_TMP_DIR = path.join(os.tmpdir(), 'design-tokens-sync-test');
+    }
+    testDir = path.join(global.TEST_TMP_DIR, `config-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`);
+    await fs.ensureDir(testDir);
+  });
+
+  afterEach(async () => {
+    if (testDir && await fs.pathExists(testDir)) {
+      await fs.remove(testDir);
+    }
+  });
+
+  test('should fill nested defaults when there is no config file', async () => {
+    const config = await loadConfig(testDir);
+
+    expect(config.version).toBe(CONFIG_VERSION);
+    expect(config.tokens.input).toBe('tokens.json');
+    expect(config.tokens.validation.required).toEqual(['colors']);
+    expect(config.output.css).toBe('src/styles/tokens.css');
+    expect(config.git.enabled).toBe(true);
+    expect(config.watch.ignore).toEqual(['node_modules', '.git']);
+  });
+
+  test('should accept mobile outputs with per-output options', () => {
+    const config = createConfig({
+      output: {
+        reactNative: { path: 'src/styles/tokens.js', format: 'ts', exportFormat: 'named' },
+        flutter: 'lib/app_tokens.dart',
+        android: { path: 'res/values/colors.xml', generateStyles: true },
+        xamarin: null
+      }
+    });
+
+    expect(config.output.reactNative.exportFormat).toBe('named');
+    expect(config.output.flutter).toBe('lib/app_tokens.dart');
+  });
+
+  test('should accept validation rule settings', () => {
+    const { errors } = validateConfig({
+      tokens: {
+        validation: {
+          rules: { 'color-value': 'warn', 'spacing-scale': 'off', 'color-shades': ['error', { shades: ['500'] }] },
+          customRules: ['./token-rules.js']
+        }
+      }
+    });
+    expect(errors).toEqual([]);
+
+    const invalid = validateConfig({ tokens: { validation: { rules: { 'color-value': 'loud' } } } });
+    expect(invalid.errors.map(error => error.path)).toEqual(['tokens.validation.rules.color-value']);
+  });
+
+  test('should accept contrast pairs', () => {
+    const { errors } = validateConfig({
+      tokens: {
+        validation: {
+          contrastPairs: ['text.* on surface.*', { foreground: 'text.body', background: 'surface.base', level: 'AAA', size: 'large' }]
+        }
+      }
+    });
+    expect(errors).toEqual([]);
+
+    const invalid = validateConfig({
+      tokens: { validation: { contrastPairs: ['text.body', { foreground: 'text.body', background: 'surface.base', level: 'A' }] } }
+    });
+    expect(invalid.errors.map(error => error.path)).toEqual([
+      'tokens.validation.contrastPairs.0',
+      'tokens.validation.contrastPairs.1.level'
+    ]);
+  });
+
+  test('should report every error located by path', () => {
+    const { errors } = validateConfig({
+      version: 2,
+      output: { reactNative: { path: 'a.js', exportFormat: 'star' }, ios: { includeUIKit: true } },
+      processing: { transformUnits: { rem: { multiply: 'x', unit: 'dp' } } },
+      figma: { nodeQueries: 'Mobile/Colors' }
+    });
+
+    expect(errors.map(error => error.path)).toEqual([
+      'version',
+      'output.reactNative.exportFormat',
+      'output.ios.path',
+      'figma.nodeQueries',
+      'processing.transformUnits.rem.multiply'
+    ]);
+    expect(errors[1].message).toBe('must be one of [named, default]');
+    expect(() => createConfig({ git: { enabled: 'yes' } })).toThrow('git.enabled: must be a boolean');
+  });
+
+  test.each(['init', 'react', 'next', 'react-native', 'flutter'])('should accept the %s template', async (template) => {
+    const source = path.join(process.cwd(), 'templates', template, 'design-tokens.config.js');
+    const content = await fs.readFile(source, 'utf8');
+    const file = path.join(testDir, content.includes('export default') ? 'design-tokens.config.mjs' : 'design-tokens.config.cjs');
+    await fs.writeFile(file, content);
+
+    const result = await findConfig(file);
+    const { errors } = validateConfig(result.config);
+
+    expect(errors).toEqual([]);
+  });
+});
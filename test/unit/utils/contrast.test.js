@@ -0,0 +1,28 @@
+import { getContrastRatio, getRequiredRatio, isAccessible } from '../../../src/utils/contrast.js';
+
+describe('Contrast', () => {
+  test('should compute WCAG contrast ratios', () => {
+    expect(getContrastRatio('#000000', '#ffffff')).toBeCloseTo(21, 5);
+    expect(getContrastRatio('#ffffff', '#ffffff')).toBeCloseTo(1, 5);
+    expect(getContrastRatio('#767676', '#ffffff')).toBeCloseTo(4.54, 2);
+    expect(getContrastRatio('rgb(0, 0, 0)', 'hsl(0, 0%, 100%)')).toBeCloseTo(21, 5);
+  });
+
+  test('should blend translucent foregrounds over the background', () => {
+    expect(getContrastRatio('rgba(0, 0, 0, 0)', '#ffffff')).toBeCloseTo(1, 5);
+    expect(getContrastRatio('rgba(0, 0, 0, 0.5)', '#ffffff')).toBeCloseTo(getContrastRatio('#808080', '#ffffff'), 1);
+  });
+
+  test('should check levels for normal and large text', () => {
+    expect(getRequiredRatio()).toBe(4.5);
+    expect(getRequiredRatio('AA', 'large')).toBe(3);
+    expect(getRequiredRatio('AAA', 'normal')).toBe(7);
+    expect(getRequiredRatio('AAA', 'large')).toBe(4.5);
+    expect(() => getRequiredRatio('A')).toThrow('Unknown WCAG level "A"');
+
+    // #949494 on white is about 3.03:1
+    expect(isAccessible('#949494', '#ffffff')).toBe(false);
+    expect(isAccessible('#949494', '#ffffff', 'AA', 'large')).toBe(true);
+    expect(isAccessible('#595959', '#ffffff', 'AAA')).toBe(true);
+  });
+});
@@ -0,0 +1,30 @@
+import { getDeprecation, collectDeprecations, formatDeprecation } from '../../../src/utils/deprecations.js';
+
+describe('Deprecations', () => {
+  test('should read $deprecated as a flag, a message or an object', () => {
+    expect(getDeprecation({ value: '#fff' })).toBeNull();
+    expect(getDeprecation({ value: '#fff', $deprecated: false })).toBeNull();
+    expect(getDeprecation({ value: '#fff', $deprecated: true })).toEqual({ message: null, replacement: null, removeIn: null });
+    expect(getDeprecation({ value: '#fff', $deprecated: 'Use brand' })).toEqual({ message: 'Use brand', replacement: null, removeIn: null });
+    expect(getDeprecation({ value: '#fff', $deprecated: { replacement: '{colors.brand}', removeIn: 3 } }))
+      .toEqual({ message: null, replacement: 'colors.brand', removeIn: '3' });
+  });
+
+  test('should collect deprecated tokens across sets by category path', () => {
+    const tokens = {
+      core: { colors: { gray: { value: '#6b7280', $deprecated: true } } },
+      semantic: { spacing: { gutter: { value: '24px', $deprecated: { replacement: '{spacing.6}' } } } }
+    };
+
+    expect(collectDeprecations(tokens)).toEqual({
+      'colors.gray': { message: null, replacement: null, removeIn: null },
+      'spacing.gutter': { message: null, replacement: 'spacing.6', removeIn: null }
+    });
+  });
+
+  test('should format a one-line note', () => {
+    expect(formatDeprecation({ message: 'Too pink.', replacement: 'colors.brand', removeIn: '3.0.0' }))
+      .toBe('Too pink. Use {colors.brand} instead. Removed in 3.0.0');
+    expect(formatDeprecation({ message: null, replacement: null, removeIn: null })).toBe('');
+  });
+});
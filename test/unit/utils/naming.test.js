@@ -0,0 +1,30 @@
+import { splitWords, matchesCase, toCase, findClosestName, getEditDistance } from '../../../src/utils/naming.js';
+
+describe('Naming', () => {
+  test('should split names into words', () => {
+    expect(splitWords('brandPrimary500')).toEqual(['brand', 'primary', '500']);
+    expect(splitWords('brand-primary_500')).toEqual(['brand', 'primary', '500']);
+    expect(splitWords('HTMLColor')).toEqual(['html', 'color']);
+  });
+
+  test('should check and convert case styles', () => {
+    expect(matchesCase('brandPrimary', 'camelCase')).toBe(true);
+    expect(matchesCase('brand-primary', 'camelCase')).toBe(false);
+    expect(matchesCase('brand-primary', 'kebab-case')).toBe(true);
+    expect(matchesCase('500', 'PascalCase')).toBe(true);
+    expect(matchesCase('1.5', 'snake_case')).toBe(true);
+    expect(() => matchesCase('x', 'Title Case')).toThrow('Unknown case style "Title Case"');
+
+    expect(toCase('Primary500', 'kebab-case')).toBe('primary-500');
+    expect(toCase('brand-primary', 'camelCase')).toBe('brandPrimary');
+    expect(toCase('brand-primary', 'PascalCase')).toBe('BrandPrimary');
+    expect(toCase('brandPrimary', 'snake_case')).toBe('brand_primary');
+  });
+
+  test('should find the closest name', () => {
+    expect(getEditDistance('colour', 'colors')).toBe(2);
+    expect(findClosestName('border-radius', ['colors', 'borderRadius'])).toBe('borderRadius');
+    expect(findClosestName('color', ['colors', 'spacing'])).toBe('colors');
+    expect(findClosestName('misc', ['colors', 'spacing'])).toBeNull();
+  });
+});
@@ -0,0 +1,45 @@
+import {
+  parseVersion,
+  bumpVersion,
+  compareVersions,
+  getVersionBump,
+  insertChangelogSection
+} from '../../../src/utils/release.js';
+
+describe('Release helpers', () => {
+  test('should parse versions', () => {
+    expect(parseVersion('1.2.3')).toEqual({ major: 1, minor: 2, patch: 3 });
+    expect(parseVersion('v2.0.0-beta.1')).toEqual({ major: 2, minor: 0, patch: 0 });
+    expect(() => parseVersion('1.2')).toThrow('Invalid version "1.2": expected major.minor.patch');
+  });
+
+  test('should bump versions by release type', () => {
+    expect(bumpVersion('1.2.3', 'major')).toBe('2.0.0');
+    expect(bumpVersion('1.2.3', 'minor')).toBe('1.3.0');
+    expect(bumpVersion('1.2.3', 'patch')).toBe('1.2.4');
+    expect(() => bumpVersion('1.2.3', 'huge')).toThrow('Invalid release type "huge"');
+  });
+
+  test('should compare versions and name the bump between them', () => {
+    expect(compareVersions('1.10.0', '1.9.9')).toBeGreaterThan(0);
+    expect(compareVersions('1.0.0', '1.0.0')).toBe(0);
+
+    expect(getVersionBump('1.2.3', '2.0.0')).toBe('major');
+    expect(getVersionBump('1.2.3', '1.3.0')).toBe('minor');
+    expect(getVersionBump('1.2.3', '1.2.4')).toBe('patch');
+    expect(getVersionBump('1.2.3', '1.2.3')).toBeNull();
+    expect(getVersionBump('1.2.3', '1.1.0')).toBeNull();
+  });
+
+  test('should insert a section above the latest release', () => {
+    const changelog = '# Changelog\n\nIntro.\n\n## [1.0.0] - 2024-01-15\n\n- First\n';
+    const updated = insertChangelogSection(changelog, '## [2.0.0] - 2026-01-01\n\n- Second\n');
+
+    expect(updated).toBe('# Changelog\n\nIntro.\n\n## [2.0.0] - 2026-01-01\n\n- Second\n\n## [1.0.0] - 2024-01-15\n\n- First\n');
+  });
+
+  test('should start a changelog when there is none', () => {
+    expect(insertChangelogSection('', '## [1.0.0] - 2026-01-01\n')).toBe('# Changelog\n\n## [1.0.0] - 2026-01-01\n');
+    expect(insertChangelogSection('# Changelog\n', '## [1.0.0] - 2026-01-01\n')).toBe('# Changelog\n\n## [1.0.0] - 2026-01-01\n');
+  });
+});
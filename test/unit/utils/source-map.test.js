@@ -0,0 +1,46 @@
+import { getJsonLocations, getTokenLocation, formatCodeFrame } from '../../../src/utils/source-map.js';
+
+describe('Source Map', () => {
+  const text = [
+    '{',
+    '  "colors": {',
+    '    "primary": {',
+    '      "500": { "value": "#3b82f6", "type": "color" },',
+    '      "a.b\\"c": { "value": "{colors.primary.500}" }',
+    '    }',
+    '  },',
+    '  "$themes": [{ "name": "Light" }]',
+    '}'
+  ].join('\n');
+
+  test('should locate every key and value', () => {
+    const locations = getJsonLocations(text);
+
+    expect(locations.colors).toEqual({ line: 2, column: 3, valueLine: 2, valueColumn: 13 });
+    expect(locations['colors.primary.500.value']).toEqual({ line: 4, column: 16, valueLine: 4, valueColumn: 25 });
+    expect(locations['colors.primary.500.type']).toMatchObject({ valueLine: 4, valueColumn: 44 });
+    expect(locations['colors.primary.a.b"c.value']).toMatchObject({ line: 5, valueColumn: 28 });
+    expect(locations['$themes.0.name']).toEqual({ line: 8, column: 17, valueLine: 8, valueColumn: 25 });
+  });
+
+  test('should locate tokens by their value', () => {
+    const locations = getJsonLocations(text);
+
+    expect(getTokenLocation(locations, 'colors.primary.500')).toEqual({ line: 4, column: 25 });
+    expect(getTokenLocation(locations, 'colors.primary')).toEqual({ line: 3, column: 5 });
+    expect(getTokenLocation(locations, 'colors.missing')).toBeNull();
+  });
+
+  test('should render a code frame', () => {
+    expect(formatCodeFrame(text, 4, 25)).toBe([
+      '  2 |   "colors": {',
+      '  3 |     "primary": {',
+      '> 4 |       "500": { "value": "#3b82f6", "type": "color" },',
+      '    |                         ^',
+      '  5 |       "a.b\\"c": { "value": "{colors.primary.500}" }',
+      '  6 |     }'
+    ].join('\n'));
+
+    expect(formatCodeFrame('{\n\t"a": 1\n}', 2, 7, 0)).toBe('> 2 | \t"a": 1\n    | \t     ^');
+  });
+});
@@ -0,0 +1,150 @@
+import {
+  detectFormat,
+  normalizeTokens,
+  convertTokens,
+  formatCompositeValue,
+  normalizeTypography,
+  toFontWeight
+} from '../../../src/utils/token-formats.js';
+
+describe('Token Formats', () => {
+  const tokensStudio = {
+    core: {
+      colors: {
+        primary: { value: '#3b82f6', type: 'color', description: 'Brand blue' }
+      },
+      fontFamily: {
+        sans: { value: 'Inter', type: 'fontFamily' }
+      },
+      shadows: {
+        inner: {
+          value: { x: 0, y: '2', blur: '4', spread: 0, color: '{colors.primary}', type: 'innerShadow' },
+          type: 'boxShadow'
+        }
+      }
+    },
+    $themes: [{ id: 'light', name: 'Light', selectedTokenSets: { core: 'enabled' } }],
+    $metadata: { tokenSetOrder: ['core'] }
+  };
+
+  const dtcg = {
+    colors: {
+      $type: 'color',
+      $description: 'Palette',
+      primary: { $value: '#3b82f6', $extensions: { 'com.example': { locked: true } } },
+      brand: {
+        $type: 'dimension',
+        size: { $value: '4px' }
+      }
+    }
+  };
+
+  describe('Detection', () => {
+    test('should detect DTCG and Token Studio files', () => {
+      expect(detectFormat(dtcg)).toBe('dtcg');
+      expect(detectFormat(tokensStudio)).toBe('tokens-studio');
+    });
+  });
+
+  describe('Normalization', () => {
+    test('should inherit $type from the closest group', () => {
+      const normalized = normalizeTokens(dtcg);
+
+      expect(normalized.colors.primary.type).toBe('color');
+      expect(normalized.colors.brand.size.type).toBe('dimension');
+      expect(normalized.colors.$type).toBeUndefined();
+      expect(normalized.colors.$description).toBeUndefined();
+    });
+
+    test('should keep $extensions on tokens', () => {
+      const normalized = normalizeTokens(dtcg);
+
+      expect(normalized.colors.primary.value).toBe('#3b82f6');
+      expect(normalized.colors.primary.$extensions).toEqual({ 'com.example': { locked: true } });
+    });
+
+    test('should leave Token Studio files untouched', () => {
+      expect(normalizeTokens(tokensStudio)).toBe(tokensStudio);
+    });
+  });
+
+  describe('Conversion', () => {
+    test('should convert Token Studio to DTCG', () => {
+      const converted = convertTokens(tokensStudio, 'dtcg');
+
+      expect(converted.core.colors.primary).toEqual({
+        $value: '#3b82f6',
+        $type: 'color',
+        $description: 'Brand blue'
+      });
+      expect(converted.core.shadows.inner.$type).toBe('shadow');
+      expect(converted.core.shadows.inner.$value).toEqual({
+        offsetX: '0', offsetY: '2px', blur: '4px', spread: '0', color: '{colors.primary}', inset: true
+      });
+      expect(converted.$themes).toEqual(tokensStudio.$themes);
+      expect(converted.$metadata).toEqual(tokensStudio.$metadata);
+    });
+
+    test('should round-trip back to Token Studio', () => {
+      const converted = convertTokens(convertTokens(tokensStudio, 'dtcg'), 'tokens-studio');
+
+      expect(converted.core.colors.primary).toEqual(tokensStudio.core.colors.primary);
+      expect(converted.core.fontFamily.sans).toEqual(tokensStudio.core.fontFamily.sans);
+      expect(converted.core.shadows.inner.type).toBe('boxShadow');
+      expect(converted.core.shadows.inner.value.type).toBe('innerShadow');
+    });
+
+    test('should reject unknown formats', () => {
+      expect(() => convertTokens(tokensStudio, 'yaml')).toThrow('Unknown token format "yaml"');
+    });
+  });
+
+  describe('Composite Values', () => {
+    test('should serialize composite types to CSS', () => {
+      expect(formatCompositeValue([
+        { offsetX: '0px', offsetY: '1px', blur: '2px', spread: '0px', color: '#0000001a' },
+        { offsetX: '0px', offsetY: '0px', blur: '0px', spread: '1px', color: '#000', inset: true }
+      ], 'shadow')).toBe('0px 1px 2px 0px #0000001a, inset 0px 0px 0px 1px #000');
+      expect(formatCompositeValue({ width: '1px', style: 'solid', color: '#e5e7eb' }, 'border'))
+        .toBe('1px solid #e5e7eb');
+      expect(formatCompositeValue([{ color: '#fff', position: 0 }, { color: '#000', position: 1 }], 'gradient'))
+        .toBe('linear-gradient(#fff 0%, #000 100%)');
+      expect(formatCompositeValue([0.4, 0, 0.2, 1], 'cubicBezier')).toBe('cubic-bezier(0.4, 0, 0.2, 1)');
+      expect(formatCompositeValue({ duration: '200ms', timingFunction: [0.4, 0, 0.2, 1], delay: '0ms' }, 'transition'))
+        .toBe('200ms cubic-bezier(0.4, 0, 0.2, 1) 0ms');
+      expect(formatCompositeValue(['Inter', 'Helvetica Neue', 'sans-serif'], 'fontFamily'))
+        .toBe('Inter, "Helvetica Neue", sans-serif');
+      expect(formatCompositeValue({ value: 4, unit: 'px' }, 'dimension')).toBe('4px');
+    });
+
+    test('should keep typography composites as objects', () => {
+      const typography = { fontFamily: 'Inter', fontSize: '16px' };
+
+      expect(formatCompositeValue(typography, 'typography')).toBe(typography);
+    });
+
+    test('should normalize composite typography', () => {
+      expect(normalizeTypography({
+        fontFamily: 'Inter',
+        fontWeight: 'Semi Bold Italic',
+        fontSize: 24,
+        lineHeight: '150%',
+        letterSpacing: '-2%',
+        textCase: 'uppercase',
+        textDecoration: 'none'
+      })).toEqual({
+        fontFamily: 'Inter',
+        fontSize: '24px',
+        fontWeight: 600,
+        fontStyle: 'italic',
+        lineHeight: 1.5,
+        letterSpacing: '-0.02em',
+        textCase: 'uppercase'
+      });
+      expect(normalizeTypography({ fontFamily: ['Inter', 'sans-serif'], fontSize: { value: 1, unit: 'rem' }, lineHeight: 'AUTO' }))
+        .toEqual({ fontFamily: 'Inter, sans-serif', fontSize: '1rem', lineHeight: 'normal' });
+      expect(toFontWeight('Bold')).toBe(700);
+      expect(toFontWeight('300')).toBe(300);
+    });
+  });
+});
@@ -0,0 +1,41 @@
+import { isExpression, evaluateExpression } from '../../../src/utils/token-math.js';
+
+describe('Token Math', () => {
+  test('should evaluate arithmetic keeping units', () => {
+    expect(evaluateExpression('1rem * 2')).toBe('2rem');
+    expect(evaluateExpression('2 * 4px')).toBe('8px');
+    expect(evaluateExpression('4px + 2')).toBe('6px');
+    expect(evaluateExpression('(8px - 2px) / 2')).toBe('3px');
+    expect(evaluateExpression('50% * 0.5')).toBe('25%');
+    expect(evaluateExpression('16px / 8px')).toBe('2');
+    expect(evaluateExpression('0.1 + 0.2')).toBe('0.3');
+  });
+
+  test('should evaluate math functions', () => {
+    expect(evaluateExpression('roundTo(16px / 3)')).toBe('5px');
+    expect(evaluateExpression('roundTo(1rem / 3, 2)')).toBe('0.33rem');
+    expect(evaluateExpression('max(4px, 2px * 3)')).toBe('6px');
+    expect(evaluateExpression('floor(1.5em * 3)')).toBe('4em');
+  });
+
+  test('should leave plain CSS values untouched', () => {
+    [
+      '0 1px 2px rgb(0 0 0 / 0.1)',
+      'calc(100% - 1rem)',
+      'ease-in-out',
+      '-1px',
+      '1rem/1.5 Inter, sans-serif',
+      'Helvetica Neue'
+    ].forEach(value => expect(evaluateExpression(value)).toBe(value));
+
+    expect(isExpression(16)).toBe(false);
+    expect(isExpression('1rem * 2')).toBe(true);
+  });
+
+  test('should reject invalid expressions', () => {
+    expect(() => evaluateExpression('1rem + 4px')).toThrow('Cannot add 1rem and 4px: units differ');
+    expect(() => evaluateExpression('2px * 3px')).toThrow('Cannot multiply 2px by 3px');
+    expect(() => evaluateExpression('4px / 0')).toThrow('Division by zero');
+    expect(() => evaluateExpression('2 * foo')).toThrow('Invalid expression "2 * foo"');
+  });
+});
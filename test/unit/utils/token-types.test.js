@@ -0,0 +1,87 @@
+import {
+  validateColor,
+  validateDimension,
+  validateDuration,
+  validateCubicBezier,
+  validateFontWeight,
+  validateNumber,
+  validateShadow,
+  validateBorder,
+  validateGradient,
+  validateTypography,
+  validateTokenValue,
+  getValidatedType
+} from '../../../src/utils/token-types.js';
+
+describe('Token types', () => {
+  test('should validate colors', () => {
+    ['#3b82f6', '#fff8', 'rgb(59 130 246 / 50%)', 'rgba(0, 0, 0, 0.5)', 'hsl(200deg 50% 50%)', 'oklch(70% 0.1 200)',
+      'color(display-p3 1 0 0 / 0.5)', 'rebeccapurple', 'currentColor'].forEach(color => {
+      expect(validateColor(color)).toBeNull();
+    });
+
+    expect(validateColor('blurple')).toBe('"blurple" is not a CSS color');
+    expect(validateColor('#12345')).toBe('hex colors take 3, 4, 6 or 8 digits');
+    expect(validateColor('rgb(1 2)')).toBe('rgb() takes 3 channels and an optional "/ alpha"');
+    expect(validateColor('oklch(70%, 0.1, 200)')).toBe('oklch() channels are separated by spaces');
+    expect(validateColor('color(p3 1 0 0)')).toMatch(/^color\(\) needs a color space/);
+    expect(validateColor(' #fff ')).toBe('unexpected leading or trailing whitespace');
+  });
+
+  test('should validate dimensions and durations', () => {
+    expect(validateDimension('1.5rem')).toBeNull();
+    expect(validateDimension(0)).toBeNull();
+    expect(validateDimension({ value: 16, unit: 'px' })).toBeNull();
+    expect(validateDimension('16')).toBe('expected a number with a unit, such as "16px"');
+    expect(validateDimension('16', { lenient: true })).toBeNull();
+    expect(validateDimension('12parsecs')).toBe('unknown unit "parsecs"');
+
+    expect(validateDuration('200ms')).toBeNull();
+    expect(validateDuration({ value: 0.2, unit: 's' })).toBeNull();
+    expect(validateDuration('fast')).toBe('expected a duration such as "200ms" or "0.2s"');
+    expect(validateDuration('-1s')).toBe('durations cannot be negative');
+  });
+
+  test('should validate easings, font weights and numbers', () => {
+    expect(validateCubicBezier([0.4, 0, 0.2, 1])).toBeNull();
+    expect(validateCubicBezier('cubic-bezier(0.4, 0, 0.2, 1)')).toBeNull();
+    expect(validateCubicBezier([1.5, 0, 0.2, 1])).toBe('x1 and x2 must be between 0 and 1');
+    expect(validateCubicBezier([0.4, 0])).toBe('expected four numbers [x1, y1, x2, y2]');
+
+    expect(validateFontWeight(600)).toBeNull();
+    expect(validateFontWeight('Semi Bold')).toBeNull();
+    expect(validateFontWeight('heavyish')).toBe('unknown font weight "heavyish"');
+    expect(validateFontWeight(1200)).toBe('font weights range from 1 to 1000');
+
+    expect(validateNumber(1.5)).toBeNull();
+    expect(validateNumber('0.5')).toBeNull();
+    expect(validateNumber('half')).toBe('expected a number');
+  });
+
+  test('should validate composite values', () => {
+    const shadow = { color: '#000000', offsetX: '0', offsetY: '4px', blur: '8px', spread: '0' };
+    expect(validateShadow(shadow)).toBeNull();
+    expect(validateShadow([shadow, { ...shadow, inset: 'yes' }])).toBe('[1] inset: expected true or false');
+    expect(validateShadow('0 1px 2px 0 rgb(0 0 0 / 0.05), inset 0 0 0 1px red')).toBeNull();
+    expect(validateShadow('0 1px blue red')).toBe('"0 1px blue red" is not a box-shadow');
+
+    expect(validateBorder({ color: '#000', width: '1px', style: 'dashed' })).toBeNull();
+    expect(validateBorder({ color: '#000', width: '1px', style: 'wavy' })).toMatch(/^style: expected one of solid/);
+
+    expect(validateGradient([{ color: '#000', position: 0 }, { color: '#fff', position: 1 }])).toBeNull();
+    expect(validateGradient('linear-gradient(90deg, #000, #fff)')).toBeNull();
+    expect(validateGradient([{ color: '#000', position: 2 }, { color: '#fff', position: 1 }])).toBe('[0] position: expected a number between 0 and 1');
+
+    expect(validateTypography({ fontFamily: ['Inter', 'sans-serif'], fontSize: '16px', fontWeight: 'bold', lineHeight: '150%' })).toBeNull();
+    expect(validateTypography({ fontSize: 'big' })).toBe('fontSize: expected a number with a unit, such as "16px"');
+  });
+
+  test('should map Token Studio types and skip types without a validator', () => {
+    expect(getValidatedType('boxShadow')).toBe('shadow');
+    expect(getValidatedType('fontSizes')).toBe('dimension');
+    expect(getValidatedType('other')).toBeNull();
+
+    expect(validateTokenValue('boxShadow', { color: '#000', x: '0', y: '4', blur: '8', spread: '0' }, { lenient: true })).toBeNull();
+    expect(validateTokenValue('other', 'anything')).toBeNull();
+  });
+});